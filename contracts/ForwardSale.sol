@@ -0,0 +1,350 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./MicroCredit.sol";
+
+/**
+ * @title ForwardSale
+ * @dev Forward sales of MicroCredit (ECCX) credits from a future vintage
+ * A project developer offers credits expected from the next monitoring and
+ * reporting cycle. Buyers pre-order with HBAR, which stays in escrow here.
+ * Once the matching vintage has been minted, the developer delivers the forward
+ * out of that verified mint batch: this contract takes the pre-ordered credits
+ * from the developer's holdings of the batch into escrow, so delivery issues no
+ * new credits; buyers claim their pro-rata share of the batch and the developer
+ * is paid for what was delivered. Whatever was not delivered by the deadline is
+ * refunded pro rata.
+ *
+ * References:
+ * - Pull payments: https://docs.openzeppelin.com/contracts/5.x/api/utils#PullPayment
+ * - Verra VCS monitoring and reporting: https://verra.org/programs/verified-carbon-standard/
+ */
+contract ForwardSale is ReentrancyGuard {
+    // Credit contract of the delivered credits
+    MicroCredit public immutable credits;
+
+    // Forwards, forwardId = index + 1
+    Forward[] private forwards;
+
+    // Pre-orders per forward and buyer
+    mapping(uint256 => mapping(address => Order)) private orders;
+    mapping(address => uint256[]) private buyerForwardIds;
+
+    // Developer proceeds and platform fees awaiting withdrawal (tinybars)
+    mapping(address => uint256) public developerProceeds;
+    uint256 public accruedFees;
+
+    // HBAR paid to developers and the platform for delivered credits (tinybars)
+    uint256 public totalVolume;
+
+    struct Forward {
+        uint256 forwardId;
+        string projectId;
+        address developer;
+        uint16 vintage;          // Vintage the credits will be issued under
+        uint256 amount;          // Credits offered
+        uint256 sold;            // Credits pre-ordered
+        uint256 delivered;       // Credits delivered from the matching mint
+        uint256 batchId;         // Verified mint batch the credits were delivered from
+        uint256 pricePerCredit;  // HBAR price per whole credit in tinybars
+        uint256 escrowed;        // HBAR paid by all buyers
+        uint64 deadline;         // Delivery deadline; undelivered credits are refundable after it
+        bool isDelivered;
+    }
+
+    struct Order {
+        uint256 amount;
+        uint256 paid;
+        bool creditsClaimed;
+        bool refunded;
+    }
+
+    event ForwardCreated(
+        uint256 indexed forwardId,
+        string indexed projectId,
+        uint16 vintage,
+        uint256 amount,
+        uint256 pricePerCredit,
+        uint64 deadline
+    );
+
+    event PreOrdered(uint256 indexed forwardId, address indexed buyer, uint256 amount, uint256 paid);
+
+    event ForwardDelivered(uint256 indexed forwardId, uint256 indexed batchId, uint256 delivered, uint256 sold);
+
+    event CreditsClaimed(uint256 indexed forwardId, address indexed buyer, uint256 amount);
+
+    event Refunded(uint256 indexed forwardId, address indexed buyer, uint256 amount);
+
+    event ProceedsWithdrawn(address indexed developer, uint256 amount);
+
+    event FeesWithdrawn(address indexed collector, uint256 amount);
+
+    constructor(address creditContract) {
+        require(creditContract != address(0), "Invalid credit contract");
+        credits = MicroCredit(creditContract);
+    }
+
+    /**
+     * @dev Offer credits from a future vintage (project developer only)
+     * @param projectId Project the credits will be issued from
+     * @param vintage Vintage year the credits will be issued under
+     * @param amount Amount of credits offered
+     * @param pricePerCredit HBAR price per whole credit in tinybars
+     * @param deadline Delivery deadline (unix seconds)
+     * @return forwardId Identifier of the new forward
+     */
+    function createForward(
+        string memory projectId,
+        uint16 vintage,
+        uint256 amount,
+        uint256 pricePerCredit,
+        uint64 deadline
+    ) external returns (uint256 forwardId) {
+        MicroCredit.ProjectInfo memory project = credits.getProject(projectId);
+        require(project.isActive, "Project not active");
+        require(msg.sender == project.developer, "Only project developer");
+        require(vintage > credits.currentVintage(projectId), "Vintage already issued");
+        require(amount > 0, "Amount must be greater than 0");
+        require(pricePerCredit > 0, "Price must be greater than 0");
+        require(deadline > block.timestamp, "Deadline must be in the future");
+
+        forwardId = forwards.length + 1;
+        forwards.push(Forward({
+            forwardId: forwardId,
+            projectId: projectId,
+            developer: msg.sender,
+            vintage: vintage,
+            amount: amount,
+            sold: 0,
+            delivered: 0,
+            batchId: 0,
+            pricePerCredit: pricePerCredit,
+            escrowed: 0,
+            deadline: deadline,
+            isDelivered: false
+        }));
+
+        emit ForwardCreated(forwardId, projectId, vintage, amount, pricePerCredit, deadline);
+    }
+
+    /**
+     * @dev Pre-order credits from a forward, holding the payment in escrow
+     * @param forwardId Forward to pre-order from
+     * @param amount Amount of credits to pre-order
+     */
+    function preOrder(uint256 forwardId, uint256 amount) external payable nonReentrant {
+        Forward storage forward = _getForward(forwardId);
+        require(!forward.isDelivered && block.timestamp < forward.deadline, "Forward not open");
+        require(amount > 0, "Amount must be greater than 0");
+        require(forward.sold + amount <= forward.amount, "Insufficient credits offered");
+
+        // Rounded up to the next tinybar so no amount is sold for nothing
+        uint256 totalPrice = Math.ceilDiv(amount * forward.pricePerCredit, 10 ** credits.decimals());
+        require(msg.value >= totalPrice, "Insufficient payment");
+
+        Order storage order = orders[forwardId][msg.sender];
+        if (order.amount == 0) {
+            buyerForwardIds[msg.sender].push(forwardId);
+        }
+        order.amount += amount;
+        order.paid += totalPrice;
+        forward.sold += amount;
+        forward.escrowed += totalPrice;
+
+        // Refund excess payment
+        if (msg.value > totalPrice) {
+            (bool refunded, ) = payable(msg.sender).call{value: msg.value - totalPrice}("");
+            require(refunded, "Refund failed");
+        }
+
+        emit PreOrdered(forwardId, msg.sender, amount, totalPrice);
+    }
+
+    /**
+     * @dev Deliver a forward from the verified mint batch of its vintage (project developer only)
+     * Fills the pre-orders up to what the developer still holds of the batch, moves
+     * the delivered credits into escrow and pays the developer for them. Requires
+     * the developer to have approved this contract for the pre-ordered amount.
+     * @param forwardId Forward being delivered
+     * @param batchId Guardian-verified mint batch of the forward's project and vintage
+     */
+    function deliver(uint256 forwardId, uint256 batchId) external nonReentrant {
+        Forward storage forward = _getForward(forwardId);
+        require(msg.sender == forward.developer, "Only project developer");
+        require(!forward.isDelivered, "Forward already delivered");
+        require(block.timestamp <= forward.deadline, "Delivery deadline passed");
+
+        MicroCredit.IssuanceBatch memory batch = credits.getBatch(batchId);
+        (bytes32 verificationHash, , ) = credits.batchEvidence(batchId);
+        require(verificationHash != bytes32(0), "Not a verified mint batch");
+        require(
+            batch.vintage == forward.vintage && keccak256(bytes(batch.projectId)) == keccak256(bytes(forward.projectId)),
+            "Vintage not minted"
+        );
+
+        uint256 delivered = Math.min(forward.sold, credits.batchBalances(batchId, msg.sender));
+        forward.isDelivered = true;
+        forward.delivered = delivered;
+        forward.batchId = batchId;
+
+        if (delivered > 0) {
+            credits.transferBatchFrom(msg.sender, address(this), batchId, delivered);
+
+            // Pay for the delivered share; the undelivered share stays refundable
+            uint256 payment = forward.escrowed * delivered / forward.sold;
+            uint256 fee = payment * credits.platformFeeBps() / 10_000;
+            totalVolume += payment;
+            accruedFees += fee;
+            developerProceeds[forward.developer] += payment - fee;
+        }
+
+        emit ForwardDelivered(forwardId, batchId, delivered, forward.sold);
+    }
+
+    /**
+     * @dev Claim delivered credits of the forward's batch and, after the deadline, the refund for any shortfall
+     * @param forwardId Forward the caller pre-ordered from
+     */
+    function claim(uint256 forwardId) external nonReentrant {
+        Forward storage forward = _getForward(forwardId);
+        Order storage order = orders[forwardId][msg.sender];
+        require(order.amount > 0, "No pre-order");
+
+        (uint256 creditsDue, uint256 refundDue) = _claimable(forward, order);
+        require(creditsDue > 0 || refundDue > 0, "Nothing to claim");
+
+        if (forward.isDelivered && !order.creditsClaimed) {
+            order.creditsClaimed = true;
+            if (creditsDue > 0) {
+                credits.transferBatch(msg.sender, forward.batchId, creditsDue);
+                emit CreditsClaimed(forwardId, msg.sender, creditsDue);
+            }
+        }
+
+        if (refundDue > 0) {
+            order.refunded = true;
+            (bool sent, ) = payable(msg.sender).call{value: refundDue}("");
+            require(sent, "Refund failed");
+            emit Refunded(forwardId, msg.sender, refundDue);
+        }
+    }
+
+    /**
+     * @dev Withdraw the caller's accumulated forward sale proceeds
+     */
+    function withdrawProceeds() external nonReentrant {
+        uint256 amount = developerProceeds[msg.sender];
+        require(amount > 0, "No proceeds to withdraw");
+
+        developerProceeds[msg.sender] = 0;
+        (bool sent, ) = payable(msg.sender).call{value: amount}("");
+        require(sent, "Proceeds transfer failed");
+
+        emit ProceedsWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Withdraw accrued platform fees to MicroCredit's fee collector
+     */
+    function withdrawFees() external nonReentrant {
+        address collector = credits.feeCollector();
+        require(
+            credits.hasRole(credits.FEE_MANAGER_ROLE(), msg.sender) || msg.sender == collector,
+            "Not authorized"
+        );
+        uint256 amount = accruedFees;
+        require(amount > 0, "No fees to withdraw");
+
+        accruedFees = 0;
+        (bool sent, ) = payable(collector).call{value: amount}("");
+        require(sent, "Fee transfer failed");
+
+        emit FeesWithdrawn(collector, amount);
+    }
+
+    /**
+     * @dev Get the number of forwards ever created
+     */
+    function getForwardCount() external view returns (uint256) {
+        return forwards.length;
+    }
+
+    /**
+     * @dev Get a forward by ID
+     */
+    function getForward(uint256 forwardId) external view returns (Forward memory) {
+        return _getForward(forwardId);
+    }
+
+    /**
+     * @dev Page through forwards in creation order
+     * @param offset Index of the first forward to return
+     * @param limit Maximum number of forwards to return
+     * @return page Forwards in the requested range
+     * @return total Total number of forwards
+     */
+    function getForwards(uint256 offset, uint256 limit) external view returns (
+        Forward[] memory page,
+        uint256 total
+    ) {
+        total = forwards.length;
+        if (offset >= total) {
+            return (new Forward[](0), total);
+        }
+
+        uint256 end = limit > total - offset ? total : offset + limit;
+        page = new Forward[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = forwards[i];
+        }
+    }
+
+    /**
+     * @dev Get a buyer's pre-order on a forward and what it can claim now
+     * @return order The buyer's pre-order
+     * @return creditsDue Delivered credits not yet claimed
+     * @return refundDue HBAR refundable for the undelivered share, in tinybars
+     */
+    function getOrder(uint256 forwardId, address buyer) external view returns (
+        Order memory order,
+        uint256 creditsDue,
+        uint256 refundDue
+    ) {
+        Order storage stored = orders[forwardId][buyer];
+        (creditsDue, refundDue) = _claimable(_getForward(forwardId), stored);
+        order = stored;
+    }
+
+    /**
+     * @dev Get the IDs of every forward a buyer has pre-ordered from
+     */
+    function getBuyerForwardIds(address buyer) external view returns (uint256[] memory) {
+        return buyerForwardIds[buyer];
+    }
+
+    function _claimable(Forward storage forward, Order storage order) private view returns (
+        uint256 creditsDue,
+        uint256 refundDue
+    ) {
+        if (order.amount == 0) {
+            return (0, 0);
+        }
+
+        if (forward.isDelivered && !order.creditsClaimed) {
+            creditsDue = order.amount * forward.delivered / forward.sold;
+        }
+
+        // The undelivered share becomes refundable once the deadline has passed
+        if (!order.refunded && block.timestamp > forward.deadline) {
+            refundDue = order.paid * (forward.sold - forward.delivered) / forward.sold;
+        }
+    }
+
+    function _getForward(uint256 forwardId) private view returns (Forward storage) {
+        require(forwardId > 0 && forwardId <= forwards.length, "Forward does not exist");
+        return forwards[forwardId - 1];
+    }
+}
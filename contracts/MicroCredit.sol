@@ -0,0 +1,1055 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/ShortStrings.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./MicroCreditStorage.sol";
+import "./MicroCreditReader.sol";
+
+/**
+ * @title MicroCredit
+ * @dev ERC-20 token for micro carbon credits with 2 decimal places
+ * Integrates with Hedera Guardian PWE & dMRV Engine for project validation
+ * Supports EIP-2612 permits and signed retirements so relayers can pay gas for holders
+ * Deployed behind a transparent upgradeable proxy, initialized through MicroCreditSetup;
+ * state layout and types live in MicroCreditStorage
+ * 
+ * References:
+ * - Guardian PWE: https://github.com/hashgraph/guardian
+ * - Hedera Sustainability: https://hedera.com/use-cases/sustainability
+ * - Guardian 3.0: https://hedera.com/blog/hedera-guardian-3-0-sustainability-for-enterprise
+ * - EIP-2612: https://eips.ethereum.org/EIPS/eip-2612
+ */
+contract MicroCredit is MicroCreditStorage {
+
+    // EIP-712 type of a signed retirement; shares the permit nonce of the retiree
+    bytes32 public constant RETIRE_TYPEHASH = keccak256(
+        "RetireWithSignature(address retiree,uint256 batchId,uint256 amount,string reason,address beneficiary,string beneficiaryName,string reportingPeriod,uint256 nonce,uint256 deadline)"
+    );
+    
+    // Token has 2 decimal places (1 token = 1 full credit, 0.01 = micro-credit)
+    uint8 private constant DECIMALS = 2;
+    
+    // Maximum supply cap (100 million credits)
+    uint256 public constant MAX_SUPPLY = 100_000_000 * 10**DECIMALS;
+    
+    // Maximum platform fee (10%) and length of a fee accounting period
+    uint16 public constant MAX_FEE_BPS = 1000;
+    uint256 public constant FEE_PERIOD = 30 days;
+
+    // Maximum share of an issuance withheld for the non-permanence buffer (50%)
+    uint16 public constant MAX_BUFFER_BPS = 5000;
+
+    // Token symbol kept in code like the EIP-712 name, so both read the same through a proxy
+    ShortString private immutable _tokenSymbol;
+
+    // Serves the enumeration and history views on this contract's storage (see fallback)
+    address private immutable _reader;
+    
+    // Events for Guardian PWE integration
+    event CreditsMinted(
+        address indexed to, 
+        uint256 amount, 
+        string indexed projectId,
+        string methodology
+    );
+    
+    event CreditsRetired(
+        address indexed by, 
+        uint256 amount, 
+        string reason,
+        uint256 timestamp
+    );
+    
+    event BatchIssued(
+        uint256 indexed batchId,
+        string projectId,
+        uint16 vintage,
+        uint256 serialStart,
+        uint256 serialEnd,
+        uint256 amount
+    );
+
+    event IssuanceVerified(
+        uint256 indexed batchId,
+        string projectId,
+        bytes32 indexed verificationHash,
+        uint64 monitoringPeriodStart,
+        uint64 monitoringPeriodEnd
+    );
+
+    event BatchTransferred(
+        address indexed from,
+        address indexed to,
+        uint256 indexed batchId,
+        uint256 amount
+    );
+
+    event BatchRetired(
+        address indexed by,
+        uint256 indexed batchId,
+        uint256 amount
+    );
+
+    event RetirementCertificateIssued(
+        uint256 indexed certificateId,
+        address indexed retiree,
+        address indexed beneficiary,
+        string beneficiaryName,
+        string projectId,
+        uint256 batchId,
+        uint256 amount,
+        string reportingPeriod
+    );
+
+    event FeeCollected(
+        string indexed projectId,
+        address indexed buyer,
+        uint256 amount,
+        uint256 indexed period
+    );
+
+    event PlatformFeeUpdated(uint16 feeBps);
+
+    event FeeCollectorUpdated(address indexed feeCollector);
+
+    event FeesWithdrawn(address indexed to, uint256 amount);
+
+    event ProceedsCredited(
+        address indexed developer,
+        string indexed projectId,
+        uint256 amount
+    );
+
+    event ProceedsWithdrawn(address indexed developer, uint256 amount);
+
+    event ProjectRegistered(
+        string indexed projectId,
+        address indexed developer,
+        string methodology,
+        uint256 totalCredits
+    );
+    
+    event ProjectStatusChanged(
+        string indexed projectId,
+        ProjectStatus status,
+        string reason
+    );
+
+    event ProjectMetadataUpdated(
+        string indexed projectId,
+        string methodology,
+        string location,
+        string reason
+    );
+    
+    event BufferPercentageUpdated(string indexed projectId, uint16 bufferBps);
+
+    event ReversalReported(
+        string indexed projectId,
+        uint256 cancelled,
+        string reason
+    );
+    
+    event CreditsPurchased(
+        address indexed buyer,
+        string indexed projectId,
+        uint256 amount,
+        uint256 totalPrice
+    );
+
+    // Custom errors instead of revert strings keep the contract under the 24 KiB code size limit
+    error NameTooLong();
+    error InvalidAddress();
+    error InvalidProjectId();
+    error InvalidVintage();
+    error InvalidMonitoringPeriod();
+    error InvalidPrice();
+    error InvalidBatch();
+    error InvalidCertificate();
+    error InvalidSignature();
+    error ZeroAmount();
+    error ProjectAlreadyRegistered();
+    error ProjectNotRegistered();
+    error ProjectNotActive();
+    error ProjectNotSuspended();
+    error ProjectNotOpen();
+    error OnlyProjectDeveloper();
+    error NotAuthorized();
+    error VerificationHashRequired();
+    error VerificationAlreadyUsed();
+    error NoVintageIssued();
+    error InsufficientProjectCredits();
+    error MaxSupplyExceeded();
+    error InsufficientPayment();
+    error InsufficientBalance();
+    error InsufficientBatchBalance();
+    error EmptyCart();
+    error LengthMismatch();
+    error BufferTooHigh();
+    error ReversalExceedsBuffer();
+    error InsufficientBufferHeld();
+    error FeeTooHigh();
+    error NoFeesToWithdraw();
+    error NoProceedsToWithdraw();
+    error TransferFailed();
+    error BeneficiaryRequired();
+    error RetirementReasonRequired();
+    error SignatureExpired();
+
+    constructor(
+        string memory name,
+        string memory symbol
+    ) ERC20(name, symbol) ERC20Permit(name) {
+        // Longer names fall back to implementation storage, which a proxy cannot read
+        if (bytes(name).length >= 32) revert NameTooLong();
+        _tokenSymbol = ShortStrings.toShortString(symbol);
+        _reader = address(new MicroCreditReader());
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(REGISTRAR_ROLE, msg.sender);
+        _grantRole(MINTER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(FEE_MANAGER_ROLE, msg.sender);
+        feeCollector = msg.sender;
+    }
+
+    /**
+     * @dev Returns the token name (the EIP-712 domain name)
+     */
+    function name() public view override returns (string memory) {
+        return _EIP712Name();
+    }
+
+    /**
+     * @dev Returns the token symbol
+     */
+    function symbol() public view override returns (string memory) {
+        return ShortStrings.toString(_tokenSymbol);
+    }
+
+    /**
+     * @dev Returns the number of decimals (2 for micro-credits)
+     */
+    function decimals() public pure override returns (uint8) {
+        return DECIMALS;
+    }
+
+    /**
+     * @dev Register a new carbon project (called by Guardian PWE after validation)
+     * @param projectId Unique project identifier from Guardian
+     * @param developer Project developer address
+     * @param methodology Carbon methodology (e.g., "Verra VCS 2023")
+     * @param location Project location
+     * @param totalCredits Total credits to be issued for this project
+     * @param pricePerCredit Price per credit in wei
+     */
+    function registerProject(
+        string memory projectId,
+        address developer,
+        string memory methodology,
+        string memory location,
+        uint256 totalCredits,
+        uint256 pricePerCredit
+    ) external onlyRole(REGISTRAR_ROLE) {
+        if (bytes(projectId).length == 0) revert InvalidProjectId();
+        if (developer == address(0)) revert InvalidAddress();
+        if (totalCredits == 0) revert ZeroAmount();
+        if (projectStatus[projectId] != ProjectStatus.Unregistered) revert ProjectAlreadyRegistered();
+
+        projects[projectId] = ProjectInfo({
+            projectId: projectId,
+            methodology: methodology,
+            location: location,
+            totalCredits: totalCredits,
+            availableCredits: totalCredits,
+            isActive: true,
+            developer: developer,
+            pricePerCredit: pricePerCredit
+        });
+        projectIds.push(projectId);
+        projectStatus[projectId] = ProjectStatus.Active;
+        projectStatusCounts[uint256(ProjectStatus.Active)]++;
+        _recordProjectAction(projectId, ProjectAction.Registered, "");
+
+        emit ProjectRegistered(projectId, developer, methodology, totalCredits);
+    }
+
+    /**
+     * @dev Suspend an active project under investigation, blocking mints and purchases
+     * @param projectId Project to suspend
+     * @param reason Reason for the suspension
+     */
+    function suspendProject(string memory projectId, string memory reason) external onlyRole(REGISTRAR_ROLE) {
+        if (projectStatus[projectId] != ProjectStatus.Active) revert ProjectNotActive();
+        _setProjectStatus(projectId, ProjectStatus.Suspended, ProjectAction.Suspended, reason);
+    }
+
+    /**
+     * @dev Reinstate a suspended project
+     * @param projectId Project to reinstate
+     * @param reason Reason for the reinstatement
+     */
+    function reinstateProject(string memory projectId, string memory reason) external onlyRole(REGISTRAR_ROLE) {
+        if (projectStatus[projectId] != ProjectStatus.Suspended) revert ProjectNotSuspended();
+        _setProjectStatus(projectId, ProjectStatus.Active, ProjectAction.Reinstated, reason);
+    }
+
+    /**
+     * @dev Permanently close a project, e.g. at the end of its crediting period
+     * @param projectId Project to close
+     * @param reason Reason for closing the project
+     */
+    function closeProject(string memory projectId, string memory reason) external onlyRole(REGISTRAR_ROLE) {
+        ProjectStatus status = projectStatus[projectId];
+        if (status != ProjectStatus.Active && status != ProjectStatus.Suspended) revert ProjectNotOpen();
+        _setProjectStatus(projectId, ProjectStatus.Closed, ProjectAction.Closed, reason);
+    }
+
+    /**
+     * @dev Correct the methodology or location of a project that is not closed
+     * @param projectId Project to update
+     * @param methodology Corrected carbon methodology
+     * @param location Corrected project location
+     * @param reason Reason for the correction
+     */
+    function updateProjectMetadata(
+        string memory projectId,
+        string memory methodology,
+        string memory location,
+        string memory reason
+    ) external onlyRole(REGISTRAR_ROLE) {
+        ProjectStatus status = projectStatus[projectId];
+        if (status != ProjectStatus.Active && status != ProjectStatus.Suspended) revert ProjectNotOpen();
+
+        ProjectInfo storage project = projects[projectId];
+        project.methodology = methodology;
+        project.location = location;
+        _recordProjectAction(projectId, ProjectAction.MetadataUpdated, reason);
+
+        emit ProjectMetadataUpdated(projectId, methodology, location, reason);
+    }
+
+    /**
+     * @dev Mint credits after Guardian PWE validation and dMRV verification
+     * @param to Address to receive minted credits
+     * @param amount Amount of credits to mint (with decimals)
+     * @param projectId Associated project ID from Guardian
+     * @param vintage Year in which the underlying emission reductions occurred
+     * @param verificationHash Hash of the Guardian verification report justifying the issuance
+     * @param monitoringPeriodStart Start of the verified monitoring period (unix timestamp)
+     * @param monitoringPeriodEnd End of the verified monitoring period (unix timestamp)
+     */
+    function mint(
+        address to, 
+        uint256 amount, 
+        string memory projectId,
+        uint16 vintage,
+        bytes32 verificationHash,
+        uint64 monitoringPeriodStart,
+        uint64 monitoringPeriodEnd
+    ) external onlyRole(MINTER_ROLE) whenNotPaused {
+        if (to == address(0)) revert InvalidAddress();
+        if (amount == 0) revert ZeroAmount();
+        if (!projects[projectId].isActive) revert ProjectNotActive();
+        if (vintage == 0) revert InvalidVintage();
+        if (verificationHash == bytes32(0)) revert VerificationHashRequired();
+        if (verificationBatchId[verificationHash] != 0) revert VerificationAlreadyUsed();
+        if (monitoringPeriodStart == 0 || monitoringPeriodStart > monitoringPeriodEnd) revert InvalidMonitoringPeriod();
+
+        currentVintage[projectId] = vintage;
+        uint256 batchId = _issue(to, amount, projectId, vintage);
+
+        batchEvidence[batchId] = VerificationEvidence({
+            verificationHash: verificationHash,
+            monitoringPeriodStart: monitoringPeriodStart,
+            monitoringPeriodEnd: monitoringPeriodEnd
+        });
+        verificationBatchId[verificationHash] = batchId;
+        emit IssuanceVerified(batchId, projectId, verificationHash, monitoringPeriodStart, monitoringPeriodEnd);
+        
+        emit CreditsMinted(to, amount, projectId, projects[projectId].methodology);
+    }
+
+    /**
+     * @dev Set the share of each future issuance withheld for a project's buffer
+     * @param projectId Project to configure (e.g. an AFOLU / REDD+ project)
+     * @param bps Buffer share of each issuance in basis points (2000 = 20%)
+     */
+    function setBufferPercentage(string memory projectId, uint16 bps) external onlyRole(REGISTRAR_ROLE) {
+        if (projectStatus[projectId] == ProjectStatus.Unregistered) revert ProjectNotRegistered();
+        if (bps > MAX_BUFFER_BPS) revert BufferTooHigh();
+
+        bufferBps[projectId] = bps;
+        emit BufferPercentageUpdated(projectId, bps);
+    }
+
+    /**
+     * @dev Cancel buffer credits after a reversal (e.g. a forest fire reported through dMRV)
+     * Buffer credits are cancelled from the project's most recent batches first
+     * @param projectId Project that suffered the reversal
+     * @param amount Amount of buffer credits to cancel
+     * @param reason Description of the reversal event
+     */
+    function reportReversal(
+        string memory projectId,
+        uint256 amount,
+        string memory reason
+    ) external onlyRole(REGISTRAR_ROLE) {
+        if (amount == 0) revert ZeroAmount();
+        if (amount > bufferCredits[projectId]) revert ReversalExceedsBuffer();
+
+        bufferCredits[projectId] -= amount;
+        reversedCredits[projectId] += amount;
+
+        uint256[] storage ids = projectBatchIds[projectId];
+        uint256 remaining = amount;
+        for (uint256 i = ids.length; i > 0 && remaining > 0; ) {
+            i--;
+            uint256 held = batchBalances[ids[i]][address(this)];
+            uint256 cancelled = held < remaining ? held : remaining;
+            if (cancelled > 0) {
+                activeBatchId = ids[i];
+                _burn(address(this), cancelled);
+                remaining -= cancelled;
+            }
+        }
+        activeBatchId = 0;
+        // The buffer account may hold less than bufferCredits if state was imported inconsistently
+        if (remaining > 0) revert InsufficientBufferHeld();
+
+        emit ReversalReported(projectId, amount, reason);
+    }
+
+    /**
+     * @dev Purchase credits from a specific project
+     * Sold credits are issued under the project's latest minted vintage, so a project
+     * can only be bought from after its first verified mint (NoVintageIssued before)
+     * @param projectId Project to purchase credits from
+     * @param amount Amount of credits to purchase
+     */
+    function purchaseCredits(string memory projectId, uint256 amount) external payable whenNotPaused {
+        uint256 totalPrice = _purchase(projectId, amount);
+        if (msg.value < totalPrice) revert InsufficientPayment();
+        
+        // Refund excess payment
+        if (msg.value > totalPrice) {
+            payable(msg.sender).transfer(msg.value - totalPrice);
+        }
+    }
+
+    /**
+     * @dev Purchase credits from several projects in one transaction
+     * All lines settle or none do; excess payment is refunded once
+     * @param projectIds Projects to purchase credits from
+     * @param amounts Amount of credits to purchase from each project
+     * @return totalPrice Total HBAR price of all lines in tinybars
+     */
+    function purchaseBatch(
+        string[] memory projectIds,
+        uint256[] memory amounts
+    ) external payable whenNotPaused returns (uint256 totalPrice) {
+        if (projectIds.length == 0) revert EmptyCart();
+        if (projectIds.length != amounts.length) revert LengthMismatch();
+
+        for (uint256 i = 0; i < projectIds.length; i++) {
+            totalPrice += _purchase(projectIds[i], amounts[i]);
+        }
+        if (msg.value < totalPrice) revert InsufficientPayment();
+
+        // Refund excess payment
+        if (msg.value > totalPrice) {
+            payable(msg.sender).transfer(msg.value - totalPrice);
+        }
+    }
+
+    /**
+     * @dev Issue credits sold by a companion sale contract, which collects payment itself
+     * @param buyer Address receiving the credits
+     * @param projectId Project to issue credits from
+     * @param amount Amount of credits sold
+     * @return batchId ID of the issued batch
+     */
+    function issueSale(
+        address buyer,
+        string memory projectId,
+        uint256 amount
+    ) external onlyRole(SALES_ROLE) whenNotPaused returns (uint256 batchId) {
+        return _sell(buyer, projectId, amount);
+    }
+
+    /**
+     * @dev Withdraw the caller's accumulated sale proceeds
+     */
+    function withdrawProceeds() external {
+        uint256 amount = developerProceeds[msg.sender];
+        if (amount == 0) revert NoProceedsToWithdraw();
+
+        developerProceeds[msg.sender] = 0;
+        (bool sent, ) = payable(msg.sender).call{value: amount}("");
+        if (!sent) revert TransferFailed();
+
+        emit ProceedsWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Transfer credits out of one issuance batch of the caller's holdings
+     * Plain ERC-20 transfers draw from the sender's holdings in no chosen order
+     * @param to Address receiving the credits
+     * @param batchId Batch to transfer credits from
+     * @param amount Amount of credits to transfer
+     */
+    function transferBatch(address to, uint256 batchId, uint256 amount) external returns (bool) {
+        _transferBatch(msg.sender, to, batchId, amount);
+        return true;
+    }
+
+    /**
+     * @dev Transfer credits out of one issuance batch of another holder, spending the caller's allowance
+     * @param from Holder of the batch
+     * @param to Address receiving the credits
+     * @param batchId Batch to transfer credits from
+     * @param amount Amount of credits to transfer
+     */
+    function transferBatchFrom(
+        address from,
+        address to,
+        uint256 batchId,
+        uint256 amount
+    ) external returns (bool) {
+        _spendAllowance(from, msg.sender, amount);
+        _transferBatch(from, to, batchId, amount);
+        return true;
+    }
+
+    /**
+     * @dev Retire credits (burn them permanently) with reason logging
+     * Integrates with HCS (Hedera Consensus Service) for immutable retirement logging
+     * Credits are drawn from the caller's batch holdings, one certificate per batch
+     * @param amount Amount of credits to retire
+     * @param reason Reason for retirement (e.g., "Corporate offsetting Q4 2024")
+     */
+    function retire(uint256 amount, string memory reason) external whenNotPaused {
+        _retire(msg.sender, 0, amount, reason, address(0), "", "");
+    }
+
+    /**
+     * @dev Retire credits from a specific issuance batch
+     * @param batchId Batch to retire credits from
+     * @param amount Amount of credits to retire
+     * @param reason Reason for retirement
+     */
+    function retireFromBatch(
+        uint256 batchId,
+        uint256 amount,
+        string memory reason
+    ) external whenNotPaused {
+        _retire(msg.sender, batchId, amount, reason, address(0), "", "");
+    }
+
+    /**
+     * @dev Retire credits on behalf of a named beneficiary
+     * @param batchId Batch to retire credits from, or 0 to draw from holdings
+     * @param amount Amount of credits to retire
+     * @param reason Reason for retirement
+     * @param beneficiary Beneficiary address (zero address if off-chain)
+     * @param beneficiaryName Name of the end client the credits are retired for
+     * @param reportingPeriod Reporting period the retirement is claimed against
+     * @return firstCertificateId First certificate issued for this retirement
+     * @return lastCertificateId Last certificate issued for this retirement
+     */
+    function retireOnBehalf(
+        uint256 batchId,
+        uint256 amount,
+        string memory reason,
+        address beneficiary,
+        string memory beneficiaryName,
+        string memory reportingPeriod
+    ) external whenNotPaused returns (uint256 firstCertificateId, uint256 lastCertificateId) {
+        if (beneficiary == address(0) && bytes(beneficiaryName).length == 0) revert BeneficiaryRequired();
+
+        firstCertificateId = retirements.length + 1;
+        _retire(msg.sender, batchId, amount, reason, beneficiary, beneficiaryName, reportingPeriod);
+        lastCertificateId = retirements.length;
+    }
+
+    /**
+     * @dev Retire a holder's credits with their EIP-712 signature, so a relayer can pay the gas
+     * Leave beneficiary and beneficiaryName empty to retire on the holder's own behalf
+     * @param retiree Holder whose credits are retired (the signer)
+     * @param batchId Batch to retire from, or 0 to draw from the holder's holdings
+     * @param amount Amount of credits to retire
+     * @param reason Reason for retirement
+     * @param beneficiary Optional address of the end client
+     * @param beneficiaryName Optional name of the end client
+     * @param reportingPeriod Optional reporting period the retirement counts towards
+     * @param deadline Timestamp after which the signature is no longer valid
+     * @return firstCertificateId ID of the first certificate issued
+     * @return lastCertificateId ID of the last certificate issued
+     */
+    function retireWithSignature(
+        address retiree,
+        uint256 batchId,
+        uint256 amount,
+        string memory reason,
+        address beneficiary,
+        string memory beneficiaryName,
+        string memory reportingPeriod,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external whenNotPaused returns (uint256 firstCertificateId, uint256 lastCertificateId) {
+        if (block.timestamp > deadline) revert SignatureExpired();
+
+        bytes32 structHash = keccak256(abi.encode(
+            RETIRE_TYPEHASH,
+            retiree,
+            batchId,
+            amount,
+            keccak256(bytes(reason)),
+            beneficiary,
+            keccak256(bytes(beneficiaryName)),
+            keccak256(bytes(reportingPeriod)),
+            _useNonce(retiree),
+            deadline
+        ));
+        if (ECDSA.recover(_hashTypedDataV4(structHash), v, r, s) != retiree) revert InvalidSignature();
+
+        firstCertificateId = retirements.length + 1;
+        _retire(retiree, batchId, amount, reason, beneficiary, beneficiaryName, reportingPeriod);
+        lastCertificateId = retirements.length;
+    }
+
+    /**
+     * @dev Get project information
+     * @param projectId Project identifier
+     * @return ProjectInfo struct with all project details
+     */
+    function getProject(string memory projectId) external view returns (ProjectInfo memory) {
+        return projects[projectId];
+    }
+
+    /**
+     * @dev Get issuance batch details
+     * @param batchId Batch identifier
+     * @return IssuanceBatch struct with project, vintage and serial range
+     */
+    function getBatch(uint256 batchId) external view returns (IssuanceBatch memory) {
+        if (batchId == 0 || batchId > batches.length) revert InvalidBatch();
+        return batches[batchId - 1];
+    }
+
+    /**
+     * @dev Get a retirement certificate
+     * @param certificateId Sequential certificate identifier
+     * @return RetirementRecord with beneficiary, period and source project
+     */
+    function getRetirement(uint256 certificateId) external view returns (RetirementRecord memory) {
+        if (certificateId == 0 || certificateId > retirements.length) revert InvalidCertificate();
+        return retirements[certificateId - 1];
+    }
+
+    /**
+     * @dev Get total retired credits for an address
+     * @param account Address to query
+     * @return Total credits retired by the address
+     */
+    function getRetiredBalance(address account) external view returns (uint256) {
+        return retiredBalances[account];
+    }
+
+    /**
+     * @dev Serve the enumeration and history views of MicroCreditReader
+     * (getProjects, getHolderBatches, getProjectHistory, ...) on this contract's storage.
+     * Selectors MicroCredit implements never reach the reader.
+     */
+    fallback() external {
+        address reader = _reader;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), reader, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch success
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+
+    /**
+     * @dev Update project price (project developer only)
+     * @param projectId Project to update
+     * @param newPrice New price per credit in wei
+     */
+    function updateProjectPrice(string memory projectId, uint256 newPrice) external {
+        ProjectInfo storage project = projects[projectId];
+        if (!project.isActive) revert ProjectNotActive();
+        if (msg.sender != project.developer) revert OnlyProjectDeveloper();
+        if (newPrice == 0) revert InvalidPrice();
+        
+        project.pricePerCredit = newPrice;
+    }
+
+    /**
+     * @dev Emergency pause function
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @dev Unpause function
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @dev Get platform statistics
+     * @return totalSupply_ Total credits issued
+     * @return totalRetiredCredits Total credits retired
+     * @return activeProjectsCount Number of active projects
+     * @return suspendedProjectsCount Number of suspended projects
+     * @return closedProjectsCount Number of closed projects
+     * @return hbarVolume_ Total HBAR paid for primary sales, in tinybars
+     */
+    function getPlatformStats() external view returns (
+        uint256 totalSupply_,
+        uint256 totalRetiredCredits,
+        uint256 activeProjectsCount,
+        uint256 suspendedProjectsCount,
+        uint256 closedProjectsCount,
+        uint256 hbarVolume_
+    ) {
+        return (
+            totalSupply(),
+            totalRetired,
+            projectStatusCounts[uint256(ProjectStatus.Active)],
+            projectStatusCounts[uint256(ProjectStatus.Suspended)],
+            projectStatusCounts[uint256(ProjectStatus.Closed)],
+            hbarVolume
+        );
+    }
+
+    /**
+     * @dev Set the platform fee taken from primary sales
+     * @param feeBps Fee in basis points (100 = 1%)
+     */
+    function setPlatformFee(uint16 feeBps) external onlyRole(FEE_MANAGER_ROLE) {
+        if (feeBps > MAX_FEE_BPS) revert FeeTooHigh();
+        platformFeeBps = feeBps;
+        emit PlatformFeeUpdated(feeBps);
+    }
+
+    /**
+     * @dev Set the address that receives withdrawn platform fees
+     * @param collector New fee collector address
+     */
+    function setFeeCollector(address collector) external onlyRole(FEE_MANAGER_ROLE) {
+        if (collector == address(0)) revert InvalidAddress();
+        feeCollector = collector;
+        emit FeeCollectorUpdated(collector);
+    }
+
+    /**
+     * @dev Get the current fee accounting period index
+     */
+    function currentFeePeriod() external view returns (uint256) {
+        return block.timestamp / FEE_PERIOD;
+    }
+
+    /**
+     * @dev Withdraw accrued platform fees to the fee collector
+     */
+    function withdraw() external {
+        if (!hasRole(FEE_MANAGER_ROLE, msg.sender) && msg.sender != feeCollector) revert NotAuthorized();
+        uint256 amount = accruedFees;
+        if (amount == 0) revert NoFeesToWithdraw();
+
+        accruedFees = 0;
+        payable(feeCollector).transfer(amount);
+
+        emit FeesWithdrawn(feeCollector, amount);
+    }
+
+    /**
+     * @dev Sell credits to the caller for HBAR and split the price into platform fee and developer proceeds
+     * The caller checks that msg.value covers the returned price
+     * @return totalPrice HBAR price of the credits in tinybars
+     */
+    function _purchase(string memory projectId, uint256 amount) private returns (uint256 totalPrice) {
+        _sell(msg.sender, projectId, amount);
+
+        ProjectInfo storage project = projects[projectId];
+        // Rounded up to the next tinybar so no amount is sold for nothing
+        totalPrice = Math.ceilDiv(amount * project.pricePerCredit, 10**DECIMALS);
+        hbarVolume += totalPrice;
+        
+        // Keep the platform fee in the contract and credit the rest to the developer
+        uint256 fee = totalPrice * platformFeeBps / 10_000;
+        if (fee > 0) {
+            uint256 period = block.timestamp / FEE_PERIOD;
+            accruedFees += fee;
+            feesByPeriod[period] += fee;
+            emit FeeCollected(projectId, msg.sender, fee, period);
+        }
+        uint256 proceeds = totalPrice - fee;
+        developerProceeds[project.developer] += proceeds;
+        projectProceeds[projectId] += proceeds;
+        emit ProceedsCredited(project.developer, projectId, proceeds);
+        
+        emit CreditsPurchased(msg.sender, projectId, amount, totalPrice);
+    }
+
+    /**
+     * @dev Issue sold credits to a buyer under the project's current vintage
+     * Every batch needs a vintage, so primary sales of every kind wait for the first mint
+     */
+    function _sell(address buyer, string memory projectId, uint256 amount) private returns (uint256 batchId) {
+        ProjectInfo storage project = projects[projectId];
+        if (!project.isActive) revert ProjectNotActive();
+        if (amount == 0) revert ZeroAmount();
+        if (currentVintage[projectId] == 0) revert NoVintageIssued();
+
+        batchId = _issue(buyer, amount, projectId, currentVintage[projectId]);
+        projectCreditsSold[projectId] += amount;
+
+        emit CreditsMinted(buyer, amount, projectId, project.methodology);
+    }
+
+    /**
+     * @dev Issue a new batch from a project's available credits
+     * @return batchId ID of the newly issued batch
+     */
+    function _issue(
+        address to,
+        uint256 amount,
+        string memory projectId,
+        uint16 vintage
+    ) internal returns (uint256 batchId) {
+        ProjectInfo storage project = projects[projectId];
+
+        // The buffer share is sized so it makes up bufferBps of the whole batch
+        uint16 bps = bufferBps[projectId];
+        uint256 buffer = amount * bps / (10_000 - bps);
+        uint256 issued = amount + buffer;
+        if (project.availableCredits < issued) revert InsufficientProjectCredits();
+        if (totalSupply() + issued > MAX_SUPPLY) revert MaxSupplyExceeded();
+
+        uint256 serialStart = project.totalCredits - project.availableCredits + 1;
+        project.availableCredits -= issued;
+
+        batches.push(IssuanceBatch({
+            batchId: batches.length + 1,
+            projectId: projectId,
+            vintage: vintage,
+            serialStart: serialStart,
+            serialEnd: serialStart + issued - 1,
+            amount: issued,
+            issuedAt: block.timestamp
+        }));
+        batchId = batches.length;
+        projectBatchIds[projectId].push(batchId);
+
+        activeBatchId = batchId;
+        _mint(to, amount);
+        if (buffer > 0) {
+            _mint(address(this), buffer);
+            bufferCredits[projectId] += buffer;
+        }
+        activeBatchId = 0;
+
+        emit BatchIssued(batchId, projectId, vintage, serialStart, serialStart + issued - 1, issued);
+    }
+
+    /**
+     * @dev Burn a holder's credits and record the retirement
+     * @param retiree Holder whose credits are burned
+     * @param batchId Batch to burn from, or 0 to draw from the holder's holdings
+     */
+    function _retire(
+        address retiree,
+        uint256 batchId,
+        uint256 amount,
+        string memory reason,
+        address beneficiary,
+        string memory beneficiaryName,
+        string memory reportingPeriod
+    ) internal {
+        if (amount == 0) revert ZeroAmount();
+        if (balanceOf(retiree) < amount) revert InsufficientBalance();
+        if (bytes(reason).length == 0) revert RetirementReasonRequired();
+
+        RetirementRecord memory record = RetirementRecord({
+            certificateId: 0,
+            retiree: retiree,
+            beneficiary: beneficiary,
+            beneficiaryName: beneficiaryName,
+            reportingPeriod: reportingPeriod,
+            projectId: "",
+            batchId: batchId,
+            amount: amount,
+            reason: reason,
+            timestamp: block.timestamp
+        });
+
+        if (batchId != 0) {
+            if (batchId > batches.length) revert InvalidBatch();
+            if (batchBalances[batchId][retiree] < amount) revert InsufficientBatchBalance();
+            _retireBatch(record);
+        } else {
+            uint256 remaining = amount;
+            while (remaining > 0) {
+                uint256[] storage held = holderBatchIds[retiree];
+                record.batchId = held[held.length - 1];
+                uint256 available = batchBalances[record.batchId][retiree];
+                record.amount = available < remaining ? available : remaining;
+
+                _retireBatch(record);
+                remaining -= record.amount;
+            }
+        }
+        
+        // Update retirement tracking
+        totalRetired += amount;
+        retiredBalances[retiree] += amount;
+        
+        emit CreditsRetired(retiree, amount, reason, block.timestamp);
+    }
+
+    /**
+     * @dev Burn one batch portion and store its retirement certificate
+     */
+    function _retireBatch(RetirementRecord memory record) private {
+        activeBatchId = record.batchId;
+        _burn(record.retiree, record.amount);
+        activeBatchId = 0;
+
+        record.certificateId = retirements.length + 1;
+        record.projectId = batches[record.batchId - 1].projectId;
+        projectRetired[record.projectId] += record.amount;
+        retirements.push(record);
+
+        accountCertificateIds[record.retiree].push(record.certificateId);
+        if (record.beneficiary != address(0) && record.beneficiary != record.retiree) {
+            accountCertificateIds[record.beneficiary].push(record.certificateId);
+        }
+
+        emit BatchRetired(record.retiree, record.batchId, record.amount);
+        emit RetirementCertificateIssued(
+            record.certificateId,
+            record.retiree,
+            record.beneficiary,
+            record.beneficiaryName,
+            record.projectId,
+            record.batchId,
+            record.amount,
+            record.reportingPeriod
+        );
+    }
+
+    /**
+     * @dev Transfer credits of a single batch between holders
+     */
+    function _transferBatch(address from, address to, uint256 batchId, uint256 amount) private {
+        if (batchId == 0 || batchId > batches.length) revert InvalidBatch();
+        if (batchBalances[batchId][from] < amount) revert InsufficientBatchBalance();
+
+        activeBatchId = batchId;
+        _transfer(from, to, amount);
+        activeBatchId = 0;
+
+        emit BatchTransferred(from, to, batchId, amount);
+    }
+
+    /**
+     * @dev Move a project to a new lifecycle status, keeping isActive in step
+     */
+    function _setProjectStatus(
+        string memory projectId,
+        ProjectStatus status,
+        ProjectAction action,
+        string memory reason
+    ) private {
+        projectStatusCounts[uint256(projectStatus[projectId])]--;
+        projectStatusCounts[uint256(status)]++;
+        projectStatus[projectId] = status;
+        projects[projectId].isActive = status == ProjectStatus.Active;
+        _recordProjectAction(projectId, action, reason);
+
+        emit ProjectStatusChanged(projectId, status, reason);
+    }
+
+    /**
+     * @dev Append an entry to a project's lifecycle history
+     */
+    function _recordProjectAction(string memory projectId, ProjectAction action, string memory reason) private {
+        projectHistory[projectId].push(ProjectHistoryEntry({
+            action: action,
+            reason: reason,
+            actor: msg.sender,
+            timestamp: block.timestamp
+        }));
+    }
+
+    /**
+     * @dev Keep per-batch balances in step with every ERC-20 balance change.
+     * Updates without a targeted batch draw from the sender's holdings,
+     * starting at the end of the sender's batch list.
+     */
+    function _update(address from, address to, uint256 value) internal override {
+        super._update(from, to, value);
+
+        if (activeBatchId != 0) {
+            _moveBatch(activeBatchId, from, to, value);
+            return;
+        }
+
+        uint256 remaining = value;
+        while (remaining > 0) {
+            uint256[] storage held = holderBatchIds[from];
+            uint256 batchId = held[held.length - 1];
+            uint256 available = batchBalances[batchId][from];
+            uint256 moved = available < remaining ? available : remaining;
+
+            _moveBatch(batchId, from, to, moved);
+            remaining -= moved;
+        }
+    }
+
+    /**
+     * @dev Move a batch balance between holders (zero address = mint/burn side)
+     */
+    function _moveBatch(uint256 batchId, address from, address to, uint256 amount) private {
+        if (from != address(0)) {
+            if (batchBalances[batchId][from] < amount) revert InsufficientBatchBalance();
+            batchBalances[batchId][from] -= amount;
+            if (batchBalances[batchId][from] == 0) {
+                _removeHolderBatch(from, batchId);
+            }
+        }
+
+        if (to != address(0) && amount > 0) {
+            if (holderBatchIndex[to][batchId] == 0) {
+                holderBatchIds[to].push(batchId);
+                holderBatchIndex[to][batchId] = holderBatchIds[to].length;
+            }
+            batchBalances[batchId][to] += amount;
+        }
+    }
+
+    /**
+     * @dev Drop an emptied batch from a holder's list (swap and pop)
+     */
+    function _removeHolderBatch(address holder, uint256 batchId) private {
+        uint256[] storage held = holderBatchIds[holder];
+        uint256 index = holderBatchIndex[holder][batchId] - 1;
+        uint256 lastBatchId = held[held.length - 1];
+
+        held[index] = lastBatchId;
+        holderBatchIndex[holder][lastBatchId] = index + 1;
+        held.pop();
+        delete holderBatchIndex[holder][batchId];
+    }
+}
@@ -0,0 +1,112 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "./MicroCreditStorage.sol";
+
+/**
+ * @title MicroCreditReader
+ * @dev Enumeration and history views of MicroCredit (ECCX)
+ * MicroCredit delegates the calls it does not implement itself to its reader,
+ * so these views run on MicroCredit's storage (or its proxy's) and are called
+ * on the MicroCredit address like its own functions. Keeping them out of
+ * MicroCredit keeps it under the 24 KiB contract size limit.
+ * Called directly, the reader only sees its own empty state.
+ *
+ * References:
+ * - Contract size limit: https://eips.ethereum.org/EIPS/eip-170
+ */
+contract MicroCreditReader is MicroCreditStorage {
+
+    constructor() ERC20("", "") ERC20Permit("") {}
+
+    /**
+     * @dev Get the number of registered projects
+     * @return Total number of projects ever registered
+     */
+    function getProjectCount() external view returns (uint256) {
+        return projectIds.length;
+    }
+
+    /**
+     * @dev Get a page of registered projects in registration order
+     * @param offset Index of the first project to return
+     * @param limit Maximum number of projects to return
+     * @return page ProjectInfo structs for the requested range
+     * @return total Total number of registered projects
+     */
+    function getProjects(uint256 offset, uint256 limit) external view returns (
+        ProjectInfo[] memory page,
+        uint256 total
+    ) {
+        total = projectIds.length;
+        if (offset >= total) {
+            return (new ProjectInfo[](0), total);
+        }
+
+        uint256 end = limit > total - offset ? total : offset + limit;
+        page = new ProjectInfo[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = projects[projectIds[i]];
+        }
+    }
+
+    /**
+     * @dev Get the lifecycle history of a project, oldest first
+     * @param projectId Project to look up
+     * @return Registration, status change and metadata update entries
+     */
+    function getProjectHistory(string memory projectId) external view returns (ProjectHistoryEntry[] memory) {
+        return projectHistory[projectId];
+    }
+
+    /**
+     * @dev Get the number of issuance batches
+     * @return Total number of batches issued across all projects
+     */
+    function getBatchCount() external view returns (uint256) {
+        return batches.length;
+    }
+
+    /**
+     * @dev Get all issuance batches of a project
+     * @param projectId Project identifier
+     * @return Batch IDs in issuance order
+     */
+    function getProjectBatchIds(string memory projectId) external view returns (uint256[] memory) {
+        return projectBatchIds[projectId];
+    }
+
+    /**
+     * @dev Get the per-batch breakdown of an account's balance
+     * @param account Address to query
+     * @return batchIds Batches the account currently holds
+     * @return balances Balance held in each batch
+     */
+    function getHolderBatches(address account) external view returns (
+        uint256[] memory batchIds,
+        uint256[] memory balances
+    ) {
+        batchIds = holderBatchIds[account];
+        balances = new uint256[](batchIds.length);
+        for (uint256 i = 0; i < batchIds.length; i++) {
+            balances[i] = batchBalances[batchIds[i]][account];
+        }
+    }
+
+    /**
+     * @dev Get the number of retirement certificates issued
+     * @return Total number of certificates
+     */
+    function getRetirementCount() external view returns (uint256) {
+        return retirements.length;
+    }
+
+    /**
+     * @dev Get certificates retired by or for an address
+     * @param account Retiree or beneficiary address
+     * @return Certificate IDs in issuance order
+     */
+    function getAccountCertificateIds(address account) external view returns (uint256[] memory) {
+        return accountCertificateIds[account];
+    }
+}
@@ -0,0 +1,166 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
+import "./MicroCreditStorage.sol";
+
+/**
+ * @title MicroCreditSetup
+ * @dev First implementation behind a MicroCredit (ECCX) proxy
+ * Initializes the proxy's roles and fee collector, and imports the state of a
+ * previous MicroCredit deployment: projects with their lifecycle and buffer,
+ * issuance batches with their Guardian evidence, per-batch holdings and
+ * retirement certificates. Once set up, the proxy is upgraded to MicroCredit,
+ * which carries no import functions.
+ *
+ * Also pulls TransparentUpgradeableProxy and ProxyAdmin into the build for the
+ * deployment scripts.
+ *
+ * References:
+ * - Transparent proxy: https://docs.openzeppelin.com/contracts/5.x/api/proxy#TransparentUpgradeableProxy
+ * - Initializers: https://docs.openzeppelin.com/contracts/5.x/api/proxy#Initializable
+ */
+contract MicroCreditSetup is MicroCreditStorage, Initializable {
+
+    constructor() ERC20("", "") ERC20Permit("") {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Grant every operator role and the fee collector to the platform admin
+     * @param admin Address administering the new deployment
+     */
+    function initialize(address admin) external initializer {
+        require(admin != address(0), "Invalid admin");
+
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(REGISTRAR_ROLE, admin);
+        _grantRole(MINTER_ROLE, admin);
+        _grantRole(PAUSER_ROLE, admin);
+        _grantRole(FEE_MANAGER_ROLE, admin);
+        feeCollector = admin;
+    }
+
+    /**
+     * @dev Import a registered project with its lifecycle status, current vintage, buffer and history
+     * @param project Project details, including the credits still available
+     * @param status Lifecycle status of the project
+     * @param vintage Vintage of the project's most recent mint
+     * @param bufferBps_ Buffer share of each issuance in basis points
+     * @param bufferCredits_ Buffer credits held for the project
+     * @param reversedCredits_ Buffer credits cancelled by reversals
+     * @param creditsSold Credits issued by primary sales
+     * @param history Lifecycle history, oldest first
+     */
+    function importProject(
+        ProjectInfo calldata project,
+        ProjectStatus status,
+        uint16 vintage,
+        uint16 bufferBps_,
+        uint256 bufferCredits_,
+        uint256 reversedCredits_,
+        uint256 creditsSold,
+        ProjectHistoryEntry[] calldata history
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        string calldata projectId = project.projectId;
+        require(status != ProjectStatus.Unregistered, "Invalid project status");
+        require(projectStatus[projectId] == ProjectStatus.Unregistered, "Project already registered");
+
+        projects[projectId] = project;
+        projectIds.push(projectId);
+        projectStatus[projectId] = status;
+        projectStatusCounts[uint256(status)]++;
+        currentVintage[projectId] = vintage;
+        bufferBps[projectId] = bufferBps_;
+        bufferCredits[projectId] = bufferCredits_;
+        reversedCredits[projectId] = reversedCredits_;
+        projectCreditsSold[projectId] = creditsSold;
+
+        for (uint256 i = 0; i < history.length; i++) {
+            projectHistory[projectId].push(history[i]);
+        }
+    }
+
+    /**
+     * @dev Import issuance batches in batch ID order, with the evidence behind each mint
+     * @param imported Batches continuing from the last imported batch
+     * @param evidence Verification evidence of each batch (zero for batches issued by sales)
+     */
+    function importBatches(
+        IssuanceBatch[] calldata imported,
+        VerificationEvidence[] calldata evidence
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(imported.length == evidence.length, "Length mismatch");
+
+        for (uint256 i = 0; i < imported.length; i++) {
+            IssuanceBatch calldata batch = imported[i];
+            require(batch.batchId == batches.length + 1, "Batches out of order");
+            require(projectStatus[batch.projectId] != ProjectStatus.Unregistered, "Project not registered");
+
+            batches.push(batch);
+            projectBatchIds[batch.projectId].push(batch.batchId);
+            batchEvidence[batch.batchId] = evidence[i];
+            if (evidence[i].verificationHash != bytes32(0)) {
+                verificationBatchId[evidence[i].verificationHash] = batch.batchId;
+            }
+        }
+    }
+
+    /**
+     * @dev Import one holder's per-batch balances, minting their total
+     * @param holder Address holding the credits
+     * @param batchIds Batches the holder holds, in the holder's batch list order
+     * @param balances Balance held in each batch
+     */
+    function importHoldings(
+        address holder,
+        uint256[] calldata batchIds,
+        uint256[] calldata balances
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(batchIds.length == balances.length, "Length mismatch");
+
+        uint256 total = 0;
+        for (uint256 i = 0; i < batchIds.length; i++) {
+            uint256 batchId = batchIds[i];
+            require(batchId > 0 && batchId <= batches.length, "Invalid batch");
+            require(holderBatchIndex[holder][batchId] == 0, "Holding already imported");
+
+            holderBatchIds[holder].push(batchId);
+            holderBatchIndex[holder][batchId] = holderBatchIds[holder].length;
+            batchBalances[batchId][holder] = balances[i];
+            total += balances[i];
+        }
+
+        _mint(holder, total);
+    }
+
+    /**
+     * @dev Import retirement certificates in certificate ID order, rebuilding retirement totals
+     * @param records Certificates continuing from the last imported certificate
+     */
+    function importRetirements(RetirementRecord[] calldata records) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        for (uint256 i = 0; i < records.length; i++) {
+            RetirementRecord calldata record = records[i];
+            require(record.certificateId == retirements.length + 1, "Certificates out of order");
+
+            retirements.push(record);
+            accountCertificateIds[record.retiree].push(record.certificateId);
+            if (record.beneficiary != address(0) && record.beneficiary != record.retiree) {
+                accountCertificateIds[record.beneficiary].push(record.certificateId);
+            }
+
+            retiredBalances[record.retiree] += record.amount;
+            projectRetired[record.projectId] += record.amount;
+            totalRetired += record.amount;
+        }
+    }
+
+    /**
+     * @dev Import the primary sale HBAR volume reported by getPlatformStats
+     * @param volume Volume in tinybars
+     */
+    function importHbarVolume(uint256 volume) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        hbarVolume = volume;
+    }
+}
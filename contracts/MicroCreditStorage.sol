@@ -0,0 +1,139 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+
+/**
+ * @title MicroCreditStorage
+ * @dev Roles, state layout and types of MicroCredit (ECCX)
+ * Shared by MicroCredit and MicroCreditSetup so both implementations behind the
+ * same proxy agree on the storage layout. Only append new state variables at the
+ * end; reordering or removing them corrupts the state of upgraded deployments.
+ *
+ * References:
+ * - Proxy upgrade pattern: https://docs.openzeppelin.com/upgrades-plugins/proxies
+ * - Storage layout: https://docs.soliditylang.org/en/latest/internals/layout_in_storage.html
+ */
+abstract contract MicroCreditStorage is ERC20, ERC20Permit, AccessControl, Pausable {
+
+    // Operator roles, mirroring the Guardian VCS policy roles:
+    // REGISTRY_OPERATOR -> REGISTRAR_ROLE (REGISTER_PROJECT) and MINTER_ROLE (ISSUE_VCUs);
+    // PAUSER_ROLE and FEE_MANAGER_ROLE are platform operations roles;
+    // SALES_ROLE is held by companion sale contracts (e.g. TokenSale) that settle payment themselves.
+    // DEFAULT_ADMIN_ROLE grants and revokes all of them.
+    bytes32 public constant REGISTRAR_ROLE = keccak256("REGISTRAR_ROLE");
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+    bytes32 public constant SALES_ROLE = keccak256("SALES_ROLE");
+
+    // Total credits retired, overall and per project (for transparency)
+    uint256 public totalRetired;
+    mapping(string => uint256) public projectRetired;
+
+    // Primary sale volume in tinybars and project counts by ProjectStatus, for platform statistics
+    uint256 internal hbarVolume;
+    uint256[4] internal projectStatusCounts;
+
+    // Platform fee on primary sales, in basis points of the purchase price
+    uint16 public platformFeeBps;
+    address public feeCollector;
+    uint256 public accruedFees;
+    mapping(uint256 => uint256) public feesByPeriod;
+
+    // Developer sale proceeds held for withdrawal (pull payments)
+    mapping(address => uint256) public developerProceeds;
+    mapping(string => uint256) public projectProceeds;
+    
+    // Project registry mapping (read through getProject)
+    mapping(string => ProjectInfo) internal projects;
+    mapping(address => uint256) public retiredBalances;
+
+    // Registration-ordered list of project IDs for on-chain enumeration
+    string[] internal projectIds;
+
+    // Issuance batches (batchId = index + 1) and per-batch holder balances
+    IssuanceBatch[] internal batches;
+    mapping(string => uint256[]) internal projectBatchIds;
+    mapping(string => uint16) public currentVintage;
+    mapping(uint256 => mapping(address => uint256)) public batchBalances;
+    mapping(address => uint256[]) internal holderBatchIds;
+    mapping(address => mapping(uint256 => uint256)) internal holderBatchIndex; // index + 1
+
+    // Guardian verification evidence behind each minted batch, and the batch minted per verification hash
+    mapping(uint256 => VerificationEvidence) public batchEvidence;
+    mapping(bytes32 => uint256) public verificationBatchId;
+
+    // Batch targeted by the balance update in progress (0 = draw from holdings)
+    uint256 internal activeBatchId;
+
+    // Retirement certificates (certificateId = index + 1)
+    RetirementRecord[] internal retirements;
+    mapping(address => uint256[]) internal accountCertificateIds;
+
+    // AFOLU non-permanence buffer: share of each issuance held by this contract per project
+    mapping(string => uint16) public bufferBps;
+    mapping(string => uint256) public bufferCredits;
+    mapping(string => uint256) public reversedCredits;
+
+    // Project lifecycle state and audit trail of registry operator changes
+    mapping(string => ProjectStatus) public projectStatus;
+    mapping(string => ProjectHistoryEntry[]) internal projectHistory;
+
+    // Credits issued by primary sales per project (HBAR purchases and companion sale contracts)
+    mapping(string => uint256) public projectCreditsSold;
+
+    enum ProjectStatus { Unregistered, Active, Suspended, Closed }
+
+    enum ProjectAction { Registered, Suspended, Reinstated, Closed, MetadataUpdated }
+    
+    struct ProjectInfo {
+        string projectId;
+        string methodology; // e.g., "Verra VCS 2023"
+        string location;
+        uint256 totalCredits;
+        uint256 availableCredits;
+        bool isActive;
+        address developer;
+        uint256 pricePerCredit; // in wei
+    }
+
+    struct IssuanceBatch {
+        uint256 batchId;
+        string projectId;
+        uint16 vintage;
+        uint256 serialStart; // First serial number (in micro-credits) of the batch
+        uint256 serialEnd;   // Last serial number (inclusive)
+        uint256 amount;
+        uint256 issuedAt;
+    }
+
+    struct VerificationEvidence {
+        bytes32 verificationHash;       // Hash of the Guardian verification report
+        uint64 monitoringPeriodStart;   // Unix timestamp
+        uint64 monitoringPeriodEnd;     // Unix timestamp
+    }
+
+    struct RetirementRecord {
+        uint256 certificateId;
+        address retiree;
+        address beneficiary;     // Optional on-chain beneficiary
+        string beneficiaryName;  // End client the credits are retired for
+        string reportingPeriod;  // e.g., "FY2024" or "2024-Q4"
+        string projectId;        // Source project of the retired batch
+        uint256 batchId;
+        uint256 amount;
+        string reason;
+        uint256 timestamp;
+    }
+
+    struct ProjectHistoryEntry {
+        ProjectAction action;
+        string reason;
+        address actor;
+        uint256 timestamp;
+    }
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockStablecoin
+ * @dev USDC stand-in with 6 decimals for local testing of token purchases
+ * Anyone can mint; never deploy outside a local or test network.
+ */
+contract MockStablecoin is ERC20 {
+    constructor() ERC20("Mock USD Coin", "mUSDC") {}
+
+    /**
+     * @dev Returns the number of decimals (6, matching USDC)
+     */
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+
+    /**
+     * @dev Mint test tokens
+     * @param to Recipient address
+     * @param amount Amount in base units
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
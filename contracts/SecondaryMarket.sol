@@ -0,0 +1,228 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./MicroCredit.sol";
+
+/**
+ * @title SecondaryMarket
+ * @dev Peer-to-peer resale of MicroCredit (ECCX) credits for HBAR
+ * Sellers list an amount from one of their issuance batches at a fixed price
+ * per credit; the listed credits are held in escrow by this contract until
+ * filled or cancelled. Buyers may fill a listing partially or fully and receive
+ * credits of the listed batch, so its project, vintage and serial range travel
+ * with the resale. Seller proceeds are held for pull withdrawal.
+ *
+ * References:
+ * - Pull payments: https://docs.openzeppelin.com/contracts/5.x/api/utils#PullPayment
+ * - Hedera Smart Contracts: https://docs.hedera.com/hedera/core-concepts/smart-contracts
+ */
+contract SecondaryMarket is ReentrancyGuard {
+    // Credit token traded on this market
+    MicroCredit public immutable credits;
+
+    // Base units per whole credit (10 ** token decimals)
+    uint256 public immutable creditUnit;
+
+    // Listings, listingId = index + 1
+    Listing[] private listings;
+    mapping(address => uint256[]) private sellerListingIds;
+
+    // Seller proceeds awaiting withdrawal (tinybars)
+    mapping(address => uint256) public sellerProceeds;
+
+    // HBAR paid for all filled listings (tinybars)
+    uint256 public totalVolume;
+
+    struct Listing {
+        uint256 listingId;
+        address seller;
+        uint256 batchId;        // Issuance batch the listed credits come from
+        string projectId;       // Project of the batch
+        uint16 vintage;         // Vintage of the batch
+        uint256 amount;         // Originally listed amount
+        uint256 remaining;      // Amount still held in escrow for sale
+        uint256 pricePerCredit; // HBAR price per whole credit in tinybars
+        bool isActive;
+        uint256 createdAt;
+    }
+
+    event ListingCreated(
+        uint256 indexed listingId,
+        address indexed seller,
+        uint256 indexed batchId,
+        uint256 amount,
+        uint256 pricePerCredit
+    );
+
+    event ListingFilled(
+        uint256 indexed listingId,
+        address indexed buyer,
+        address indexed seller,
+        uint256 amount,
+        uint256 totalPrice
+    );
+
+    event ListingCancelled(uint256 indexed listingId, address indexed seller, uint256 returned);
+
+    event ProceedsWithdrawn(address indexed seller, uint256 amount);
+
+    constructor(address creditToken) {
+        require(creditToken != address(0), "Invalid credit token");
+        credits = MicroCredit(creditToken);
+        creditUnit = 10 ** credits.decimals();
+    }
+
+    /**
+     * @dev List credits of one issuance batch for resale, moving them into escrow
+     * Requires the seller to have approved this contract for `amount`
+     * @param batchId Batch of the seller's holdings to sell credits from
+     * @param amount Amount of credits to list
+     * @param pricePerCredit HBAR price per whole credit in tinybars
+     * @return listingId Identifier of the new listing
+     */
+    function createListing(
+        uint256 batchId,
+        uint256 amount,
+        uint256 pricePerCredit
+    ) external nonReentrant returns (uint256 listingId) {
+        require(amount > 0, "Amount must be greater than 0");
+        require(pricePerCredit > 0, "Price must be greater than 0");
+
+        MicroCredit.IssuanceBatch memory batch = credits.getBatch(batchId);
+        credits.transferBatchFrom(msg.sender, address(this), batchId, amount);
+
+        listingId = listings.length + 1;
+        listings.push(Listing({
+            listingId: listingId,
+            seller: msg.sender,
+            batchId: batchId,
+            projectId: batch.projectId,
+            vintage: batch.vintage,
+            amount: amount,
+            remaining: amount,
+            pricePerCredit: pricePerCredit,
+            isActive: true,
+            createdAt: block.timestamp
+        }));
+        sellerListingIds[msg.sender].push(listingId);
+
+        emit ListingCreated(listingId, msg.sender, batchId, amount, pricePerCredit);
+    }
+
+    /**
+     * @dev Buy some or all of the credits remaining in a listing, delivered from the listed batch
+     * @param listingId Listing to fill
+     * @param amount Amount of credits to buy
+     */
+    function buyListing(uint256 listingId, uint256 amount) external payable nonReentrant {
+        Listing storage listing = _getListing(listingId);
+        require(listing.isActive, "Listing not active");
+        require(listing.seller != msg.sender, "Cannot buy own listing");
+        require(amount > 0, "Amount must be greater than 0");
+        require(listing.remaining >= amount, "Insufficient credits listed");
+
+        // Rounded up to the next tinybar so no amount is sold for nothing
+        uint256 totalPrice = Math.ceilDiv(amount * listing.pricePerCredit, creditUnit);
+        require(msg.value >= totalPrice, "Insufficient payment");
+
+        listing.remaining -= amount;
+        if (listing.remaining == 0) {
+            listing.isActive = false;
+        }
+        sellerProceeds[listing.seller] += totalPrice;
+        totalVolume += totalPrice;
+
+        credits.transferBatch(msg.sender, listing.batchId, amount);
+
+        // Refund excess payment
+        if (msg.value > totalPrice) {
+            (bool refunded, ) = payable(msg.sender).call{value: msg.value - totalPrice}("");
+            require(refunded, "Refund failed");
+        }
+
+        emit ListingFilled(listingId, msg.sender, listing.seller, amount, totalPrice);
+    }
+
+    /**
+     * @dev Cancel a listing and return the unsold credits to the seller
+     * @param listingId Listing to cancel
+     */
+    function cancelListing(uint256 listingId) external nonReentrant {
+        Listing storage listing = _getListing(listingId);
+        require(listing.seller == msg.sender, "Not listing seller");
+        require(listing.isActive, "Listing not active");
+
+        uint256 returned = listing.remaining;
+        listing.remaining = 0;
+        listing.isActive = false;
+
+        credits.transferBatch(msg.sender, listing.batchId, returned);
+
+        emit ListingCancelled(listingId, msg.sender, returned);
+    }
+
+    /**
+     * @dev Withdraw the caller's accumulated resale proceeds
+     */
+    function withdrawProceeds() external nonReentrant {
+        uint256 amount = sellerProceeds[msg.sender];
+        require(amount > 0, "No proceeds to withdraw");
+
+        sellerProceeds[msg.sender] = 0;
+        (bool sent, ) = payable(msg.sender).call{value: amount}("");
+        require(sent, "Proceeds transfer failed");
+
+        emit ProceedsWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Get the number of listings ever created
+     */
+    function getListingCount() external view returns (uint256) {
+        return listings.length;
+    }
+
+    /**
+     * @dev Get a listing by ID
+     */
+    function getListing(uint256 listingId) external view returns (Listing memory) {
+        return _getListing(listingId);
+    }
+
+    /**
+     * @dev Page through listings in creation order
+     * @param offset Index of the first listing to return
+     * @param limit Maximum number of listings to return
+     * @return page Listings in the requested range
+     * @return total Total number of listings
+     */
+    function getListings(uint256 offset, uint256 limit) external view returns (
+        Listing[] memory page,
+        uint256 total
+    ) {
+        total = listings.length;
+        if (offset >= total) {
+            return (new Listing[](0), total);
+        }
+
+        uint256 end = limit > total - offset ? total : offset + limit;
+        page = new Listing[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = listings[i];
+        }
+    }
+
+    /**
+     * @dev Get the IDs of every listing created by a seller
+     */
+    function getSellerListingIds(address seller) external view returns (uint256[] memory) {
+        return sellerListingIds[seller];
+    }
+
+    function _getListing(uint256 listingId) private view returns (Listing storage) {
+        require(listingId > 0 && listingId <= listings.length, "Listing does not exist");
+        return listings[listingId - 1];
+    }
+}
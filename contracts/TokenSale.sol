@@ -0,0 +1,135 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./MicroCredit.sol";
+
+/**
+ * @title TokenSale
+ * @dev Primary sale of MicroCredit (ECCX) credits for an HTS / ERC-20 payment token
+ * Project developers price their credits in the payment token (e.g. a USDC
+ * stand-in); buyers approve this contract and it settles the purchase with
+ * transferFrom before asking MicroCredit to issue the credits. The platform fee
+ * rate and collector are read from MicroCredit, and developer proceeds are held
+ * here for pull withdrawal in the payment token.
+ *
+ * Requires SALES_ROLE on MicroCredit.
+ *
+ * References:
+ * - HTS ERC-20 facade: https://docs.hedera.com/hedera/core-concepts/smart-contracts/tokens-managed-by-smart-contracts/erc-20-fungible-tokens
+ * - Pull payments: https://docs.openzeppelin.com/contracts/5.x/api/utils#PullPayment
+ */
+contract TokenSale is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // Credit contract issuing the purchased credits
+    MicroCredit public immutable credits;
+
+    // Token accepted as payment
+    IERC20 public immutable paymentToken;
+
+    // Price per whole credit in payment token base units, per project
+    mapping(string => uint256) public pricePerCredit;
+
+    // Platform fees awaiting withdrawal to the fee collector
+    uint256 public accruedFees;
+
+    // Developer proceeds awaiting withdrawal, and lifetime proceeds per project
+    mapping(address => uint256) public developerProceeds;
+    mapping(string => uint256) public projectProceeds;
+
+    event TokenPriceUpdated(string indexed projectId, uint256 pricePerCredit);
+
+    event CreditsPurchased(
+        address indexed buyer,
+        string indexed projectId,
+        uint256 amount,
+        uint256 totalPrice
+    );
+
+    event ProceedsWithdrawn(address indexed developer, uint256 amount);
+
+    event FeesWithdrawn(address indexed collector, uint256 amount);
+
+    constructor(address creditContract, address token) {
+        require(creditContract != address(0), "Invalid credit contract");
+        require(token != address(0), "Invalid payment token");
+        credits = MicroCredit(creditContract);
+        paymentToken = IERC20(token);
+    }
+
+    /**
+     * @dev Set a project's price in the payment token (project developer only)
+     * @param projectId Project to price
+     * @param newPrice Price per whole credit in payment token base units (0 disables token sales)
+     */
+    function setPrice(string memory projectId, uint256 newPrice) external {
+        MicroCredit.ProjectInfo memory project = credits.getProject(projectId);
+        require(project.isActive, "Project not active");
+        require(msg.sender == project.developer, "Only project developer");
+
+        pricePerCredit[projectId] = newPrice;
+        emit TokenPriceUpdated(projectId, newPrice);
+    }
+
+    /**
+     * @dev Purchase credits from a project, paying in the payment token
+     * Requires the buyer to have approved this contract for the total price
+     * @param projectId Project to purchase credits from
+     * @param amount Amount of credits to purchase
+     */
+    function purchaseCredits(string memory projectId, uint256 amount) external nonReentrant {
+        uint256 price = pricePerCredit[projectId];
+        require(price > 0, "No token price for project");
+
+        // Rounded up to the next token unit so no amount is sold for nothing
+        uint256 totalPrice = Math.ceilDiv(amount * price, 10 ** credits.decimals());
+        paymentToken.safeTransferFrom(msg.sender, address(this), totalPrice);
+
+        // Reverts unless the project is active and has an issued vintage
+        credits.issueSale(msg.sender, projectId, amount);
+
+        // Keep the platform fee for the collector and credit the rest to the developer
+        uint256 fee = totalPrice * credits.platformFeeBps() / 10_000;
+        address developer = credits.getProject(projectId).developer;
+        accruedFees += fee;
+        developerProceeds[developer] += totalPrice - fee;
+        projectProceeds[projectId] += totalPrice - fee;
+
+        emit CreditsPurchased(msg.sender, projectId, amount, totalPrice);
+    }
+
+    /**
+     * @dev Withdraw the caller's accumulated payment token proceeds
+     */
+    function withdrawProceeds() external nonReentrant {
+        uint256 amount = developerProceeds[msg.sender];
+        require(amount > 0, "No proceeds to withdraw");
+
+        developerProceeds[msg.sender] = 0;
+        paymentToken.safeTransfer(msg.sender, amount);
+
+        emit ProceedsWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Withdraw accrued platform fees to MicroCredit's fee collector
+     */
+    function withdrawFees() external nonReentrant {
+        address collector = credits.feeCollector();
+        require(
+            credits.hasRole(credits.FEE_MANAGER_ROLE(), msg.sender) || msg.sender == collector,
+            "Not authorized"
+        );
+        uint256 amount = accruedFees;
+        require(amount > 0, "No fees to withdraw");
+
+        accruedFees = 0;
+        paymentToken.safeTransfer(collector, amount);
+
+        emit FeesWithdrawn(collector, amount);
+    }
+}
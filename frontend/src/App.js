@@ -1,10 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route, Link, Navigate } from 'react-router-dom';
 import hederaClient from './services/hederaClient';
+import { isDemoProvider } from './services/providers';
 import Admin from './components/Admin';
 import Marketplace from './components/Marketplace';
 import WalletConnect from './components/WalletConnect';
 import DemoMarketplace from './components/DemoMarketplace';
+import DeveloperEarnings from './components/DeveloperEarnings';
+import StatsDashboard from './components/StatsDashboard';
+import RetirementFeed from './components/RetirementFeed';
 
 /**
  * Main App Component for EcoCreditX Marketplace
@@ -18,13 +22,25 @@ import DemoMarketplace from './components/DemoMarketplace';
  * - HashScan: https://hashscan.io/testnet
  */
 
+const network = hederaClient.network;
+const demoProvider = isDemoProvider();
+
+// Header badge per network, so testnet is never mistaken for production
+const NETWORK_BADGE_STYLES = {
+  mainnet: 'bg-red-100 text-red-800 border-red-300',
+  testnet: 'bg-yellow-100 text-yellow-800 border-yellow-300',
+  previewnet: 'bg-purple-100 text-purple-800 border-purple-300',
+  local: 'bg-hedera-100 text-hedera-800 border-hedera-300'
+};
+
 function App() {
   const [isConnected, setIsConnected] = useState(false);
   const [accountInfo, setAccountInfo] = useState(null);
   const [platformStats, setPlatformStats] = useState({
     totalSupply: 0,
     totalRetired: 0,
-    activeProjects: 0
+    activeProjects: 0,
+    hbarVolume: 0
   });
   const [loading, setLoading] = useState(true);
 
@@ -36,8 +52,8 @@ function App() {
     try {
       setLoading(true);
       
-      // Check if Hedera client is configured
-      if (hederaClient.client) {
+      // Check if an account is connected
+      if (hederaClient.isConnected()) {
         setIsConnected(true);
         
         // Get account info
@@ -46,7 +62,7 @@ function App() {
         const retiredBalance = await hederaClient.getRetiredBalance();
         
         setAccountInfo({
-          accountId: hederaClient.operatorId?.toString(),
+          accountId: hederaClient.accountId,
           hbarBalance: balance.hbar,
           tokenBalance: tokenBalance,
           retiredBalance: retiredBalance
@@ -63,10 +79,9 @@ function App() {
     }
   };
 
-  const handleWalletConnect = async (credentials) => {
+  const handleWalletConnect = async (signer) => {
     try {
-      // In a real app, this would handle wallet connection
-      // For now, we use the configured credentials
+      hederaClient.connect(signer);
       await initializeApp();
       return { success: true };
     } catch (error) {
@@ -76,6 +91,7 @@ function App() {
   };
 
   const handleDisconnect = () => {
+    hederaClient.disconnect();
     setIsConnected(false);
     setAccountInfo(null);
   };
@@ -86,7 +102,7 @@ function App() {
         <div className="text-center">
           <div className="loading-spinner w-12 h-12 mx-auto mb-4 text-eco-600"></div>
           <h2 className="text-2xl font-bold text-hedera-800 mb-2">Loading EcoCreditX</h2>
-          <p className="text-hedera-600">Connecting to Hedera Testnet...</p>
+          <p className="text-hedera-600">Connecting to {network.label}...</p>
         </div>
       </div>
     );
@@ -108,6 +124,20 @@ function App() {
                   <h1 className="text-2xl font-bold text-hedera-900">EcoCreditX</h1>
                   <p className="text-sm text-hedera-600">Micro-Carbon Credit Marketplace</p>
                 </div>
+                <span
+                  className={`px-2 py-1 rounded-full border text-xs font-semibold uppercase tracking-wide ${NETWORK_BADGE_STYLES[network.name]}`}
+                  title={`Chain ID ${network.chainId}`}
+                >
+                  {network.isProduction ? network.label : `${network.label} · not production`}
+                </span>
+                {demoProvider && (
+                  <span
+                    className="px-2 py-1 rounded-full border text-xs font-semibold uppercase tracking-wide bg-orange-100 text-orange-800 border-orange-300"
+                    title="Guardian validation is simulated offline (REACT_APP_DATA_PROVIDER=demo)"
+                  >
+                    Demo
+                  </span>
+                )}
               </div>
 
               {/* Navigation */}
@@ -130,6 +160,24 @@ function App() {
                 >
                   Project Admin
                 </Link>
+                <Link
+                  to="/developer"
+                  className="text-hedera-700 hover:text-eco-600 px-3 py-2 rounded-md text-sm font-medium transition-colors"
+                >
+                  Developer
+                </Link>
+                <Link
+                  to="/stats"
+                  className="text-hedera-700 hover:text-eco-600 px-3 py-2 rounded-md text-sm font-medium transition-colors"
+                >
+                  Statistics
+                </Link>
+                <Link
+                  to="/retirements"
+                  className="text-hedera-700 hover:text-eco-600 px-3 py-2 rounded-md text-sm font-medium transition-colors"
+                >
+                  Retirements
+                </Link>
                 <a
                   href={hederaClient.getContractUrl()}
                   target="_blank"
@@ -183,6 +231,10 @@ function App() {
                 <div className="font-bold text-lg">{platformStats.activeProjects}</div>
                 <div className="text-eco-100">Active Projects</div>
               </div>
+              <div className="text-center">
+                <div className="font-bold text-lg">{platformStats.hbarVolume.toLocaleString()}</div>
+                <div className="text-eco-100">HBAR Volume</div>
+              </div>
             </div>
           </div>
         </div>
@@ -195,17 +247,24 @@ function App() {
                 <span className="text-eco-600 text-3xl">🔗</span>
               </div>
               <h2 className="text-3xl font-bold text-hedera-900 mb-4">
-                Connect to Hedera Testnet
+                Connect to {network.label}
               </h2>
               <p className="text-hedera-600 mb-8 max-w-md mx-auto">
                 To access the EcoCreditX marketplace, please connect your Hedera account. 
-                Make sure you have testnet HBAR for transactions.
+                Make sure you have {network.label} HBAR for transactions.
               </p>
               <div className="space-y-4">
                 <WalletConnect onConnect={handleWalletConnect} />
-                <div className="text-sm text-hedera-500">
-                  <p>Need testnet HBAR? Visit <a href="https://portal.hedera.com/" className="text-eco-600 hover:underline">Hedera Portal</a></p>
-                </div>
+                {network.faucetUrl && (
+                  <div className="text-sm text-hedera-500">
+                    <p>Need {network.name} HBAR? Visit <a href={network.faucetUrl} className="text-eco-600 hover:underline">Hedera Portal</a></p>
+                  </div>
+                )}
+              </div>
+
+              {/* Public retirement feed, readable without an account */}
+              <div className="max-w-3xl mx-auto mt-12">
+                <RetirementFeed />
               </div>
             </div>
           ) : (
@@ -220,6 +279,18 @@ function App() {
                 path="/admin" 
                 element={<Admin accountInfo={accountInfo} onStatsUpdate={setPlatformStats} />} 
               />
+              <Route 
+                path="/developer" 
+                element={<DeveloperEarnings accountInfo={accountInfo} />} 
+              />
+              <Route 
+                path="/stats" 
+                element={<StatsDashboard />} 
+              />
+              <Route 
+                path="/retirements" 
+                element={<RetirementFeed />} 
+              />
             </Routes>
           )}
         </main>
@@ -268,8 +339,8 @@ function App() {
                     </a>
                   </li>
                   <li>
-                    <a href="https://hashscan.io/testnet" className="hover:text-white transition-colors">
-                      HashScan Testnet ↗
+                    <a href={network.explorerUrl} className="hover:text-white transition-colors">
+                      {network.label} Explorer ↗
                     </a>
                   </li>
                   <li>
@@ -288,8 +359,8 @@ function App() {
               <div>
                 <h4 className="font-semibold mb-4">Network</h4>
                 <ul className="space-y-2 text-sm text-hedera-300">
-                  <li>Network: Hedera Testnet</li>
-                  <li>Chain ID: 296</li>
+                  <li>Network: {network.label}</li>
+                  <li>Chain ID: {network.chainId}</li>
                   <li>
                     Contract: 
                     <a 
@@ -308,7 +379,9 @@ function App() {
             <div className="border-t border-hedera-700 mt-8 pt-8 text-center text-sm text-hedera-400">
               <p>© 2024 EcoCreditX. Built with ❤️ for a sustainable future on Hedera Hashgraph.</p>
               <p className="mt-2">
-                This is a demo application. All transactions occur on Hedera Testnet.
+                {network.isProduction
+                  ? `Transactions occur on ${network.label} and spend real HBAR.`
+                  : `This is a demo application. All transactions occur on ${network.label}.`}
               </p>
             </div>
           </div>
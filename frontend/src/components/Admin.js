@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
-import hederaClient from '../services/hederaClient';
-import guardianClient from '../services/guardianClient';
+import hederaClient, { ROLES } from '../services/hederaClient';
+import { guardianClient } from '../services/providers';
+import { parseCredits, parseHbar, parseBps, creditsToNumber, formatHbar, formatAmount } from '../services/amounts';
 
 /**
  * Admin Panel Component for Project Developers
@@ -11,6 +12,10 @@ import guardianClient from '../services/guardianClient';
  * 3. dMRV engine integration for monitoring
  * 4. Smart contract registration upon approval
  * 5. Automatic credit minting
+ * 6. Project lifecycle management (suspend, reinstate, close, metadata corrections)
+ * 7. AFOLU non-permanence buffer health and reversal reporting
+ * 8. Forward book of pre-sold future vintages and verified delivery
+ * 9. Multi-signature approval queue for scheduled registrations and mints
  * 
  * References:
  * - Guardian PWE: https://github.com/hashgraph/guardian
@@ -45,6 +50,24 @@ const Admin = ({ accountInfo, onStatsUpdate }) => {
     stakeholders: ''
   });
 
+  const [roles, setRoles] = useState(null);
+  const [roleForm, setRoleForm] = useState({ role: 'registrar', account: '', hasRole: null });
+  const [feeInfo, setFeeInfo] = useState(null);
+  const [feeForm, setFeeForm] = useState({ feeBps: '', feeCollector: '' });
+  const [registryProjects, setRegistryProjects] = useState([]);
+  const [managedProjectId, setManagedProjectId] = useState(null);
+  const [lifecycleForm, setLifecycleForm] = useState({ reason: '', methodology: '', location: '' });
+  const [bufferPool, setBufferPool] = useState([]);
+  const [bufferForm, setBufferForm] = useState({ projectId: '', bufferPercent: '', reversalAmount: '', reversalReason: '' });
+  const [forwardBook, setForwardBook] = useState([]);
+  const [forwardProjects, setForwardProjects] = useState([]);
+  const [forwardForm, setForwardForm] = useState({ projectId: '', vintage: '', amount: '', pricePerCredit: '', deadline: '' });
+  const [deliveryForm, setDeliveryForm] = useState({ forwardId: '', batchId: '' });
+  const [deliveryBatches, setDeliveryBatches] = useState([]);
+  const [multisig, setMultisig] = useState(hederaClient.isMultisigAvailable());
+  const [scheduleQueue, setScheduleQueue] = useState(null);
+  const [paused, setPaused] = useState(null);
+
   const [guardianStatus, setGuardianStatus] = useState(null);
   const [validationProgress, setValidationProgress] = useState(0);
 
@@ -84,6 +107,8 @@ const Admin = ({ accountInfo, onStatsUpdate }) => {
         }
       ];
 
+      const vintage = new Date().getFullYear();
+
       for (const project of realProjects) {
         try {
           console.log(`Registering project: ${project.projectId}`);
@@ -92,11 +117,17 @@ const Admin = ({ accountInfo, onStatsUpdate }) => {
           if (result.success) {
             console.log(`✅ Project ${project.projectId} registered: ${result.transactionId}`);
             
-            // Mint credits after registration
+            // Mint credits after registration, anchored to the setup run as evidence
             await hederaClient.mintCredits(
               accountInfo.accountId, 
               project.totalCredits, 
-              project.projectId
+              project.projectId,
+              vintage,
+              {
+                documentHash: `demo_setup_${project.projectId}`,
+                monitoringPeriodStart: new Date(vintage, 0, 1),
+                monitoringPeriodEnd: new Date()
+              }
             );
             console.log(`✅ Credits minted for ${project.projectId}`);
           }
@@ -129,10 +160,43 @@ const Admin = ({ accountInfo, onStatsUpdate }) => {
     'Transport'
   ];
 
+  const roleLabels = {
+    admin: 'Admin',
+    registrar: 'Registrar',
+    minter: 'Minter',
+    pauser: 'Pauser',
+    feeManager: 'Fee Manager',
+    sales: 'Sales Contract'
+  };
+
+  const canSetupProjects = roles?.registrar && roles?.minter;
+
   useEffect(() => {
     loadProjects();
+    loadRoles();
   }, []);
 
+  // Refresh the header statistics after a transaction; a failed refresh must not
+  // report the completed transaction as failed
+  const refreshStats = async () => {
+    if (!onStatsUpdate) return;
+    try {
+      onStatsUpdate(await hederaClient.getPlatformStats());
+    } catch (error) {
+      console.error('Failed to refresh platform stats:', error);
+    }
+  };
+
+  const loadRoles = async () => {
+    const accountRoles = await hederaClient.getRoles();
+    setRoles(accountRoles);
+
+    // Fall back to onboarding if the account cannot register projects on-chain
+    if (!accountRoles.registrar || !accountRoles.minter) {
+      setActiveTab(tab => (tab === 'demo' ? 'onboard' : tab));
+    }
+  };
+
   const loadProjects = async () => {
     try {
       // Load projects from localStorage for demo
@@ -143,6 +207,411 @@ const Admin = ({ accountInfo, onStatsUpdate }) => {
     }
   };
 
+  const loadRegistryProjects = async () => {
+    try {
+      const { projects: page } = await hederaClient.listProjects(0, 50);
+
+      const withLifecycle = await Promise.all(page.map(async project => ({
+        ...project,
+        ...(await hederaClient.getProjectLifecycle(project.projectId))
+      })));
+
+      setRegistryProjects(withLifecycle);
+    } catch (error) {
+      console.error('Failed to load registry projects:', error);
+      setMessage({ type: 'error', content: `Failed to load registry projects: ${error.message}` });
+    }
+  };
+
+  const openLifecycleManager = (project) => {
+    setManagedProjectId(project.projectId);
+    setLifecycleForm({ reason: '', methodology: project.methodology, location: project.location });
+  };
+
+  const handleLifecycleAction = async (project, action) => {
+    if (!lifecycleForm.reason.trim()) {
+      setMessage({ type: 'error', content: 'Please provide a reason for the change' });
+      return;
+    }
+
+    setLoading(true);
+    setMessage({ type: '', content: '' });
+
+    try {
+      const reason = lifecycleForm.reason.trim();
+      let result;
+
+      if (action === 'suspend') {
+        result = await hederaClient.suspendProject(project.projectId, reason);
+      } else if (action === 'reinstate') {
+        result = await hederaClient.reinstateProject(project.projectId, reason);
+      } else if (action === 'close') {
+        result = await hederaClient.closeProject(project.projectId, reason);
+      } else {
+        result = await hederaClient.updateProjectMetadata(
+          project.projectId,
+          lifecycleForm.methodology.trim(),
+          lifecycleForm.location.trim(),
+          reason
+        );
+      }
+
+      if (!result.success) {
+        throw new Error('Lifecycle transaction failed');
+      }
+
+      setMessage({
+        type: 'success',
+        content: `✅ ${project.projectId}: ${action === 'metadata' ? 'metadata updated' : `${action} recorded`}. View on HashScan: ${result.hashscanUrl}`
+      });
+      setManagedProjectId(null);
+      await loadRegistryProjects();
+
+      await refreshStats();
+    } catch (error) {
+      console.error('Lifecycle update failed:', error);
+      setMessage({ type: 'error', content: `Lifecycle update failed: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadBufferPool = async () => {
+    try {
+      const { projects: page } = await hederaClient.listProjects(0, 50);
+
+      const withBuffer = await Promise.all(page.map(async project => ({
+        projectId: project.projectId,
+        location: project.location,
+        ...(await hederaClient.getBufferHealth(project.projectId))
+      })));
+
+      setBufferPool(withBuffer);
+    } catch (error) {
+      console.error('Failed to load buffer pool:', error);
+      setMessage({ type: 'error', content: `Failed to load buffer pool: ${error.message}` });
+    }
+  };
+
+  const loadForwardBook = async () => {
+    try {
+      const { forwards } = await hederaClient.getForwards(0, 100);
+      const { projects: page } = await hederaClient.listProjects(0, 50);
+
+      setForwardBook(forwards);
+      setForwardProjects(page.filter(project => project.isActive));
+    } catch (error) {
+      console.error('Failed to load forward book:', error);
+      setMessage({ type: 'error', content: `Failed to load forward book: ${error.message}` });
+    }
+  };
+
+  const loadScheduleQueue = async () => {
+    try {
+      setScheduleQueue(await hederaClient.getScheduleQueue());
+    } catch (error) {
+      console.error('Failed to load pending schedules:', error);
+      setMessage({ type: 'error', content: `Failed to load pending schedules: ${error.message}` });
+    }
+  };
+
+  const handleSignSchedule = async (schedule) => {
+    setLoading(true);
+    setMessage({ type: '', content: '' });
+
+    try {
+      const result = await hederaClient.signSchedule(schedule.scheduleId);
+
+      setMessage({
+        type: 'success',
+        content: `✍️ Signed schedule ${schedule.scheduleId}. It executes once ${schedule.threshold} operators have signed. View on HashScan: ${result.hashscanUrl}`
+      });
+      await loadScheduleQueue();
+    } catch (error) {
+      console.error('Schedule signing failed:', error);
+      setMessage({ type: 'error', content: `Schedule signing failed: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreateForward = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setMessage({ type: '', content: '' });
+
+    try {
+      const amount = creditsToNumber(parseCredits(forwardForm.amount));
+      const pricePerCredit = formatHbar(parseHbar(forwardForm.pricePerCredit, { label: 'Price per credit' }));
+      const vintage = parseInt(forwardForm.vintage, 10);
+
+      if (new Date(forwardForm.deadline) <= new Date()) {
+        throw new Error('The delivery deadline must be in the future');
+      }
+
+      const result = await hederaClient.createForward(
+        forwardForm.projectId,
+        vintage,
+        amount,
+        pricePerCredit,
+        forwardForm.deadline
+      );
+
+      setMessage({
+        type: 'success',
+        content: `📅 Offered ${amount} vintage ${vintage} credits from ${forwardForm.projectId} for pre-order. View on HashScan: ${result.hashscanUrl}`
+      });
+      setForwardForm({ projectId: '', vintage: '', amount: '', pricePerCredit: '', deadline: '' });
+      await loadForwardBook();
+    } catch (error) {
+      console.error('Forward creation failed:', error);
+      setMessage({ type: 'error', content: `Forward creation failed: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Open forwards of the connected developer, who delivers them from its own mint batches
+  const deliverableForwards = forwardBook.filter(forward =>
+    forward.status === 'Open' && forward.developer.toLowerCase() === (hederaClient.evmAddress || '').toLowerCase()
+  );
+
+  const selectDeliveryForward = async (forwardId) => {
+    setDeliveryForm({ forwardId, batchId: '' });
+    setDeliveryBatches([]);
+
+    const forward = forwardBook.find(f => String(f.forwardId) === forwardId);
+    if (!forward) {
+      return;
+    }
+    try {
+      const mintBatches = await hederaClient.getVintageMintBatches(forward.projectId, forward.vintage);
+      setDeliveryBatches(mintBatches);
+      if (mintBatches.length > 0) {
+        setDeliveryForm({ forwardId, batchId: String(mintBatches[mintBatches.length - 1].batchId) });
+      }
+    } catch (error) {
+      console.error('Failed to load mint batches:', error);
+      setMessage({ type: 'error', content: `Failed to load mint batches: ${error.message}` });
+    }
+  };
+
+  const handleDeliverForward = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setMessage({ type: '', content: '' });
+
+    try {
+      const forward = forwardBook.find(f => String(f.forwardId) === deliveryForm.forwardId);
+      const batch = deliveryBatches.find(b => String(b.batchId) === deliveryForm.batchId);
+      if (!forward || !batch) {
+        throw new Error('Select a forward and the verified mint batch of its vintage');
+      }
+
+      // The contract fills the pre-orders up to what the developer holds of the batch
+      const soldUnits = parseCredits(forward.sold, { allowZero: true });
+      const heldUnits = parseCredits(batch.held, { allowZero: true });
+      const deliveredUnits = soldUnits < heldUnits ? soldUnits : heldUnits;
+      const delivered = creditsToNumber(deliveredUnits);
+
+      const result = await hederaClient.deliverForward(forward.forwardId, batch.batchId, delivered);
+      const shortfall = creditsToNumber(soldUnits - deliveredUnits);
+
+      setMessage({
+        type: 'success',
+        content: shortfall > 0
+          ? `✅ Delivered ${delivered} credits for forward #${deliveryForm.forwardId}; buyers can reclaim the ${shortfall} credit shortfall pro rata after the deadline. View on HashScan: ${result.hashscanUrl}`
+          : `✅ Delivered ${delivered} credits for forward #${deliveryForm.forwardId}. View on HashScan: ${result.hashscanUrl}`
+      });
+      setDeliveryForm({ forwardId: '', batchId: '' });
+      setDeliveryBatches([]);
+      await loadForwardBook();
+
+      await refreshStats();
+    } catch (error) {
+      console.error('Forward delivery failed:', error);
+      setMessage({ type: 'error', content: `Forward delivery failed: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBufferUpdate = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setMessage({ type: '', content: '' });
+
+    try {
+      const bufferBps = parseBps(bufferForm.bufferPercent, { label: 'Buffer percentage' });
+      if (bufferBps > 5000n) {
+        throw new Error('Buffer must be between 0% and 50%');
+      }
+      const bufferPercent = formatAmount(bufferBps, 2);
+
+      const result = await hederaClient.setBufferPercentage(bufferForm.projectId, bufferPercent);
+      setMessage({
+        type: 'success',
+        content: `✅ ${bufferForm.projectId} now withholds ${bufferPercent}% of each issuance for the buffer. View on HashScan: ${result.hashscanUrl}`
+      });
+      await loadBufferPool();
+    } catch (error) {
+      console.error('Buffer update failed:', error);
+      setMessage({ type: 'error', content: `Buffer update failed: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReportReversal = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setMessage({ type: '', content: '' });
+
+    try {
+      const amount = creditsToNumber(parseCredits(bufferForm.reversalAmount, { label: 'Reversal amount' }));
+      const project = bufferPool.find(p => p.projectId === bufferForm.projectId);
+
+      if (project && amount > project.bufferCredits) {
+        throw new Error(`Reversal exceeds the ${project.bufferCredits} credits held in the buffer`);
+      }
+      if (!bufferForm.reversalReason.trim()) {
+        throw new Error('Please describe the reversal event');
+      }
+
+      const result = await hederaClient.reportReversal(bufferForm.projectId, amount, bufferForm.reversalReason.trim());
+      setMessage({
+        type: 'success',
+        content: `🔥 Cancelled ${amount} buffer credits for ${bufferForm.projectId}. View on HashScan: ${result.hashscanUrl}`
+      });
+      setBufferForm(prev => ({ ...prev, reversalAmount: '', reversalReason: '' }));
+      await loadBufferPool();
+
+      await refreshStats();
+    } catch (error) {
+      console.error('Reversal report failed:', error);
+      setMessage({ type: 'error', content: `Reversal report failed: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadFeeInfo = async () => {
+    try {
+      const info = await hederaClient.getFeeInfo();
+      setFeeInfo(info);
+      setFeeForm({ feeBps: String(info.feeBps), feeCollector: info.feeCollector });
+    } catch (error) {
+      setMessage({ type: 'error', content: `Failed to load fee information: ${error.message}` });
+    }
+  };
+
+  const handleFeeUpdate = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setMessage({ type: '', content: '' });
+
+    try {
+      // hederaClient checks the fee is a whole number of basis points up to the contract maximum
+      if (Number(feeForm.feeBps) !== feeInfo.feeBps) {
+        await hederaClient.setPlatformFee(feeForm.feeBps);
+      }
+      if (feeForm.feeCollector.toLowerCase() !== feeInfo.feeCollector.toLowerCase()) {
+        await hederaClient.setFeeCollector(feeForm.feeCollector);
+      }
+
+      setMessage({ type: 'success', content: '✅ Fee settings updated' });
+      await loadFeeInfo();
+    } catch (error) {
+      console.error('Fee update failed:', error);
+      setMessage({ type: 'error', content: `Fee update failed: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleWithdrawFees = async () => {
+    setLoading(true);
+    setMessage({ type: '', content: '' });
+
+    try {
+      const result = await hederaClient.withdrawFees();
+      setMessage({
+        type: 'success',
+        content: `✅ Withdrew ${feeInfo.accruedFees} HBAR to the fee collector. View on HashScan: ${result.hashscanUrl}`
+      });
+      await loadFeeInfo();
+    } catch (error) {
+      console.error('Fee withdrawal failed:', error);
+      setMessage({ type: 'error', content: `Fee withdrawal failed: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadPauseState = async () => {
+    try {
+      setPaused(await hederaClient.isPaused());
+    } catch (error) {
+      setMessage({ type: 'error', content: `Failed to load pause state: ${error.message}` });
+    }
+  };
+
+  const handlePauseToggle = async () => {
+    const pausing = !paused;
+    setLoading(true);
+    setMessage({ type: '', content: '' });
+
+    try {
+      const result = pausing ? await hederaClient.pause() : await hederaClient.unpause();
+      setMessage({
+        type: 'success',
+        content: `✅ Contract ${pausing ? 'paused' : 'resumed'}. View on HashScan: ${result.hashscanUrl}`
+      });
+      await loadPauseState();
+    } catch (error) {
+      console.error('Pause update failed:', error);
+      setMessage({ type: 'error', content: `${pausing ? 'Pausing' : 'Resuming'} failed: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const checkRole = async () => {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(roleForm.account)) {
+      setMessage({ type: 'error', content: 'Account must be a 0x-prefixed EVM address' });
+      return;
+    }
+
+    const accountRoles = await hederaClient.getRoles(roleForm.account);
+    setRoleForm(prev => ({ ...prev, hasRole: accountRoles[prev.role] }));
+  };
+
+  const handleRoleChange = async (grant) => {
+    setLoading(true);
+    setMessage({ type: '', content: '' });
+
+    try {
+      if (!/^0x[0-9a-fA-F]{40}$/.test(roleForm.account)) {
+        throw new Error('Account must be a 0x-prefixed EVM address');
+      }
+
+      const result = grant
+        ? await hederaClient.grantRole(roleForm.role, roleForm.account)
+        : await hederaClient.revokeRole(roleForm.role, roleForm.account);
+
+      setMessage({
+        type: 'success',
+        content: `✅ ${roleLabels[roleForm.role]} role ${grant ? 'granted to' : 'revoked from'} ${roleForm.account}. View on HashScan: ${result.hashscanUrl}`
+      });
+      setRoleForm(prev => ({ ...prev, hasRole: grant }));
+    } catch (error) {
+      console.error('Role update failed:', error);
+      setMessage({ type: 'error', content: `Role update failed: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const saveProject = (project) => {
     const updatedProjects = [...projects, project];
     setProjects(updatedProjects);
@@ -282,6 +751,10 @@ const Admin = ({ accountInfo, onStatsUpdate }) => {
         }
       } catch (error) {
         console.error('Status polling failed:', error);
+        setMessage({
+          type: 'error',
+          content: `Failed to get Guardian validation status: ${error.message}`
+        });
       }
     };
 
@@ -295,27 +768,57 @@ const Admin = ({ accountInfo, onStatsUpdate }) => {
       const project = projects.find(p => p.projectId === projectId);
       if (!project) return;
 
-      // Register project in smart contract
+      // Every issuance must be anchored to the Guardian verification report behind it
+      const report = guardianStatus.verificationReport;
+      if (!report?.documentHash || !report.monitoringPeriod) {
+        throw new Error('Guardian approval is missing its verification report');
+      }
+
+      // Register project in smart contract, or schedule it for the registry operators
       const contractResult = await hederaClient.registerProject({
         projectId: projectId,
         methodology: project.methodology,
         location: project.location,
         totalCredits: guardianStatus.validatedCredits || project.estimatedCredits,
         pricePerCredit: project.pricePerCredit
-      });
+      }, { multisig });
 
       if (contractResult.success) {
         // Mint initial credits
-        await hederaClient.mintCredits(
+        const mintResult = await hederaClient.mintCredits(
           accountInfo.accountId,
           guardianStatus.validatedCredits || project.estimatedCredits,
-          projectId
+          projectId,
+          guardianStatus.vintage,
+          {
+            documentHash: report.documentHash,
+            monitoringPeriodStart: report.monitoringPeriod.start,
+            monitoringPeriodEnd: report.monitoringPeriod.end
+          },
+          { multisig }
         );
 
+        if (contractResult.scheduled) {
+          updateProject(projectId, {
+            status: 'scheduled',
+            validatedCredits: guardianStatus.validatedCredits,
+            verificationHash: hederaClient.toVerificationHash(report.documentHash),
+            scheduleIds: [contractResult.scheduleId, mintResult.scheduleId],
+            hashscanUrl: contractResult.hashscanUrl
+          });
+
+          setMessage({
+            type: 'success',
+            content: `🗓️ Project approved by Guardian. Registration (${contractResult.scheduleId}) and minting (${mintResult.scheduleId}) are scheduled and await the registry operators' signatures under Approvals.`
+          });
+          return;
+        }
+
         updateProject(projectId, {
           status: 'approved',
           contractRegistered: true,
           validatedCredits: guardianStatus.validatedCredits,
+          verificationHash: hederaClient.toVerificationHash(report.documentHash),
           contractTransactionId: contractResult.transactionId,
           hashscanUrl: contractResult.hashscanUrl
         });
@@ -326,10 +829,7 @@ const Admin = ({ accountInfo, onStatsUpdate }) => {
         });
 
         // Update platform stats
-        if (onStatsUpdate) {
-          const stats = await hederaClient.getPlatformStats();
-          onStatsUpdate(stats);
-        }
+        await refreshStats();
       }
     } catch (error) {
       console.error('Contract registration failed:', error);
@@ -346,6 +846,7 @@ const Admin = ({ accountInfo, onStatsUpdate }) => {
       'under_review': { class: 'badge-warning', text: 'Under Review' },
       'validation': { class: 'badge-warning', text: 'Validating' },
       'approved': { class: 'badge-success', text: 'Approved' },
+      'scheduled': { class: 'badge-warning', text: 'Awaiting Signatures' },
       'rejected': { class: 'badge-error', text: 'Rejected' }
     };
     
@@ -353,6 +854,16 @@ const Admin = ({ accountInfo, onStatsUpdate }) => {
     return <span className={config.class}>{config.text}</span>;
   };
 
+  const getLifecycleBadge = (status) => {
+    const statusMap = {
+      'Active': 'badge-success',
+      'Suspended': 'badge-warning',
+      'Closed': 'badge-error'
+    };
+
+    return <span className={statusMap[status] || 'badge-warning'}>{status}</span>;
+  };
+
   const requiredDocuments = [
     { type: 'project_design', name: 'Project Design Document (PDD)', required: true },
     { type: 'monitoring_plan', name: 'Monitoring Plan', required: true },
@@ -373,23 +884,29 @@ const Admin = ({ accountInfo, onStatsUpdate }) => {
         
         <div className="text-right text-sm text-hedera-600">
           <p>Connected as: <span className="font-medium">{accountInfo?.accountId}</span></p>
-          <p>Role: Project Developer</p>
+          <p>
+            Role: {roles && Object.keys(roles).some(name => roles[name])
+              ? Object.keys(roles).filter(name => roles[name]).map(name => roleLabels[name]).join(', ')
+              : 'Project Developer'}
+          </p>
         </div>
       </div>
 
       {/* Tabs */}
       <div className="border-b border-hedera-200">
         <nav className="flex space-x-8">
-          <button
-            onClick={() => setActiveTab('demo')}
-            className={`py-2 px-1 border-b-2 font-medium text-sm ${
-              activeTab === 'demo'
-                ? 'border-eco-500 text-eco-600'
-                : 'border-transparent text-hedera-500 hover:text-hedera-700 hover:border-hedera-300'
-            }`}
-          >
-            🚀 Setup Projects
-          </button>
+          {canSetupProjects && (
+            <button
+              onClick={() => setActiveTab('demo')}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'demo'
+                  ? 'border-eco-500 text-eco-600'
+                  : 'border-transparent text-hedera-500 hover:text-hedera-700 hover:border-hedera-300'
+              }`}
+            >
+              🚀 Setup Projects
+            </button>
+          )}
           <button
             onClick={() => setActiveTab('onboard')}
             className={`py-2 px-1 border-b-2 font-medium text-sm ${
@@ -401,7 +918,10 @@ const Admin = ({ accountInfo, onStatsUpdate }) => {
             Onboard Project
           </button>
           <button
-            onClick={() => setActiveTab('projects')}
+            onClick={() => {
+              setActiveTab('projects');
+              loadRegistryProjects();
+            }}
             className={`py-2 px-1 border-b-2 font-medium text-sm ${
               activeTab === 'projects'
                 ? 'border-eco-500 text-eco-600'
@@ -420,6 +940,76 @@ const Admin = ({ accountInfo, onStatsUpdate }) => {
           >
             Guardian Integration
           </button>
+          <button
+            onClick={() => { setActiveTab('buffer'); loadBufferPool(); }}
+            className={`py-2 px-1 border-b-2 font-medium text-sm ${
+              activeTab === 'buffer'
+                ? 'border-eco-500 text-eco-600'
+                : 'border-transparent text-hedera-500 hover:text-hedera-700 hover:border-hedera-300'
+            }`}
+          >
+            Buffer Pool
+          </button>
+          {hederaClient.isForwardSaleAvailable() && (
+            <button
+              onClick={() => { setActiveTab('forwards'); loadForwardBook(); }}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'forwards'
+                  ? 'border-eco-500 text-eco-600'
+                  : 'border-transparent text-hedera-500 hover:text-hedera-700 hover:border-hedera-300'
+              }`}
+            >
+              Forward Book
+            </button>
+          )}
+          {hederaClient.isMultisigAvailable() && (
+            <button
+              onClick={() => { setActiveTab('approvals'); loadScheduleQueue(); }}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'approvals'
+                  ? 'border-eco-500 text-eco-600'
+                  : 'border-transparent text-hedera-500 hover:text-hedera-700 hover:border-hedera-300'
+              }`}
+            >
+              Approvals{scheduleQueue?.length ? ` (${scheduleQueue.length})` : ''}
+            </button>
+          )}
+          {roles?.feeManager && (
+            <button
+              onClick={() => { setActiveTab('fees'); loadFeeInfo(); }}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'fees'
+                  ? 'border-eco-500 text-eco-600'
+                  : 'border-transparent text-hedera-500 hover:text-hedera-700 hover:border-hedera-300'
+              }`}
+            >
+              Platform Fees
+            </button>
+          )}
+          {roles?.pauser && (
+            <button
+              onClick={() => { setActiveTab('pause'); loadPauseState(); }}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'pause'
+                  ? 'border-eco-500 text-eco-600'
+                  : 'border-transparent text-hedera-500 hover:text-hedera-700 hover:border-hedera-300'
+              }`}
+            >
+              Emergency Pause
+            </button>
+          )}
+          {roles?.admin && (
+            <button
+              onClick={() => setActiveTab('roles')}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'roles'
+                  ? 'border-eco-500 text-eco-600'
+                  : 'border-transparent text-hedera-500 hover:text-hedera-700 hover:border-hedera-300'
+              }`}
+            >
+              Role Management
+            </button>
+          )}
         </nav>
       </div>
 
@@ -439,7 +1029,7 @@ const Admin = ({ accountInfo, onStatsUpdate }) => {
       )}
 
       {/* Tab Content */}
-      {activeTab === 'demo' && (
+      {activeTab === 'demo' && canSetupProjects && (
         <div className="card">
           <h2 className="text-xl font-semibold text-hedera-900 mb-6">
             🚀 Setup Real Carbon Projects
@@ -454,7 +1044,7 @@ const Admin = ({ accountInfo, onStatsUpdate }) => {
             <div className="bg-blue-50 border border-blue-200 rounded-md p-4">
               <p className="text-sm text-blue-700">
                 <strong>Real Projects:</strong> This registers actual carbon projects on Hedera Testnet with real blockchain transactions.
-                You must be the contract owner to register projects.
+                Your account needs the Registrar and Minter roles to register projects.
               </p>
             </div>
 
@@ -657,6 +1247,24 @@ const Admin = ({ accountInfo, onStatsUpdate }) => {
               </div>
             </div>
 
+            {hederaClient.isMultisigAvailable() && (
+              <label className="flex items-start space-x-3 text-sm text-hedera-700">
+                <input
+                  type="checkbox"
+                  checked={multisig}
+                  onChange={(e) => setMultisig(e.target.checked)}
+                  className="mt-1"
+                />
+                <span>
+                  <span className="font-medium">Require registry operator approval</span>
+                  <span className="block text-xs text-hedera-500">
+                    After Guardian approval, registration and minting are scheduled and only execute
+                    once enough registry operators have signed them under Approvals
+                  </span>
+                </span>
+              </label>
+            )}
+
             <div className="flex justify-end space-x-4">
               <button
                 type="button"
@@ -747,6 +1355,149 @@ const Admin = ({ accountInfo, onStatsUpdate }) => {
               ))}
             </div>
           )}
+
+          {/* On-Chain Registry Lifecycle */}
+          <div className="card">
+            <h3 className="text-lg font-semibold text-hedera-900 mb-4">
+              On-Chain Registry
+            </h3>
+
+            {registryProjects.length === 0 ? (
+              <p className="text-hedera-600 text-sm">
+                No projects are registered in the contract yet
+              </p>
+            ) : (
+              <div className="space-y-4">
+                {registryProjects.map(project => (
+                  <div key={project.projectId} className="border border-hedera-200 rounded-lg p-4">
+                    <div className="flex items-start justify-between">
+                      <div>
+                        <div className="font-medium text-hedera-900">{project.projectId}</div>
+                        <div className="text-sm text-hedera-600">
+                          {project.methodology} • {project.location}
+                        </div>
+                        <div className="text-xs text-hedera-500">
+                          {project.availableCredits} of {project.totalCredits} credits available
+                        </div>
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        {getLifecycleBadge(project.status)}
+                        {roles?.registrar && project.status !== 'Closed' && managedProjectId !== project.projectId && (
+                          <button
+                            onClick={() => openLifecycleManager(project)}
+                            className="btn-secondary text-sm"
+                          >
+                            Manage
+                          </button>
+                        )}
+                      </div>
+                    </div>
+
+                    {managedProjectId === project.projectId && (
+                      <div className="mt-4 space-y-3 bg-hedera-50 rounded-lg p-3">
+                        <div>
+                          <label className="block text-sm font-medium text-hedera-700 mb-1">
+                            Reason *
+                          </label>
+                          <input
+                            type="text"
+                            value={lifecycleForm.reason}
+                            onChange={(e) => setLifecycleForm(prev => ({ ...prev, reason: e.target.value }))}
+                            className="input-field"
+                            placeholder="e.g., Under investigation for leakage claims"
+                          />
+                        </div>
+
+                        <div className="flex flex-wrap gap-2">
+                          {project.status === 'Active' && (
+                            <button
+                              onClick={() => handleLifecycleAction(project, 'suspend')}
+                              disabled={loading}
+                              className="btn-secondary"
+                            >
+                              ⏸️ Suspend
+                            </button>
+                          )}
+                          {project.status === 'Suspended' && (
+                            <button
+                              onClick={() => handleLifecycleAction(project, 'reinstate')}
+                              disabled={loading}
+                              className="btn-primary"
+                            >
+                              ▶️ Reinstate
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleLifecycleAction(project, 'close')}
+                            disabled={loading}
+                            className="btn-danger"
+                          >
+                            Close Project
+                          </button>
+                        </div>
+
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                          <div>
+                            <label className="block text-sm font-medium text-hedera-700 mb-1">
+                              Methodology
+                            </label>
+                            <input
+                              type="text"
+                              value={lifecycleForm.methodology}
+                              onChange={(e) => setLifecycleForm(prev => ({ ...prev, methodology: e.target.value }))}
+                              className="input-field"
+                            />
+                          </div>
+                          <div>
+                            <label className="block text-sm font-medium text-hedera-700 mb-1">
+                              Location
+                            </label>
+                            <input
+                              type="text"
+                              value={lifecycleForm.location}
+                              onChange={(e) => setLifecycleForm(prev => ({ ...prev, location: e.target.value }))}
+                              className="input-field"
+                            />
+                          </div>
+                        </div>
+
+                        <div className="flex space-x-2">
+                          <button
+                            onClick={() => handleLifecycleAction(project, 'metadata')}
+                            disabled={loading || !lifecycleForm.methodology.trim() || !lifecycleForm.location.trim()}
+                            className="btn-primary"
+                          >
+                            Update Metadata
+                          </button>
+                          <button
+                            onClick={() => setManagedProjectId(null)}
+                            className="btn-secondary"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </div>
+                    )}
+
+                    {/* Lifecycle History */}
+                    <div className="mt-4 pt-3 border-t border-hedera-200">
+                      <h4 className="text-sm font-medium text-hedera-700 mb-2">History</h4>
+                      <ul className="space-y-1 text-xs text-hedera-600">
+                        {project.history.map((entry, index) => (
+                          <li key={index}>
+                            <span className="font-medium">{new Date(entry.timestamp).toLocaleString()}</span>
+                            {' • '}{entry.action}
+                            {entry.reason && <> — {entry.reason}</>}
+                            <span className="text-hedera-400"> ({entry.actor.slice(0, 10)}...)</span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
         </div>
       )}
 
@@ -856,6 +1607,622 @@ const Admin = ({ accountInfo, onStatsUpdate }) => {
           </div>
         </div>
       )}
+
+      {activeTab === 'buffer' && (
+        <div className="space-y-6">
+          <div className="card">
+            <h2 className="text-xl font-semibold text-hedera-900 mb-2">
+              Non-Permanence Buffer Health
+            </h2>
+            <p className="text-sm text-hedera-600 mb-6">
+              AFOLU projects withhold a share of every issuance in the contract's buffer pool.
+              Reversals such as forest fires reported through dMRV cancel buffer credits.
+            </p>
+
+            {bufferPool.length === 0 ? (
+              <p className="text-hedera-600 text-sm">No projects are registered in the contract yet</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-hedera-200">
+                  <thead className="bg-hedera-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">Project</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">Buffer Share</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">Held</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">Cancelled</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">Health</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-hedera-200">
+                    {bufferPool.map(project => {
+                      const contributed = project.bufferCredits + project.reversedCredits;
+                      const health = contributed > 0 ? (project.bufferCredits / contributed) * 100 : 100;
+
+                      return (
+                        <tr key={project.projectId}>
+                          <td className="px-6 py-4 text-sm">
+                            <div className="font-medium text-hedera-900">{project.projectId}</div>
+                            <div className="text-hedera-500">{project.location}</div>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-hedera-900">{project.bufferPercent}%</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-hedera-900">{project.bufferCredits.toFixed(2)}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-red-600">{project.reversedCredits.toFixed(2)}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm">
+                            <span className={health >= 75 ? 'badge-success' : health >= 40 ? 'badge-warning' : 'badge-error'}>
+                              {health.toFixed(0)}%
+                            </span>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {roles?.registrar && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div className="card">
+                <h3 className="text-lg font-semibold text-hedera-900 mb-4">Buffer Share</h3>
+                <form onSubmit={handleBufferUpdate} className="space-y-4">
+                  <div>
+                    <label className="block text-sm font-medium text-hedera-700 mb-1">Project</label>
+                    <select
+                      value={bufferForm.projectId}
+                      onChange={(e) => setBufferForm(prev => ({ ...prev, projectId: e.target.value }))}
+                      className="input-field"
+                      required
+                    >
+                      <option value="">Select a project</option>
+                      {bufferPool.map(project => (
+                        <option key={project.projectId} value={project.projectId}>{project.projectId}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-hedera-700 mb-1">Buffer Share (%)</label>
+                    <input
+                      type="number"
+                      value={bufferForm.bufferPercent}
+                      onChange={(e) => setBufferForm(prev => ({ ...prev, bufferPercent: e.target.value }))}
+                      className="input-field"
+                      min="0"
+                      max="50"
+                      step="0.01"
+                      placeholder="20"
+                      required
+                    />
+                    <p className="text-xs text-hedera-500 mt-1">
+                      Applies to future issuances • Maximum 50%
+                    </p>
+                  </div>
+                  <button type="submit" disabled={loading} className="btn-primary w-full">
+                    Save Buffer Share
+                  </button>
+                </form>
+              </div>
+
+              <div className="card">
+                <h3 className="text-lg font-semibold text-hedera-900 mb-4">Report Reversal</h3>
+                <form onSubmit={handleReportReversal} className="space-y-4">
+                  <div>
+                    <label className="block text-sm font-medium text-hedera-700 mb-1">Project</label>
+                    <select
+                      value={bufferForm.projectId}
+                      onChange={(e) => setBufferForm(prev => ({ ...prev, projectId: e.target.value }))}
+                      className="input-field"
+                      required
+                    >
+                      <option value="">Select a project</option>
+                      {bufferPool.map(project => (
+                        <option key={project.projectId} value={project.projectId}>
+                          {project.projectId} ({project.bufferCredits.toFixed(2)} in buffer)
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-hedera-700 mb-1">Credits to Cancel</label>
+                    <input
+                      type="number"
+                      value={bufferForm.reversalAmount}
+                      onChange={(e) => setBufferForm(prev => ({ ...prev, reversalAmount: e.target.value }))}
+                      className="input-field"
+                      min="0.01"
+                      step="0.01"
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-hedera-700 mb-1">Reversal Event</label>
+                    <input
+                      type="text"
+                      value={bufferForm.reversalReason}
+                      onChange={(e) => setBufferForm(prev => ({ ...prev, reversalReason: e.target.value }))}
+                      className="input-field"
+                      placeholder="e.g., Forest fire reported by dMRV, 120 ha lost"
+                      required
+                    />
+                  </div>
+                  <button type="submit" disabled={loading} className="btn-danger w-full">
+                    🔥 Cancel Buffer Credits
+                  </button>
+                </form>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {activeTab === 'forwards' && (
+        <div className="space-y-6">
+          <div className="card">
+            <h2 className="text-xl font-semibold text-hedera-900 mb-2">
+              Forward Book
+            </h2>
+            <p className="text-sm text-hedera-600 mb-6">
+              Credits pre-sold from future vintages. Buyer HBAR stays in escrow until the matching
+              mint is delivered; any shortfall is refunded pro rata after the deadline.
+            </p>
+
+            {forwardBook.length === 0 ? (
+              <p className="text-hedera-600 text-sm">No forwards have been offered yet</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-hedera-200">
+                  <thead className="bg-hedera-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">Forward</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">Vintage</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">Pre-ordered</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">Delivered</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">Escrow</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">Deadline</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-hedera-200">
+                    {forwardBook.map(forward => (
+                      <tr key={forward.forwardId}>
+                        <td className="px-6 py-4 text-sm">
+                          <div className="font-medium text-hedera-900">#{forward.forwardId} {forward.projectId}</div>
+                          <div className="text-hedera-500">{forward.pricePerCredit} HBAR / credit</div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-hedera-900">{forward.vintage}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-hedera-900">
+                          {forward.sold.toFixed(2)} / {forward.amount.toFixed(2)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-hedera-900">
+                          {forward.isDelivered ? forward.delivered.toFixed(2) : '—'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-hedera-900">{forward.escrowed} HBAR</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-hedera-600">
+                          {new Date(forward.deadline).toLocaleDateString()}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          <span className={
+                            forward.status === 'Delivered' ? 'badge-success' :
+                            forward.status === 'Expired' ? 'badge-error' : 'badge-warning'
+                          }>
+                            {forward.status}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="card">
+              <h3 className="text-lg font-semibold text-hedera-900 mb-1">Offer a Future Vintage</h3>
+              <p className="text-xs text-hedera-500 mb-4">Only the project's developer can offer its credits</p>
+              <form onSubmit={handleCreateForward} className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-hedera-700 mb-1">Project</label>
+                  <select
+                    value={forwardForm.projectId}
+                    onChange={(e) => setForwardForm(prev => ({ ...prev, projectId: e.target.value }))}
+                    className="input-field"
+                    required
+                  >
+                    <option value="">Select a project</option>
+                    {forwardProjects.map(project => (
+                      <option key={project.projectId} value={project.projectId}>{project.projectId}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-hedera-700 mb-1">Vintage</label>
+                    <input
+                      type="number"
+                      value={forwardForm.vintage}
+                      onChange={(e) => setForwardForm(prev => ({ ...prev, vintage: e.target.value }))}
+                      className="input-field"
+                      placeholder={String(new Date().getFullYear() + 1)}
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-hedera-700 mb-1">Credits Offered</label>
+                    <input
+                      type="number"
+                      value={forwardForm.amount}
+                      onChange={(e) => setForwardForm(prev => ({ ...prev, amount: e.target.value }))}
+                      className="input-field"
+                      min="0.01"
+                      step="0.01"
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-hedera-700 mb-1">Price (HBAR / credit)</label>
+                    <input
+                      type="number"
+                      value={forwardForm.pricePerCredit}
+                      onChange={(e) => setForwardForm(prev => ({ ...prev, pricePerCredit: e.target.value }))}
+                      className="input-field"
+                      min="0.00000001"
+                      step="0.01"
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-hedera-700 mb-1">Delivery Deadline</label>
+                    <input
+                      type="date"
+                      value={forwardForm.deadline}
+                      onChange={(e) => setForwardForm(prev => ({ ...prev, deadline: e.target.value }))}
+                      className="input-field"
+                      required
+                    />
+                  </div>
+                </div>
+                <button type="submit" disabled={loading} className="btn-primary w-full">
+                  📅 Offer for Pre-order
+                </button>
+              </form>
+            </div>
+
+            {deliverableForwards.length > 0 && (
+              <div className="card">
+                <h3 className="text-lg font-semibold text-hedera-900 mb-1">Deliver Pre-orders</h3>
+                <p className="text-xs text-hedera-500 mb-4">
+                  Once your forward's vintage is minted, deliver its pre-orders out of the verified mint batch you received
+                </p>
+                <form onSubmit={handleDeliverForward} className="space-y-4">
+                  <div>
+                    <label className="block text-sm font-medium text-hedera-700 mb-1">Forward</label>
+                    <select
+                      value={deliveryForm.forwardId}
+                      onChange={(e) => selectDeliveryForward(e.target.value)}
+                      className="input-field"
+                      required
+                    >
+                      <option value="">Select an open forward</option>
+                      {deliverableForwards.map(forward => (
+                        <option key={forward.forwardId} value={forward.forwardId}>
+                          #{forward.forwardId} {forward.projectId} vintage {forward.vintage} ({forward.sold} pre-ordered)
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-hedera-700 mb-1">Verified Mint Batch</label>
+                    <select
+                      value={deliveryForm.batchId}
+                      onChange={(e) => setDeliveryForm(prev => ({ ...prev, batchId: e.target.value }))}
+                      className="input-field"
+                      required
+                    >
+                      <option value="">
+                        {deliveryForm.forwardId && deliveryBatches.length === 0
+                          ? 'The vintage has not been minted yet'
+                          : 'Select a mint batch'}
+                      </option>
+                      {deliveryBatches.map(batch => (
+                        <option key={batch.batchId} value={batch.batchId}>
+                          Batch #{batch.batchId} ({batch.held} of {batch.issued} credits held)
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <button type="submit" disabled={loading} className="btn-primary w-full">
+                    ✅ Deliver Credits
+                  </button>
+                </form>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {activeTab === 'approvals' && hederaClient.isMultisigAvailable() && (
+        <div className="card">
+          <div className="flex items-center justify-between mb-2">
+            <h2 className="text-xl font-semibold text-hedera-900">
+              Pending Approvals
+            </h2>
+            <button onClick={loadScheduleQueue} disabled={loading} className="btn-secondary text-sm">
+              Refresh
+            </button>
+          </div>
+          <p className="text-sm text-hedera-600 mb-6">
+            Registrations and mints scheduled for the registry account {hederaClient.registryAccountId}.
+            Review each call before signing: it executes as soon as the signature threshold is met.
+            Schedules that do not collect enough signatures expire without executing.
+          </p>
+
+          {!scheduleQueue ? (
+            <p className="text-hedera-600 text-sm">Loading pending schedules...</p>
+          ) : scheduleQueue.length === 0 ? (
+            <p className="text-hedera-600 text-sm">No schedules are awaiting signatures</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-hedera-200">
+                <thead className="bg-hedera-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">Schedule</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">Call</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">Signatures</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">Expires</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider"></th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-hedera-200">
+                  {scheduleQueue.map(schedule => (
+                    <tr key={schedule.scheduleId}>
+                      <td className="px-6 py-4 text-sm">
+                        <div className="font-medium text-hedera-900">{schedule.scheduleId}</div>
+                        <div className="text-hedera-500">
+                          By {schedule.creator} on {new Date(schedule.createdAt).toLocaleString()}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 text-sm text-hedera-900">
+                        <div>{schedule.description}</div>
+                        {schedule.call?.functionName === 'mint' && (
+                          <div className="text-xs text-hedera-500 font-mono">
+                            Evidence {schedule.call.args.verificationHash}
+                          </div>
+                        )}
+                        {schedule.waitsFor && (
+                          <div className="text-xs text-yellow-700">
+                            Sign after registration {schedule.waitsFor} has executed
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-hedera-900">
+                        {schedule.signedKeys.length} / {schedule.threshold}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-hedera-600">
+                        {new Date(schedule.expiresAt).toLocaleString()}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        {schedule.signedByMe ? (
+                          <span className="badge-success">Signed</span>
+                        ) : (
+                          <button
+                            onClick={() => handleSignSchedule(schedule)}
+                            disabled={loading || !schedule.call || Boolean(schedule.waitsFor)}
+                            className="btn-primary text-sm"
+                          >
+                            ✍️ Sign
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {activeTab === 'fees' && roles?.feeManager && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="card">
+            <h2 className="text-xl font-semibold text-hedera-900 mb-6">
+              Accrued Platform Fees
+            </h2>
+
+            {!feeInfo ? (
+              <p className="text-hedera-600">Loading fee information...</p>
+            ) : (
+              <div className="space-y-4">
+                <div className="bg-eco-50 rounded-lg p-4 text-center">
+                  <div className="text-3xl font-bold text-eco-600">{feeInfo.accruedFees} HBAR</div>
+                  <div className="text-sm text-hedera-600">Available to withdraw</div>
+                </div>
+
+                <div>
+                  <h4 className="font-medium text-hedera-900 mb-2">Fees by Period (30 days)</h4>
+                  <div className="space-y-1 text-sm text-hedera-600">
+                    {feeInfo.periods.map(period => (
+                      <div key={period.period} className="flex justify-between">
+                        <span>From {new Date(period.startDate).toLocaleDateString()}</span>
+                        <span className="font-medium">{period.fees} HBAR</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                <button
+                  onClick={handleWithdrawFees}
+                  disabled={loading || feeInfo.accruedFees <= 0}
+                  className="btn-primary w-full"
+                >
+                  💰 Withdraw to Fee Collector
+                </button>
+              </div>
+            )}
+          </div>
+
+          <div className="card">
+            <h2 className="text-xl font-semibold text-hedera-900 mb-6">
+              Fee Settings
+            </h2>
+
+            <form onSubmit={handleFeeUpdate} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-hedera-700 mb-1">
+                  Platform Fee (basis points)
+                </label>
+                <input
+                  type="number"
+                  value={feeForm.feeBps}
+                  onChange={(e) => setFeeForm(prev => ({ ...prev, feeBps: e.target.value }))}
+                  className="input-field"
+                  min="0"
+                  max="1000"
+                  required
+                />
+                <p className="text-xs text-hedera-500 mt-1">
+                  100 bps = 1% of each primary sale • Maximum 1000 bps
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-hedera-700 mb-1">
+                  Fee Collector Address
+                </label>
+                <input
+                  type="text"
+                  value={feeForm.feeCollector}
+                  onChange={(e) => setFeeForm(prev => ({ ...prev, feeCollector: e.target.value.trim() }))}
+                  className="input-field font-mono text-sm"
+                  placeholder="0x..."
+                  required
+                />
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading || !feeInfo}
+                className="btn-primary w-full"
+              >
+                Save Fee Settings
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {activeTab === 'pause' && roles?.pauser && (
+        <div className="card max-w-2xl">
+          <h2 className="text-xl font-semibold text-hedera-900 mb-6">
+            Emergency Pause
+          </h2>
+
+          {paused === null ? (
+            <p className="text-hedera-600">Loading contract state...</p>
+          ) : (
+            <div className="space-y-4">
+              <div className={`rounded-lg p-4 text-center ${paused ? 'bg-red-50' : 'bg-eco-50'}`}>
+                <div className={`text-2xl font-bold ${paused ? 'text-red-600' : 'text-eco-600'}`}>
+                  {paused ? '⏸️ Paused' : '▶️ Active'}
+                </div>
+                <div className="text-sm text-hedera-600">
+                  {paused
+                    ? 'Minting, primary sales and retirements are stopped'
+                    : 'Minting, primary sales and retirements are open'}
+                </div>
+              </div>
+
+              <button
+                onClick={handlePauseToggle}
+                disabled={loading}
+                className={`${paused ? 'btn-primary' : 'btn-danger'} w-full`}
+              >
+                {paused ? 'Resume Contract' : 'Pause Contract'}
+              </button>
+
+              <p className="text-xs text-hedera-500">
+                Transfers and secondary market trades are not affected by the pause.
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {activeTab === 'roles' && roles?.admin && (
+        <div className="card max-w-2xl">
+          <h2 className="text-xl font-semibold text-hedera-900 mb-6">
+            Role Management
+          </h2>
+
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-hedera-700 mb-1">
+                Role
+              </label>
+              <select
+                value={roleForm.role}
+                onChange={(e) => setRoleForm(prev => ({ ...prev, role: e.target.value, hasRole: null }))}
+                className="input-field"
+              >
+                {Object.keys(ROLES).map(name => (
+                  <option key={name} value={name}>{roleLabels[name]}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-hedera-700 mb-1">
+                Account Address
+              </label>
+              <input
+                type="text"
+                value={roleForm.account}
+                onChange={(e) => setRoleForm(prev => ({ ...prev, account: e.target.value.trim(), hasRole: null }))}
+                className="input-field font-mono text-sm"
+                placeholder="0x..."
+              />
+              {roleForm.hasRole !== null && (
+                <p className="text-xs text-hedera-500 mt-1">
+                  {roleForm.hasRole ? '✓ Account currently holds this role' : 'Account does not hold this role'}
+                </p>
+              )}
+            </div>
+
+            <div className="flex space-x-3">
+              <button
+                type="button"
+                onClick={checkRole}
+                disabled={loading || !roleForm.account}
+                className="btn-secondary"
+              >
+                Check
+              </button>
+              <button
+                type="button"
+                onClick={() => handleRoleChange(true)}
+                disabled={loading || !roleForm.account}
+                className="btn-primary flex-1"
+              >
+                Grant Role
+              </button>
+              <button
+                type="button"
+                onClick={() => handleRoleChange(false)}
+                disabled={loading || !roleForm.account}
+                className="btn-danger flex-1"
+              >
+                Revoke Role
+              </button>
+            </div>
+
+            <div className="bg-blue-50 border border-blue-200 rounded-md p-4 text-sm text-blue-700">
+              Registrar and Minter correspond to the Guardian <strong>REGISTRY_OPERATOR</strong> policy role
+              (REGISTER_PROJECT and ISSUE_VCUs). Pauser and Fee Manager are platform operations roles.
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,8 +1,10 @@
 import React, { useState, useEffect } from 'react';
+import { toUserError, revertError } from '../services/errors';
 
 /**
  * Simple Demo Marketplace Component
  * Works completely offline with mock data for immediate testing
+ * Rejects purchases and retirements with the same errors as the contract
  */
 
 const DemoMarketplace = () => {
@@ -66,6 +68,12 @@ const DemoMarketplace = () => {
     setProjects(demoProjects);
   }, []);
 
+  // Show a failure with its user-facing reason and suggested remedy
+  const showError = (action, error) => {
+    const userError = toUserError(error);
+    setMessage({ type: 'error', content: `${action}: ${userError.message}`, remedy: userError.remedy });
+  };
+
   const handlePurchaseCredits = async () => {
     if (!selectedProject || !purchaseAmount || parseFloat(purchaseAmount) <= 0) {
       setMessage({ type: 'error', content: 'Please select a project and enter a valid amount' });
@@ -76,7 +84,7 @@ const DemoMarketplace = () => {
     const totalPriceHbar = amount * selectedProject.pricePerCredit;
 
     if (amount > selectedProject.availableCredits) {
-      setMessage({ type: 'error', content: 'Not enough credits available' });
+      showError('Purchase failed', revertError('InsufficientProjectCredits'));
       return;
     }
 
@@ -123,7 +131,7 @@ const DemoMarketplace = () => {
       setPurchaseAmount('');
       setSelectedProject(null);
     } catch (error) {
-      setMessage({ type: 'error', content: 'Purchase failed. Please try again.' });
+      showError('Purchase failed', error);
     } finally {
       setLoading(false);
     }
@@ -131,7 +139,7 @@ const DemoMarketplace = () => {
 
   const retireCredits = async (amount, reason) => {
     if (amount > userPortfolio.credits) {
-      setMessage({ type: 'error', content: 'Insufficient credits to retire' });
+      showError('Retirement failed', revertError('InsufficientBalance'));
       return;
     }
 
@@ -160,7 +168,7 @@ const DemoMarketplace = () => {
         content: `✅ Successfully retired ${amount} credits! Reason: ${reason}`
       });
     } catch (error) {
-      setMessage({ type: 'error', content: 'Retirement failed. Please try again.' });
+      showError('Retirement failed', error);
     } finally {
       setLoading(false);
     }
@@ -186,6 +194,7 @@ const DemoMarketplace = () => {
             'bg-blue-100 text-blue-700 border border-blue-200'
           }`}>
             {message.content}
+            {message.remedy && <p className="text-sm mt-1">💡 {message.remedy}</p>}
           </div>
         )}
 
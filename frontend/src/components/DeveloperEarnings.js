@@ -0,0 +1,370 @@
+import React, { useState, useEffect } from 'react';
+import hederaClient from '../services/hederaClient';
+import { parseAmount, formatAmount } from '../services/amounts';
+
+/**
+ * Developer Earnings Component
+ *
+ * Shows project developers their primary sale proceeds:
+ * 1. Proceeds held in the MicroCredit contract awaiting withdrawal
+ * 2. Lifetime earnings and credits sold per registered project
+ * 3. Pull-payment withdrawal of accumulated proceeds
+ * 4. Stablecoin pricing and proceeds when a payment token is configured
+ * 5. Proceeds from delivered forward sales of future vintages
+ *
+ * References:
+ * - Pull payments: https://docs.openzeppelin.com/contracts/5.x/api/utils#PullPayment
+ * - HashScan: https://hashscan.io/testnet
+ */
+
+// Full class names so Tailwind keeps them
+const SUMMARY_COLUMNS = { 2: 'md:grid-cols-2', 3: 'md:grid-cols-3', 4: 'md:grid-cols-4' };
+
+const DeveloperEarnings = ({ accountInfo }) => {
+  const [earnings, setEarnings] = useState({ pending: 0, projects: [] });
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ type: '', content: '' });
+  const [paymentToken, setPaymentToken] = useState(null);
+  const [tokenProceeds, setTokenProceeds] = useState(0);
+  const [tokenPrices, setTokenPrices] = useState({});
+  const [tokenPriceInputs, setTokenPriceInputs] = useState({});
+  const [forwardProceeds, setForwardProceeds] = useState(null);
+
+  useEffect(() => {
+    loadEarnings();
+  }, []);
+
+  const loadEarnings = async () => {
+    try {
+      const proceeds = await hederaClient.getDeveloperProceeds();
+      setEarnings(proceeds);
+
+      if (hederaClient.isTokenPaymentAvailable()) {
+        setPaymentToken(await hederaClient.getPaymentToken());
+        setTokenProceeds(await hederaClient.getTokenProceeds());
+
+        const prices = {};
+        for (const project of proceeds.projects) {
+          prices[project.projectId] = await hederaClient.getTokenPrice(project.projectId);
+        }
+        setTokenPrices(prices);
+      }
+
+      if (hederaClient.isForwardSaleAvailable()) {
+        setForwardProceeds(await hederaClient.getForwardProceeds());
+      }
+    } catch (error) {
+      console.error('Failed to load earnings:', error);
+      setMessage({ type: 'error', content: `Failed to load earnings: ${error.message}` });
+    }
+  };
+
+  const handleWithdraw = async () => {
+    setLoading(true);
+    setMessage({ type: '', content: '' });
+
+    try {
+      const result = await hederaClient.withdrawProceeds();
+
+      if (!result.success) {
+        throw new Error('Withdrawal transaction failed');
+      }
+
+      setMessage({
+        type: 'success',
+        content: `✅ Withdrew ${earnings.pending} HBAR to your account. View on HashScan: ${result.hashscanUrl}`
+      });
+      await loadEarnings();
+    } catch (error) {
+      console.error('Withdrawal failed:', error);
+      setMessage({ type: 'error', content: `Withdrawal failed: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleWithdrawToken = async () => {
+    setLoading(true);
+    setMessage({ type: '', content: '' });
+
+    try {
+      const result = await hederaClient.withdrawTokenProceeds();
+
+      if (!result.success) {
+        throw new Error('Withdrawal transaction failed');
+      }
+
+      setMessage({
+        type: 'success',
+        content: `✅ Withdrew ${tokenProceeds} ${paymentToken.symbol} to your account. View on HashScan: ${result.hashscanUrl}`
+      });
+      await loadEarnings();
+    } catch (error) {
+      console.error('Token withdrawal failed:', error);
+      setMessage({ type: 'error', content: `Withdrawal failed: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleWithdrawForward = async () => {
+    setLoading(true);
+    setMessage({ type: '', content: '' });
+
+    try {
+      const result = await hederaClient.withdrawForwardProceeds();
+
+      if (!result.success) {
+        throw new Error('Withdrawal transaction failed');
+      }
+
+      setMessage({
+        type: 'success',
+        content: `✅ Withdrew ${forwardProceeds} HBAR of forward sale proceeds. View on HashScan: ${result.hashscanUrl}`
+      });
+      await loadEarnings();
+    } catch (error) {
+      console.error('Forward withdrawal failed:', error);
+      setMessage({ type: 'error', content: `Withdrawal failed: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSetTokenPrice = async (projectId) => {
+    let price;
+    try {
+      const { decimals } = paymentToken;
+      price = formatAmount(parseAmount(tokenPriceInputs[projectId], decimals, { label: 'Token price', allowZero: true }), decimals);
+    } catch (error) {
+      setMessage({ type: 'error', content: error.message });
+      return;
+    }
+
+    setLoading(true);
+    setMessage({ type: '', content: '' });
+
+    try {
+      const result = await hederaClient.setTokenPrice(projectId, price);
+
+      if (!result.success) {
+        throw new Error('Price update transaction failed');
+      }
+
+      setTokenPrices(prices => ({ ...prices, [projectId]: Number(price) }));
+      setTokenPriceInputs(inputs => ({ ...inputs, [projectId]: '' }));
+      setMessage({
+        type: 'success',
+        content: price > 0
+          ? `✅ ${projectId} now sells for ${price} ${paymentToken.symbol} per credit. View on HashScan: ${result.hashscanUrl}`
+          : `✅ ${paymentToken.symbol} sales disabled for ${projectId}. View on HashScan: ${result.hashscanUrl}`
+      });
+    } catch (error) {
+      console.error('Token price update failed:', error);
+      setMessage({ type: 'error', content: `Price update failed: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const totalEarned = earnings.projects.reduce((sum, project) => sum + project.earned, 0);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-hedera-900">Developer Earnings</h1>
+          <p className="text-hedera-600 mt-1">
+            Proceeds from credit sales of your registered projects
+          </p>
+        </div>
+
+        <div className="text-right text-sm text-hedera-600">
+          <p>Connected as: <span className="font-medium">{accountInfo?.accountId}</span></p>
+        </div>
+      </div>
+
+      {/* Message Display */}
+      {message.content && (
+        <div className={`rounded-md p-4 ${
+          message.type === 'success' ? 'bg-eco-50 border border-eco-200 text-eco-700' :
+          message.type === 'error' ? 'bg-red-50 border border-red-200 text-red-700' :
+          'bg-blue-50 border border-blue-200 text-blue-700'
+        }`}>
+          <div className="flex">
+            <div className="ml-3">
+              <p className="text-sm break-all">{message.content}</p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Summary */}
+      <div className={`grid grid-cols-1 ${SUMMARY_COLUMNS[2 + (paymentToken ? 1 : 0) + (forwardProceeds !== null ? 1 : 0)]} gap-6`}>
+        <div className="card text-center">
+          <div className="text-3xl font-bold text-eco-600 mb-2">
+            {earnings.pending} HBAR
+          </div>
+          <div className="text-hedera-600">Available to Withdraw</div>
+          <button
+            onClick={handleWithdraw}
+            disabled={loading || earnings.pending <= 0}
+            className="btn-primary mt-4 inline-flex items-center"
+          >
+            {loading ? (
+              <>
+                <div className="loading-spinner mr-2"></div>
+                Withdrawing...
+              </>
+            ) : (
+              '💰 Withdraw Proceeds'
+            )}
+          </button>
+        </div>
+
+        <div className="card text-center">
+          <div className="text-3xl font-bold text-blue-600 mb-2">
+            {totalEarned} HBAR
+          </div>
+          <div className="text-hedera-600">Lifetime Earnings</div>
+          <div className="text-xs text-hedera-500 mt-1">
+            Across {earnings.projects.length} project(s)
+          </div>
+        </div>
+
+        {paymentToken && (
+          <div className="card text-center">
+            <div className="text-3xl font-bold text-eco-600 mb-2">
+              {tokenProceeds} {paymentToken.symbol}
+            </div>
+            <div className="text-hedera-600">Available to Withdraw from {paymentToken.symbol} Sales</div>
+            <button
+              onClick={handleWithdrawToken}
+              disabled={loading || tokenProceeds <= 0}
+              className="btn-primary mt-4 inline-flex items-center"
+            >
+              {loading ? (
+                <>
+                  <div className="loading-spinner mr-2"></div>
+                  Withdrawing...
+                </>
+              ) : (
+                `💵 Withdraw ${paymentToken.symbol}`
+              )}
+            </button>
+          </div>
+        )}
+
+        {forwardProceeds !== null && (
+          <div className="card text-center">
+            <div className="text-3xl font-bold text-eco-600 mb-2">
+              {forwardProceeds} HBAR
+            </div>
+            <div className="text-hedera-600">Available from Delivered Forwards</div>
+            <button
+              onClick={handleWithdrawForward}
+              disabled={loading || forwardProceeds <= 0}
+              className="btn-primary mt-4 inline-flex items-center"
+            >
+              {loading ? (
+                <>
+                  <div className="loading-spinner mr-2"></div>
+                  Withdrawing...
+                </>
+              ) : (
+                '📅 Withdraw Forward Proceeds'
+              )}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Earnings per Project */}
+      <div className="card">
+        <h3 className="text-lg font-semibold text-hedera-900 mb-4">
+          Earnings by Project
+        </h3>
+
+        {earnings.projects.length === 0 ? (
+          <p className="text-hedera-600 text-sm">
+            No projects are registered to this developer account yet
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-hedera-200">
+              <thead className="bg-hedera-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">
+                    Project
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">
+                    Location
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">
+                    Credits Sold
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">
+                    Earned
+                  </th>
+                  {paymentToken && (
+                    <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">
+                      {paymentToken.symbol} Price
+                    </th>
+                  )}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-hedera-200">
+                {earnings.projects.map(project => (
+                  <tr key={project.projectId}>
+                    <td className="px-6 py-4 text-sm font-medium text-hedera-900">
+                      {project.projectId}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-hedera-600">
+                      {project.location}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-hedera-900">
+                      {project.creditsSold.toFixed(2)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-eco-600">
+                      {project.earned} HBAR
+                    </td>
+                    {paymentToken && (
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-hedera-900">
+                        <div className="flex items-center space-x-2">
+                          <span className="w-24">
+                            {tokenPrices[project.projectId] > 0
+                              ? `${tokenPrices[project.projectId]} ${paymentToken.symbol}`
+                              : 'Not offered'}
+                          </span>
+                          <input
+                            type="number"
+                            value={tokenPriceInputs[project.projectId] || ''}
+                            onChange={(e) => setTokenPriceInputs(inputs => ({ ...inputs, [project.projectId]: e.target.value }))}
+                            className="input-field w-28"
+                            placeholder="12.50"
+                            step="0.01"
+                            min="0"
+                          />
+                          <button
+                            onClick={() => handleSetTokenPrice(project.projectId)}
+                            disabled={loading || !tokenPriceInputs[project.projectId]}
+                            className="btn-secondary text-xs"
+                          >
+                            Set
+                          </button>
+                        </div>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DeveloperEarnings;
@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
-import hederaClient from '../services/hederaClient';
+import hederaClient, { methodologyCertifier } from '../services/hederaClient';
+import { toUserError } from '../services/errors';
+import { parseCredits, parseHbar, creditPrice, creditsToNumber, tinybarsToHbar, formatHbar } from '../services/amounts';
 
 /**
  * Marketplace Component for Carbon Credit Trading
@@ -7,9 +9,14 @@ import hederaClient from '../services/hederaClient';
  * Features:
  * 1. Live marketplace grid showing available credits
  * 2. Real-time pricing and project information
- * 3. Purchase credits with Hedera Testnet transactions
+ * 3. Purchase credits with Hedera Testnet transactions, paid in HBAR or the configured stablecoin
+ *    - Multi-project cart settled atomically in a single transaction
  * 4. Retire credits with HCS logging for transparency
- * 5. Portfolio tracking with retirement certificates
+ * 5. Portfolio tracking with retirement certificates and mirror node transaction history
+ * 6. Peer-to-peer resale of credits held in market escrow
+ * 7. Pre-orders of future vintages with escrowed payment and pro-rata refunds
+ * 
+ * Failed transactions are shown with the reason and a suggested remedy (see services/errors.js)
  * 
  * All transactions are executed on Hedera Testnet with HashScan verification
  * 
@@ -19,89 +26,171 @@ import hederaClient from '../services/hederaClient';
  * - HCS Topics: https://docs.hedera.com/guides/docs/sdks/consensus
  */
 
+const PROJECTS_PAGE_SIZE = 12;
+const RESALE_PAGE_SIZE = 50;
+const HISTORY_PAGE_SIZE = 10;
+
+// Transaction history filters and the entry types they show
+const HISTORY_FILTERS = {
+  all: { label: 'All activity', types: ['purchase', 'issuance', 'retirement'] },
+  purchase: { label: 'Purchases', types: ['purchase'] },
+  issuance: { label: 'Credits received', types: ['issuance'] },
+  retirement: { label: 'Retirements', types: ['retirement'] }
+};
+
 const Marketplace = ({ accountInfo, onStatsUpdate }) => {
   const [activeTab, setActiveTab] = useState('browse');
   const [projects, setProjects] = useState([]);
   const [userPortfolio, setUserPortfolio] = useState({
     credits: 0,
     retired: 0,
+    batches: [],
+    certificates: [],
     transactions: []
   });
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState({ type: '', content: '' });
   const [selectedProject, setSelectedProject] = useState(null);
   const [purchaseAmount, setPurchaseAmount] = useState('');
+  const [paymentToken, setPaymentToken] = useState(null);
+  const [paymentCurrency, setPaymentCurrency] = useState('HBAR');
+  const [tokenPrices, setTokenPrices] = useState({});
+  const [cart, setCart] = useState([]);
+  const [receipt, setReceipt] = useState(null);
   const [retireAmount, setRetireAmount] = useState('');
   const [retireReason, setRetireReason] = useState('');
+  const [retireBatchId, setRetireBatchId] = useState('');
+  const [retireBeneficiary, setRetireBeneficiary] = useState({
+    name: '',
+    address: '',
+    reportingPeriod: ''
+  });
+  const [projectsPage, setProjectsPage] = useState({ nextOffset: 0, hasMore: false });
+  const [resaleListings, setResaleListings] = useState([]);
+  const [resaleProceeds, setResaleProceeds] = useState(0);
+  const [listingForm, setListingForm] = useState({ batchId: '', amount: '', pricePerCredit: '' });
+  const [selectedListingId, setSelectedListingId] = useState(null);
+  const [resaleBuyAmount, setResaleBuyAmount] = useState('');
+  const [openForwards, setOpenForwards] = useState([]);
+  const [myPreOrders, setMyPreOrders] = useState([]);
+  const [selectedForwardId, setSelectedForwardId] = useState(null);
+  const [preOrderAmount, setPreOrderAmount] = useState('');
+  const [historyFilter, setHistoryFilter] = useState('all');
+  const [historyNext, setHistoryNext] = useState(null);
+  const [historyLoading, setHistoryLoading] = useState(false);
 
   useEffect(() => {
     loadMarketplaceData();
     loadUserPortfolio();
+    loadPaymentToken();
   }, []); // Run once on mount
 
-  const loadMarketplaceData = async () => {
+  // Show a failure with its user-facing reason and suggested remedy
+  const showError = (action, error, note = '') => {
+    const userError = toUserError(error);
+    setMessage({
+      type: 'error',
+      content: `${action}: ${userError.message}${note ? ` ${note}` : ''}`,
+      remedy: userError.remedy
+    });
+  };
+
+  // Refresh the header statistics after a transaction; a failed refresh must not
+  // report the completed transaction as failed
+  const refreshStats = async () => {
+    if (!onStatsUpdate) return;
+    try {
+      onStatsUpdate(await hederaClient.getPlatformStats());
+    } catch (error) {
+      console.error('Failed to refresh platform stats:', error);
+    }
+  };
+
+  // Parse an entered credit amount into contract units (null and an error message when invalid)
+  const readCreditUnits = (value) => {
+    try {
+      return parseCredits(value);
+    } catch (error) {
+      showError('Invalid amount', error);
+      return null;
+    }
+  };
+
+  // Contract units of a credit amount loaded from the contracts
+  const creditUnits = (credits) => parseCredits(credits, { allowZero: true });
+
+  // HBAR price shown on a pay button while an amount is being entered
+  const previewPrice = (value, pricePerCreditTinybars) => {
+    try {
+      return formatHbar(creditPrice(parseCredits(value), pricePerCreditTinybars));
+    } catch (error) {
+      return '0';
+    }
+  };
+
+  const loadPaymentToken = async () => {
+    if (!hederaClient.isTokenPaymentAvailable()) return;
+
+    try {
+      setPaymentToken(await hederaClient.getPaymentToken());
+    } catch (error) {
+      console.error('Failed to load payment token:', error);
+    }
+  };
+
+  const loadMarketplaceData = async (offset = 0) => {
     try {
       console.log('📊 Loading marketplace data...');
       console.log('🔗 HederaClient contract ID:', hederaClient.contractId);
       
-      // Load real projects from the contract
-      const projectPromises = [];
-      
-      // Try to load known project IDs (these should be registered first)
-      const knownProjectIds = ['AMAZON_REDD_2024', 'AMAZON_001', 'SOLAR_001', 'BIOGAS_001'];
+      // Load registered projects straight from the contract registry
+      const { projects: page, total, hasMore } = await hederaClient.listProjects(offset, PROJECTS_PAGE_SIZE);
       
-      console.log('🔍 Searching for projects:', knownProjectIds);
-      
-      for (const projectId of knownProjectIds) {
-        try {
-          console.log(`📋 Checking project: ${projectId}`);
-          const project = await hederaClient.getProject(projectId);
-          console.log(`📄 Project ${projectId} result:`, project);
-          
-          if (project && project.isActive) {
-            console.log(`✅ Found active project: ${projectId}`);
-            projectPromises.push({
-              projectId: project.projectId,
-              projectName: getProjectName(project.projectId),
-              projectType: getProjectType(project.projectId), 
-              location: project.location,
-              methodology: project.methodology,
-              totalCredits: project.totalCredits,
-              availableCredits: project.availableCredits,
-              pricePerCredit: project.pricePerCredit / 1e8, // Convert from tinybars to HBAR
-              developer: project.developer,
-              status: 'approved',
-              description: getProjectDescription(project.projectId),
-              validatedCredits: project.totalCredits,
-              vintage: '2024',
-              certifier: 'Verra',
-              co2Equivalent: '1 credit = 1 ton CO2e'
-            });
-          } else {
-            console.log(`❌ Project ${projectId} not found or inactive`);
-          }
-        } catch (error) {
-          console.log(`❌ Project ${projectId} query failed:`, error.message);
-        }
+      const activeProjects = page.filter(project => project.isActive);
+
+      // Latest vintage issued on-chain per project; null until the first mint
+      const vintages = [];
+      for (const project of activeProjects) {
+        vintages.push(await hederaClient.getCurrentVintage(project.projectId));
       }
+
+      const approvedProjects = activeProjects
+        .map((project, index) => ({
+          projectId: project.projectId,
+          projectName: project.projectId,
+          projectType: 'Carbon Offset',
+          location: project.location,
+          methodology: project.methodology,
+          totalCredits: project.totalCredits,
+          availableCredits: project.availableCredits,
+          pricePerCredit: tinybarsToHbar(project.pricePerCredit),
+          pricePerCreditTinybars: project.pricePerCredit,
+          developer: project.developer,
+          status: 'approved',
+          validatedCredits: project.totalCredits,
+          vintage: vintages[index],
+          certifier: methodologyCertifier(project.methodology),
+          co2Equivalent: '1 credit = 1 ton CO2e'
+        }));
       
-      const approvedProjects = await Promise.all(projectPromises);
+      const loadedProjects = offset === 0 ? approvedProjects : [...projects, ...approvedProjects];
       
-      if (approvedProjects.length === 0) {
+      if (loadedProjects.length === 0) {
         console.log('⚠️ No projects found in blockchain contract.');
         setMessage({ 
           type: 'error', 
           content: 'No projects available for purchase. Real projects need to be registered on the blockchain first through the Admin panel.' 
         });
       } else {
-        console.log(`✅ Loaded ${approvedProjects.length} real blockchain projects`);
+        console.log(`✅ Loaded ${loadedProjects.length} of ${total} registered blockchain projects`);
         setMessage({ 
           type: 'success', 
-          content: `Loaded ${approvedProjects.length} real carbon projects from blockchain` 
+          content: `Loaded ${loadedProjects.length} real carbon projects from blockchain` 
         });
       }
       
-      setProjects(approvedProjects);
+      setProjects(loadedProjects);
+      setProjectsPage({ nextOffset: offset + page.length, hasMore });
     } catch (error) {
       console.error('Failed to load marketplace data:', error);
       setMessage({ 
@@ -111,94 +200,115 @@ const Marketplace = ({ accountInfo, onStatsUpdate }) => {
     }
   };
 
-  // Helper functions to get project metadata
-  const getProjectName = (projectId) => {
-    const names = {
-      'AMAZON_001': 'Amazon Rainforest Conservation',
-      'SOLAR_001': 'Solar Farm Maharashtra', 
-      'BIOGAS_001': 'Community Biogas Program'
-    };
-    return names[projectId] || projectId;
-  };
-
-  const getProjectType = (projectId) => {
-    const types = {
-      'AMAZON_001': 'REDD+',
-      'SOLAR_001': 'Renewable Energy',
-      'BIOGAS_001': 'Biogas'
-    };
-    return types[projectId] || 'Carbon Offset';
-  };
-
-  const getProjectDescription = (projectId) => {
-    const descriptions = {
-      'AMAZON_001': 'Large-scale rainforest conservation project protecting 50,000 hectares of pristine Amazon rainforest.',
-      'SOLAR_001': '100MW solar photovoltaic power project displacing grid electricity.',
-      'BIOGAS_001': 'Small-scale biogas digesters for rural households replacing wood fuel.'
-    };
-    return descriptions[projectId] || 'Carbon credit project verified through Guardian PWE.';
-  };  const loadUserPortfolio = async () => {
+  const loadUserPortfolio = async () => {
     try {
       if (!accountInfo?.accountId) return;
 
       const tokenBalance = await hederaClient.getTokenBalance();
       const retiredBalance = await hederaClient.getRetiredBalance();
-      
-      // Load transaction history from localStorage
-      const transactions = JSON.parse(localStorage.getItem(`transactions_${accountInfo.accountId}`) || '[]');
+      const batches = await hederaClient.getCreditBreakdown();
+      const certificates = await hederaClient.getRetirementCertificates();
 
-      setUserPortfolio({
+      setUserPortfolio(prev => ({
+        ...prev,
         credits: tokenBalance,
         retired: retiredBalance,
-        transactions: transactions.slice(0, 10) // Show last 10 transactions
-      });
+        batches: batches,
+        certificates: certificates
+      }));
+
+      await loadTransactionHistory();
     } catch (error) {
       console.error('Failed to load user portfolio:', error);
     }
   };
 
-  const handlePurchaseCredits = async (project) => {
-    if (!purchaseAmount || parseFloat(purchaseAmount) <= 0) {
-      setMessage({ type: 'error', content: 'Please enter a valid amount' });
-      return;
+  /**
+   * Load the account's transaction history from the mirror node
+   * Without a cursor the first page replaces the list, with one older entries are appended
+   */
+  const loadTransactionHistory = async (filter = historyFilter, next = null) => {
+    if (!accountInfo?.accountId) return;
+
+    // Earlier versions kept a per-browser history in localStorage
+    localStorage.removeItem(`transactions_${accountInfo.accountId}`);
+
+    setHistoryLoading(true);
+    try {
+      const history = await hederaClient.getTransactionHistory({
+        types: HISTORY_FILTERS[filter].types,
+        limit: HISTORY_PAGE_SIZE,
+        next
+      });
+
+      setUserPortfolio(prev => ({
+        ...prev,
+        transactions: next ? [...prev.transactions, ...history.transactions] : history.transactions
+      }));
+      setHistoryNext(history.next);
+    } catch (error) {
+      console.error('Failed to load transaction history:', error);
+      showError('Failed to load transaction history', error);
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
+  const handleHistoryFilterChange = (filter) => {
+    setHistoryFilter(filter);
+    loadTransactionHistory(filter);
+  };
+
+  const loadResaleData = async () => {
+    try {
+      const { listings } = await hederaClient.getResaleListings(0, RESALE_PAGE_SIZE);
+      const proceeds = await hederaClient.getResaleProceeds();
+
+      setResaleListings(listings.filter(listing => listing.isActive));
+      setResaleProceeds(proceeds);
+    } catch (error) {
+      console.error('Failed to load resale listings:', error);
+      showError('Failed to load resale listings', error);
+    }
+  };
+
+  const handleSelectProject = async (project) => {
+    setSelectedProject(project);
+    setPaymentCurrency('HBAR');
+
+    // Offer the stablecoin only for projects priced in it
+    if (paymentToken && tokenPrices[project.projectId] === undefined) {
+      const tokenPrice = await hederaClient.getTokenPrice(project.projectId);
+      setTokenPrices(prices => ({ ...prices, [project.projectId]: tokenPrice }));
     }
+  };
+
+  const handlePurchaseCredits = async (project) => {
+    const units = readCreditUnits(purchaseAmount);
+    if (units === null) return;
 
-    const amount = parseFloat(purchaseAmount);
-    const totalPriceHbar = amount * project.pricePerCredit; // Price in HBAR
-    const totalPriceTinybars = Math.round(totalPriceHbar * 1e8); // Convert to tinybars
+    const amount = creditsToNumber(units);
+    const payInToken = paymentCurrency !== 'HBAR';
+    const totalPriceTinybars = creditPrice(units, project.pricePerCreditTinybars);
+    const totalPriceHbar = formatHbar(totalPriceTinybars);
 
     setLoading(true);
     setMessage({ type: '', content: '' });
 
     try {
-      console.log('💳 Purchasing credits from project:', project.projectId);
+      console.log('💳 Purchasing credits from project:', project.projectId, 'paying in', paymentCurrency);
       console.log('Amount:', amount, 'Price per credit:', project.pricePerCredit, 'Total (HBAR):', totalPriceHbar);
       
       // Execute purchase transaction on Hedera
-      const result = await hederaClient.purchaseCredits(
-        project.projectId,
-        amount,
-        totalPriceTinybars
-      );
+      const result = payInToken
+        ? await hederaClient.purchaseCreditsWithToken(project.projectId, amount)
+        : await hederaClient.purchaseCredits(
+          project.projectId,
+          amount,
+          totalPriceTinybars
+        );
 
       if (result.success) {
-        // Save transaction record
-        const transaction = {
-          id: result.transactionId,
-          type: 'purchase',
-          projectId: project.projectId,
-          projectName: project.projectName,
-          amount: amount,
-          price: totalPriceHbar,
-          timestamp: new Date().toISOString(),
-          hashscanUrl: result.hashscanUrl,
-          status: 'completed'
-        };
-
-        const existingTransactions = JSON.parse(localStorage.getItem(`transactions_${accountInfo.accountId}`) || '[]');
-        const updatedTransactions = [transaction, ...existingTransactions];
-        localStorage.setItem(`transactions_${accountInfo.accountId}`, JSON.stringify(updatedTransactions));
-
         setMessage({
           type: 'success',
           content: `✅ Successfully purchased ${amount} credits! View transaction: ${result.hashscanUrl}`
@@ -207,7 +317,7 @@ const Marketplace = ({ accountInfo, onStatsUpdate }) => {
         // Update project availability (mock)
         const updatedProjects = projects.map(p => 
           p.projectId === project.projectId 
-            ? { ...p, availableCredits: p.availableCredits - amount }
+            ? { ...p, availableCredits: creditsToNumber(creditUnits(p.availableCredits) - units) }
             : p
         );
         setProjects(updatedProjects);
@@ -216,10 +326,7 @@ const Marketplace = ({ accountInfo, onStatsUpdate }) => {
         await loadUserPortfolio();
         
         // Update platform stats
-        if (onStatsUpdate) {
-          const stats = await hederaClient.getPlatformStats();
-          onStatsUpdate(stats);
-        }
+        await refreshStats();
 
         setPurchaseAmount('');
         setSelectedProject(null);
@@ -228,33 +335,127 @@ const Marketplace = ({ accountInfo, onStatsUpdate }) => {
       }
     } catch (error) {
       console.error('Purchase failed:', error);
+      showError('Purchase failed', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAddToCart = (project) => {
+    const units = readCreditUnits(purchaseAmount);
+    if (units === null) return;
+
+    const amount = creditsToNumber(units);
+    const inCart = cart.find(line => line.projectId === project.projectId);
+    const lineUnits = (inCart ? inCart.units : 0n) + units;
+    const lineAmount = creditsToNumber(lineUnits);
+    if (lineUnits > creditUnits(project.availableCredits)) {
+      setMessage({ type: 'error', content: `Only ${project.availableCredits} credits available from ${project.projectName}` });
+      return;
+    }
+
+    setCart(inCart
+      ? cart.map(line => line.projectId === project.projectId ? { ...line, units: lineUnits, amount: lineAmount } : line)
+      : [...cart, {
+        projectId: project.projectId,
+        projectName: project.projectName,
+        units,
+        amount,
+        pricePerCredit: project.pricePerCredit,
+        pricePerCreditTinybars: project.pricePerCreditTinybars
+      }]
+    );
+    setMessage({ type: 'success', content: `Added ${amount} credits from ${project.projectName} to your cart` });
+    setPurchaseAmount('');
+    setSelectedProject(null);
+  };
+
+  const handleRemoveFromCart = (projectId) => {
+    setCart(cart.filter(line => line.projectId !== projectId));
+  };
+
+  const handleCheckout = async () => {
+    if (cart.length === 0) return;
+
+    // Each line is priced and rounded on its own, as purchaseBatch does
+    const lines = cart.map(line => {
+      const priceTinybars = creditPrice(line.units, line.pricePerCreditTinybars);
+      return { ...line, priceTinybars, price: tinybarsToHbar(priceTinybars) };
+    });
+    const totalPriceTinybars = lines.reduce((sum, line) => sum + line.priceTinybars, 0n);
+    const totalPriceHbar = tinybarsToHbar(totalPriceTinybars);
+
+    setLoading(true);
+    setMessage({ type: '', content: '' });
+
+    try {
+      console.log('🛒 Checking out cart:', lines.length, 'lines, total (HBAR):', totalPriceHbar);
+
+      // Every line settles in one transaction, or none do
+      const result = await hederaClient.purchaseBatch(lines, totalPriceTinybars);
+
+      if (!result.success) {
+        throw new Error('Checkout transaction failed');
+      }
+
+      const totalCredits = creditsToNumber(lines.reduce((sum, line) => sum + line.units, 0n));
+      const timestamp = new Date().toISOString();
+
+      setReceipt({
+        transactionId: result.transactionId,
+        hashscanUrl: result.hashscanUrl,
+        lines,
+        totalCredits,
+        totalPriceHbar,
+        timestamp
+      });
       setMessage({
-        type: 'error',
-        content: `Purchase failed: ${error.message}`
+        type: 'success',
+        content: `✅ Purchased ${totalCredits} credits from ${lines.length} projects in one transaction. View transaction: ${result.hashscanUrl}`
       });
+
+      // Update project availability (mock)
+      setProjects(projects.map(p => {
+        const line = lines.find(l => l.projectId === p.projectId);
+        return line ? { ...p, availableCredits: creditsToNumber(creditUnits(p.availableCredits) - line.units) } : p;
+      }));
+      setCart([]);
+
+      // Refresh portfolio
+      await loadUserPortfolio();
+
+      // Update platform stats
+      await refreshStats();
+    } catch (error) {
+      console.error('Checkout failed:', error);
+      showError('Checkout failed', error, 'No credits were purchased.');
     } finally {
       setLoading(false);
     }
   };
 
   const handleRetireCredits = async () => {
-    if (!retireAmount || parseFloat(retireAmount) <= 0) {
-      setMessage({ type: 'error', content: 'Please enter a valid amount to retire' });
-      return;
-    }
+    const units = readCreditUnits(retireAmount);
+    if (units === null) return;
 
     if (!retireReason.trim()) {
       setMessage({ type: 'error', content: 'Please provide a reason for retirement' });
       return;
     }
 
-    const amount = parseFloat(retireAmount);
+    const amount = creditsToNumber(units);
+    const retireBatch = userPortfolio.batches.find(b => String(b.batchId) === retireBatchId);
 
-    if (amount > userPortfolio.credits) {
+    if (amount > (retireBatch ? retireBatch.balance : userPortfolio.credits)) {
       setMessage({ type: 'error', content: 'Insufficient credits to retire' });
       return;
     }
 
+    if (retireBeneficiary.address && !/^0x[0-9a-fA-F]{40}$/.test(retireBeneficiary.address)) {
+      setMessage({ type: 'error', content: 'Beneficiary address must be a 0x-prefixed EVM address' });
+      return;
+    }
+
     setLoading(true);
     setMessage({ type: '', content: '' });
 
@@ -262,55 +463,268 @@ const Marketplace = ({ accountInfo, onStatsUpdate }) => {
       console.log('🔥 Retiring credits:', amount);
       
       // Execute retirement transaction with HCS logging
-      const result = await hederaClient.retireCredits(amount, retireReason);
+      const result = await hederaClient.retireCredits(amount, retireReason, {
+        batchId: retireBatch?.batchId,
+        beneficiaryName: retireBeneficiary.name.trim(),
+        beneficiaryAddress: retireBeneficiary.address || null,
+        reportingPeriod: retireBeneficiary.reportingPeriod.trim()
+      });
 
       if (result.success) {
-        // Save retirement record
-        const retirement = {
-          id: result.transactionId,
-          type: 'retirement',
-          amount: amount,
-          reason: retireReason,
-          timestamp: new Date().toISOString(),
-          hashscanUrl: result.hashscanUrl,
-          status: 'retired',
-          certificate: `ECCX-RETIRE-${result.transactionId.slice(-8)}`
-        };
-
-        const existingTransactions = JSON.parse(localStorage.getItem(`transactions_${accountInfo.accountId}`) || '[]');
-        const updatedTransactions = [retirement, ...existingTransactions];
-        localStorage.setItem(`transactions_${accountInfo.accountId}`, JSON.stringify(updatedTransactions));
+        const certificateLabels = result.certificates.map(c => formatCertificateId(c.certificateId));
 
         setMessage({
           type: 'success',
-          content: `🎉 Successfully retired ${amount} credits! Certificate: ${retirement.certificate}. View on HashScan: ${result.hashscanUrl}`
+          content: `🎉 Successfully retired ${amount} credits${result.relayed ? ' (gas paid by relayer)' : ''}! Certificate: ${certificateLabels.join(', ')}. View on HashScan: ${result.hashscanUrl}`,
+          remedy: result.hcsLog ? undefined : 'The retirement is recorded on-chain but could not be logged to the HCS retirement feed.'
         });
 
         // Refresh portfolio
         await loadUserPortfolio();
         
         // Update platform stats
-        if (onStatsUpdate) {
-          const stats = await hederaClient.getPlatformStats();
-          onStatsUpdate(stats);
-        }
+        await refreshStats();
 
         setRetireAmount('');
         setRetireReason('');
+        setRetireBatchId('');
+        setRetireBeneficiary({ name: '', address: '', reportingPeriod: '' });
       } else {
         throw new Error('Retirement transaction failed');
       }
     } catch (error) {
       console.error('Retirement failed:', error);
+      showError('Retirement failed', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreateListing = async () => {
+    let amount;
+    let pricePerCredit;
+    try {
+      amount = creditsToNumber(parseCredits(listingForm.amount));
+      pricePerCredit = formatHbar(parseHbar(listingForm.pricePerCredit, { label: 'Price per credit' }));
+    } catch (error) {
+      showError('Invalid listing', error);
+      return;
+    }
+
+    const listingBatch = userPortfolio.batches.find(b => String(b.batchId) === listingForm.batchId);
+    if (!listingBatch) {
+      setMessage({ type: 'error', content: 'Select the batch to list credits from' });
+      return;
+    }
+
+    if (amount > listingBatch.balance) {
+      setMessage({ type: 'error', content: 'Insufficient credits in this batch to list' });
+      return;
+    }
+
+    setLoading(true);
+    setMessage({ type: '', content: '' });
+
+    try {
+      const result = await hederaClient.createResaleListing(listingBatch.batchId, amount, pricePerCredit);
+
+      if (!result.success) {
+        throw new Error('Listing transaction failed');
+      }
+
+      setMessage({
+        type: 'success',
+        content: `✅ Listed ${amount} ${listingBatch.projectId} vintage ${listingBatch.vintage} credits at ${pricePerCredit} HBAR each. Credits are held in escrow until sold or cancelled. View transaction: ${result.hashscanUrl}`
+      });
+
+      setListingForm({ batchId: '', amount: '', pricePerCredit: '' });
+      await loadResaleData();
+      await loadUserPortfolio();
+    } catch (error) {
+      console.error('Listing failed:', error);
+      showError('Listing failed', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBuyListing = async (listing) => {
+    const units = readCreditUnits(resaleBuyAmount);
+    if (units === null) return;
+
+    const amount = creditsToNumber(units);
+    if (amount > listing.remaining) {
+      setMessage({ type: 'error', content: `Only ${listing.remaining} credits remain in this listing` });
+      return;
+    }
+
+    const totalPriceTinybars = creditPrice(units, listing.pricePerCredit);
+    const totalPriceHbar = formatHbar(totalPriceTinybars);
+
+    setLoading(true);
+    setMessage({ type: '', content: '' });
+
+    try {
+      const result = await hederaClient.buyResaleListing(listing.listingId, amount, totalPriceTinybars);
+
+      if (!result.success) {
+        throw new Error('Resale purchase transaction failed');
+      }
+
+      setMessage({
+        type: 'success',
+        content: `✅ Bought ${amount} credits from listing #${listing.listingId} for ${totalPriceHbar} HBAR! View transaction: ${result.hashscanUrl}`
+      });
+
+      setSelectedListingId(null);
+      setResaleBuyAmount('');
+      await loadResaleData();
+      await loadUserPortfolio();
+    } catch (error) {
+      console.error('Resale purchase failed:', error);
+      showError('Resale purchase failed', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancelListing = async (listingId) => {
+    setLoading(true);
+    setMessage({ type: '', content: '' });
+
+    try {
+      const result = await hederaClient.cancelResaleListing(listingId);
+
+      if (!result.success) {
+        throw new Error('Cancel transaction failed');
+      }
+
+      setMessage({
+        type: 'success',
+        content: `✅ Listing #${listingId} cancelled and unsold credits returned. View transaction: ${result.hashscanUrl}`
+      });
+
+      await loadResaleData();
+      await loadUserPortfolio();
+    } catch (error) {
+      console.error('Cancel listing failed:', error);
+      showError('Cancel listing failed', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleWithdrawResaleProceeds = async () => {
+    setLoading(true);
+    setMessage({ type: '', content: '' });
+
+    try {
+      const result = await hederaClient.withdrawResaleProceeds();
+
+      if (!result.success) {
+        throw new Error('Withdrawal transaction failed');
+      }
+
+      setMessage({
+        type: 'success',
+        content: `✅ Withdrew ${resaleProceeds} HBAR of resale proceeds. View transaction: ${result.hashscanUrl}`
+      });
+
+      await loadResaleData();
+    } catch (error) {
+      console.error('Withdrawal failed:', error);
+      showError('Withdrawal failed', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadPreOrderData = async () => {
+    try {
+      const { forwards } = await hederaClient.getForwards(0, RESALE_PAGE_SIZE);
+      const preOrders = await hederaClient.getMyPreOrders();
+
+      setOpenForwards(forwards.filter(forward => forward.status === 'Open' && forward.sold < forward.amount));
+      setMyPreOrders(preOrders);
+    } catch (error) {
+      console.error('Failed to load forwards:', error);
+      showError('Failed to load pre-orders', error);
+    }
+  };
+
+  const handlePreOrder = async (forward) => {
+    const units = readCreditUnits(preOrderAmount);
+    if (units === null) return;
+
+    const amount = creditsToNumber(units);
+    const remainingUnits = creditUnits(forward.amount) - creditUnits(forward.sold);
+    if (units > remainingUnits) {
+      setMessage({ type: 'error', content: `Only ${creditsToNumber(remainingUnits)} credits remain in this forward` });
+      return;
+    }
+
+    const totalPriceTinybars = creditPrice(units, parseHbar(forward.pricePerCredit));
+    const totalPriceHbar = formatHbar(totalPriceTinybars);
+
+    setLoading(true);
+    setMessage({ type: '', content: '' });
+
+    try {
+      const result = await hederaClient.preOrderForward(forward.forwardId, amount, totalPriceTinybars);
+
+      if (!result.success) {
+        throw new Error('Pre-order transaction failed');
+      }
+
+      setMessage({
+        type: 'success',
+        content: `📅 Pre-ordered ${amount} vintage ${forward.vintage} credits. Your ${totalPriceHbar} HBAR is held in escrow until delivery. View transaction: ${result.hashscanUrl}`
+      });
+      setSelectedForwardId(null);
+      setPreOrderAmount('');
+      await loadPreOrderData();
+    } catch (error) {
+      console.error('Pre-order failed:', error);
+      showError('Pre-order failed', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleClaimPreOrder = async (preOrder) => {
+    setLoading(true);
+    setMessage({ type: '', content: '' });
+
+    try {
+      const result = await hederaClient.claimForward(preOrder.forwardId);
+
+      if (!result.success) {
+        throw new Error('Claim transaction failed');
+      }
+
+      const claimed = [
+        preOrder.creditsDue > 0 && `${preOrder.creditsDue} credits`,
+        preOrder.refundDue > 0 && `a ${preOrder.refundDue} HBAR refund`
+      ].filter(Boolean).join(' and ');
+
       setMessage({
-        type: 'error',
-        content: `Retirement failed: ${error.message}`
+        type: 'success',
+        content: `✅ Claimed ${claimed} from forward #${preOrder.forwardId}. View transaction: ${result.hashscanUrl}`
       });
+      await loadPreOrderData();
+      await loadUserPortfolio();
+    } catch (error) {
+      console.error('Claim failed:', error);
+      showError('Claim failed', error);
     } finally {
       setLoading(false);
     }
   };
 
+  const formatCertificateId = (certificateId) => {
+    return `ECCX-CERT-${String(certificateId).padStart(6, '0')}`;
+  };
+
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
@@ -318,6 +732,14 @@ const Marketplace = ({ accountInfo, onStatsUpdate }) => {
     }).format(amount);
   };
 
+  const formatPurchasePrice = (project) => {
+    const amount = parseFloat(purchaseAmount || 0);
+    if (paymentCurrency === 'HBAR') {
+      return formatCurrency(Number(previewPrice(purchaseAmount, project.pricePerCreditTinybars)));
+    }
+    return `${(amount * tokenPrices[project.projectId]).toFixed(2)} ${paymentCurrency}`;
+  };
+
   const getProjectTypeIcon = (type) => {
     const icons = {
       'REDD+': '🌳',
@@ -385,6 +807,34 @@ const Marketplace = ({ accountInfo, onStatsUpdate }) => {
           >
             Retire Credits
           </button>
+          <button
+            onClick={() => {
+              setActiveTab('resale');
+              loadResaleData();
+            }}
+            className={`py-2 px-1 border-b-2 font-medium text-sm ${
+              activeTab === 'resale'
+                ? 'border-eco-500 text-eco-600'
+                : 'border-transparent text-hedera-500 hover:text-hedera-700 hover:border-hedera-300'
+            }`}
+          >
+            Resale
+          </button>
+          {hederaClient.isForwardSaleAvailable() && (
+            <button
+              onClick={() => {
+                setActiveTab('preorders');
+                loadPreOrderData();
+              }}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'preorders'
+                  ? 'border-eco-500 text-eco-600'
+                  : 'border-transparent text-hedera-500 hover:text-hedera-700 hover:border-hedera-300'
+              }`}
+            >
+              Pre-orders
+            </button>
+          )}
         </nav>
       </div>
 
@@ -398,6 +848,9 @@ const Marketplace = ({ accountInfo, onStatsUpdate }) => {
           <div className="flex">
             <div className="ml-3">
               <p className="text-sm break-all">{message.content}</p>
+              {message.remedy && (
+                <p className="text-sm mt-1">💡 {message.remedy}</p>
+              )}
             </div>
           </div>
         </div>
@@ -406,6 +859,104 @@ const Marketplace = ({ accountInfo, onStatsUpdate }) => {
       {/* Tab Content */}
       {activeTab === 'browse' && (
         <div className="space-y-6">
+          {/* Cart */}
+          {cart.length > 0 && (
+            <div className="card">
+              <h3 className="text-lg font-semibold text-hedera-900 mb-4">
+                🛒 Cart ({cart.length} {cart.length === 1 ? 'project' : 'projects'})
+              </h3>
+              <div className="space-y-2">
+                {cart.map(line => (
+                  <div key={line.projectId} className="flex justify-between items-center text-sm">
+                    <span className="font-medium text-hedera-900">{line.projectName}</span>
+                    <div className="flex items-center space-x-4">
+                      <span className="text-hedera-600">{line.amount} credits</span>
+                      <span className="text-hedera-900">{formatCurrency(tinybarsToHbar(creditPrice(line.units, line.pricePerCreditTinybars)))}</span>
+                      <button
+                        onClick={() => handleRemoveFromCart(line.projectId)}
+                        disabled={loading}
+                        className="text-red-600 hover:text-red-700 text-xs"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+              <div className="border-t border-hedera-200 mt-3 pt-3 flex justify-between items-center">
+                <span className="font-medium">
+                  Total: {formatCurrency(tinybarsToHbar(cart.reduce((sum, line) => sum + creditPrice(line.units, line.pricePerCreditTinybars), 0n)))}
+                </span>
+                <button
+                  onClick={handleCheckout}
+                  disabled={loading}
+                  className="btn-primary inline-flex items-center"
+                >
+                  {loading ? (
+                    <>
+                      <div className="loading-spinner mr-2"></div>
+                      Processing...
+                    </>
+                  ) : (
+                    '💳 Checkout'
+                  )}
+                </button>
+              </div>
+              <p className="text-xs text-hedera-500 mt-2">
+                All lines settle in one transaction; if any line fails, nothing is purchased
+              </p>
+            </div>
+          )}
+
+          {/* Receipt of the last checkout */}
+          {receipt && (
+            <div className="card border border-eco-200">
+              <div className="flex justify-between items-start mb-4">
+                <div>
+                  <h3 className="text-lg font-semibold text-hedera-900">🧾 Purchase Receipt</h3>
+                  <p className="text-xs text-hedera-500 font-mono break-all">{receipt.transactionId}</p>
+                </div>
+                <button onClick={() => setReceipt(null)} className="btn-secondary text-xs">
+                  Close
+                </button>
+              </div>
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-hedera-500 uppercase">
+                    <th className="py-1">Project</th>
+                    <th className="py-1">Credits</th>
+                    <th className="py-1 text-right">Price</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {receipt.lines.map(line => (
+                    <tr key={line.projectId}>
+                      <td className="py-1 text-hedera-900">{line.projectName}</td>
+                      <td className="py-1 text-hedera-600">{line.amount}</td>
+                      <td className="py-1 text-right text-hedera-900">{formatCurrency(line.price)}</td>
+                    </tr>
+                  ))}
+                  <tr className="border-t border-hedera-200 font-medium">
+                    <td className="py-1">Total</td>
+                    <td className="py-1">{receipt.totalCredits}</td>
+                    <td className="py-1 text-right">{formatCurrency(receipt.totalPriceHbar)}</td>
+                  </tr>
+                </tbody>
+              </table>
+              <div className="flex justify-between items-center mt-3 text-xs text-hedera-500">
+                <span>{new Date(receipt.timestamp).toLocaleString()}</span>
+                <a
+                  href={receipt.hashscanUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-eco-600 hover:text-eco-700 font-medium"
+                >
+                  HashScan ↗
+                </a>
+              </div>
+            </div>
+          )}
+
           {projects.length === 0 ? (
             <div className="text-center py-12">
               <div className="w-16 h-16 bg-eco-100 rounded-full flex items-center justify-center mx-auto mb-4">
@@ -436,14 +987,12 @@ const Marketplace = ({ accountInfo, onStatsUpdate }) => {
                   <div className="space-y-2 text-sm text-hedera-600 mb-4">
                     <p><span className="font-medium">Location:</span> {project.location}</p>
                     <p><span className="font-medium">Methodology:</span> {project.methodology}</p>
-                    <p><span className="font-medium">Vintage:</span> {project.vintage || '2024'}</p>
-                    <p><span className="font-medium">Certifier:</span> {project.certifier || 'Verra'}</p>
+                    <p><span className="font-medium">Vintage:</span> {project.vintage || 'Not yet issued'}</p>
+                    {project.certifier && (
+                      <p><span className="font-medium">Certifier:</span> {project.certifier}</p>
+                    )}
                   </div>
 
-                  <p className="text-sm text-hedera-700 mb-4">
-                    {project.description}
-                  </p>
-
                   {/* Availability */}
                   <div className="bg-eco-50 rounded-lg p-3 mb-4">
                     <div className="flex justify-between items-center mb-2">
@@ -472,6 +1021,14 @@ const Marketplace = ({ accountInfo, onStatsUpdate }) => {
                       {formatCurrency(project.pricePerCredit)}
                     </span>
                   </div>
+                  {paymentToken && tokenPrices[project.projectId] > 0 && (
+                    <div className="flex justify-between items-center -mt-3 mb-4 text-sm text-hedera-600">
+                      <span>or in {paymentToken.symbol}</span>
+                      <span className="font-medium">
+                        {tokenPrices[project.projectId]} {paymentToken.symbol}
+                      </span>
+                    </div>
+                  )}
 
                   {/* Purchase Interface */}
                   {selectedProject?.projectId === project.projectId ? (
@@ -491,6 +1048,22 @@ const Marketplace = ({ accountInfo, onStatsUpdate }) => {
                           max={project.availableCredits}
                         />
                       </div>
+
+                      {paymentToken && tokenPrices[project.projectId] > 0 && (
+                        <div>
+                          <label className="block text-sm font-medium text-hedera-700 mb-1">
+                            Pay with
+                          </label>
+                          <select
+                            value={paymentCurrency}
+                            onChange={(e) => setPaymentCurrency(e.target.value)}
+                            className="input-field"
+                          >
+                            <option value="HBAR">HBAR</option>
+                            <option value={paymentToken.symbol}>{paymentToken.symbol}</option>
+                          </select>
+                        </div>
+                      )}
                       
                       {purchaseAmount && (
                         <div className="bg-hedera-50 rounded-lg p-3">
@@ -500,12 +1073,17 @@ const Marketplace = ({ accountInfo, onStatsUpdate }) => {
                           </div>
                           <div className="flex justify-between text-sm">
                             <span>Price:</span>
-                            <span>{formatCurrency(parseFloat(purchaseAmount || 0) * project.pricePerCredit)}</span>
+                            <span>{formatPurchasePrice(project)}</span>
                           </div>
                           <div className="border-t border-hedera-200 mt-2 pt-2 flex justify-between font-medium">
                             <span>Total:</span>
-                            <span>{formatCurrency(parseFloat(purchaseAmount || 0) * project.pricePerCredit)}</span>
+                            <span>{formatPurchasePrice(project)}</span>
                           </div>
+                          {paymentCurrency !== 'HBAR' && (
+                            <p className="text-xs text-hedera-500 mt-2">
+                              You will approve {paymentCurrency} for this amount, then confirm the purchase
+                            </p>
+                          )}
                         </div>
                       )}
 
@@ -524,6 +1102,15 @@ const Marketplace = ({ accountInfo, onStatsUpdate }) => {
                             '💳 Purchase'
                           )}
                         </button>
+                        {paymentCurrency === 'HBAR' && (
+                          <button
+                            onClick={() => handleAddToCart(project)}
+                            disabled={loading || !purchaseAmount}
+                            className="btn-secondary"
+                          >
+                            + Cart
+                          </button>
+                        )}
                         <button
                           onClick={() => setSelectedProject(null)}
                           className="btn-secondary"
@@ -534,17 +1121,29 @@ const Marketplace = ({ accountInfo, onStatsUpdate }) => {
                     </div>
                   ) : (
                     <button
-                      onClick={() => setSelectedProject(project)}
+                      onClick={() => handleSelectProject(project)}
                       className="btn-primary w-full"
-                      disabled={!project.availableCredits || project.availableCredits <= 0}
+                      disabled={!project.vintage || !project.availableCredits || project.availableCredits <= 0}
                     >
-                      🛒 Buy Credits
+                      {/* Sales are issued under the latest minted vintage */}
+                      {project.vintage ? '🛒 Buy Credits' : 'On sale after the first issuance'}
                     </button>
                   )}
                 </div>
               ))}
             </div>
           )}
+
+          {projectsPage.hasMore && (
+            <div className="text-center">
+              <button
+                onClick={() => loadMarketplaceData(projectsPage.nextOffset)}
+                className="btn-secondary"
+              >
+                Load More Projects
+              </button>
+            </div>
+          )}
         </div>
       )}
 
@@ -583,21 +1182,127 @@ const Marketplace = ({ accountInfo, onStatsUpdate }) => {
             </div>
           </div>
 
-          {/* Transaction History */}
+          {/* Holdings by Batch */}
+          <div className="card">
+            <h3 className="text-lg font-semibold text-hedera-900 mb-4">
+              Holdings by Project & Vintage
+            </h3>
+
+            {userPortfolio.batches.length === 0 ? (
+              <p className="text-hedera-600 text-sm">No credit batches held</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-hedera-200">
+                  <thead className="bg-hedera-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">
+                        Project
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">
+                        Vintage
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">
+                        Batch / Serials
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">
+                        Balance
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-hedera-200">
+                    {userPortfolio.batches.map(batch => (
+                      <tr key={batch.batchId}>
+                        <td className="px-6 py-4 text-sm font-medium text-hedera-900">
+                          {batch.projectId}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-hedera-900">
+                          {batch.vintage}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-hedera-500">
+                          #{batch.batchId}
+                          <div className="text-xs font-mono">
+                            {batch.serialStart}–{batch.serialEnd}
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-hedera-900">
+                          {batch.balance.toFixed(2)} ECCX
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* Retirement Certificates */}
           <div className="card">
             <h3 className="text-lg font-semibold text-hedera-900 mb-4">
-              Recent Transactions
+              Retirement Certificates
             </h3>
 
+            {userPortfolio.certificates.length === 0 ? (
+              <p className="text-hedera-600 text-sm">No retirement certificates yet</p>
+            ) : (
+              <div className="space-y-3">
+                {userPortfolio.certificates.map(cert => (
+                  <div key={cert.certificateId} className="border border-hedera-200 rounded-lg p-3 text-sm">
+                    <div className="flex justify-between items-center mb-1">
+                      <span className="font-mono font-medium text-hedera-900">
+                        {formatCertificateId(cert.certificateId)}
+                      </span>
+                      <span className="font-bold text-orange-600">{cert.amount.toFixed(2)} ECCX</span>
+                    </div>
+                    <div className="text-hedera-600 space-y-1">
+                      <p><span className="font-medium">Beneficiary:</span> {cert.beneficiaryName || cert.beneficiary || 'Self'}</p>
+                      <p><span className="font-medium">Project:</span> {cert.projectId} (batch #{cert.batchId})</p>
+                      {cert.reportingPeriod && (
+                        <p><span className="font-medium">Reporting Period:</span> {cert.reportingPeriod}</p>
+                      )}
+                      <p><span className="font-medium">Retired:</span> {new Date(cert.timestamp).toLocaleDateString()}</p>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Transaction History (from the mirror node) */}
+          <div className="card">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-hedera-900">
+                Recent Transactions
+              </h3>
+              <select
+                value={historyFilter}
+                onChange={(e) => handleHistoryFilterChange(e.target.value)}
+                className="input-field w-auto text-sm"
+              >
+                {Object.entries(HISTORY_FILTERS).map(([key, filter]) => (
+                  <option key={key} value={key}>{filter.label}</option>
+                ))}
+              </select>
+            </div>
+
             {userPortfolio.transactions.length === 0 ? (
               <div className="text-center py-8">
                 <div className="w-12 h-12 bg-hedera-100 rounded-full flex items-center justify-center mx-auto mb-3">
                   <span className="text-hedera-600 text-xl">📊</span>
                 </div>
-                <p className="text-hedera-600">No transactions yet</p>
+                <p className="text-hedera-600">
+                  {historyLoading ? 'Loading transactions...' : 'No transactions yet'}
+                </p>
                 <p className="text-sm text-hedera-500 mt-1">
                   Purchase or retire credits to see activity
                 </p>
+                {!historyLoading && historyNext && (
+                  <button
+                    onClick={() => loadTransactionHistory(historyFilter, historyNext)}
+                    className="btn-secondary text-sm mt-3"
+                  >
+                    Search older activity
+                  </button>
+                )}
               </div>
             ) : (
               <div className="overflow-x-auto">
@@ -625,17 +1330,19 @@ const Marketplace = ({ accountInfo, onStatsUpdate }) => {
                     {userPortfolio.transactions.map(tx => (
                       <tr key={tx.id}>
                         <td className="px-6 py-4 whitespace-nowrap">
-                          <span className={`badge-${tx.type === 'purchase' ? 'success' : 'warning'} text-xs`}>
-                            {tx.type === 'purchase' ? '💳 Purchase' : '🔥 Retirement'}
+                          <span className={`badge-${tx.type === 'retirement' ? 'warning' : 'success'} text-xs`}>
+                            {tx.type === 'purchase' && '💳 Purchase'}
+                            {tx.type === 'issuance' && '🌱 Received'}
+                            {tx.type === 'retirement' && '🔥 Retirement'}
                           </span>
                         </td>
                         <td className="px-6 py-4">
                           <div className="text-sm font-medium text-hedera-900">
                             {tx.projectName || tx.reason || 'Unknown'}
                           </div>
-                          {tx.certificate && (
+                          {tx.methodology && (
                             <div className="text-xs text-hedera-500">
-                              Cert: {tx.certificate}
+                              {tx.methodology}
                             </div>
                           )}
                         </td>
@@ -643,7 +1350,9 @@ const Marketplace = ({ accountInfo, onStatsUpdate }) => {
                           {tx.amount} credits
                           {tx.price && (
                             <div className="text-xs text-hedera-500">
-                              {formatCurrency(tx.price)}
+                              {tx.currency && tx.currency !== 'HBAR'
+                                ? `${tx.price} ${tx.currency}`
+                                : formatCurrency(tx.price)}
                             </div>
                           )}
                         </td>
@@ -664,6 +1373,18 @@ const Marketplace = ({ accountInfo, onStatsUpdate }) => {
                     ))}
                   </tbody>
                 </table>
+
+                {historyNext && (
+                  <div className="text-center mt-4">
+                    <button
+                      onClick={() => loadTransactionHistory(historyFilter, historyNext)}
+                      disabled={historyLoading}
+                      className="btn-secondary text-sm"
+                    >
+                      {historyLoading ? 'Loading...' : 'Load older transactions'}
+                    </button>
+                  </div>
+                )}
               </div>
             )}
           </div>
@@ -694,6 +1415,24 @@ const Marketplace = ({ accountInfo, onStatsUpdate }) => {
             </div>
 
             <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-hedera-700 mb-1">
+                  Source Batch
+                </label>
+                <select
+                  value={retireBatchId}
+                  onChange={(e) => setRetireBatchId(e.target.value)}
+                  className="input-field"
+                >
+                  <option value="">Any batch</option>
+                  {userPortfolio.batches.map(batch => (
+                    <option key={batch.batchId} value={String(batch.batchId)}>
+                      {batch.projectId} • Vintage {batch.vintage} • #{batch.batchId} ({batch.balance.toFixed(2)} ECCX)
+                    </option>
+                  ))}
+                </select>
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-hedera-700 mb-1">
                   Amount to Retire *
@@ -729,6 +1468,50 @@ const Marketplace = ({ accountInfo, onStatsUpdate }) => {
                 </p>
               </div>
 
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-hedera-700 mb-1">
+                    Beneficiary Name
+                  </label>
+                  <input
+                    type="text"
+                    value={retireBeneficiary.name}
+                    onChange={(e) => setRetireBeneficiary(prev => ({ ...prev, name: e.target.value }))}
+                    className="input-field"
+                    placeholder="e.g., Acme Corp"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-hedera-700 mb-1">
+                    Reporting Period
+                  </label>
+                  <input
+                    type="text"
+                    value={retireBeneficiary.reportingPeriod}
+                    onChange={(e) => setRetireBeneficiary(prev => ({ ...prev, reportingPeriod: e.target.value }))}
+                    className="input-field"
+                    placeholder="e.g., FY2024"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-hedera-700 mb-1">
+                  Beneficiary Address
+                </label>
+                <input
+                  type="text"
+                  value={retireBeneficiary.address}
+                  onChange={(e) => setRetireBeneficiary(prev => ({ ...prev, address: e.target.value.trim() }))}
+                  className="input-field font-mono text-sm"
+                  placeholder="0x... (optional)"
+                />
+                <p className="text-xs text-hedera-500 mt-1">
+                  Leave beneficiary fields empty to retire on your own behalf
+                </p>
+              </div>
+
               {retireAmount && retireReason && (
                 <div className="bg-orange-50 border border-orange-200 rounded-lg p-4">
                   <h4 className="font-medium text-orange-800 mb-2">Retirement Summary</h4>
@@ -736,6 +1519,9 @@ const Marketplace = ({ accountInfo, onStatsUpdate }) => {
                     <p><span className="font-medium">Amount:</span> {retireAmount} credits</p>
                     <p><span className="font-medium">CO2 Impact:</span> ~{retireAmount} tons CO2e</p>
                     <p><span className="font-medium">Reason:</span> {retireReason}</p>
+                    {retireBeneficiary.name && (
+                      <p><span className="font-medium">On behalf of:</span> {retireBeneficiary.name}</p>
+                    )}
                     <p><span className="font-medium">Action:</span> Permanent retirement (irreversible)</p>
                   </div>
                 </div>
@@ -763,10 +1549,350 @@ const Marketplace = ({ accountInfo, onStatsUpdate }) => {
 
               <div className="text-xs text-hedera-500 text-center">
                 <p>⚠️ Retirement is permanent and cannot be reversed</p>
-                <p>A retirement certificate will be generated and logged to HCS</p>
+                <p>A sequential on-chain retirement certificate will be issued and logged to HCS</p>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {activeTab === 'resale' && (
+        <div className="space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {/* Create Listing */}
+            <div className="card">
+              <h3 className="text-lg font-semibold text-hedera-900 mb-4">
+                List Credits for Resale
+              </h3>
+
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-hedera-700 mb-1">
+                    Source Batch
+                  </label>
+                  <select
+                    value={listingForm.batchId}
+                    onChange={(e) => setListingForm(prev => ({ ...prev, batchId: e.target.value }))}
+                    className="input-field"
+                  >
+                    <option value="">Select a batch</option>
+                    {userPortfolio.batches.map(batch => (
+                      <option key={batch.batchId} value={String(batch.batchId)}>
+                        {batch.projectId} • Vintage {batch.vintage} • #{batch.batchId} ({batch.balance.toFixed(2)} ECCX)
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-hedera-700 mb-1">
+                    Amount (credits)
+                  </label>
+                  <input
+                    type="number"
+                    value={listingForm.amount}
+                    onChange={(e) => setListingForm(prev => ({ ...prev, amount: e.target.value }))}
+                    className="input-field"
+                    placeholder="0.01"
+                    step="0.01"
+                    min="0.01"
+                  />
+                  <p className="text-xs text-hedera-500 mt-1">
+                    Available: {(userPortfolio.batches.find(b => String(b.batchId) === listingForm.batchId)?.balance ?? userPortfolio.credits).toFixed(2)} credits
+                  </p>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-hedera-700 mb-1">
+                    Price per Credit (HBAR)
+                  </label>
+                  <input
+                    type="number"
+                    value={listingForm.pricePerCredit}
+                    onChange={(e) => setListingForm(prev => ({ ...prev, pricePerCredit: e.target.value }))}
+                    className="input-field"
+                    placeholder="25"
+                    step="0.01"
+                    min="0.01"
+                  />
+                </div>
+
+                <button
+                  onClick={handleCreateListing}
+                  disabled={loading || !listingForm.batchId || !listingForm.amount || !listingForm.pricePerCredit}
+                  className="btn-primary w-full flex justify-center items-center"
+                >
+                  {loading ? (
+                    <>
+                      <div className="loading-spinner mr-2"></div>
+                      Processing...
+                    </>
+                  ) : (
+                    '🏷️ Create Listing'
+                  )}
+                </button>
+                <p className="text-xs text-hedera-500 text-center">
+                  Listed credits are held in escrow by the market contract until sold or cancelled
+                </p>
+              </div>
+            </div>
+
+            {/* Resale Proceeds */}
+            <div className="card text-center">
+              <h3 className="text-lg font-semibold text-hedera-900 mb-4">
+                Resale Proceeds
+              </h3>
+              <div className="text-3xl font-bold text-eco-600 mb-2">
+                {resaleProceeds} HBAR
               </div>
+              <div className="text-hedera-600">Available to Withdraw</div>
+              <button
+                onClick={handleWithdrawResaleProceeds}
+                disabled={loading || resaleProceeds <= 0}
+                className="btn-secondary mt-4"
+              >
+                💰 Withdraw Proceeds
+              </button>
             </div>
           </div>
+
+          {/* Active Listings */}
+          <div className="card">
+            <h3 className="text-lg font-semibold text-hedera-900 mb-4">
+              Active Listings
+            </h3>
+
+            {resaleListings.length === 0 ? (
+              <p className="text-hedera-600 text-sm">
+                No credits are listed for resale right now
+              </p>
+            ) : (
+              <div className="space-y-3">
+                {resaleListings.map(listing => (
+                  <div key={listing.listingId} className="border border-hedera-200 rounded-lg p-4">
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <div className="font-medium text-hedera-900">
+                          Listing #{listing.listingId}
+                          {listing.isOwn && <span className="badge-warning text-xs ml-2">Your listing</span>}
+                        </div>
+                        <div className="text-sm text-hedera-600">
+                          {listing.projectId} • Vintage {listing.vintage} • Batch #{listing.batchId}
+                        </div>
+                        <div className="text-sm text-hedera-600">
+                          {listing.remaining.toFixed(2)} of {listing.amount.toFixed(2)} ECCX remaining • Seller {listing.seller.slice(0, 10)}...
+                        </div>
+                      </div>
+                      <div className="text-right">
+                        <div className="text-lg font-bold text-hedera-900">
+                          {formatHbar(listing.pricePerCredit)} HBAR
+                        </div>
+                        <div className="text-xs text-hedera-500">per credit</div>
+                      </div>
+                    </div>
+
+                    <div className="mt-3">
+                      {listing.isOwn ? (
+                        <button
+                          onClick={() => handleCancelListing(listing.listingId)}
+                          disabled={loading}
+                          className="btn-secondary"
+                        >
+                          Cancel Listing
+                        </button>
+                      ) : selectedListingId === listing.listingId ? (
+                        <div className="flex items-center space-x-2">
+                          <input
+                            type="number"
+                            value={resaleBuyAmount}
+                            onChange={(e) => setResaleBuyAmount(e.target.value)}
+                            className="input-field"
+                            placeholder="0.01"
+                            step="0.01"
+                            min="0.01"
+                            max={listing.remaining}
+                          />
+                          <button
+                            onClick={() => handleBuyListing(listing)}
+                            disabled={loading || !resaleBuyAmount}
+                            className="btn-primary whitespace-nowrap"
+                          >
+                            {loading ? 'Processing...' : `💳 Pay ${previewPrice(resaleBuyAmount, listing.pricePerCredit)} HBAR`}
+                          </button>
+                          <button
+                            onClick={() => setSelectedListingId(null)}
+                            className="btn-secondary"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      ) : (
+                        <button
+                          onClick={() => {
+                            setSelectedListingId(listing.listingId);
+                            setResaleBuyAmount(String(listing.remaining));
+                          }}
+                          className="btn-primary"
+                        >
+                          🛒 Buy Credits
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {activeTab === 'preorders' && (
+        <div className="space-y-6">
+          {/* Open Forwards */}
+          <div className="card">
+            <h3 className="text-lg font-semibold text-hedera-900 mb-1">
+              Pre-order Future Vintages
+            </h3>
+            <p className="text-sm text-hedera-600 mb-4">
+              Your HBAR stays in escrow until the vintage is verified and minted. If fewer credits
+              are delivered than promised, the difference is refunded pro rata after the deadline.
+            </p>
+
+            {openForwards.length === 0 ? (
+              <p className="text-hedera-600 text-sm">
+                No future vintages are open for pre-order right now
+              </p>
+            ) : (
+              <div className="space-y-3">
+                {openForwards.map(forward => (
+                  <div key={forward.forwardId} className="border border-hedera-200 rounded-lg p-4">
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <div className="font-medium text-hedera-900">
+                          {forward.projectId} • Vintage {forward.vintage}
+                        </div>
+                        <div className="text-sm text-hedera-600">
+                          {(forward.amount - forward.sold).toFixed(2)} of {forward.amount.toFixed(2)} credits available •
+                          Delivery by {new Date(forward.deadline).toLocaleDateString()}
+                        </div>
+                      </div>
+                      <div className="text-right">
+                        <div className="text-lg font-bold text-hedera-900">
+                          {forward.pricePerCredit} HBAR
+                        </div>
+                        <div className="text-xs text-hedera-500">per credit</div>
+                      </div>
+                    </div>
+
+                    <div className="mt-3">
+                      {selectedForwardId === forward.forwardId ? (
+                        <div className="flex items-center space-x-2">
+                          <input
+                            type="number"
+                            value={preOrderAmount}
+                            onChange={(e) => setPreOrderAmount(e.target.value)}
+                            className="input-field"
+                            placeholder="0.01"
+                            step="0.01"
+                            min="0.01"
+                            max={forward.amount - forward.sold}
+                          />
+                          <button
+                            onClick={() => handlePreOrder(forward)}
+                            disabled={loading || !preOrderAmount}
+                            className="btn-primary whitespace-nowrap"
+                          >
+                            {loading ? 'Processing...' : `📅 Escrow ${previewPrice(preOrderAmount, parseHbar(forward.pricePerCredit))} HBAR`}
+                          </button>
+                          <button
+                            onClick={() => setSelectedForwardId(null)}
+                            className="btn-secondary"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      ) : (
+                        <button
+                          onClick={() => {
+                            setSelectedForwardId(forward.forwardId);
+                            setPreOrderAmount('');
+                          }}
+                          className="btn-primary"
+                        >
+                          📅 Pre-order
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* My Pre-orders */}
+          <div className="card">
+            <h3 className="text-lg font-semibold text-hedera-900 mb-4">
+              My Pre-orders
+            </h3>
+
+            {myPreOrders.length === 0 ? (
+              <p className="text-hedera-600 text-sm">You have not pre-ordered any credits yet</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-hedera-200">
+                  <thead className="bg-hedera-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">Forward</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">Ordered</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">Escrowed</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">Status</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider">Claimable</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-hedera-200">
+                    {myPreOrders.map(preOrder => (
+                      <tr key={preOrder.forwardId}>
+                        <td className="px-6 py-4 text-sm">
+                          <div className="font-medium text-hedera-900">{preOrder.projectId}</div>
+                          <div className="text-hedera-500">
+                            Vintage {preOrder.vintage} • by {new Date(preOrder.deadline).toLocaleDateString()}
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-hedera-900">{preOrder.ordered.toFixed(2)} credits</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-hedera-900">{preOrder.paid} HBAR</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          <span className={
+                            preOrder.status === 'Delivered' ? 'badge-success' :
+                            preOrder.status === 'Expired' ? 'badge-error' : 'badge-warning'
+                          }>
+                            {preOrder.status === 'Delivered'
+                              ? `Delivered ${((preOrder.delivered / preOrder.sold) * 100).toFixed(0)}%`
+                              : preOrder.status}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          {preOrder.creditsDue > 0 || preOrder.refundDue > 0 ? (
+                            <button
+                              onClick={() => handleClaimPreOrder(preOrder)}
+                              disabled={loading}
+                              className="btn-primary text-xs"
+                            >
+                              Claim {[
+                                preOrder.creditsDue > 0 && `${preOrder.creditsDue} credits`,
+                                preOrder.refundDue > 0 && `${preOrder.refundDue} HBAR`
+                              ].filter(Boolean).join(' + ')}
+                            </button>
+                          ) : (
+                            <span className="text-hedera-500">—</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
         </div>
       )}
     </div>
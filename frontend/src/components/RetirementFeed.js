@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+import retirementFeed from '../services/retirementFeed';
+
+/**
+ * Recent Retirements Feed
+ *
+ * Public, live list of credit retirements read back from the HCS topic that
+ * retirements are logged to. Needs no connected account:
+ * 1. Newest retirements first, with older pages on demand
+ * 2. New retirements appear as the topic is polled
+ * 3. Each entry links to its consensus timestamp and topic sequence number
+ *
+ * References:
+ * - HCS Topics: https://docs.hedera.com/guides/docs/sdks/consensus
+ * - Topic messages REST API: https://docs.hedera.com/hedera/sdks-and-apis/rest-api/topics
+ */
+
+const formatCertificateId = (certificateId) => `ECCX-CERT-${String(certificateId).padStart(6, '0')}`;
+
+const RetirementFeed = () => {
+  const [entries, setEntries] = useState([]);
+  const [next, setNext] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!retirementFeed.isAvailable()) return undefined;
+
+    let active = true;
+    let unsubscribe = () => {};
+    setLoading(true);
+
+    // Poll for new retirements once the newest page is shown
+    retirementFeed.loadRecent()
+      .then(page => {
+        if (!active) return;
+        setEntries(page.entries);
+        setNext(page.next);
+        unsubscribe = retirementFeed.subscribe(
+          newEntries => setEntries(prev => [...newEntries, ...prev]),
+          err => console.error('Failed to poll retirements:', err)
+        );
+      })
+      .catch(err => active && setError(`Failed to load retirements: ${err.message}`))
+      .finally(() => active && setLoading(false));
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  const loadOlder = async () => {
+    setLoading(true);
+    try {
+      const page = await retirementFeed.loadRecent({ next });
+      setEntries(prev => [...prev, ...page.entries]);
+      setNext(page.next);
+    } catch (err) {
+      setError(`Failed to load retirements: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="card text-left">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-hedera-900">
+          Recent Retirements
+        </h3>
+        {retirementFeed.isAvailable() && (
+          <span className="badge-success text-xs">● Live from HCS topic {retirementFeed.topicId}</span>
+        )}
+      </div>
+
+      {!retirementFeed.isAvailable() ? (
+        <p className="text-sm text-hedera-600">
+          No retirement topic configured. Set REACT_APP_HCS_TOPIC_ID to show retirements logged to HCS.
+        </p>
+      ) : (
+        <>
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-md p-3 mb-4 text-sm text-red-700">
+              {error}
+            </div>
+          )}
+
+          {entries.length === 0 ? (
+            <p className="text-sm text-hedera-600 text-center py-6">
+              {loading ? 'Loading retirements...' : 'No retirements logged yet'}
+            </p>
+          ) : (
+            <ul className="divide-y divide-hedera-200">
+              {entries.map(entry => (
+                <li key={entry.sequenceNumber} className="py-3">
+                  <div className="flex items-start justify-between">
+                    <div>
+                      <p className="text-sm font-medium text-hedera-900">
+                        🔥 {entry.amount.toLocaleString()} credits retired
+                        {entry.beneficiaryName ? ` for ${entry.beneficiaryName}` : ` by ${entry.account}`}
+                      </p>
+                      <p className="text-sm text-hedera-600">{entry.reason}</p>
+                      {entry.certificates.length > 0 && (
+                        <p className="text-xs text-hedera-500 mt-1">
+                          {entry.certificates.map(c => `${formatCertificateId(c.certificateId)} (${c.projectId})`).join(', ')}
+                          {entry.reportingPeriod && ` · ${entry.reportingPeriod}`}
+                        </p>
+                      )}
+                    </div>
+                    <div className="text-right text-xs whitespace-nowrap ml-4">
+                      <a
+                        href={entry.messageUrl}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-eco-600 hover:text-eco-700 font-medium block"
+                        title={`Consensus timestamp ${entry.consensusTimestamp}`}
+                      >
+                        {new Date(entry.consensusTime).toLocaleString()} ↗
+                      </a>
+                      <a
+                        href={entry.sequenceUrl}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-hedera-500 hover:text-hedera-700 block"
+                      >
+                        Sequence #{entry.sequenceNumber} ↗
+                      </a>
+                    </div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {next && (
+            <div className="text-center mt-4">
+              <button
+                onClick={loadOlder}
+                disabled={loading}
+                className="btn-secondary text-sm"
+              >
+                {loading ? 'Loading...' : 'Load older retirements'}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RetirementFeed;
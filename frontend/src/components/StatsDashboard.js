@@ -0,0 +1,187 @@
+import React, { useState, useEffect } from 'react';
+import hederaClient from '../services/hederaClient';
+
+/**
+ * Platform Statistics Dashboard
+ *
+ * Shows platform-wide figures read from the MicroCredit contract:
+ * 1. Credits in circulation and retired, and projects by lifecycle status
+ * 2. HBAR volume across primary sales, resales and delivered forwards
+ * 3. Credits issued, available and retired per methodology and per project type
+ *
+ * References:
+ * - Verra VCS methodologies: https://verra.org/methodologies-main/
+ * - HashScan: https://hashscan.io/testnet
+ */
+
+const formatNumber = (value) => value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+const CreditTotalsTable = ({ title, label, totals }) => {
+  const rows = Object.entries(totals).sort(([, a], [, b]) => b.issued - a.issued);
+
+  return (
+    <div className="card">
+      <h3 className="text-lg font-semibold text-hedera-900 mb-4">{title}</h3>
+
+      {rows.length === 0 ? (
+        <p className="text-hedera-600 text-sm">No projects registered yet</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-hedera-200">
+            <thead className="bg-hedera-50">
+              <tr>
+                {[label, 'Projects', 'Issued', 'Available', 'Retired'].map(heading => (
+                  <th
+                    key={heading}
+                    className="px-6 py-3 text-left text-xs font-medium text-hedera-500 uppercase tracking-wider"
+                  >
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-hedera-200">
+              {rows.map(([name, entry]) => (
+                <tr key={name}>
+                  <td className="px-6 py-4 text-sm font-medium text-hedera-900">{name}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-hedera-600">{entry.projects}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-hedera-900">{formatNumber(entry.issued)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-hedera-900">{formatNumber(entry.available)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-eco-600">{formatNumber(entry.retired)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const StatsDashboard = () => {
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadStats();
+  }, []);
+
+  const loadStats = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setStats(await hederaClient.getPlatformStats({ breakdown: true }));
+    } catch (loadError) {
+      setError(`Could not load platform statistics: ${loadError.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const headline = stats ? [
+    { label: 'Credits in Circulation', value: formatNumber(stats.totalSupply), color: 'text-eco-600' },
+    { label: 'Credits Retired', value: formatNumber(stats.totalRetired), color: 'text-blue-600' },
+    { label: 'HBAR Volume', value: `${formatNumber(stats.hbarVolume)} HBAR`, color: 'text-hedera-900' }
+  ] : [];
+
+  const projectCounts = stats ? [
+    { label: 'Active', value: stats.activeProjects, color: 'text-eco-600' },
+    { label: 'Suspended', value: stats.suspendedProjects, color: 'text-yellow-600' },
+    { label: 'Closed', value: stats.closedProjects, color: 'text-hedera-600' }
+  ] : [];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-hedera-900">Platform Statistics</h1>
+          <p className="text-hedera-600 mt-1">
+            Credits, projects and trading volume across EcoCreditX
+          </p>
+        </div>
+
+        <button
+          onClick={loadStats}
+          disabled={loading}
+          className="btn-secondary inline-flex items-center"
+        >
+          {loading ? (
+            <>
+              <div className="loading-spinner mr-2"></div>
+              Loading...
+            </>
+          ) : (
+            '🔄 Refresh'
+          )}
+        </button>
+      </div>
+
+      {error && (
+        <div className="rounded-md p-4 bg-red-50 border border-red-200 text-red-700">{error}</div>
+      )}
+
+      {!stats ? (
+        <div className="card text-center text-hedera-600">
+          {error ? 'No statistics to show' : 'Loading platform statistics...'}
+        </div>
+      ) : (
+        <>
+          {/* Headline Figures */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            {headline.map(item => (
+              <div key={item.label} className="card text-center">
+                <div className={`text-3xl font-bold mb-2 ${item.color}`}>{item.value}</div>
+                <div className="text-hedera-600">{item.label}</div>
+              </div>
+            ))}
+          </div>
+
+          {/* Projects and Volume */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="card">
+              <h3 className="text-lg font-semibold text-hedera-900 mb-4">Projects by Status</h3>
+              <div className="grid grid-cols-3 gap-4 text-center">
+                {projectCounts.map(item => (
+                  <div key={item.label}>
+                    <div className={`text-2xl font-bold ${item.color}`}>{item.value}</div>
+                    <div className="text-sm text-hedera-600">{item.label}</div>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="card">
+              <h3 className="text-lg font-semibold text-hedera-900 mb-4">HBAR Volume by Market</h3>
+              <div className="space-y-2 text-sm">
+                <div className="flex justify-between">
+                  <span className="text-hedera-600">Primary sales</span>
+                  <span className="font-medium">{formatNumber(stats.volume.primary)} HBAR</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-hedera-600">Secondary market</span>
+                  <span className="font-medium">{formatNumber(stats.volume.secondary)} HBAR</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-hedera-600">Delivered forwards</span>
+                  <span className="font-medium">{formatNumber(stats.volume.forward)} HBAR</span>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          <CreditTotalsTable title="Credits by Methodology" label="Methodology" totals={stats.byMethodology} />
+          <CreditTotalsTable title="Credits by Project Type" label="Project Type" totals={stats.byType} />
+
+          <p className="text-xs text-hedera-500">
+            Issued credits include buffer shares withheld for non-permanence. Project types are
+            inferred from project IDs and methodology names.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StatsDashboard;
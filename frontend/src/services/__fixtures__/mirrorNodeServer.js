@@ -0,0 +1,30 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+
+// Mirror node responses recorded as { request, response } pairs
+const FIXTURES_DIR = path.join(__dirname, 'mirrorNode');
+
+/**
+ * Serve the recorded mirror node responses on a local port
+ * Unknown requests are answered with 404 like the mirror node; every requested
+ * URL is kept in `requests`. Resolves to { server, requests, url }.
+ */
+export function startMirrorNodeServer() {
+  const fixtures = Object.fromEntries(fs.readdirSync(FIXTURES_DIR).map(file => {
+    const { request, response } = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+    return [request, response];
+  }));
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const fixture = fixtures[req.url];
+    res.writeHead(fixture ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(fixture || { _status: { messages: [{ message: 'Not found' }] } }));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
@@ -0,0 +1,195 @@
+/**
+ * Exact Amounts for EcoCreditX
+ *
+ * Amounts cross the JS/contract boundary as integers in the contract's base units:
+ * - ECCX credits have 2 decimals (MicroCredit.decimals()), so 0.01 credits is 1 unit
+ * - HBAR has 8 decimals, so 1 HBAR is 100,000,000 tinybars
+ *
+ * Parsing works on the decimal digits with BigInt rather than multiplying floats,
+ * so `0.29` credits is always 29 units and never 28.999999999999996. Values with
+ * more decimals than the unit has, or beyond what the contracts and the network
+ * accept, are rejected instead of rounded.
+ *
+ * The module has no dependencies besides errors.js so the Hardhat scripts can
+ * require it as well (Node 20.19+ loads ES modules through require).
+ */
+
+/* global BigInt */
+
+import { InvalidRequestError } from './errors.js';
+
+export const CREDIT_DECIMALS = 2;
+export const HBAR_DECIMALS = 8;
+
+// Base units per whole credit and per HBAR
+export const CREDIT_UNIT = 100n;
+export const TINYBARS_PER_HBAR = 100000000n;
+
+// MicroCredit.MAX_SUPPLY (100,000,000 credits); no credit amount can exceed it
+export const MAX_CREDIT_UNITS = 100000000n * CREDIT_UNIT;
+
+// Hedera stores HBAR amounts as signed 64-bit tinybars
+export const MAX_TINYBARS = (1n << 63n) - 1n;
+
+export const MAX_UINT256 = (1n << 256n) - 1n;
+
+// Basis points in 100%
+export const MAX_BPS = 10000n;
+
+// MicroCredit.MAX_FEE_BPS (10%); higher platform fees revert
+export const MAX_PLATFORM_FEE_BPS = 1000n;
+
+const DECIMAL_PATTERN = /^(\d*)(?:\.(\d*))?$/;
+
+// 10 ** decimals as a BigInt
+const scale = (decimals) => BigInt(`1${'0'.repeat(decimals)}`);
+
+/**
+ * Parse a decimal amount (string or number) into integer base units
+ * Options: label for error messages, max units accepted (inclusive) and
+ * allowZero to accept 0
+ */
+export function parseAmount(value, decimals, { label = 'Amount', max = MAX_UINT256, allowZero = false } = {}) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw new InvalidRequestError(`${label} is missing.`, { remedy: 'Enter an amount.' });
+  }
+
+  const text = String(value).trim();
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!text || text === '.' || !match) {
+    throw new InvalidRequestError(`${label} "${text}" is not a valid amount.`, {
+      remedy: 'Enter a positive number such as 12.5.'
+    });
+  }
+
+  const [, whole, fraction = ''] = match;
+  const digits = fraction.replace(/0+$/, '');
+  if (digits.length > decimals) {
+    throw new InvalidRequestError(`${label} ${text} has more than ${decimals} decimal places.`, {
+      remedy: `Round the amount to ${decimals} decimal places.`
+    });
+  }
+
+  const units = BigInt(whole || '0') * scale(decimals) + BigInt(digits.padEnd(decimals, '0') || '0');
+  if (units === 0n && !allowZero) {
+    throw new InvalidRequestError(`${label} must be greater than 0.`, { remedy: 'Enter a positive amount.' });
+  }
+  return checkAmount(units, { label, max, decimals });
+}
+
+/**
+ * Check that integer base units are non-negative and at most max
+ * Returns the units as a BigInt
+ */
+export function checkAmount(units, { label = 'Amount', max = MAX_UINT256, decimals = 0 } = {}) {
+  const value = toUnits(units);
+  if (value < 0n) {
+    throw new InvalidRequestError(`${label} cannot be negative.`, { remedy: 'Enter a positive amount.' });
+  }
+  if (value > max) {
+    throw new InvalidRequestError(`${label} exceeds the maximum of ${formatAmount(max, decimals)}.`, {
+      remedy: 'Enter a smaller amount.'
+    });
+  }
+  return value;
+}
+
+/**
+ * Format integer base units as a decimal string
+ * Trailing zeros are trimmed down to minDecimals
+ */
+export function formatAmount(units, decimals, { minDecimals = 0 } = {}) {
+  const value = toUnits(units);
+  const sign = value < 0n ? '-' : '';
+  const digits = (value < 0n ? -value : value).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  let fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  fraction = fraction.padEnd(Math.min(minDecimals, decimals), '0');
+  return `${sign}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Convert base units read from a contract (BigInt, ethers BigNumber, string or number) to a BigInt
+ */
+export function toUnits(value) {
+  if (typeof value === 'bigint') {
+    return value;
+  }
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value)) {
+      throw new InvalidRequestError(`${value} is not a whole number of base units.`);
+    }
+    return BigInt(value);
+  }
+  if (value !== null && value !== undefined) {
+    return BigInt(value.toString());
+  }
+  throw new InvalidRequestError('Amount is missing.');
+}
+
+/**
+ * Integer division of non-negative BigInts rounded up, like OpenZeppelin's Math.ceilDiv
+ */
+export function ceilDiv(a, b) {
+  return a === 0n ? 0n : (a - 1n) / b + 1n;
+}
+
+/**
+ * Whole credits (e.g. "12.34" or 12.34) to contract units (1234n)
+ */
+export function parseCredits(credits, options = {}) {
+  return parseAmount(credits, CREDIT_DECIMALS, { label: 'Credit amount', max: MAX_CREDIT_UNITS, ...options });
+}
+
+/**
+ * HBAR (e.g. "25" or 0.5) to tinybars
+ */
+export function parseHbar(hbar, options = {}) {
+  return parseAmount(hbar, HBAR_DECIMALS, { label: 'HBAR amount', max: MAX_TINYBARS, ...options });
+}
+
+/**
+ * Percentage with up to 2 decimals (e.g. 12.5) to basis points (1250n)
+ */
+export function parseBps(percent, options = {}) {
+  return parseAmount(percent, 2, { label: 'Percentage', max: MAX_BPS, allowZero: true, ...options });
+}
+
+/**
+ * Contract credit units to a display string with 2 decimals ("12.30")
+ */
+export function formatCredits(units) {
+  return formatAmount(units, CREDIT_DECIMALS, { minDecimals: CREDIT_DECIMALS });
+}
+
+/**
+ * Tinybars to an HBAR display string without trailing zeros ("25", "0.0001")
+ */
+export function formatHbar(tinybars) {
+  return formatAmount(tinybars, HBAR_DECIMALS);
+}
+
+/**
+ * Contract credit units to whole credits as a number, for display and UI state
+ * The number parses back to the same units with parseCredits
+ */
+export function creditsToNumber(units) {
+  return Number(formatAmount(units, CREDIT_DECIMALS));
+}
+
+/**
+ * Tinybars to HBAR as a number, for display and UI state
+ */
+export function tinybarsToHbar(tinybars) {
+  return Number(formatHbar(tinybars));
+}
+
+/**
+ * HBAR price in tinybars of credit units at a per-credit price in tinybars
+ * Rounds up to the next tinybar like MicroCredit, SecondaryMarket and ForwardSale
+ * (ceil(amount * pricePerCredit / 10 ** decimals)), so it is exactly what they charge
+ */
+export function creditPrice(units, pricePerCreditTinybars) {
+  const price = ceilDiv(toUnits(units) * toUnits(pricePerCreditTinybars), CREDIT_UNIT);
+  return checkAmount(price, { label: 'Total price', max: MAX_TINYBARS, decimals: HBAR_DECIMALS });
+}
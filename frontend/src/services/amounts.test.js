@@ -0,0 +1,89 @@
+/**
+ * @jest-environment node
+ */
+import {
+  parseCredits,
+  parseHbar,
+  parseBps,
+  parseAmount,
+  formatCredits,
+  formatHbar,
+  creditsToNumber,
+  tinybarsToHbar,
+  creditPrice,
+  toUnits,
+  MAX_CREDIT_UNITS,
+  MAX_TINYBARS
+} from './amounts';
+import { InvalidRequestError } from './errors';
+
+describe('parsing', () => {
+  it('parses decimal credits into contract units without float rounding', () => {
+    expect(parseCredits('0.01')).toBe(1n);
+    expect(parseCredits(0.29)).toBe(29n);
+    expect(parseCredits('1.10')).toBe(110n);
+    expect(parseCredits(' 100000 ')).toBe(10000000n);
+    expect(parseHbar('25')).toBe(2500000000n);
+    expect(parseHbar('0.00000001')).toBe(1n);
+    expect(parseBps('12.5')).toBe(1250n);
+    expect(parseBps('0')).toBe(0n);
+  });
+
+  it('rejects amounts the contracts cannot represent', () => {
+    expect(() => parseCredits('0.001')).toThrow('has more than 2 decimal places');
+    expect(() => parseCredits('0')).toThrow('must be greater than 0');
+    expect(() => parseCredits('-1')).toThrow('is not a valid amount');
+    expect(() => parseCredits('1e3')).toThrow(InvalidRequestError);
+    expect(() => parseCredits('')).toThrow(InvalidRequestError);
+    expect(() => parseCredits(undefined)).toThrow('Credit amount is missing');
+    expect(() => parseBps('100.01')).toThrow('Percentage exceeds the maximum of 100.');
+  });
+
+  it('checks amounts against the contract and network limits', () => {
+    expect(parseCredits('100000000')).toBe(MAX_CREDIT_UNITS);
+    expect(() => parseCredits('100000000.01')).toThrow('exceeds the maximum of 100000000');
+    expect(() => parseHbar('92233720368.54775808')).toThrow('HBAR amount exceeds the maximum');
+    expect(parseHbar('92233720368.54775807')).toBe(MAX_TINYBARS);
+    expect(parseAmount('1.5', 6, { label: 'Token price' })).toBe(1500000n);
+  });
+});
+
+describe('formatting', () => {
+  it('formats contract units back into decimals', () => {
+    expect(formatCredits(1n)).toBe('0.01');
+    expect(formatCredits(1230n)).toBe('12.30');
+    expect(formatHbar(2500000000n)).toBe('25');
+    expect(formatHbar('1050000')).toBe('0.0105');
+    expect(creditsToNumber({ toString: () => '29' })).toBe(0.29);
+    expect(tinybarsToHbar(1n)).toBe(0.00000001);
+  });
+
+  it('round-trips every credit amount between 0.01 and 1', () => {
+    for (let units = 1n; units <= 100n; units++) {
+      expect(parseCredits(creditsToNumber(units))).toBe(units);
+    }
+  });
+
+  it('only accepts whole numbers of base units', () => {
+    expect(() => toUnits(0.5)).toThrow('is not a whole number of base units');
+  });
+});
+
+describe('creditPrice', () => {
+  it('prices a 0.01-credit micro-purchase exactly', () => {
+    // 0.01 credits at 0.07 HBAR each: 1 unit * 7,000,000 tinybars / 100, as MicroCredit charges
+    expect(creditPrice(parseCredits('0.01'), parseHbar('0.07'))).toBe(70000n);
+    expect(creditPrice(parseCredits('0.29'), parseHbar('0.03'))).toBe(870000n);
+  });
+
+  it('rounds up like the contracts, so dust is never free', () => {
+    // 0.01 credits at 1 tinybar each: 1 * 1 / 100
+    expect(creditPrice(1n, 1n)).toBe(1n);
+    expect(creditPrice(parseCredits('0.03'), 50n)).toBe(2n);
+    expect(creditPrice(0n, 50n)).toBe(0n);
+  });
+
+  it('rejects totals beyond what an HBAR transfer can carry', () => {
+    expect(() => creditPrice(MAX_CREDIT_UNITS, MAX_TINYBARS)).toThrow('Total price exceeds the maximum');
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Contract ABIs for EcoCreditX
+ *
+ * Interfaces of the contracts the frontend calls, built from the compiled ABIs
+ * in src/contracts (regenerated with `npm run export-abi` in the repository
+ * root). Every contract call is encoded, and every result, event and revert
+ * reason decoded, through these interfaces, so a contract change only needs a
+ * fresh ABI export.
+ *
+ * References:
+ * - Solidity ABI specification: https://docs.soliditylang.org/en/latest/abi-spec.html
+ * - ethers Interface: https://docs.ethers.org/v5/api/utils/abi/interface/
+ */
+
+import { ethers } from 'ethers';
+import MicroCredit from '../contracts/MicroCredit.json';
+import SecondaryMarket from '../contracts/SecondaryMarket.json';
+import TokenSale from '../contracts/TokenSale.json';
+import ForwardSale from '../contracts/ForwardSale.json';
+import IERC20Metadata from '../contracts/IERC20Metadata.json';
+
+export const ABIS = {
+  MicroCredit: new ethers.utils.Interface(MicroCredit.abi),
+  SecondaryMarket: new ethers.utils.Interface(SecondaryMarket.abi),
+  TokenSale: new ethers.utils.Interface(TokenSale.abi),
+  ForwardSale: new ethers.utils.Interface(ForwardSale.abi),
+  ERC20: new ethers.utils.Interface(IERC20Metadata.abi)
+};
+
+// Revert data of require(condition, "reason") and of failed assertions
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+/**
+ * Encode a function call (selector and arguments) for ContractExecuteTransaction
+ * and ContractCallQuery.setFunctionParameters
+ */
+export function encodeFunctionCall(contractInterface, functionName, args = []) {
+  return ethers.utils.arrayify(contractInterface.encodeFunctionData(functionName, args));
+}
+
+/**
+ * Decode function call data (selector and arguments), e.g. of a scheduled transaction
+ * Resolves to { name, args }, or null when the contract has no such function
+ */
+export function decodeFunctionCall(contractInterface, data) {
+  try {
+    const { name, args } = contractInterface.parseTransaction({ data: ethers.utils.hexlify(data) });
+    return { name, args };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Decode the return values of a function from a ContractFunctionResult
+ * Resolves to an ethers Result, indexable and keyed by output name
+ */
+export function decodeFunctionResult(contractInterface, functionName, contractFunctionResult) {
+  return contractInterface.decodeFunctionResult(functionName, contractFunctionResult.bytes);
+}
+
+/**
+ * Decode the events of a contract from logs given as { topics, data } in bytes or hex,
+ * skipping logs of events the contract does not declare
+ * Resolves to [{ name, args }]
+ */
+export function parseLogs(contractInterface, logs) {
+  return logs
+    .map(log => {
+      const topics = log.topics.map(topic => ethers.utils.hexlify(topic));
+      try {
+        // parseLog drops the argument names of events with indexed strings, so decode directly
+        const fragment = contractInterface.getEvent(topics[0]);
+        return {
+          name: fragment.name,
+          args: contractInterface.decodeEventLog(fragment, ethers.utils.hexlify(log.data || '0x'), topics)
+        };
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Decode revert data into a readable reason: the require message, the panic
+ * code or the contract's custom error with its arguments
+ * Returns null for empty or unrecognised data
+ */
+export function decodeRevertReason(contractInterface, data) {
+  if (!data || !ethers.utils.isHexString(data) || data.length < 10) {
+    return null;
+  }
+
+  const selector = data.slice(0, 10).toLowerCase();
+  try {
+    if (selector === ERROR_STRING_SELECTOR) {
+      return ethers.utils.defaultAbiCoder.decode(['string'], `0x${data.slice(10)}`)[0];
+    }
+    if (selector === PANIC_SELECTOR) {
+      const [code] = ethers.utils.defaultAbiCoder.decode(['uint256'], `0x${data.slice(10)}`);
+      return `Panic(0x${code.toNumber().toString(16)})`;
+    }
+
+    const error = contractInterface.parseError(data);
+    if (!error) {
+      return null;
+    }
+    return `${error.name}(${error.args.map(arg => arg.toString()).join(', ')})`;
+  } catch (error) {
+    return null;
+  }
+}
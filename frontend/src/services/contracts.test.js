@@ -0,0 +1,61 @@
+/**
+ * @jest-environment node
+ */
+import { ethers } from 'ethers';
+import { ABIS, encodeFunctionCall, decodeFunctionResult, parseLogs, decodeRevertReason } from './contracts';
+
+const DEVELOPER = '0x00000000000000000000000000000000000004d3';
+
+describe('contract ABI helpers', () => {
+  it('encodes calls with the function selector', () => {
+    const data = encodeFunctionCall(ABIS.MicroCredit, 'purchaseCredits', ['AMAZON_REDD_2024', 250]);
+
+    expect(ethers.utils.hexlify(data.slice(0, 4))).toBe(ABIS.MicroCredit.getSighash('purchaseCredits'));
+    expect(ABIS.MicroCredit.decodeFunctionData('purchaseCredits', data).map(String)).toEqual(['AMAZON_REDD_2024', '250']);
+  });
+
+  it('decodes struct returns by field name, including addresses', () => {
+    const bytes = ethers.utils.arrayify(ABIS.MicroCredit.encodeFunctionResult('getProject', [{
+      projectId: 'AMAZON_REDD_2024',
+      methodology: 'VCS-VM0015',
+      location: 'Brazil',
+      totalCredits: 100000,
+      availableCredits: 90000,
+      isActive: true,
+      developer: DEVELOPER,
+      pricePerCredit: 100000000
+    }]));
+
+    const [project] = decodeFunctionResult(ABIS.MicroCredit, 'getProject', { bytes });
+
+    expect(project.developer).toBe(DEVELOPER);
+    expect(project.location).toBe('Brazil');
+    expect(project.availableCredits.toString()).toBe('90000');
+  });
+
+  it('decodes events, skipping logs of other contracts', () => {
+    const fragment = ABIS.MicroCredit.getEvent('CreditsRetired');
+    const { topics, data } = ABIS.MicroCredit.encodeEventLog(fragment, [DEVELOPER, 150, 'Offsetting Q4 2024', 1735603300]);
+    const foreignLog = { topics: [ethers.utils.id('Unrelated()')], data: '0x' };
+
+    const events = parseLogs(ABIS.MicroCredit, [{ topics, data }, foreignLog]);
+
+    expect(events).toHaveLength(1);
+    expect(events[0].name).toBe('CreditsRetired');
+    expect(events[0].args.reason).toBe('Offsetting Q4 2024');
+    expect(events[0].args.amount.toString()).toBe('150');
+  });
+
+  it('decodes require messages and panics from revert data', () => {
+    const requireData = ethers.utils.hexConcat([
+      '0x08c379a0',
+      ethers.utils.defaultAbiCoder.encode(['string'], ['Project already registered'])
+    ]);
+    const panicData = ethers.utils.hexConcat(['0x4e487b71', ethers.utils.defaultAbiCoder.encode(['uint256'], [0x11])]);
+
+    expect(decodeRevertReason(ABIS.MicroCredit, requireData)).toBe('Project already registered');
+    expect(decodeRevertReason(ABIS.MicroCredit, panicData)).toBe('Panic(0x11)');
+    expect(decodeRevertReason(ABIS.MicroCredit, '0x')).toBeNull();
+    expect(decodeRevertReason(ABIS.MicroCredit, '0xdeadbeef')).toBeNull();
+  });
+});
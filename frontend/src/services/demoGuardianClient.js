@@ -0,0 +1,166 @@
+/**
+ * Demo Guardian Client
+ *
+ * Offline stand-in for GuardianClient, selected with REACT_APP_DATA_PROVIDER=demo.
+ * It implements the same interface against in-memory state, so the onboarding
+ * flow can be shown without a Guardian instance:
+ * 1. Instance and document IDs are sequential (DEMO-INST-000001, DEMO-DOC-000001)
+ * 2. Each status check advances an instance one stage, from SUBMITTED to APPROVED
+ * 3. Validated credits, dMRV readings and report hashes derive from the submission
+ *
+ * Nothing here is ever returned by the live client; the app shows a DEMO badge
+ * whenever this provider is active.
+ */
+
+import { ethers } from 'ethers';
+import { GuardianClient, GuardianError } from './guardianClient';
+
+// Stages an instance passes through, one per status check
+const DEMO_STATUS_SEQUENCE = ['SUBMITTED', 'UNDER_REVIEW', 'VALIDATION', 'APPROVED'];
+
+// Monitoring period reported when the submission has no project start date (30 days)
+const DEFAULT_MONITORING_PERIOD_MS = 30 * 24 * 60 * 60 * 1000;
+
+const sequentialId = (prefix, number) => `${prefix}-${String(number).padStart(6, '0')}`;
+
+const demoHash = (text) => ethers.utils.sha256(ethers.utils.toUtf8Bytes(text));
+
+export class DemoGuardianClient extends GuardianClient {
+  constructor({ now = () => Date.now() } = {}) {
+    super('demo://guardian', 'verra_vcs_2023');
+    this.now = now;
+    this.instances = new Map();
+    this.nextInstanceNumber = 1;
+    this.nextDocumentNumber = 1;
+  }
+
+  async request(path) {
+    throw new GuardianError(`The demo Guardian provider does not serve ${path}`);
+  }
+
+  async authenticate(credentials) {
+    this.authToken = `demo-token-${credentials.username}`;
+    return {
+      success: true,
+      token: this.authToken,
+      user: { id: credentials.username, role: 'project_developer' }
+    };
+  }
+
+  async getPolicies() {
+    const template = this.getVCS2023PolicyTemplate();
+    return [{
+      id: template.policyId,
+      name: template.name,
+      description: template.description,
+      version: template.version,
+      status: 'PUBLISHED',
+      methodology: template.methodology
+    }];
+  }
+
+  async submitProject(projectData) {
+    const instanceId = sequentialId('DEMO-INST', this.nextInstanceNumber++);
+    const submittedAt = new Date(this.now());
+
+    this.instances.set(instanceId, {
+      projectData,
+      submittedAt,
+      statusIndex: 0,
+      documents: projectData.documents.map(doc => ({
+        name: doc.name,
+        status: 'pending',
+        uploadDate: submittedAt.toISOString()
+      }))
+    });
+
+    console.log('🎭 Demo Guardian accepted project:', instanceId);
+
+    return {
+      success: true,
+      instanceId,
+      status: DEMO_STATUS_SEQUENCE[0],
+      submissionDate: submittedAt.toISOString(),
+      trackingUrl: null
+    };
+  }
+
+  async getProjectStatus(instanceId) {
+    const instance = this.getInstance(instanceId);
+    instance.statusIndex = Math.min(instance.statusIndex + 1, DEMO_STATUS_SEQUENCE.length - 1);
+
+    const status = DEMO_STATUS_SEQUENCE[instance.statusIndex];
+    const approved = status === 'APPROVED';
+    const monitoringPeriod = this.getMonitoringPeriod(instance);
+
+    return {
+      instanceId,
+      status,
+      currentStage: this.getStageFromStatus(status),
+      progress: this.getProgressFromStatus(status),
+      validatedCredits: approved ? Number(instance.projectData.estimatedCredits) || 0 : 0,
+      vintage: new Date(monitoringPeriod.end).getUTCFullYear(),
+      documents: instance.documents.map(doc => ({ ...doc, status: approved ? 'validated' : doc.status })),
+      validationHistory: DEMO_STATUS_SEQUENCE.slice(0, instance.statusIndex + 1).map((stage, index) => ({
+        stage: this.getStageFromStatus(stage),
+        status: index < instance.statusIndex || approved ? 'completed' : 'in_progress'
+      })),
+      verificationReport: approved ? {
+        documentHash: demoHash(`${instanceId}:verification_report`),
+        monitoringPeriod
+      } : null,
+      lastUpdate: new Date(this.now()).toISOString(),
+      nextAction: approved ? null : 'awaiting_verification_report',
+      estimatedCompletion: null
+    };
+  }
+
+  async uploadDocument(instanceId, file, documentType) {
+    const instance = this.getInstance(instanceId);
+    const uploadDate = new Date(this.now()).toISOString();
+
+    instance.documents.push({ name: file.name, status: 'pending', uploadDate });
+
+    return {
+      success: true,
+      documentId: sequentialId('DEMO-DOC', this.nextDocumentNumber++),
+      hash: demoHash(`${instanceId}:${documentType}:${file.name}`),
+      uploadDate
+    };
+  }
+
+  async getDMRVData(instanceId) {
+    const instance = this.getInstance(instanceId);
+
+    return {
+      instanceId,
+      monitoringData: {
+        // One credit per tonne of CO2e reduced
+        co2Reduction: Number(instance.projectData.estimatedCredits) || 0,
+        monitoringPeriod: this.getMonitoringPeriod(instance),
+        verificationStatus: instance.statusIndex === DEMO_STATUS_SEQUENCE.length - 1 ? 'verified' : 'pending',
+        iotSensors: [],
+        satelliteData: null
+      },
+      reportingData: null,
+      verificationData: null
+    };
+  }
+
+  getInstance(instanceId) {
+    const instance = this.instances.get(instanceId);
+    if (!instance) {
+      throw new GuardianError(`Unknown demo instance ${instanceId}`, 404);
+    }
+    return instance;
+  }
+
+  getMonitoringPeriod(instance) {
+    const end = instance.submittedAt;
+    const start = instance.projectData.startDate
+      ? new Date(instance.projectData.startDate)
+      : new Date(end.getTime() - DEFAULT_MONITORING_PERIOD_MS);
+
+    return { start: start.toISOString(), end: end.toISOString() };
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * @jest-environment node
+ */
+import { DemoGuardianClient } from './demoGuardianClient';
+import { GuardianClient, GuardianError } from './guardianClient';
+import { createGuardianClient, getDataProvider } from './providers';
+
+const NOW = Date.parse('2025-03-01T00:00:00.000Z');
+
+const project = {
+  projectId: 'ECCX_1',
+  projectName: 'Amazon Rainforest Conservation',
+  estimatedCredits: '1200',
+  startDate: '2024-01-01',
+  documents: [{ type: 'project_design', name: 'pdd.pdf' }]
+};
+
+describe('DemoGuardianClient', () => {
+  let guardian;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    guardian = new DemoGuardianClient({ now: () => NOW });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('walks a submission through validation to approval, one stage per check', async () => {
+    const { instanceId, status } = await guardian.submitProject(project);
+    expect(instanceId).toBe('DEMO-INST-000001');
+    expect(status).toBe('SUBMITTED');
+
+    const stages = [];
+    for (let i = 0; i < 4; i++) {
+      stages.push((await guardian.getProjectStatus(instanceId)).status);
+    }
+    expect(stages).toEqual(['UNDER_REVIEW', 'VALIDATION', 'APPROVED', 'APPROVED']);
+
+    const approved = await guardian.getProjectStatus(instanceId);
+    expect(approved).toMatchObject({
+      progress: 100,
+      validatedCredits: 1200,
+      vintage: 2025,
+      verificationReport: {
+        monitoringPeriod: { start: '2024-01-01T00:00:00.000Z', end: '2025-03-01T00:00:00.000Z' }
+      }
+    });
+    expect(approved.verificationReport.documentHash).toMatch(/^0x[0-9a-f]{64}$/);
+  });
+
+  it('gives the same results for the same submissions', async () => {
+    const other = new DemoGuardianClient({ now: () => NOW });
+    const first = await guardian.submitProject(project);
+    const second = await other.submitProject(project);
+    await guardian.getProjectStatus(first.instanceId);
+    await other.getProjectStatus(second.instanceId);
+
+    expect(await guardian.getDMRVData(first.instanceId)).toEqual(await other.getDMRVData(second.instanceId));
+    expect((await guardian.getDMRVData(first.instanceId)).monitoringData.co2Reduction).toBe(1200);
+  });
+
+  it('rejects unknown instances', async () => {
+    await expect(guardian.getProjectStatus('inst_404')).rejects.toBeInstanceOf(GuardianError);
+  });
+});
+
+describe('data provider selection', () => {
+  it('uses the live Guardian client unless the demo provider is configured', () => {
+    expect(createGuardianClient({})).not.toBeInstanceOf(DemoGuardianClient);
+    expect(createGuardianClient({ REACT_APP_DATA_PROVIDER: 'demo' })).toBeInstanceOf(DemoGuardianClient);
+    expect(() => getDataProvider({ REACT_APP_DATA_PROVIDER: 'mock' })).toThrow('Unknown data provider "mock"');
+  });
+
+  it('reports an unconfigured live Guardian instead of inventing data', async () => {
+    const guardian = new GuardianClient(null, null);
+
+    await expect(guardian.getProjectStatus('inst_1')).rejects.toThrow('Guardian is not configured');
+  });
+});
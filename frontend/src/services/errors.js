@@ -0,0 +1,270 @@
+/**
+ * Transaction Errors for EcoCreditX
+ *
+ * Maps failures from the network and the contracts to typed errors carrying a
+ * user-facing message and a suggested remedy:
+ * - Hedera receipt and precheck statuses (e.g. INSUFFICIENT_PAYER_BALANCE)
+ * - Decoded Solidity revert strings and custom errors (e.g. "Insufficient payment")
+ * - Requests declined in the user's wallet
+ *
+ * The original error stays available as `cause`, with the receipt `status` and
+ * revert `reason` when known.
+ *
+ * References:
+ * - Response codes: https://docs.hedera.com/hedera/sdks-and-apis/hedera-api/miscellaneous/responsecode
+ * - Smart contract errors: https://docs.hedera.com/hedera/core-concepts/smart-contracts/understanding-hederas-evm-differences-and-compatibility
+ */
+
+export class EcoCreditError extends Error {
+  constructor(message, { remedy = null, reason = null, status = null, cause = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.remedy = remedy;
+    this.reason = reason;
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+// Not enough HBAR or payment token to cover the price or the fees
+export class InsufficientFundsError extends EcoCreditError {}
+
+// Not enough credits held, offered or left in a project
+export class InsufficientCreditsError extends EcoCreditError {}
+
+// The project is not registered, suspended or closed
+export class ProjectUnavailableError extends EcoCreditError {}
+
+// A resale listing or forward can no longer be filled
+export class OfferUnavailableError extends EcoCreditError {}
+
+// The account lacks the role or ownership the function requires
+export class UnauthorizedError extends EcoCreditError {}
+
+// The contract is paused by its operators
+export class ContractPausedError extends EcoCreditError {}
+
+// The contract rejected the request's values
+export class InvalidRequestError extends EcoCreditError {}
+
+// The contract ran out of the gas given to it
+export class OutOfGasError extends EcoCreditError {}
+
+// The network did not process the transaction
+export class NetworkError extends EcoCreditError {}
+
+// The user declined the request in their wallet
+export class TransactionRejectedError extends EcoCreditError {}
+
+// The contract reverted without a reason we can decode
+export class ContractRevertError extends EcoCreditError {}
+
+const REFRESH_REMEDY = 'Refresh the page to load the latest figures and try again.';
+
+// Revert strings of SecondaryMarket, TokenSale and ForwardSale and custom errors of MicroCredit
+const REVERT_REASONS = {
+  'Insufficient payment': [InsufficientFundsError,
+    'The payment sent does not cover the price.',
+    'The price may have changed since the page loaded. ' + REFRESH_REMEDY],
+  InsufficientBalance: [InsufficientCreditsError,
+    'You do not hold enough credits for this.',
+    'Check your portfolio balance and enter a smaller amount.'],
+  InsufficientBatchBalance: [InsufficientCreditsError,
+    'You do not hold enough credits from this batch.',
+    'Check the batch balances in your portfolio and enter a smaller amount.'],
+  InsufficientProjectCredits: [InsufficientCreditsError,
+    'The project does not have that many credits left.',
+    REFRESH_REMEDY],
+  'Insufficient credits listed': [InsufficientCreditsError,
+    'The listing does not have that many credits left.',
+    REFRESH_REMEDY],
+  'Insufficient credits offered': [InsufficientCreditsError,
+    'The forward does not have that many credits left.',
+    REFRESH_REMEDY],
+  'Project not active': [ProjectUnavailableError,
+    'This project is not open for sale.',
+    'The project may have been suspended or closed. Choose another project.'],
+  ProjectNotOpen: [ProjectUnavailableError,
+    'This project is closed.',
+    'Choose another project.'],
+  ProjectNotRegistered: [ProjectUnavailableError,
+    'This project is not registered.',
+    'Check the project ID.'],
+  'No token price for project': [ProjectUnavailableError,
+    'This project cannot be bought with the payment token.',
+    'Pay in HBAR instead.'],
+  'Listing not active': [OfferUnavailableError,
+    'This listing is sold out or was cancelled.',
+    REFRESH_REMEDY],
+  'Listing does not exist': [OfferUnavailableError,
+    'This listing does not exist.',
+    REFRESH_REMEDY],
+  'Forward not open': [OfferUnavailableError,
+    'This forward is no longer taking pre-orders.',
+    REFRESH_REMEDY],
+  'Cannot buy own listing': [InvalidRequestError,
+    'You cannot buy your own listing.',
+    'Cancel the listing to get your credits back.'],
+  'Nothing to claim': [InvalidRequestError,
+    'There is nothing to claim on this pre-order yet.',
+    'Credits can be claimed once the forward is delivered, refunds once its deadline has passed.'],
+  'No proceeds to withdraw': [InvalidRequestError,
+    'There are no proceeds to withdraw.',
+    null],
+  'Only project developer': [UnauthorizedError,
+    'Only the project developer can do this.',
+    'Connect the developer account of this project.'],
+  'Not listing seller': [UnauthorizedError,
+    'Only the seller can cancel this listing.',
+    'Connect the account that created the listing.'],
+  SignatureExpired: [InvalidRequestError,
+    'The signed retirement expired before it was submitted.',
+    'Retire again to sign a new request.'],
+  RetirementReasonRequired: [InvalidRequestError,
+    'A retirement reason is required.',
+    'Enter the reason for retiring these credits.'],
+  // OpenZeppelin custom errors, matched by name
+  EnforcedPause: [ContractPausedError,
+    'The marketplace is paused.',
+    'Trading is temporarily stopped by the operators. Try again later.'],
+  AccessControlUnauthorizedAccount: [UnauthorizedError,
+    'Your account does not have the role needed for this.',
+    'Ask an administrator to grant the role to your account.'],
+  ERC20InsufficientBalance: [InsufficientCreditsError,
+    'Your token balance is too low for this.',
+    'Check your balance and enter a smaller amount.'],
+  ERC20InsufficientAllowance: [InvalidRequestError,
+    'The contract was not approved to move your tokens.',
+    'Try again and confirm the approval transaction.']
+};
+
+// MicroCredit raises these with custom errors, the sale contracts with revert strings
+Object.assign(REVERT_REASONS, {
+  InsufficientPayment: REVERT_REASONS['Insufficient payment'],
+  ProjectNotActive: REVERT_REASONS['Project not active'],
+  NoProceedsToWithdraw: REVERT_REASONS['No proceeds to withdraw'],
+  OnlyProjectDeveloper: REVERT_REASONS['Only project developer']
+});
+
+// Hedera receipt and precheck statuses
+const STATUSES = {
+  INSUFFICIENT_PAYER_BALANCE: [InsufficientFundsError,
+    'Your account does not have enough HBAR to pay for this transaction.',
+    'Top up your account with HBAR and try again.'],
+  INSUFFICIENT_ACCOUNT_BALANCE: [InsufficientFundsError,
+    'Your account does not have enough HBAR for this payment.',
+    'Top up your account with HBAR and try again.'],
+  INSUFFICIENT_TX_FEE: [InsufficientFundsError,
+    'The transaction fee offered is too low.',
+    'Try again; network fees may have changed.'],
+  INSUFFICIENT_GAS: [OutOfGasError,
+    'The transaction ran out of gas.',
+    'Try a smaller amount, or fewer items at once.'],
+  MAX_GAS_LIMIT_EXCEEDED: [OutOfGasError,
+    'The transaction needs more gas than the network allows.',
+    'Try a smaller amount, or fewer items at once.'],
+  CONTRACT_REVERT_EXECUTED: [ContractRevertError,
+    'The contract rejected the transaction.',
+    REFRESH_REMEDY],
+  BUSY: [NetworkError,
+    'The network is busy.',
+    'Try again in a moment.'],
+  PLATFORM_TRANSACTION_NOT_CREATED: [NetworkError,
+    'The network did not accept the transaction.',
+    'Try again in a moment.'],
+  TRANSACTION_EXPIRED: [NetworkError,
+    'The transaction expired before it reached consensus.',
+    'Try again, and confirm it in your wallet promptly.'],
+  INVALID_SIGNATURE: [UnauthorizedError,
+    'The transaction signature was not accepted.',
+    'Reconnect your account and try again.'],
+  IDENTICAL_SCHEDULE_ALREADY_CREATED: [InvalidRequestError,
+    'The same call is already scheduled and waiting for signatures.',
+    'Sign the pending schedule under Approvals instead.'],
+  SCHEDULE_ALREADY_EXECUTED: [InvalidRequestError,
+    'The schedule has already been executed.',
+    REFRESH_REMEDY],
+  INVALID_SCHEDULE_ID: [InvalidRequestError,
+    'The schedule no longer exists; it may have expired.',
+    'Schedule the call again if it is still needed.'],
+  SCHEDULE_EXPIRATION_TIME_TOO_FAR_IN_FUTURE: [InvalidRequestError,
+    'The network does not keep schedules open that long.',
+    'Ask the platform operator to shorten the schedule lifetime.'],
+  NO_NEW_VALID_SIGNATURES: [UnauthorizedError,
+    'Your signature does not count towards this schedule.',
+    'Your key has already signed it, or is not one of the registry operator keys.']
+};
+
+// ethers ACTION_REJECTED and EIP-1193 "User rejected the request"
+const WALLET_REJECTION_CODES = ['ACTION_REJECTED', 4001];
+
+/**
+ * Receipt or precheck status of an SDK error (ReceiptStatusError, PrecheckStatusError),
+ * looking through errors that wrap it
+ */
+function statusOf(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.status) {
+      return current.status.toString();
+    }
+  }
+  return null;
+}
+
+function isWalletRejection(error) {
+  for (let current = error; current; current = current.cause) {
+    if (WALLET_REJECTION_CODES.includes(current.code)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Convert any failure into an EcoCreditError
+ * `reason` is the decoded revert reason, when the caller has it; errors that are
+ * already EcoCreditErrors are returned as they are
+ */
+export function toUserError(error, { reason = error && error.reason } = {}) {
+  if (error instanceof EcoCreditError) {
+    return error;
+  }
+
+  const status = statusOf(error);
+  const details = { reason: reason || null, status, cause: error };
+
+  if (reason) {
+    // Custom errors decode as "Name(args)"
+    const known = REVERT_REASONS[reason] || REVERT_REASONS[reason.split('(')[0]];
+    if (known) {
+      const [ErrorClass, message, remedy] = known;
+      return new ErrorClass(message, { ...details, remedy });
+    }
+    return new ContractRevertError(`The contract rejected the transaction: ${reason}.`, {
+      ...details,
+      remedy: REFRESH_REMEDY
+    });
+  }
+
+  if (isWalletRejection(error)) {
+    return new TransactionRejectedError('You declined the request in your wallet.', {
+      ...details,
+      remedy: 'Try again and approve the request to continue.'
+    });
+  }
+
+  if (status && STATUSES[status]) {
+    const [ErrorClass, message, remedy] = STATUSES[status];
+    return new ErrorClass(message, { ...details, remedy });
+  }
+
+  return new EcoCreditError(error && error.message ? error.message : String(error), details);
+}
+
+/**
+ * The error a contract raises with a revert string or custom error name, for
+ * checks made before a transaction is sent (and by the offline demo)
+ */
+export function revertError(reason) {
+  return toUserError(new Error(`Reverted: ${reason}`), { reason });
+}
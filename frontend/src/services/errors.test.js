@@ -0,0 +1,78 @@
+/**
+ * @jest-environment node
+ */
+import {
+  toUserError,
+  revertError,
+  EcoCreditError,
+  InsufficientFundsError,
+  ProjectUnavailableError,
+  UnauthorizedError,
+  OutOfGasError,
+  TransactionRejectedError,
+  ContractRevertError
+} from './errors';
+
+// Shaped like the SDK's ReceiptStatusError and PrecheckStatusError
+const statusError = (status) => Object.assign(new Error(`transaction failed with status ${status}`), {
+  status: { toString: () => status }
+});
+
+describe('toUserError', () => {
+  it('maps decoded revert strings to typed errors with remedies', () => {
+    const error = toUserError(statusError('CONTRACT_REVERT_EXECUTED'), { reason: 'Insufficient payment' });
+
+    expect(error).toBeInstanceOf(InsufficientFundsError);
+    expect(error.message).toBe('The payment sent does not cover the price.');
+    expect(error.remedy).toMatch(/Refresh the page/);
+    expect(error.status).toBe('CONTRACT_REVERT_EXECUTED');
+    expect(error.reason).toBe('Insufficient payment');
+  });
+
+  it('matches custom errors by name', () => {
+    const error = toUserError(new Error('reverted'), {
+      reason: 'AccessControlUnauthorizedAccount(0x00000000000000000000000000000000000004d2, 0x00)'
+    });
+
+    expect(error).toBeInstanceOf(UnauthorizedError);
+  });
+
+  it('keeps unknown revert strings readable', () => {
+    const error = toUserError(new Error('reverted'), { reason: 'Length mismatch' });
+
+    expect(error).toBeInstanceOf(ContractRevertError);
+    expect(error.message).toBe('The contract rejected the transaction: Length mismatch.');
+  });
+
+  it('maps receipt and precheck statuses, also when wrapped', () => {
+    expect(toUserError(statusError('INSUFFICIENT_PAYER_BALANCE'))).toBeInstanceOf(InsufficientFundsError);
+    expect(toUserError(statusError('CONTRACT_REVERT_EXECUTED'))).toBeInstanceOf(ContractRevertError);
+
+    const wrapped = Object.assign(new Error('wrapped'), { cause: statusError('INSUFFICIENT_GAS') });
+    expect(toUserError(wrapped)).toBeInstanceOf(OutOfGasError);
+  });
+
+  it('recognises requests declined in the wallet', () => {
+    const error = toUserError(Object.assign(new Error('user rejected transaction'), { code: 'ACTION_REJECTED' }));
+
+    expect(error).toBeInstanceOf(TransactionRejectedError);
+  });
+
+  it('passes other errors through with their message', () => {
+    const original = new Error('Project is not priced in USDC');
+    const error = toUserError(original);
+
+    expect(error).toBeInstanceOf(EcoCreditError);
+    expect(error.message).toBe('Project is not priced in USDC');
+    expect(error.remedy).toBeNull();
+    expect(error.cause).toBe(original);
+    expect(toUserError(error)).toBe(error);
+  });
+});
+
+describe('revertError', () => {
+  it('builds the error the contract would raise', () => {
+    expect(revertError('Project not active')).toBeInstanceOf(ProjectUnavailableError);
+    expect(revertError('ProjectNotActive')).toBeInstanceOf(ProjectUnavailableError);
+  });
+});
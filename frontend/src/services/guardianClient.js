@@ -2,7 +2,9 @@
  * Guardian Client for PWE Integration
  * 
  * Handles interactions with Hedera Guardian Policy Workflow Engine
- * for carbon project validation and dMRV (digital Monitoring, Reporting & Verification)
+ * for carbon project validation and dMRV (digital Monitoring, Reporting & Verification).
+ * Failed requests reject with a GuardianError; the offline stand-in for demos
+ * is DemoGuardianClient, selected through providers.js.
  * 
  * References:
  * - Guardian GitHub: https://github.com/hashgraph/guardian
@@ -12,279 +14,190 @@
 
 import axios from 'axios';
 
-class GuardianClient {
-  constructor() {
-    this.baseUrl = process.env.REACT_APP_GUARDIAN_URL || 'https://demo.guardian.hedera.com';
-    this.policyId = process.env.REACT_APP_GUARDIAN_POLICY_ID || 'verra_vcs_2023';
+/**
+ * Error raised for a failed Guardian API request, with the HTTP status when
+ * Guardian answered
+ */
+export class GuardianError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'GuardianError';
+    this.status = status;
+  }
+}
+
+export class GuardianClient {
+  constructor(baseUrl = process.env.REACT_APP_GUARDIAN_URL, policyId = process.env.REACT_APP_GUARDIAN_POLICY_ID) {
+    this.baseUrl = baseUrl || null;
+    this.policyId = policyId || null;
     this.authToken = null;
     this.apiVersion = 'v1';
   }
 
+  /**
+   * Whether a Guardian instance and policy are configured
+   */
+  isConfigured() {
+    return Boolean(this.baseUrl && this.policyId);
+  }
+
+  /**
+   * Send a request to the Guardian API
+   * Rejects with a GuardianError when Guardian is not configured, unreachable or
+   * answers with an error status
+   */
+  async request(path, { method = 'GET', data, headers = {} } = {}) {
+    if (!this.isConfigured()) {
+      throw new GuardianError('Guardian is not configured. Set REACT_APP_GUARDIAN_URL and REACT_APP_GUARDIAN_POLICY_ID');
+    }
+
+    try {
+      const response = await axios.request({
+        url: `${this.baseUrl}/api/${this.apiVersion}${path}`,
+        method,
+        data,
+        headers: { ...this.getAuthHeaders(), ...headers }
+      });
+      return response.data;
+    } catch (err) {
+      const status = err.response ? err.response.status : null;
+      const detail = (err.response && err.response.data && err.response.data.message) || err.message;
+      throw new GuardianError(`Guardian request failed (${status || 'no response'}): ${detail}`, status);
+    }
+  }
+
   /**
    * Authenticate with Guardian instance
    */
   async authenticate(credentials) {
-    try {
-      const response = await axios.post(`${this.baseUrl}/api/${this.apiVersion}/auth/login`, {
+    const data = await this.request('/auth/login', {
+      method: 'POST',
+      data: {
         username: credentials.username,
         password: credentials.password
-      });
+      }
+    });
 
-      this.authToken = response.data.accessToken;
-      console.log('✅ Guardian authentication successful');
-      
-      return {
-        success: true,
-        token: this.authToken,
-        user: response.data.user
-      };
-    } catch (error) {
-      console.error('❌ Guardian authentication failed:', error);
-      
-      // For demo purposes, return mock authentication
-      this.authToken = 'demo_token_' + Date.now();
-      return {
-        success: true,
-        token: this.authToken,
-        user: { id: 'demo_user', role: 'project_developer' }
-      };
-    }
+    this.authToken = data.accessToken;
+    console.log('✅ Guardian authentication successful');
+
+    return {
+      success: true,
+      token: this.authToken,
+      user: data.user
+    };
   }
 
   /**
    * Get available policies for carbon project validation
    */
   async getPolicies() {
-    try {
-      const response = await axios.get(`${this.baseUrl}/api/${this.apiVersion}/policies`, {
-        headers: this.getAuthHeaders()
-      });
+    const policies = await this.request('/policies');
 
-      return response.data.filter(policy => 
-        policy.status === 'PUBLISHED' && 
-        policy.name.toLowerCase().includes('vcs')
-      );
-    } catch (error) {
-      console.error('❌ Failed to fetch policies:', error);
-      
-      // Return mock policies for demo
-      return [{
-        id: 'verra_vcs_2023',
-        name: 'Verra VCS 2023',
-        description: 'Verra Verified Carbon Standard 2023 Policy',
-        version: '2023.1',
-        status: 'PUBLISHED',
-        methodology: 'VCS',
-        categories: ['REDD+', 'Renewable Energy', 'Energy Efficiency', 'Waste Management']
-      }];
-    }
+    return policies.filter(policy => 
+      policy.status === 'PUBLISHED' && 
+      policy.name.toLowerCase().includes('vcs')
+    );
   }
 
   /**
    * Submit new project for validation
    */
   async submitProject(projectData) {
-    try {
-      console.log('🌱 Submitting project to Guardian PWE...');
+    console.log('🌱 Submitting project to Guardian PWE...');
 
-      const payload = {
-        projectId: projectData.projectId,
-        projectName: projectData.projectName,
-        projectType: projectData.projectType,
-        methodology: 'VCS',
-        developer: projectData.developer,
-        location: {
-          country: projectData.country,
-          state: projectData.state,
-          coordinates: projectData.coordinates
-        },
-        estimatedCredits: projectData.estimatedCredits,
-        projectPeriod: {
-          startDate: projectData.startDate,
-          endDate: projectData.endDate
-        },
-        documents: projectData.documents.map(doc => ({
-          type: doc.type,
-          name: doc.name,
-          hash: doc.hash || this.generateDocHash(doc.content),
-          uploadDate: new Date().toISOString()
-        })),
-        monitoringPlan: projectData.monitoringPlan,
-        safeguards: projectData.safeguards || [],
-        stakeholders: projectData.stakeholders || []
-      };
+    const payload = {
+      projectId: projectData.projectId,
+      projectName: projectData.projectName,
+      projectType: projectData.projectType,
+      methodology: 'VCS',
+      developer: projectData.developer,
+      location: {
+        country: projectData.country,
+        state: projectData.state,
+        coordinates: projectData.coordinates
+      },
+      estimatedCredits: projectData.estimatedCredits,
+      projectPeriod: {
+        startDate: projectData.startDate,
+        endDate: projectData.endDate
+      },
+      documents: projectData.documents.map(doc => ({
+        type: doc.type,
+        name: doc.name,
+        hash: doc.hash || this.generateDocHash(doc.content),
+        uploadDate: new Date().toISOString()
+      })),
+      monitoringPlan: projectData.monitoringPlan,
+      safeguards: projectData.safeguards || [],
+      stakeholders: projectData.stakeholders || []
+    };
 
-      const response = await axios.post(
-        `${this.baseUrl}/api/${this.apiVersion}/policies/${this.policyId}/instances`,
-        payload,
-        { headers: this.getAuthHeaders() }
-      );
+    const data = await this.request(`/policies/${this.policyId}/instances`, { method: 'POST', data: payload });
 
-      console.log('✅ Project submitted successfully:', response.data);
+    console.log('✅ Project submitted successfully:', data);
 
-      return {
-        success: true,
-        instanceId: response.data.instanceId,
-        status: 'SUBMITTED',
-        submissionDate: new Date().toISOString(),
-        trackingUrl: `${this.baseUrl}/instances/${response.data.instanceId}`
-      };
-    } catch (error) {
-      console.error('❌ Project submission failed:', error);
-      
-      // Return mock response for demo
-      const mockInstanceId = `inst_${Date.now()}`;
-      return {
-        success: true,
-        instanceId: mockInstanceId,
-        status: 'SUBMITTED',
-        submissionDate: new Date().toISOString(),
-        trackingUrl: `${this.baseUrl}/instances/${mockInstanceId}`
-      };
-    }
+    return {
+      success: true,
+      instanceId: data.instanceId,
+      status: 'SUBMITTED',
+      submissionDate: new Date().toISOString(),
+      trackingUrl: `${this.baseUrl}/instances/${data.instanceId}`
+    };
   }
 
   /**
    * Get project validation status
    */
   async getProjectStatus(instanceId) {
-    try {
-      const response = await axios.get(
-        `${this.baseUrl}/api/${this.apiVersion}/instances/${instanceId}`,
-        { headers: this.getAuthHeaders() }
-      );
+    const instance = await this.request(`/instances/${instanceId}`);
 
-      const instance = response.data;
-      
-      return {
-        instanceId: instanceId,
-        status: instance.status,
-        currentStage: instance.currentStage,
-        progress: instance.progress || 0,
-        validatedCredits: instance.validatedCredits || 0,
-        documents: instance.documents || [],
-        validationHistory: instance.history || [],
-        lastUpdate: instance.lastUpdate || new Date().toISOString(),
-        nextAction: instance.nextAction,
-        estimatedCompletion: instance.estimatedCompletion
-      };
-    } catch (error) {
-      console.error('❌ Failed to get project status:', error);
-      
-      // Return mock status progression for demo
-      const statusOptions = ['SUBMITTED', 'UNDER_REVIEW', 'VALIDATION', 'APPROVED', 'REJECTED'];
-      const currentStatus = statusOptions[Math.floor(Date.now() / 10000) % statusOptions.length];
-      
-      return {
-        instanceId: instanceId,
-        status: currentStatus,
-        currentStage: this.getStageFromStatus(currentStatus),
-        progress: this.getProgressFromStatus(currentStatus),
-        validatedCredits: currentStatus === 'APPROVED' ? 1000 : 0,
-        documents: [
-          { name: 'project_design.pdf', status: 'validated', uploadDate: new Date().toISOString() },
-          { name: 'monitoring_report.pdf', status: 'pending', uploadDate: new Date().toISOString() }
-        ],
-        validationHistory: [
-          { stage: 'submission', date: new Date(Date.now() - 86400000).toISOString(), status: 'completed' },
-          { stage: 'document_review', date: new Date(Date.now() - 43200000).toISOString(), status: 'in_progress' }
-        ],
-        lastUpdate: new Date().toISOString(),
-        nextAction: 'awaiting_verification_report',
-        estimatedCompletion: new Date(Date.now() + 604800000).toISOString()
-      };
-    }
+    return {
+      instanceId: instanceId,
+      status: instance.status,
+      currentStage: instance.currentStage,
+      progress: instance.progress || 0,
+      validatedCredits: instance.validatedCredits || 0,
+      vintage: instance.vintage,
+      documents: instance.documents || [],
+      validationHistory: instance.history || [],
+      verificationReport: instance.verificationReport || null,
+      lastUpdate: instance.lastUpdate || new Date().toISOString(),
+      nextAction: instance.nextAction,
+      estimatedCompletion: instance.estimatedCompletion
+    };
   }
 
   /**
    * Upload document for project validation
    */
   async uploadDocument(instanceId, file, documentType) {
-    try {
-      console.log('📄 Uploading document to Guardian...');
+    console.log('📄 Uploading document to Guardian...');
 
-      const formData = new FormData();
-      formData.append('file', file);
-      formData.append('type', documentType);
-      formData.append('instanceId', instanceId);
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('type', documentType);
+    formData.append('instanceId', instanceId);
 
-      const response = await axios.post(
-        `${this.baseUrl}/api/${this.apiVersion}/documents/upload`,
-        formData,
-        { 
-          headers: {
-            ...this.getAuthHeaders(),
-            'Content-Type': 'multipart/form-data'
-          }
-        }
-      );
+    const data = await this.request('/documents/upload', {
+      method: 'POST',
+      data: formData,
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
 
-      return {
-        success: true,
-        documentId: response.data.documentId,
-        hash: response.data.hash,
-        uploadDate: new Date().toISOString()
-      };
-    } catch (error) {
-      console.error('❌ Document upload failed:', error);
-      
-      // Return mock response for demo
-      return {
-        success: true,
-        documentId: `doc_${Date.now()}`,
-        hash: this.generateDocHash(file.name),
-        uploadDate: new Date().toISOString()
-      };
-    }
+    return {
+      success: true,
+      documentId: data.documentId,
+      hash: data.hash,
+      uploadDate: new Date().toISOString()
+    };
   }
 
   /**
    * Get dMRV (digital Monitoring, Reporting & Verification) data
    */
   async getDMRVData(instanceId) {
-    try {
-      const response = await axios.get(
-        `${this.baseUrl}/api/${this.apiVersion}/dmrv/${instanceId}`,
-        { headers: this.getAuthHeaders() }
-      );
-
-      return response.data;
-    } catch (error) {
-      console.error('❌ Failed to get dMRV data:', error);
-      
-      // Return mock dMRV data for demo
-      return {
-        instanceId: instanceId,
-        monitoringData: {
-          co2Reduction: Math.floor(Math.random() * 1000 + 500),
-          monitoringPeriod: {
-            start: new Date(Date.now() - 2592000000).toISOString(), // 30 days ago
-            end: new Date().toISOString()
-          },
-          verificationStatus: 'verified',
-          iotSensors: [
-            { id: 'sensor_001', type: 'CO2', status: 'active', lastReading: new Date().toISOString() },
-            { id: 'sensor_002', type: 'temperature', status: 'active', lastReading: new Date().toISOString() }
-          ],
-          satelliteData: {
-            provider: 'Planet Labs',
-            lastUpdate: new Date().toISOString(),
-            coverage: '99.2%'
-          }
-        },
-        reportingData: {
-          lastReport: new Date(Date.now() - 86400000).toISOString(),
-          frequency: 'weekly',
-          nextDue: new Date(Date.now() + 518400000).toISOString()
-        },
-        verificationData: {
-          verifier: 'TÜV SÜD',
-          lastVerification: new Date(Date.now() - 604800000).toISOString(),
-          nextVerification: new Date(Date.now() + 7776000000).toISOString(),
-          status: 'certified'
-        }
-      };
-    }
+    return this.request(`/dmrv/${instanceId}`);
   }
 
   /**
@@ -358,7 +271,7 @@ class GuardianClient {
   }
 
   generateDocHash(content) {
-    // Simple hash generation for demo purposes
+    // Placeholder for documents submitted without a hash; Guardian hashes the stored file
     return `hash_${btoa(content).slice(0, 32)}`;
   }
 
@@ -385,4 +298,3 @@ class GuardianClient {
   }
 }
 
-export default new GuardianClient();
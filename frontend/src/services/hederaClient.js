@@ -2,10 +2,10 @@
  * Hedera Client for EcoCreditX Marketplace
  * 
  * Handles all Hedera Hashgraph interactions including:
- * - Guardian PWE API calls for project validation
  * - Smart contract interactions (mint, retire, transfer)
  * - HCS topic messaging for retirement logging
  * - HTS token transfers for credit purchases
+ * - Scheduled multi-signature registration and minting (see schedules.js)
  * 
  * References:
  * - Hedera SDK: https://docs.hedera.com/guides/docs/sdks/nodejs
@@ -14,203 +14,312 @@
  */
 
 import {
-  Client,
-  AccountId,
-  PrivateKey,
   ContractCallQuery,
   ContractExecuteTransaction,
-  ContractFunctionParameters,
   TransferTransaction,
   Hbar,
   TopicMessageSubmitTransaction,
   AccountBalanceQuery,
-  TransactionReceipt
+  TransactionReceipt,
+  ScheduleCreateTransaction,
+  ScheduleSignTransaction,
+  ScheduleId,
+  Timestamp
 } from '@hashgraph/sdk';
 import { ethers } from 'ethers';
+import relayer from './relayer';
+import { ExternalWalletSigner } from './signers';
+import mirrorNode, { toContractEvmAddress, MAX_TOPIC_PAGE_SIZE } from './mirrorNode';
+import { getNetworkConfig, createClient, explorerUrl } from './network';
+import { ABIS, encodeFunctionCall, decodeFunctionResult, parseLogs, decodeRevertReason } from './contracts';
+import { toUserError } from './errors';
+import {
+  decodeAccountKey,
+  parseSchedule,
+  findBlockingSchedule,
+  scheduleAnnouncement,
+  parseScheduleAnnouncement
+} from './schedules';
+import {
+  parseAmount,
+  parseCredits,
+  parseHbar,
+  parseBps,
+  checkAmount,
+  toUnits,
+  ceilDiv,
+  formatAmount,
+  creditsToNumber,
+  tinybarsToHbar,
+  CREDIT_UNIT,
+  HBAR_DECIMALS,
+  MAX_TINYBARS,
+  MAX_PLATFORM_FEE_BPS,
+  TINYBARS_PER_HBAR
+} from './amounts';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Contract role identifiers (keccak256 of the role name, admin role is zero)
+export const ROLES = {
+  admin: ethers.constants.HashZero,
+  registrar: ethers.utils.id('REGISTRAR_ROLE'),
+  minter: ethers.utils.id('MINTER_ROLE'),
+  pauser: ethers.utils.id('PAUSER_ROLE'),
+  feeManager: ethers.utils.id('FEE_MANAGER_ROLE'),
+  sales: ethers.utils.id('SALES_ROLE')
+};
+
+// Must match the MicroCredit.ProjectStatus and ProjectAction enum order
+export const PROJECT_STATUSES = ['Unregistered', 'Active', 'Suspended', 'Closed'];
+const PROJECT_ACTIONS = ['Registered', 'Suspended', 'Reinstated', 'Closed', 'Metadata Updated'];
+
+// Carbon standards recognised from a project's methodology (e.g. "VCS-VM0015", "Gold Standard TPDDTEC")
+const METHODOLOGY_CERTIFIERS = [
+  [/\b(verra|vcs|vm\d{4})/i, 'Verra'],
+  [/\b(gold standard|gs\d{4})/i, 'Gold Standard'],
+  [/\b(cdm|acm\d{4}|ams-)/i, 'CDM'],
+  [/\b(acr|american carbon registry)\b/i, 'American Carbon Registry'],
+  [/\b(car|climate action reserve)\b/i, 'Climate Action Reserve']
+];
+
+/**
+ * Carbon standard a registered methodology belongs to, or null if it is not recognised
+ */
+export function methodologyCertifier(methodology) {
+  const match = METHODOLOGY_CERTIFIERS.find(([pattern]) => pattern.test(methodology || ''));
+  return match ? match[1] : null;
+}
+
+// Accounts below this HBAR balance route retirements through the relayer (1 HBAR)
+const MIN_GAS_BALANCE_TINYBARS = TINYBARS_PER_HBAR;
+
+// Signed retirements stay valid for one hour
+const RETIREMENT_SIGNATURE_TTL_SECONDS = 60 * 60;
+
+// EIP-712 type of MicroCredit.retireWithSignature
+const RETIRE_WITH_SIGNATURE_TYPES = {
+  RetireWithSignature: [
+    { name: 'retiree', type: 'address' },
+    { name: 'batchId', type: 'uint256' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'reason', type: 'string' },
+    { name: 'beneficiary', type: 'address' },
+    { name: 'beneficiaryName', type: 'string' },
+    { name: 'reportingPeriod', type: 'string' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// EIP-712 type signed to have the relayer log a retirement sent from a browser wallet
+const LOG_RETIREMENT_TYPES = {
+  LogRetirement: [{ name: 'transactionHash', type: 'bytes32' }]
+};
+
+// Keywords identifying a project's type in its ID or methodology, checked in order
+const PROJECT_TYPES = [
+  { name: 'Forestry (REDD+)', keywords: ['REDD', 'VM0007', 'VM0015', 'AVOIDED_DEFORESTATION'] },
+  { name: 'Reforestation', keywords: ['REFOREST', 'AFFOREST', 'AR-ACM', 'MANGROVE'] },
+  { name: 'Cookstoves', keywords: ['COOKSTOVE', 'TPDDTEC', 'AMS-II.G'] },
+  { name: 'Solar', keywords: ['SOLAR'] },
+  { name: 'Wind', keywords: ['WIND'] },
+  { name: 'Biogas', keywords: ['BIOGAS', 'METHANE', 'AMS-III.D'] }
+];
+
+// Projects fetched per page when aggregating platform statistics
+const PROJECT_PAGE_SIZE = 50;
+
+// Must match MicroCredit.FEE_PERIOD (30 days)
+const FEE_PERIOD_SECONDS = 30 * 24 * 60 * 60;
+
+// Scheduled registrations and mints expire unexecuted after one day
+const SCHEDULE_TTL_SECONDS = 24 * 60 * 60;
+
+// Network limit on schedule memos
+const MAX_SCHEDULE_MEMO_LENGTH = 100;
 
 class HederaClient {
   constructor() {
     this.client = null;
-    this.operatorId = null;
-    this.operatorKey = null;
+    this.signer = null; // Signer of the connected account (see signers.js)
+    this.accountId = null;
+    this.evmAddress = null;
     
     // Use the environment variable for contract ID
     this.contractId = process.env.REACT_APP_CONTRACT_ID;
+    this.marketContractId = process.env.REACT_APP_MARKET_CONTRACT_ID;
+    this.tokenSaleContractId = process.env.REACT_APP_TOKEN_SALE_CONTRACT_ID;
+    this.paymentTokenId = process.env.REACT_APP_PAYMENT_TOKEN_ID;
+    this.paymentToken = null; // { symbol, decimals }, loaded on first use
+    this.forwardSaleContractId = process.env.REACT_APP_FORWARD_SALE_CONTRACT_ID;
+    // Threshold-key account that pays for and sends scheduled registrations and mints
+    this.registryAccountId = process.env.REACT_APP_REGISTRY_ACCOUNT_ID;
+    // HCS topic announcing the registry account's schedules to the approvals queue
+    this.scheduleTopicId = process.env.REACT_APP_SCHEDULE_TOPIC_ID;
     
-    this.guardianUrl = process.env.REACT_APP_GUARDIAN_URL;
     this.hcsTopicId = process.env.REACT_APP_HCS_TOPIC_ID;
-    this.hashscanBase = process.env.REACT_APP_HASHSCAN_BASE_URL;
+    this.network = getNetworkConfig();
     
     this.initialize();
   }
 
   /**
-   * Initialize Hedera client with operator account
+   * Initialize the Hedera client used for free queries and receipts
+   * It has no operator: transactions are signed by the connected account's signer
    */
-  async initialize() {
+  initialize() {
     try {
-      const operatorIdStr = process.env.REACT_APP_HEDERA_OPERATOR_ID;
-      const operatorKeyStr = process.env.REACT_APP_HEDERA_OPERATOR_KEY;
+      this.client = createClient(this.network);
+      console.log(`✅ Hedera client initialized on ${this.network.label}`);
+    } catch (error) {
+      console.error('❌ Failed to initialize Hedera client:', error);
+      throw error;
+    }
+  }
 
-      if (!operatorIdStr || !operatorKeyStr) {
-        console.warn('Hedera credentials not found in environment variables');
-        return;
-      }
+  /**
+   * Connect an account through its signer (ExternalWalletSigner, BackendSigner or LocalSigner)
+   */
+  connect(signer) {
+    this.disconnect();
+    this.signer = signer;
+    this.accountId = signer.accountId;
+    this.evmAddress = signer.evmAddress;
+    console.log('✅ Connected account:', this.accountId);
+  }
 
-      this.operatorId = AccountId.fromString(operatorIdStr);
-      this.operatorKey = PrivateKey.fromString(operatorKeyStr);
+  /**
+   * Disconnect the current account
+   */
+  disconnect() {
+    if (this.signer) {
+      this.signer.disconnect();
+    }
+    this.signer = null;
+    this.accountId = null;
+    this.evmAddress = null;
+  }
 
-      // Create client for testnet
-      this.client = Client.forTestnet();
-      this.client.setOperator(this.operatorId, this.operatorKey);
+  /**
+   * Whether an account is connected to sign transactions
+   */
+  isConnected() {
+    return this.signer !== null;
+  }
 
-      console.log('✅ Hedera client initialized for account:', this.operatorId.toString());
-    } catch (error) {
-      console.error('❌ Failed to initialize Hedera client:', error);
-      throw error;
+  /**
+   * Sign and submit a transaction from the connected account
+   * Resolves to { transactionId, status, contractFunctionResult }
+   */
+  async executeTransaction(transaction) {
+    if (!this.signer) {
+      throw new Error('Connect an account to send transactions');
     }
+    return this.signer.execute(transaction);
   }
 
   /**
-   * Get account balance
+   * Run a read-only contract query through the mirror node, free of charge
    */
-  async getAccountBalance(accountId = null) {
-    try {
-      const targetAccount = accountId ? AccountId.fromString(accountId) : this.operatorId;
-      const balance = await new AccountBalanceQuery()
-        .setAccountId(targetAccount)
-        .execute(this.client);
+  async call(query) {
+    return mirrorNode.call(query, this.evmAddress);
+  }
 
-      return {
-        hbar: balance.hbars.toTinybars().toString(),
-        tokens: balance.tokens
-      };
-    } catch (error) {
-      console.error('Failed to get account balance:', error);
-      throw error;
+  /**
+   * Contract ID and ABI of one of the platform's contracts
+   * (microCredit, market, tokenSale, forwardSale or paymentToken)
+   */
+  getContract(name) {
+    const contracts = {
+      microCredit: [this.contractId, ABIS.MicroCredit],
+      market: [this.marketContractId, ABIS.SecondaryMarket],
+      tokenSale: [this.tokenSaleContractId, ABIS.TokenSale],
+      forwardSale: [this.forwardSaleContractId, ABIS.ForwardSale],
+      paymentToken: [this.paymentTokenId, ABIS.ERC20]
+    };
+    const [contractId, abi] = contracts[name] || [];
+    if (!contractId) {
+      throw new Error(`The ${name} contract is not configured`);
     }
+    return { contractId, abi };
   }
 
   /**
-   * Guardian PWE Integration
-   * Submit project for validation using Guardian's Policy Workflow Engine
+   * Call a read-only contract function, encoding the arguments and decoding the
+   * result from the contract's ABI
+   * Resolves to an ethers Result, indexable and keyed by output name
    */
-  async submitProjectToGuardian(projectData) {
-    try {
-      console.log('🌱 Submitting project to Guardian PWE...');
-      
-      const guardianEndpoint = `${this.guardianUrl}/api/v1/policies/${process.env.REACT_APP_GUARDIAN_POLICY_ID}/instances`;
-      
-      const response = await fetch(guardianEndpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${await this.getGuardianToken()}`
-        },
-        body: JSON.stringify({
-          projectId: projectData.projectId,
-          methodology: 'Verra VCS 2023',
-          projectType: projectData.projectType,
-          location: projectData.location,
-          developer: projectData.developer,
-          estimatedCredits: projectData.estimatedCredits,
-          documents: projectData.documents,
-          monitoringPlan: projectData.monitoringPlan
-        })
-      });
+  async queryContract(functionName, args = [], gas = 100000, contract = 'microCredit') {
+    const { contractId, abi } = this.getContract(contract);
 
-      if (!response.ok) {
-        throw new Error(`Guardian API error: ${response.statusText}`);
-      }
+    const contractCallQuery = new ContractCallQuery()
+      .setContractId(contractId)
+      .setGas(gas)
+      .setFunctionParameters(encodeFunctionCall(abi, functionName, args));
 
-      const result = await response.json();
-      console.log('✅ Project submitted to Guardian:', result);
-      
-      return {
-        instanceId: result.instanceId,
-        status: 'submitted',
-        guardianUrl: `${this.guardianUrl}/instances/${result.instanceId}`
-      };
+    try {
+      return decodeFunctionResult(abi, functionName, await this.call(contractCallQuery));
     } catch (error) {
-      console.error('❌ Guardian submission failed:', error);
-      // Return mock response for demo purposes
-      return {
-        instanceId: `mock_${Date.now()}`,
-        status: 'submitted',
-        guardianUrl: `${this.guardianUrl}/instances/mock_${Date.now()}`
-      };
+      throw this.toContractError(error, abi, functionName, error.revertData);
     }
   }
 
   /**
-   * Get Guardian authentication token
+   * Convert a failed contract call into a typed error (see errors.js), with the
+   * decoded revert reason when there is one
+   * Credit transfers made by the sale contracts revert with MicroCredit's errors
    */
-  async getGuardianToken() {
-    // In a real implementation, this would handle Guardian authentication
-    // For demo purposes, return a mock token
-    return 'demo_token_' + Date.now();
+  toContractError(error, abi, functionName, revertData) {
+    const reason = decodeRevertReason(abi, revertData) || decodeRevertReason(ABIS.MicroCredit, revertData);
+    if (reason) {
+      console.warn(`${functionName} reverted: ${reason}`);
+    }
+    return toUserError(error, { reason });
   }
 
   /**
-   * Poll Guardian for project validation status
+   * Get account balance
    */
-  async getProjectStatus(instanceId) {
+  async getAccountBalance(accountId = null) {
     try {
-      const response = await fetch(`${this.guardianUrl}/api/v1/instances/${instanceId}/status`);
-      
-      if (!response.ok) {
-        // Return mock status for demo
-        return {
-          status: 'approved',
-          validatedCredits: 1000,
-          documents: ['project_design.pdf', 'monitoring_report.pdf'],
-          approvalDate: new Date().toISOString()
-        };
-      }
+      const targetAccount = accountId || this.accountId;
+      const balance = await new AccountBalanceQuery()
+        .setAccountId(targetAccount)
+        .execute(this.client);
 
-      return await response.json();
-    } catch (error) {
-      console.error('Failed to get project status:', error);
-      // Return mock status for demo
       return {
-        status: 'approved',
-        validatedCredits: 1000,
-        documents: ['project_design.pdf', 'monitoring_report.pdf'],
-        approvalDate: new Date().toISOString()
+        hbar: balance.hbars.toTinybars().toString(),
+        tokens: balance.tokens
       };
+    } catch (error) {
+      console.error('Failed to get account balance:', error);
+      throw error;
     }
   }
 
   /**
    * Register project in smart contract after Guardian approval
+   * With { multisig: true } the registration is scheduled for the registry
+   * operators to sign instead of executing at once (see scheduleContractCall)
    */
-  async registerProject(projectData) {
+  async registerProject(projectData, { multisig = false } = {}) {
     try {
       console.log('📝 Registering project in smart contract...', projectData);
 
-      const contractCallTx = new ContractExecuteTransaction()
-        .setContractId(this.contractId)
-        .setGas(300000)
-        .setFunction("registerProject", 
-          new ContractFunctionParameters()
-            .addString(projectData.projectId)
-            .addAddress(projectData.developer || this.operatorId.toSolidityAddress())
-            .addString(projectData.methodology)
-            .addString(projectData.location)
-            .addUint256(projectData.totalCredits * 100) // Convert to 2 decimals
-            .addUint256(Math.round(projectData.pricePerCredit * 1e8)) // Convert to tinybars
-        );
-
-      const txResponse = await contractCallTx.execute(this.client);
-      const receipt = await txResponse.getReceipt(this.client);
+      const send = multisig ? this.scheduleContractCall : this.executeContractCall;
+      const result = await send.call(this, "registerProject", [
+        projectData.projectId,
+        projectData.developer || this.evmAddress,
+        projectData.methodology,
+        projectData.location,
+        parseCredits(projectData.totalCredits, { label: 'Total credits' }),
+        parseHbar(projectData.pricePerCredit, { label: 'Price per credit' })
+      ], { gas: 300000 });
       
-      console.log('✅ Project registered:', receipt.transactionId.toString());
+      console.log(multisig ? '🗓️ Project registration scheduled:' : '✅ Project registered:', result.transactionId);
       
-      return {
-        success: receipt.status.toString() === 'SUCCESS',
-        transactionId: txResponse.transactionId.toString(),
-        hashscanUrl: `${this.hashscanBase}/transaction/${txResponse.transactionId.toString()}`
-      };
+      return result;
     } catch (error) {
       console.error('❌ Project registration failed:', error);
       throw error;
@@ -218,38 +327,52 @@ class HederaClient {
   }
 
   /**
-   * Mint credits after Guardian validation
+   * Mint credits after Guardian validation as a new vintage issuance batch
+   * Evidence: documentHash of the Guardian verification report and the
+   * monitoringPeriodStart / monitoringPeriodEnd it covers (dates or ISO strings)
+   * With { multisig: true } the mint is scheduled for the registry operators to sign
    */
-  async mintCredits(toAddress, amount, projectId) {
+  async mintCredits(toAddress, amount, projectId, vintage = new Date().getFullYear(), evidence = {}, { multisig = false } = {}) {
     try {
-      console.log('🪙 Minting credits...');
+      console.log('🪙 Minting credits...', { projectId, vintage, evidence });
 
-      const contractCallTx = new ContractExecuteTransaction()
-        .setContractId(this.contractId)
-        .setGas(200000)
-        .setFunction("mint", 
-          new ContractFunctionParameters()
-            .addAddress(toAddress)
-            .addUint256(Math.round(amount * 100)) // Convert to 2 decimals
-            .addString(projectId)
-        );
+      if (!evidence.documentHash || !evidence.monitoringPeriodStart || !evidence.monitoringPeriodEnd) {
+        throw new Error('Guardian verification evidence is required to mint credits');
+      }
 
-      const txResponse = await contractCallTx.execute(this.client);
-      const receipt = await txResponse.getReceipt(this.client);
+      const toUnixSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+      const send = multisig ? this.scheduleContractCall : this.executeContractCall;
+      const result = await send.call(this, "mint", [
+        toAddress,
+        parseCredits(amount),
+        projectId,
+        vintage,
+        this.toVerificationHash(evidence.documentHash),
+        toUnixSeconds(evidence.monitoringPeriodStart),
+        toUnixSeconds(evidence.monitoringPeriodEnd)
+      ], { gas: 400000 });
       
-      console.log('✅ Credits minted:', receipt.transactionId.toString());
+      console.log(multisig ? '🗓️ Credit minting scheduled:' : '✅ Credits minted:', result.transactionId);
       
-      return {
-        success: receipt.status.toString() === 'SUCCESS',
-        transactionId: txResponse.transactionId.toString(),
-        hashscanUrl: `${this.hashscanBase}/transaction/${txResponse.transactionId.toString()}`
-      };
+      return result;
     } catch (error) {
       console.error('❌ Credit minting failed:', error);
       throw error;
     }
   }
 
+  /**
+   * Normalize a Guardian document hash to the bytes32 stored on-chain
+   * 32-byte hex hashes are used as-is; other identifiers are SHA-256 hashed
+   */
+  toVerificationHash(documentHash) {
+    if (/^0x[0-9a-fA-F]{64}$/.test(documentHash)) {
+      return documentHash;
+    }
+    return ethers.utils.sha256(ethers.utils.toUtf8Bytes(documentHash));
+  }
+
   /**
    * Purchase credits from marketplace
    */
@@ -258,78 +381,148 @@ class HederaClient {
       console.log('💳 Purchasing credits...', { projectId, amount, totalPriceTinybars });
 
       // Convert amount to contract format (with 2 decimals)
-      const amountWithDecimals = Math.round(amount * 100);
+      const amountWithDecimals = parseCredits(amount);
       
-      const contractCallTx = new ContractExecuteTransaction()
-        .setContractId(this.contractId)
-        .setGas(300000)
-        .setPayableAmount(Hbar.fromTinybars(totalPriceTinybars))
-        .setFunction("purchaseCredits", 
-          new ContractFunctionParameters()
-            .addString(projectId)
-            .addUint256(amountWithDecimals)
-        );
-
-      const txResponse = await contractCallTx.execute(this.client);
-      const receipt = await txResponse.getReceipt(this.client);
+      const result = await this.executeContractCall("purchaseCredits", [projectId, amountWithDecimals], {
+        gas: 400000,
+        payableTinybars: totalPriceTinybars
+      });
       
-      console.log('✅ Credits purchased:', receipt.transactionId.toString());
+      console.log('✅ Credits purchased:', result.transactionId);
       
-      return {
-        success: receipt.status.toString() === 'SUCCESS',
-        transactionId: txResponse.transactionId.toString(),
-        hashscanUrl: `${this.hashscanBase}/transaction/${txResponse.transactionId.toString()}`
-      };
+      return result;
     } catch (error) {
       console.error('❌ Credit purchase failed:', error);
       throw error;
     }
   }
 
+  /**
+   * Purchase credits from several projects in a single atomic transaction
+   * Lines are { projectId, amount }; the contract refunds any excess payment once
+   */
+  async purchaseBatch(lines, totalPriceTinybars) {
+    try {
+      console.log('🛒 Checking out cart...', { lines: lines.length, totalPriceTinybars });
+
+      // Convert amounts to contract format (with 2 decimals)
+      const amountsWithDecimals = lines.map(line => parseCredits(line.amount));
+
+      const result = await this.executeContractCall("purchaseBatch",
+        [lines.map(line => line.projectId), amountsWithDecimals],
+        {
+          gas: Math.min(400000 * lines.length, 15000000),
+          payableTinybars: totalPriceTinybars
+        }
+      );
+
+      console.log('✅ Cart purchased:', result.transactionId);
+
+      return result;
+    } catch (error) {
+      console.error('❌ Cart purchase failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Retire credits with HCS logging
+   * Options: batchId to retire from a specific issuance batch, and
+   * beneficiaryName / beneficiaryAddress / reportingPeriod to retire on behalf of a client.
+   * Accounts without HBAR for gas sign the retirement and the relayer service submits it;
+   * pass useRelayer to force either path.
    */
-  async retireCredits(amount, reason) {
+  async retireCredits(amount, reason, options = {}) {
+    const { batchId = null, beneficiaryName = '', beneficiaryAddress = null, reportingPeriod = '' } = options;
+
     try {
-      console.log('🔥 Retiring credits...');
+      console.log('🔥 Retiring credits...', { batchId, beneficiaryName, reportingPeriod });
 
       // Convert amount to contract format (with 2 decimals)
-      const amountWithDecimals = Math.round(amount * 100);
-
-      // First, retire credits in contract
-      const contractCallTx = new ContractExecuteTransaction()
-        .setContractId(this.contractId)
-        .setGas(200000)
-        .setFunction("retire", 
-          new ContractFunctionParameters()
-            .addUint256(amountWithDecimals)
-            .addString(reason)
-        );
+      const amountWithDecimals = parseCredits(amount);
+      const onBehalf = Boolean(beneficiaryName || beneficiaryAddress);
+      const useRelayer = options.useRelayer ?? (relayer.isAvailable() && !(await this.hasGas()));
 
-      const txResponse = await contractCallTx.execute(this.client);
-      const receipt = await txResponse.getReceipt(this.client);
-      
-      if (receipt.status.toString() !== 'SUCCESS') {
-        throw new Error('Credit retirement failed');
-      }
+      let transactionId;
+      let hashscanUrl;
+      let certificates;
+      let hcsLog;
 
-      // Log retirement to HCS topic
-      const retirementLog = {
-        account: this.operatorId.toString(),
-        amount: amount,
-        reason: reason,
-        timestamp: new Date().toISOString(),
-        transactionId: txResponse.transactionId.toString()
-      };
+      if (useRelayer) {
+        // Sign the retirement and let the relayer pay the gas
+        const request = {
+          batchId: batchId || 0,
+          amount: amountWithDecimals.toString(), // Signing services take the message as JSON
+          reason: reason,
+          beneficiary: beneficiaryAddress || ZERO_ADDRESS,
+          beneficiaryName: beneficiaryName,
+          reportingPeriod: reportingPeriod,
+          deadline: Math.floor(Date.now() / 1000) + RETIREMENT_SIGNATURE_TTL_SECONDS
+        };
+        const { retiree, signature } = await this.signRetirement(request);
+
+        // The relayer reads the issued certificates and logs the retirement to HCS itself
+        const result = await relayer.relayRetirement({ ...request, retiree }, signature);
+        ({ transactionId, hashscanUrl, certificates, hcsLog } = result);
+      } else {
+        // Retire credits in contract, paying gas from the connected account
+        let args;
+        let functionName;
+        if (onBehalf) {
+          functionName = "retireOnBehalf";
+          args = [
+            batchId || 0,
+            amountWithDecimals,
+            reason,
+            beneficiaryAddress || ZERO_ADDRESS,
+            beneficiaryName,
+            reportingPeriod
+          ];
+        } else if (batchId) {
+          functionName = "retireFromBatch";
+          args = [batchId, amountWithDecimals, reason];
+        } else {
+          functionName = "retire";
+          args = [amountWithDecimals, reason];
+        }
 
-      await this.logToHCS(JSON.stringify(retirementLog));
+        const result = await this.executeContractCall(functionName, args, { gas: 500000 });
+        
+        if (!result.success) {
+          throw new Error('Credit retirement failed');
+        }
+
+        ({ transactionId, hashscanUrl } = result);
+
+        // Read the certificates issued by this retirement from the contract logs
+        certificates = this.parseRetirementCertificates(result.contractFunctionResult);
+
+        // Log retirement to HCS topic
+        const retirementLog = {
+          account: this.accountId,
+          amount: amount,
+          reason: reason,
+          beneficiaryName: beneficiaryName,
+          beneficiaryAddress: beneficiaryAddress,
+          reportingPeriod: reportingPeriod,
+          certificates: certificates,
+          relayed: false,
+          timestamp: new Date().toISOString(),
+          transactionId: transactionId
+        };
+
+        hcsLog = await this.logRetirement(retirementLog);
+      }
       
-      console.log('✅ Credits retired:', receipt.transactionId.toString());
+      console.log('✅ Credits retired:', transactionId);
       
       return {
         success: true,
-        transactionId: txResponse.transactionId.toString(),
-        hashscanUrl: `${this.hashscanBase}/transaction/${txResponse.transactionId.toString()}`
+        relayed: useRelayer,
+        certificates: certificates,
+        hcsLog: hcsLog,
+        transactionId: transactionId,
+        hashscanUrl: hashscanUrl
       };
     } catch (error) {
       console.error('❌ Credit retirement failed:', error);
@@ -337,6 +530,133 @@ class HederaClient {
     }
   }
 
+  /**
+   * Whether the connected account holds enough HBAR to pay for its own transactions
+   */
+  async hasGas() {
+    try {
+      const balance = await this.getAccountBalance();
+      return toUnits(balance.hbar) >= MIN_GAS_BALANCE_TINYBARS;
+    } catch (error) {
+      // If the balance cannot be read, submit directly and let the network decide
+      return true;
+    }
+  }
+
+  /**
+   * Sign an EIP-712 RetireWithSignature message through the connected account's signer
+   * Returns the signer's EVM address (the retiree) and the split signature
+   */
+  async signRetirement(request) {
+    if (!this.signer) {
+      throw new Error('Connect an account to sign retirements');
+    }
+    const retiree = ethers.utils.getAddress(this.evmAddress);
+
+    const { name, version, chainId, verifyingContract } = await this.queryContract("eip712Domain");
+    const [nonce] = await this.queryContract("nonces", [retiree]);
+
+    const signature = await this.signer.signTypedData(
+      { name, version, chainId, verifyingContract },
+      RETIRE_WITH_SIGNATURE_TYPES,
+      { ...request, retiree: retiree, nonce: nonce.toString() }
+    );
+
+    return {
+      retiree: retiree,
+      signature: ethers.utils.splitSignature(signature)
+    };
+  }
+
+  /**
+   * Sign an EIP-712 LogRetirement message over a retirement's transaction hash, which
+   * proves to the relayer that the connected account sent the retirement it should log
+   */
+  async signRetirementLog(transactionHash) {
+    const { name, version, chainId, verifyingContract } = await this.queryContract("eip712Domain");
+    return this.signer.signTypedData(
+      { name, version, chainId, verifyingContract },
+      LOG_RETIREMENT_TYPES,
+      { transactionHash: transactionHash }
+    );
+  }
+
+  /**
+   * Extract RetirementCertificateIssued events from a contract call result
+   */
+  parseRetirementCertificates(contractFunctionResult) {
+    if (!contractFunctionResult) return [];
+
+    return parseLogs(ABIS.MicroCredit, contractFunctionResult.logs)
+      .filter(event => event.name === 'RetirementCertificateIssued')
+      .map(event => ({
+        certificateId: event.args.certificateId.toNumber(),
+        projectId: event.args.projectId,
+        batchId: event.args.batchId.toNumber(),
+        amount: creditsToNumber(event.args.amount)
+      }));
+  }
+
+  /**
+   * Get the connected account's purchases, issuances and retirements from the mirror node
+   * Options as for MirrorNodeClient.getCreditHistory; pass the returned `next` to load older entries.
+   * Events log project IDs as hashes, so the registered projects are listed to name them.
+   */
+  async getTransactionHistory(options = {}) {
+    try {
+      const projectIds = [];
+      let offset = 0;
+      let hasMore = true;
+      while (hasMore) {
+        const page = await this.listProjects(offset, PROJECT_PAGE_SIZE);
+        projectIds.push(...page.projects.map(project => project.projectId));
+        offset += page.projects.length;
+        hasMore = page.hasMore && page.projects.length > 0;
+      }
+
+      const { transactions, next } = await mirrorNode.getCreditHistory(this.contractId, this.evmAddress, {
+        ...options,
+        projectIds
+      });
+
+      return {
+        transactions: transactions.map(transaction => ({
+          ...transaction,
+          hashscanUrl: this.getHashScanUrl(transaction.transactionHash)
+        })),
+        next
+      };
+    } catch (error) {
+      console.error('❌ Failed to get transaction history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Log a retirement sent from the connected account to the HCS topic
+   * Browser wallets can only send contract calls, so the relayer service logs
+   * their retirements after reading them back from the mirror node, once the
+   * account signs that it sent them.
+   * Resolves to null when the retirement could not be logged.
+   */
+  async logRetirement(retirementLog) {
+    if (!(this.signer instanceof ExternalWalletSigner)) {
+      return this.logToHCS(JSON.stringify(retirementLog));
+    }
+
+    if (!relayer.isAvailable()) {
+      console.warn('Retirements from browser wallets are logged to HCS by the relayer, which is not configured');
+      return null;
+    }
+    try {
+      const signature = await this.signRetirementLog(retirementLog.transactionId);
+      return await relayer.logRetirement(retirementLog.transactionId, signature);
+    } catch (error) {
+      console.error('❌ HCS logging failed:', error);
+      return null;
+    }
+  }
+
   /**
    * Log message to HCS topic for transparency
    */
@@ -352,15 +672,14 @@ class HederaClient {
         message: message
       });
 
-      const txResponse = await topicMessageTx.execute(this.client);
-      const receipt = await txResponse.getReceipt(this.client);
+      const receipt = await this.executeTransaction(topicMessageTx);
       
-      console.log('✅ Message logged to HCS:', receipt.transactionId.toString());
+      console.log('✅ Message logged to HCS:', receipt.transactionId);
       
       return {
-        success: receipt.status.toString() === 'SUCCESS',
-        transactionId: txResponse.transactionId.toString(),
-        topicUrl: `${this.hashscanBase}/topic/${this.hcsTopicId}`
+        success: receipt.status === 'SUCCESS',
+        transactionId: receipt.transactionId,
+        topicUrl: explorerUrl(this.network, 'topic', this.hcsTopicId)
       };
     } catch (error) {
       console.error('❌ HCS logging failed:', error);
@@ -373,20 +692,11 @@ class HederaClient {
    */
   async getTokenBalance(accountId = null) {
     try {
-      const targetAccount = accountId || this.operatorId.toSolidityAddress();
+      const targetAccount = accountId || this.evmAddress;
       
-      const contractCallQuery = new ContractCallQuery()
-        .setContractId(this.contractId)
-        .setGas(100000)
-        .setFunction("balanceOf", 
-          new ContractFunctionParameters()
-            .addAddress(targetAccount)
-        );
-
-      const result = await contractCallQuery.execute(this.client);
-      const balance = result.getUint256(0);
+      const [balance] = await this.queryContract("balanceOf", [targetAccount]);
       
-      return balance / 100; // Convert from 2 decimals
+      return creditsToNumber(balance);
     } catch (error) {
       console.error('Failed to get token balance:', error);
       return 0;
@@ -398,26 +708,83 @@ class HederaClient {
    */
   async getRetiredBalance(accountId = null) {
     try {
-      const targetAccount = accountId || this.operatorId.toSolidityAddress();
+      const targetAccount = accountId || this.evmAddress;
       
-      const contractCallQuery = new ContractCallQuery()
-        .setContractId(this.contractId)
-        .setGas(100000)
-        .setFunction("getRetiredBalance", 
-          new ContractFunctionParameters()
-            .addAddress(targetAccount)
-        );
-
-      const result = await contractCallQuery.execute(this.client);
-      const balance = result.getUint256(0);
+      const [balance] = await this.queryContract("getRetiredBalance", [targetAccount]);
       
-      return balance / 100; // Convert from 2 decimals
+      return creditsToNumber(balance);
     } catch (error) {
       console.error('Failed to get retired balance:', error);
       return 0;
     }
   }
 
+  /**
+   * Get per-batch breakdown (project, vintage, serial range) of an account's credits
+   */
+  async getCreditBreakdown(accountId = null) {
+    try {
+      const targetAccount = accountId || this.evmAddress;
+
+      const { batchIds, balances } = await this.queryContract("getHolderBatches", [targetAccount], 300000);
+
+      const breakdown = [];
+      for (let i = 0; i < batchIds.length; i++) {
+        const [batch] = await this.queryContract("getBatch", [batchIds[i]]);
+
+        breakdown.push({
+          batchId: Number(batch.batchId.toString()),
+          projectId: batch.projectId,
+          vintage: Number(batch.vintage),
+          serialStart: batch.serialStart.toString(),
+          serialEnd: batch.serialEnd.toString(),
+          issued: creditsToNumber(batch.amount),
+          issuedAt: new Date(Number(batch.issuedAt.toString()) * 1000).toISOString(),
+          balance: creditsToNumber(balances[i])
+        });
+      }
+
+      return breakdown;
+    } catch (error) {
+      console.error('Failed to get credit breakdown:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get retirement certificates retired by or for an account
+   */
+  async getRetirementCertificates(accountId = null) {
+    try {
+      const targetAccount = accountId || this.evmAddress;
+
+      const [certificateIds] = await this.queryContract("getAccountCertificateIds", [targetAccount], 200000);
+
+      const certificates = [];
+      for (const certificateId of certificateIds) {
+        const [certificate] = await this.queryContract("getRetirement", [certificateId], 150000);
+
+        certificates.push({
+          certificateId: Number(certificate.certificateId.toString()),
+          retiree: certificate.retiree,
+          beneficiary: certificate.beneficiary,
+          beneficiaryName: certificate.beneficiaryName,
+          reportingPeriod: certificate.reportingPeriod,
+          projectId: certificate.projectId,
+          batchId: Number(certificate.batchId.toString()),
+          amount: creditsToNumber(certificate.amount),
+          reason: certificate.reason,
+          timestamp: new Date(Number(certificate.timestamp.toString()) * 1000).toISOString()
+        });
+      }
+
+      return certificates;
+    } catch (error) {
+      console.error('Failed to get retirement certificates:', error);
+      return [];
+    }
+  }
+
   /**
    * Get project information from contract
    */
@@ -425,31 +792,17 @@ class HederaClient {
     try {
       console.log(`🔍 Querying project: ${projectId} from contract: ${this.contractId}`);
       
-      const contractCallQuery = new ContractCallQuery()
-        .setContractId(this.contractId)
-        .setGas(100000)
-        .setFunction("getProject", 
-          new ContractFunctionParameters()
-            .addString(projectId)
-        );
-
-      const result = await contractCallQuery.execute(this.client);
-      
-      console.log("📄 Raw contract response:", result);
+      const [project] = await this.queryContract("getProject", [projectId]);
       
-      // Parse project struct based on ProjectInfo struct order:
-      // string projectId, string methodology, string location, 
-      // uint256 totalCredits, uint256 availableCredits, bool isActive, 
-      // address developer, uint256 pricePerCredit
       const projectData = {
-        projectId: result.getString(0),           // string projectId
-        methodology: result.getString(1),        // string methodology  
-        location: result.getString(2),           // string location
-        totalCredits: result.getUint256(3),      // uint256 totalCredits
-        availableCredits: result.getUint256(4),  // uint256 availableCredits
-        isActive: result.getBool(5),             // bool isActive
-        developer: result.getString(6),          // address developer (as string)
-        pricePerCredit: result.getUint256(7)     // uint256 pricePerCredit
+        projectId: project.projectId,
+        methodology: project.methodology,
+        location: project.location,
+        totalCredits: creditsToNumber(project.totalCredits),
+        availableCredits: creditsToNumber(project.availableCredits),
+        isActive: project.isActive,
+        developer: project.developer,
+        pricePerCredit: Number(project.pricePerCredit.toString())      // In tinybars
       };
       
       console.log("✅ Parsed project data:", projectData);
@@ -468,40 +821,1080 @@ class HederaClient {
   }
 
   /**
-   * Get platform statistics
+   * Get the latest vintage issued for a project, or null before its first issuance
    */
-  async getPlatformStats() {
+  async getCurrentVintage(projectId) {
+    const [vintage] = await this.queryContract("currentVintage", [projectId]);
+    return Number(vintage.toString()) || null;
+  }
+
+  /**
+   * List registered projects from contract with pagination
+   */
+  async listProjects(offset = 0, limit = 20) {
     try {
-      const contractCallQuery = new ContractCallQuery()
-        .setContractId(this.contractId)
-        .setGas(100000)
-        .setFunction("getPlatformStats");
+      console.log(`🔍 Listing projects ${offset}-${offset + limit} from contract: ${this.contractId}`);
+
+      const { page, total } = await this.queryContract("getProjects", [offset, limit], 1000000);
+
+      const projects = page.map(project => ({
+        projectId: project.projectId,
+        methodology: project.methodology,
+        location: project.location,
+        totalCredits: creditsToNumber(project.totalCredits),
+        availableCredits: creditsToNumber(project.availableCredits),
+        isActive: project.isActive,
+        developer: project.developer,
+        pricePerCredit: Number(project.pricePerCredit.toString())      // In tinybars
+      }));
 
-      const result = await contractCallQuery.execute(this.client);
-      
       return {
-        totalSupply: result.getUint256(0) / 100,
-        totalRetired: result.getUint256(1) / 100,
-        activeProjects: result.getUint256(2)
+        projects,
+        total: Number(total.toString()),
+        hasMore: offset + projects.length < Number(total.toString())
       };
     } catch (error) {
-      console.error('Failed to get platform stats:', error);
-      return { totalSupply: 0, totalRetired: 0, activeProjects: 0 };
+      console.error('❌ Failed to list projects:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a project's lifecycle status and its history of registry operator changes
+   */
+  async getProjectLifecycle(projectId) {
+    try {
+      const [status] = await this.queryContract("projectStatus", [projectId]);
+      const [entries] = await this.queryContract("getProjectHistory", [projectId], 500000);
+
+      return {
+        status: PROJECT_STATUSES[status],
+        history: entries.map(entry => ({
+          action: PROJECT_ACTIONS[entry.action],
+          reason: entry.reason,
+          actor: entry.actor,
+          timestamp: new Date(Number(entry.timestamp.toString()) * 1000).toISOString()
+        }))
+      };
+    } catch (error) {
+      console.error(`Failed to get lifecycle of project ${projectId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Suspend an active project, blocking mints and purchases (registrar only)
+   */
+  async suspendProject(projectId, reason) {
+    return this.executeContractCall("suspendProject", [projectId, reason], { gas: 200000 });
+  }
+
+  /**
+   * Reinstate a suspended project (registrar only)
+   */
+  async reinstateProject(projectId, reason) {
+    return this.executeContractCall("reinstateProject", [projectId, reason], { gas: 200000 });
+  }
+
+  /**
+   * Permanently close a project at the end of its crediting period (registrar only)
+   */
+  async closeProject(projectId, reason) {
+    return this.executeContractCall("closeProject", [projectId, reason], { gas: 200000 });
+  }
+
+  /**
+   * Correct a project's methodology or location (registrar only)
+   */
+  async updateProjectMetadata(projectId, methodology, location, reason) {
+    return this.executeContractCall("updateProjectMetadata",
+      [projectId, methodology, location, reason],
+      { gas: 300000 }
+    );
+  }
+
+  /**
+   * Get a project's non-permanence buffer: share withheld per issuance, credits held and credits cancelled by reversals
+   */
+  async getBufferHealth(projectId) {
+    try {
+      const [bufferBps] = await this.queryContract("bufferBps", [projectId]);
+      const [bufferCredits] = await this.queryContract("bufferCredits", [projectId]);
+      const [reversedCredits] = await this.queryContract("reversedCredits", [projectId]);
+
+      return {
+        bufferPercent: Number(bufferBps) / 100,
+        bufferCredits: creditsToNumber(bufferCredits),
+        reversedCredits: creditsToNumber(reversedCredits)
+      };
+    } catch (error) {
+      console.error(`Failed to get buffer of project ${projectId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set the share of each issuance withheld for a project's buffer (registrar only)
+   */
+  async setBufferPercentage(projectId, bufferPercent) {
+    return this.executeContractCall("setBufferPercentage", [
+      projectId,
+      parseBps(bufferPercent, { label: 'Buffer percentage' })
+    ]);
+  }
+
+  /**
+   * Report a reversal and cancel buffer credits for a project (registrar only)
+   */
+  async reportReversal(projectId, amount, reason) {
+    return this.executeContractCall("reportReversal", [
+      projectId,
+      parseCredits(amount),
+      reason
+    ], { gas: 500000 });
+  }
+
+  /**
+   * Get platform statistics: credit totals, project counts by status and total HBAR volume
+   * With { breakdown: true }, also credits issued, available and retired per methodology
+   * and per project type, which takes one query per registered project
+   */
+  async getPlatformStats({ breakdown = false } = {}) {
+    try {
+      // getPlatformStats returns (totalSupply, totalRetired, active, suspended, closed, hbarVolume)
+      const [totalSupply, totalRetired, activeProjects, suspendedProjects, closedProjects, primaryVolume] =
+        await this.queryContract("getPlatformStats");
+
+      // Secondary market fills and forward deliveries are paid on their own contracts
+      const callVolume = async (contractId, contract) => {
+        if (!contractId) {
+          return 0;
+        }
+        const [totalVolume] = await this.queryContract("totalVolume", [], 100000, contract);
+        return tinybarsToHbar(totalVolume);
+      };
+
+      const volume = {
+        primary: tinybarsToHbar(primaryVolume),
+        secondary: await callVolume(this.marketContractId, 'market'),
+        forward: await callVolume(this.forwardSaleContractId, 'forwardSale')
+      };
+
+      const stats = {
+        totalSupply: creditsToNumber(totalSupply),
+        totalRetired: creditsToNumber(totalRetired),
+        activeProjects: Number(activeProjects.toString()),
+        suspendedProjects: Number(suspendedProjects.toString()),
+        closedProjects: Number(closedProjects.toString()),
+        hbarVolume: volume.primary + volume.secondary + volume.forward,
+        volume
+      };
+
+      if (breakdown) {
+        Object.assign(stats, await this.getCreditTotals());
+      }
+
+      return stats;
+    } catch (error) {
+      console.error('Failed to get platform stats:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Total credits issued, available and retired per methodology and per project type
+   * Issued credits include any share withheld for a project's buffer
+   */
+  async getCreditTotals() {
+    const byMethodology = {};
+    const byType = {};
+    const addTo = (totals, key, project, retired) => {
+      const entry = totals[key] || (totals[key] = { projects: 0, issued: 0, available: 0, retired: 0 });
+      entry.projects += 1;
+      entry.issued += project.totalCredits - project.availableCredits;
+      entry.available += project.availableCredits;
+      entry.retired += retired;
+    };
+
+    let offset = 0;
+    let hasMore = true;
+    while (hasMore) {
+      const page = await this.listProjects(offset, PROJECT_PAGE_SIZE);
+
+      for (const project of page.projects) {
+        const [projectRetired] = await this.queryContract("projectRetired", [project.projectId]);
+        const retired = creditsToNumber(projectRetired);
+
+        addTo(byMethodology, project.methodology || 'Unspecified', project, retired);
+        addTo(byType, this.getProjectType(project), project, retired);
+      }
+
+      offset += page.projects.length;
+      hasMore = page.hasMore && page.projects.length > 0;
+    }
+
+    return { byMethodology, byType };
+  }
+
+  /**
+   * Classify a project by type from its ID and methodology
+   * The contract stores no project type, so this matches keywords used in
+   * project IDs and methodology names (e.g. "AMAZON_REDD_2024", "VCS-VM0015")
+   */
+  getProjectType(project) {
+    const text = `${project.projectId} ${project.methodology}`.toUpperCase();
+    const match = PROJECT_TYPES.find(type => type.keywords.some(keyword => text.includes(keyword)));
+    return match ? match.name : 'Other';
+  }
+
+  /**
+   * Get a developer's withdrawable proceeds and lifetime earnings per project
+   */
+  async getDeveloperProceeds(developerAddress = null) {
+    try {
+      const targetAccount = (developerAddress || this.evmAddress).toLowerCase();
+
+      const [pending] = await this.queryContract("developerProceeds", [targetAccount]);
+
+      // Collect the developer's projects from the on-chain registry
+      const developerProjects = [];
+      let offset = 0;
+      let hasMore = true;
+      while (hasMore) {
+        const page = await this.listProjects(offset, PROJECT_PAGE_SIZE);
+        developerProjects.push(
+          ...page.projects.filter(project => project.developer.toLowerCase() === targetAccount)
+        );
+        offset += page.projects.length;
+        hasMore = page.hasMore && page.projects.length > 0;
+      }
+
+      const projects = [];
+      for (const project of developerProjects) {
+        const [earned] = await this.queryContract("projectProceeds", [project.projectId]);
+        const [sold] = await this.queryContract("projectCreditsSold", [project.projectId]);
+
+        projects.push({
+          projectId: project.projectId,
+          location: project.location,
+          creditsSold: creditsToNumber(sold),
+          earned: tinybarsToHbar(earned)
+        });
+      }
+
+      return {
+        pending: tinybarsToHbar(pending),
+        projects
+      };
+    } catch (error) {
+      console.error('Failed to get developer proceeds:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Withdraw the connected developer's accumulated sale proceeds
+   */
+  async withdrawProceeds() {
+    return this.executeContractCall("withdrawProceeds", [], { gas: 100000 });
+  }
+
+  /**
+   * List credits of one of the connected account's batches for resale on the secondary market
+   * Approves the market to take the credits into escrow, then creates the listing
+   */
+  async createResaleListing(batchId, amount, pricePerCreditHbar) {
+    try {
+      console.log('🏷️ Listing credits for resale...', { batchId, amount, pricePerCreditHbar });
+
+      // Convert amount to contract format (with 2 decimals)
+      const amountWithDecimals = parseCredits(amount);
+      const pricePerCredit = parseHbar(pricePerCreditHbar, { label: 'Price per credit' });
+
+      const approval = await this.executeContractCall("approve", [
+        toContractEvmAddress(this.marketContractId),
+        amountWithDecimals
+      ]);
+
+      if (!approval.success) {
+        throw new Error('Approval for market escrow failed');
+      }
+
+      return this.executeContractCall("createListing", [batchId, amountWithDecimals, pricePerCredit], {
+        gas: 400000,
+        contract: 'market'
+      });
+    } catch (error) {
+      console.error('❌ Resale listing failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List secondary market listings with pagination
+   */
+  async getResaleListings(offset = 0, limit = 20) {
+    try {
+      const { page, total } = await this.queryContract("getListings", [offset, limit], 1000000, 'market');
+
+      const ownAddress = this.evmAddress && this.evmAddress.toLowerCase();
+
+      const listings = page.map(listing => ({
+        listingId: Number(listing.listingId.toString()),
+        seller: listing.seller,
+        batchId: Number(listing.batchId.toString()),
+        projectId: listing.projectId,
+        vintage: Number(listing.vintage),
+        amount: creditsToNumber(listing.amount),
+        remaining: creditsToNumber(listing.remaining),
+        pricePerCredit: Number(listing.pricePerCredit.toString()), // In tinybars
+        isActive: listing.isActive,
+        createdAt: new Date(Number(listing.createdAt.toString()) * 1000).toISOString(),
+        isOwn: listing.seller.toLowerCase() === ownAddress
+      }));
+
+      return {
+        listings,
+        total: Number(total.toString()),
+        hasMore: offset + listings.length < Number(total.toString())
+      };
+    } catch (error) {
+      console.error('❌ Failed to list resale listings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Buy some or all of the credits in a resale listing
+   */
+  async buyResaleListing(listingId, amount, totalPriceTinybars) {
+    try {
+      console.log('💳 Buying resale credits...', { listingId, amount, totalPriceTinybars });
+
+      // Convert amount to contract format (with 2 decimals)
+      const amountWithDecimals = parseCredits(amount);
+
+      const result = await this.executeContractCall("buyListing", [listingId, amountWithDecimals], {
+        gas: 400000,
+        contract: 'market',
+        payableTinybars: totalPriceTinybars
+      });
+
+      console.log('✅ Resale credits purchased:', result.transactionId);
+
+      return result;
+    } catch (error) {
+      console.error('❌ Resale purchase failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a resale listing and return the unsold credits from escrow
+   */
+  async cancelResaleListing(listingId) {
+    return this.executeContractCall("cancelListing", [listingId], { gas: 300000, contract: 'market' });
+  }
+
+  /**
+   * Get a seller's withdrawable resale proceeds in HBAR
+   */
+  async getResaleProceeds(sellerAddress = null) {
+    try {
+      const targetAccount = sellerAddress || this.evmAddress;
+
+      const [proceeds] = await this.queryContract("sellerProceeds", [targetAccount], 100000, 'market');
+      return tinybarsToHbar(proceeds);
+    } catch (error) {
+      console.error('Failed to get resale proceeds:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Withdraw the connected seller's accumulated resale proceeds
+   */
+  async withdrawResaleProceeds() {
+    return this.executeContractCall("withdrawProceeds", [], { gas: 100000, contract: 'market' });
+  }
+
+  /**
+   * Whether stablecoin purchases are configured (TokenSale contract and payment token)
+   */
+  isTokenPaymentAvailable() {
+    return Boolean(this.tokenSaleContractId && this.paymentTokenId);
+  }
+
+  /**
+   * Get the payment token's symbol and decimals through its ERC-20 interface
+   */
+  async getPaymentToken() {
+    if (this.paymentToken) {
+      return this.paymentToken;
+    }
+
+    const [symbol] = await this.queryContract("symbol", [], 100000, 'paymentToken');
+    const [decimals] = await this.queryContract("decimals", [], 100000, 'paymentToken');
+
+    this.paymentToken = { symbol, decimals };
+    return this.paymentToken;
+  }
+
+  /**
+   * Get a project's price per credit in the payment token (0 when not priced in the token)
+   */
+  async getTokenPrice(projectId) {
+    try {
+      const { decimals } = await this.getPaymentToken();
+      const price = await this.getTokenPriceUnits(projectId);
+      return Number(formatAmount(price, decimals));
+    } catch (error) {
+      console.error('Failed to get token price:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Get a project's token price per credit in payment token base units
+   */
+  async getTokenPriceUnits(projectId) {
+    const [price] = await this.queryContract("pricePerCredit", [projectId], 100000, 'tokenSale');
+    return price;
+  }
+
+  /**
+   * Set a project's price per credit in the payment token (project developer only)
+   */
+  async setTokenPrice(projectId, pricePerCredit) {
+    const { decimals } = await this.getPaymentToken();
+
+    return this.executeContractCall("setPrice",
+      [projectId, parseAmount(pricePerCredit, decimals, { label: 'Token price', allowZero: true })],
+      { gas: 150000, contract: 'tokenSale' }
+    );
+  }
+
+  /**
+   * Purchase credits paying in the payment token
+   * Approves the TokenSale contract for the total price, which it collects with transferFrom
+   */
+  async purchaseCreditsWithToken(projectId, amount) {
+    try {
+      const { decimals, symbol } = await this.getPaymentToken();
+
+      // Convert amount to contract format (with 2 decimals)
+      const amountWithDecimals = parseCredits(amount);
+
+      // Same rounding as TokenSale: amount * pricePerCredit / 10^2, rounded up
+      const price = toUnits(await this.getTokenPriceUnits(projectId));
+      if (price === 0n) {
+        throw new Error(`Project is not priced in ${symbol}`);
+      }
+      const totalPrice = ceilDiv(amountWithDecimals * price, CREDIT_UNIT);
+
+      console.log('💵 Purchasing credits with token...', {
+        projectId,
+        amount,
+        total: `${formatAmount(totalPrice, decimals)} ${symbol}`
+      });
+
+      const approval = await this.executeContractCall("approve",
+        [toContractEvmAddress(this.tokenSaleContractId), totalPrice],
+        { gas: 100000, contract: 'paymentToken' }
+      );
+
+      if (!approval.success) {
+        throw new Error(`Approval of ${symbol} for purchase failed`);
+      }
+
+      const result = await this.executeContractCall("purchaseCredits", [projectId, amountWithDecimals], {
+        gas: 600000,
+        contract: 'tokenSale'
+      });
+
+      return {
+        ...result,
+        totalPrice: Number(formatAmount(totalPrice, decimals)),
+        symbol
+      };
+    } catch (error) {
+      console.error('❌ Token purchase failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a developer's withdrawable payment token proceeds
+   */
+  async getTokenProceeds(developerAddress = null) {
+    try {
+      const { decimals } = await this.getPaymentToken();
+      const targetAccount = developerAddress || this.evmAddress;
+
+      const [proceeds] = await this.queryContract("developerProceeds", [targetAccount], 100000, 'tokenSale');
+      return Number(formatAmount(proceeds, decimals));
+    } catch (error) {
+      console.error('Failed to get token proceeds:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Withdraw the connected developer's accumulated payment token proceeds
+   */
+  async withdrawTokenProceeds() {
+    return this.executeContractCall("withdrawProceeds", [], { gas: 150000, contract: 'tokenSale' });
+  }
+
+  /**
+   * Whether the ForwardSale contract is configured
+   */
+  isForwardSaleAvailable() {
+    return Boolean(this.forwardSaleContractId);
+  }
+
+  /**
+   * Offer credits from a future vintage for pre-order (project developer only)
+   */
+  async createForward(projectId, vintage, amount, pricePerCreditHbar, deadline) {
+    return this.executeContractCall("createForward", [
+      projectId,
+      vintage,
+      parseCredits(amount),
+      parseHbar(pricePerCreditHbar, { label: 'Price per credit' }),
+      Math.floor(new Date(deadline).getTime() / 1000)
+    ], { gas: 400000, contract: 'forwardSale' });
+  }
+
+  /**
+   * Convert a ForwardSale.Forward tuple into display units
+   */
+  parseForward(forward) {
+    const deadline = new Date(Number(forward.deadline.toString()) * 1000);
+    const isDelivered = forward.isDelivered;
+
+    return {
+      forwardId: Number(forward.forwardId.toString()),
+      projectId: forward.projectId,
+      developer: forward.developer,
+      vintage: Number(forward.vintage),
+      amount: creditsToNumber(forward.amount),
+      sold: creditsToNumber(forward.sold),
+      delivered: creditsToNumber(forward.delivered),
+      batchId: Number(forward.batchId.toString()),
+      pricePerCredit: tinybarsToHbar(forward.pricePerCredit),
+      escrowed: tinybarsToHbar(forward.escrowed),
+      deadline: deadline.toISOString(),
+      isDelivered,
+      status: isDelivered ? 'Delivered' : deadline < new Date() ? 'Expired' : 'Open'
+    };
+  }
+
+  /**
+   * List forwards with pagination
+   */
+  async getForwards(offset = 0, limit = 20) {
+    try {
+      const { page, total } = await this.queryContract("getForwards", [offset, limit], 1000000, 'forwardSale');
+      const forwards = page.map(forward => this.parseForward(forward));
+
+      return {
+        forwards,
+        total: Number(total.toString()),
+        hasMore: offset + forwards.length < Number(total.toString())
+      };
+    } catch (error) {
+      console.error('❌ Failed to list forwards:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pre-order credits from a forward; the payment stays in escrow until delivery
+   */
+  async preOrderForward(forwardId, amount, totalPriceTinybars) {
+    try {
+      console.log('📅 Pre-ordering credits...', { forwardId, amount, totalPriceTinybars });
+
+      // Convert amount to contract format (with 2 decimals)
+      const amountWithDecimals = parseCredits(amount);
+
+      const result = await this.executeContractCall("preOrder", [forwardId, amountWithDecimals], {
+        gas: 300000,
+        contract: 'forwardSale',
+        payableTinybars: totalPriceTinybars
+      });
+
+      console.log('✅ Pre-order placed:', result.transactionId);
+
+      return result;
+    } catch (error) {
+      console.error('❌ Pre-order failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the Guardian-verified mint batches of a project vintage that a developer can
+   * deliver forwards from, with the credits of each the developer still holds
+   */
+  async getVintageMintBatches(projectId, vintage, developerAddress = null) {
+    const developer = developerAddress || this.evmAddress;
+    const [batchIds] = await this.queryContract("getProjectBatchIds", [projectId], 200000);
+
+    const mintBatches = [];
+    for (const batchId of batchIds) {
+      const [batch] = await this.queryContract("getBatch", [batchId]);
+      const { verificationHash } = await this.queryContract("batchEvidence", [batchId]);
+      // Batches issued by sales carry no verification evidence
+      if (Number(batch.vintage) !== Number(vintage) || /^0x0*$/.test(verificationHash)) {
+        continue;
+      }
+
+      const [held] = await this.queryContract("batchBalances", [batchId, developer]);
+      mintBatches.push({
+        batchId: Number(batchId.toString()),
+        issued: creditsToNumber(batch.amount),
+        held: creditsToNumber(held)
+      });
+    }
+    return mintBatches;
+  }
+
+  /**
+   * Deliver a forward from the verified mint batch of its vintage (project developer only)
+   * Approves the forward sale contract to take the delivered credits out of the batch,
+   * then delivers; the contract fills the pre-orders up to what the developer holds of it
+   */
+  async deliverForward(forwardId, batchId, amount) {
+    const approval = await this.executeContractCall("approve", [
+      toContractEvmAddress(this.forwardSaleContractId),
+      parseCredits(amount)
+    ]);
+
+    if (!approval.success) {
+      throw new Error('Approval for forward delivery failed');
+    }
+
+    return this.executeContractCall("deliver", [forwardId, batchId], { gas: 600000, contract: 'forwardSale' });
+  }
+
+  /**
+   * Get the connected buyer's pre-orders with what each can claim now
+   */
+  async getMyPreOrders(buyerAddress = null) {
+    try {
+      const targetAccount = buyerAddress || this.evmAddress;
+
+      const [forwardIds] = await this.queryContract("getBuyerForwardIds", [targetAccount], 200000, 'forwardSale');
+
+      const preOrders = [];
+      for (const forwardId of forwardIds) {
+        const [forward] = await this.queryContract("getForward", [forwardId], 200000, 'forwardSale');
+        const { order, creditsDue, refundDue } =
+          await this.queryContract("getOrder", [forwardId, targetAccount], 200000, 'forwardSale');
+
+        preOrders.push({
+          ...this.parseForward(forward),
+          ordered: creditsToNumber(order.amount),
+          paid: tinybarsToHbar(order.paid),
+          creditsClaimed: order.creditsClaimed,
+          refunded: order.refunded,
+          creditsDue: creditsToNumber(creditsDue),
+          refundDue: tinybarsToHbar(refundDue)
+        });
+      }
+
+      return preOrders;
+    } catch (error) {
+      console.error('Failed to get pre-orders:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Claim delivered credits and any refund due on a pre-order
+   */
+  async claimForward(forwardId) {
+    return this.executeContractCall("claim", [forwardId], { gas: 300000, contract: 'forwardSale' });
+  }
+
+  /**
+   * Get a developer's withdrawable forward sale proceeds in HBAR
+   */
+  async getForwardProceeds(developerAddress = null) {
+    try {
+      const targetAccount = developerAddress || this.evmAddress;
+
+      const [proceeds] = await this.queryContract("developerProceeds", [targetAccount], 100000, 'forwardSale');
+      return tinybarsToHbar(proceeds);
+    } catch (error) {
+      console.error('Failed to get forward proceeds:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Withdraw the connected developer's accumulated forward sale proceeds
+   */
+  async withdrawForwardProceeds() {
+    return this.executeContractCall("withdrawProceeds", [], { gas: 100000, contract: 'forwardSale' });
+  }
+
+  /**
+   * Get platform fee configuration, accrued fees and recent per-period totals
+   */
+  async getFeeInfo(periodCount = 6) {
+    try {
+      const [feeBps] = await this.queryContract("platformFeeBps");
+      const [feeCollector] = await this.queryContract("feeCollector");
+      const [accruedFees] = await this.queryContract("accruedFees");
+      const currentPeriod = Number((await this.queryContract("currentFeePeriod"))[0].toString());
+
+      const periods = [];
+      for (let period = currentPeriod; period > currentPeriod - periodCount && period >= 0; period--) {
+        const [fees] = await this.queryContract("feesByPeriod", [period]);
+        periods.push({
+          period,
+          startDate: new Date(period * FEE_PERIOD_SECONDS * 1000).toISOString(),
+          fees: tinybarsToHbar(fees)
+        });
+      }
+
+      return {
+        feeBps: Number(feeBps),
+        feeCollector,
+        accruedFees: tinybarsToHbar(accruedFees),
+        periods
+      };
+    } catch (error) {
+      console.error('Failed to get fee info:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set platform fee in basis points (owner only)
+   */
+  async setPlatformFee(feeBps) {
+    // Whole basis points only; fractions and out-of-range fees are rejected before sending
+    return this.executeContractCall("setPlatformFee", [
+      parseAmount(feeBps, 0, { label: 'Platform fee (bps)', max: MAX_PLATFORM_FEE_BPS, allowZero: true })
+    ]);
+  }
+
+  /**
+   * Set the fee collector address (owner only)
+   */
+  async setFeeCollector(collectorAddress) {
+    return this.executeContractCall("setFeeCollector", [collectorAddress]);
+  }
+
+  /**
+   * Withdraw accrued platform fees to the fee collector
+   */
+  async withdrawFees() {
+    return this.executeContractCall("withdraw");
+  }
+
+  /**
+   * Whether MicroCredit is paused, which stops minting, primary sales and retirements
+   */
+  async isPaused() {
+    const [paused] = await this.queryContract("paused");
+    return paused;
+  }
+
+  /**
+   * Pause MicroCredit in an emergency (pauser only)
+   */
+  async pause() {
+    return this.executeContractCall("pause");
+  }
+
+  /**
+   * Resume MicroCredit after an emergency pause (pauser only)
+   */
+  async unpause() {
+    return this.executeContractCall("unpause");
+  }
+
+  /**
+   * Get the contract roles held by an account
+   */
+  async getRoles(accountAddress = null) {
+    const targetAccount = accountAddress || this.evmAddress;
+    const roles = {};
+
+    try {
+      for (const [name, role] of Object.entries(ROLES)) {
+        const [hasRole] = await this.queryContract("hasRole", [role, targetAccount]);
+        roles[name] = hasRole;
+      }
+
+      return roles;
+    } catch (error) {
+      console.error('Failed to get account roles:', error);
+      return Object.fromEntries(Object.keys(ROLES).map(name => [name, false]));
+    }
+  }
+
+  /**
+   * Grant a contract role to an account (admin only)
+   */
+  async grantRole(roleName, accountAddress) {
+    return this.executeContractCall("grantRole", [ROLES[roleName], accountAddress]);
+  }
+
+  /**
+   * Revoke a contract role from an account (admin only)
+   */
+  async revokeRole(roleName, accountAddress) {
+    return this.executeContractCall("revokeRole", [ROLES[roleName], accountAddress]);
+  }
+
+  /**
+   * Whether a registry account and schedule topic are configured for multi-signature scheduling
+   */
+  isMultisigAvailable() {
+    return Boolean(this.registryAccountId && this.scheduleTopicId);
+  }
+
+  /**
+   * Schedule a state-changing contract function for the registry operators to sign
+   * The registry account pays for and sends the call, which executes once enough
+   * operator keys have signed; the creator's signature already counts. Schedules
+   * not signed within SCHEDULE_TTL_SECONDS expire without executing. The schedule
+   * is announced on the schedule topic for the approvals queue.
+   * Needs an account key signer: browser wallets cannot create schedules.
+   * Options: { gas, contract }
+   */
+  async scheduleContractCall(functionName, args = [], { gas = 150000, contract = 'microCredit' } = {}) {
+    if (!this.isMultisigAvailable()) {
+      throw new Error('Multi-signature approval is not configured (REACT_APP_REGISTRY_ACCOUNT_ID, REACT_APP_SCHEDULE_TOPIC_ID)');
+    }
+
+    try {
+      console.log(`🗓️ Scheduling ${functionName}...`);
+
+      const scheduleTx = new ScheduleCreateTransaction()
+        .setScheduledTransaction(this.buildContractCall(functionName, args, { gas, contract }))
+        .setPayerAccountId(this.registryAccountId)
+        .setScheduleMemo(`EcoCreditX ${functionName} by ${this.accountId}`.slice(0, MAX_SCHEDULE_MEMO_LENGTH))
+        .setExpirationTime(Timestamp.fromDate(new Date(Date.now() + SCHEDULE_TTL_SECONDS * 1000)));
+
+      const receipt = await this.executeTransaction(scheduleTx);
+
+      console.log(`✅ ${functionName} scheduled:`, receipt.scheduleId);
+
+      // Announce the schedule so the other operators find it in their approvals queue
+      try {
+        await this.executeTransaction(new TopicMessageSubmitTransaction({
+          topicId: this.scheduleTopicId,
+          message: scheduleAnnouncement(receipt.scheduleId, functionName)
+        }));
+      } catch (error) {
+        throw new Error(`Schedule ${receipt.scheduleId} was created but could not be added to the approvals queue: ${error.message}`);
+      }
+
+      return {
+        success: receipt.status === 'SUCCESS',
+        scheduled: true,
+        scheduleId: receipt.scheduleId,
+        transactionId: receipt.transactionId,
+        hashscanUrl: this.getHashScanUrl(receipt.transactionId)
+      };
+    } catch (error) {
+      console.error(`❌ Scheduling ${functionName} failed:`, error);
+      throw toUserError(error);
+    }
+  }
+
+  /**
+   * Add the connected account's signature to a pending schedule
+   * The scheduled call executes with this signature if it completes the threshold
+   */
+  async signSchedule(scheduleId) {
+    try {
+      console.log('✍️ Signing schedule...', scheduleId);
+
+      const receipt = await this.executeTransaction(
+        new ScheduleSignTransaction().setScheduleId(ScheduleId.fromString(scheduleId))
+      );
+
+      console.log('✅ Schedule signed:', receipt.transactionId);
+
+      return {
+        success: receipt.status === 'SUCCESS',
+        transactionId: receipt.transactionId,
+        hashscanUrl: this.getHashScanUrl(receipt.transactionId)
+      };
+    } catch (error) {
+      console.error('❌ Schedule signing failed:', error);
+      throw toUserError(error);
+    }
+  }
+
+  /**
+   * Pending schedules of the registry account awaiting operator signatures, oldest first
+   * Read from the schedules announced on the schedule topic within their lifetime.
+   * Each carries the decoded call, the signatures collected out of the threshold,
+   * signedByMe for the connected account's key, and waitsFor: the schedule ID of a
+   * pending registration a mint must wait for
+   */
+  async getScheduleQueue() {
+    if (!this.isMultisigAvailable()) {
+      return [];
+    }
+
+    const contracts = {};
+    for (const name of ['microCredit', 'market', 'tokenSale', 'forwardSale']) {
+      try {
+        const { contractId, abi } = this.getContract(name);
+        contracts[contractId] = { name, abi };
+      } catch (error) {
+        // Not configured
+      }
+    }
+
+    try {
+      const { key } = await mirrorNode.getAccount(this.registryAccountId);
+      const signingKey = decodeAccountKey(key);
+
+      // Schedules expire within SCHEDULE_TTL_SECONDS, so older announcements are skipped
+      const since = Math.floor(Date.now() / 1000) - SCHEDULE_TTL_SECONDS;
+      const scheduleIds = new Set();
+      let next = null;
+      do {
+        const page = await mirrorNode.getTopicMessages(this.scheduleTopicId, { limit: MAX_TOPIC_PAGE_SIZE, since, next });
+        for (const message of page.messages) {
+          const scheduleId = parseScheduleAnnouncement(message.message);
+          if (scheduleId) {
+            scheduleIds.add(scheduleId);
+          }
+        }
+        next = page.next;
+      } while (next);
+
+      const queue = [];
+      for (const scheduleId of scheduleIds) {
+        let schedule;
+        try {
+          schedule = await mirrorNode.getSchedule(scheduleId);
+        } catch (error) {
+          console.warn(`Skipping announced schedule ${scheduleId}:`, error.message);
+          continue;
+        }
+        if (schedule.payer_account_id !== this.registryAccountId) {
+          continue;
+        }
+        const parsed = parseSchedule(schedule, { contracts, signingKey });
+        if (parsed.status === 'Pending') {
+          queue.push(parsed);
+        }
+      }
+
+      const myKey = this.signer && this.signer.publicKey ? this.signer.publicKey.toStringRaw() : null;
+      return queue
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(schedule => {
+          const blocking = findBlockingSchedule(schedule, queue);
+          return {
+            ...schedule,
+            signedByMe: Boolean(myKey) && schedule.signedKeys.includes(myKey),
+            waitsFor: blocking ? blocking.scheduleId : null
+          };
+        });
+    } catch (error) {
+      console.error('Failed to load pending schedules:', error);
+      throw toUserError(error);
+    }
+  }
+
+  /**
+   * Execute a state-changing contract function and wait for its receipt
+   * Arguments are encoded from the contract's ABI; a revert is rethrown with its
+   * decoded reason, read from the failed transaction's result on the mirror node
+   * Options: { gas, contract, payableTinybars }
+   */
+  async executeContractCall(functionName, args = [], { gas = 150000, contract = 'microCredit', payableTinybars = null } = {}) {
+    const { abi } = this.getContract(contract);
+
+    try {
+      console.log(`⚙️ Executing ${functionName}...`);
+
+      const contractCallTx = this.buildContractCall(functionName, args, { gas, contract, payableTinybars });
+      const receipt = await this.executeTransaction(contractCallTx);
+
+      console.log(`✅ ${functionName} executed:`, receipt.transactionId);
+
+      return {
+        success: receipt.status === 'SUCCESS',
+        transactionId: receipt.transactionId,
+        hashscanUrl: this.getHashScanUrl(receipt.transactionId),
+        contractFunctionResult: receipt.contractFunctionResult
+      };
+    } catch (error) {
+      console.error(`❌ ${functionName} failed:`, error);
+      throw this.toContractError(error, abi, functionName, await this.getRevertData(error));
+    }
+  }
+
+  /**
+   * Build the ContractExecuteTransaction of a contract function call
+   * Options: { gas, contract, payableTinybars }
+   */
+  buildContractCall(functionName, args = [], { gas = 150000, contract = 'microCredit', payableTinybars = null } = {}) {
+    const { contractId, abi } = this.getContract(contract);
+
+    const contractCallTx = new ContractExecuteTransaction()
+      .setContractId(contractId)
+      .setGas(gas)
+      .setFunctionParameters(encodeFunctionCall(abi, functionName, args));
+
+    if (payableTinybars) {
+      contractCallTx.setPayableAmount(Hbar.fromTinybars(checkAmount(payableTinybars, {
+        label: 'Payment',
+        max: MAX_TINYBARS,
+        decimals: HBAR_DECIMALS
+      }).toString()));
+    }
+
+    return contractCallTx;
+  }
+
+  /**
+   * Revert data of a failed contract transaction, from its result on the mirror node
+   * Node receipts carry the transaction ID, wallet receipts the EVM transaction hash
+   */
+  async getRevertData(error) {
+    const reverted = error.status && error.status.toString() === 'CONTRACT_REVERT_EXECUTED';
+    const transactionId = reverted ? error.transactionId.toString() : error.transactionHash;
+    if (!transactionId) {
+      return null;
+    }
+
+    try {
+      const result = await mirrorNode.getContractResult(transactionId);
+      return result.errorMessage;
+    } catch (lookupError) {
+      console.warn('Could not read the failed transaction result:', lookupError.message);
+      return null;
     }
   }
 
   /**
-   * Generate HashScan URL for transaction verification
+   * Generate explorer URL for transaction verification on the configured network
    */
   getHashScanUrl(transactionId) {
-    return `${this.hashscanBase}/transaction/${transactionId}`;
+    return explorerUrl(this.network, 'transaction', transactionId);
   }
 
   /**
-   * Generate HashScan URL for contract
+   * Generate explorer URL for the contract on the configured network
    */
   getContractUrl() {
-    return `${this.hashscanBase}/contract/${this.contractId}`;
+    return explorerUrl(this.network, 'contract', this.contractId);
   }
 }
 
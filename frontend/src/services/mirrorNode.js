@@ -0,0 +1,321 @@
+/**
+ * Mirror Node REST client for EcoCreditX
+ *
+ * Read-only access to the configured network's mirror node. Contract reads run
+ * through the mirror node's free eth_call equivalent, so the browser needs no
+ * paying operator account, and contract results of submitted transactions are
+ * looked up once the mirror node has ingested them. An account's credit history
+ * is read from the contract's event logs, so it follows the account across
+ * browsers and includes activity from other apps.
+ *
+ * References:
+ * - Mirror Node REST API: https://docs.hedera.com/hedera/sdks-and-apis/rest-api
+ * - Contract call: https://docs.hedera.com/hedera/sdks-and-apis/rest-api/smart-contracts
+ * - Contract logs: https://docs.hedera.com/hedera/sdks-and-apis/rest-api/smart-contracts#get-contracts-contractidorevmaddress-results-logs
+ * - Topic messages: https://docs.hedera.com/hedera/sdks-and-apis/rest-api/topics
+ */
+
+import axios from 'axios';
+import { ContractId, ContractFunctionResult } from '@hashgraph/sdk';
+import { ethers } from 'ethers';
+import { getNetworkConfig } from './network';
+import { ABIS, parseLogs } from './contracts';
+import { creditsToNumber, tinybarsToHbar } from './amounts';
+
+const API_PREFIX = '/api/v1';
+
+// Contract results reach the mirror node a few seconds after consensus
+const RESULT_POLL_ATTEMPTS = 10;
+const RESULT_POLL_INTERVAL_MS = 1500;
+
+// Logs per mirror node page (the mirror node maximum) and pages scanned per history request
+const LOG_PAGE_SIZE = 100;
+const MAX_HISTORY_PAGES = 10;
+
+// Topic messages per mirror node page (the mirror node maximum)
+export const MAX_TOPIC_PAGE_SIZE = 100;
+
+// History entry type of each MicroCredit event making up an account's credit history
+export const CREDIT_EVENT_TYPES = {
+  CreditsMinted: 'issuance',
+  CreditsPurchased: 'purchase',
+  CreditsRetired: 'retirement'
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * ISO date of a mirror node consensus timestamp (seconds.nanoseconds)
+ */
+const toISOTimestamp = (consensusTimestamp) =>
+  new Date(Number(consensusTimestamp.split('.')[0]) * 1000).toISOString();
+
+/**
+ * EVM address of a contract given as 0.0.x, a ContractId or a 0x address
+ */
+export function toContractEvmAddress(contractId) {
+  if (typeof contractId === 'string' && contractId.startsWith('0x')) {
+    return contractId.toLowerCase();
+  }
+  const id = typeof contractId === 'string' ? ContractId.fromString(contractId) : contractId;
+  return id.evmAddress ? ethers.utils.hexlify(id.evmAddress) : `0x${id.toSolidityAddress()}`;
+}
+
+/**
+ * Mirror node form of a transaction ID (0.0.123@1700000000.000000001 -> 0.0.123-1700000000-000000001)
+ * EVM transaction hashes are used as-is
+ */
+export function toMirrorTransactionId(transactionId) {
+  if (transactionId.startsWith('0x')) {
+    return transactionId;
+  }
+  const [account, timestamp] = transactionId.split('@');
+  return `${account}-${timestamp.replace('.', '-')}`;
+}
+
+export class MirrorNodeClient {
+  constructor(baseUrl) {
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * Send a request to the REST API
+   * Accepts paths relative to /api/v1 as well as the mirror node's own `links.next` paths
+   */
+  async request(path, { method = 'GET', data } = {}) {
+    const url = `${this.baseUrl}${path.startsWith(API_PREFIX) ? path : `${API_PREFIX}${path}`}`;
+
+    try {
+      const response = await axios.request({ url, method, data });
+      return response.data;
+    } catch (err) {
+      const status = err.response ? err.response.status : null;
+      const error = new Error(`Mirror node request failed (${status || err.message}): ${path}`);
+      error.status = status;
+      error.body = err.response ? err.response.data : null;
+      throw error;
+    }
+  }
+
+  /**
+   * Get an account by account ID or EVM address
+   */
+  async getAccount(idOrEvmAddress) {
+    return this.request(`/accounts/${idOrEvmAddress}`);
+  }
+
+  /**
+   * Run a ContractCallQuery as a free, read-only call
+   * Resolves to a ContractFunctionResult, like executing the query against a node.
+   * A reverted call rejects with the revert data in `error.revertData`.
+   */
+  async call(query, from = null) {
+    let result;
+    try {
+      ({ result } = await this.request('/contracts/call', {
+        method: 'POST',
+        data: {
+          to: toContractEvmAddress(query.contractId),
+          data: ethers.utils.hexlify(query.functionParameters),
+          gas: query.gas ? Number(query.gas.toString()) : undefined,
+          from: from || undefined,
+          block: 'latest'
+        }
+      }));
+    } catch (error) {
+      const messages = (error.body && error.body._status && error.body._status.messages) || [];
+      error.revertData = messages.length > 0 ? messages[0].data || null : null;
+      throw error;
+    }
+
+    return new ContractFunctionResult({
+      _createResult: false,
+      contractId: query.contractId,
+      bytes: ethers.utils.arrayify(result),
+      logs: []
+    });
+  }
+
+  /**
+   * Get the return value and logs of a contract transaction by transaction ID or EVM hash
+   * Waits for the mirror node to ingest the transaction
+   */
+  async getContractResult(transactionId) {
+    const path = `/contracts/results/${toMirrorTransactionId(transactionId)}`;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await this.request(path);
+        return new ContractFunctionResult({
+          _createResult: false,
+          contractId: result.contract_id ? ContractId.fromString(result.contract_id) : null,
+          bytes: ethers.utils.arrayify(result.call_result || '0x'),
+          errorMessage: result.error_message || null,
+          logs: (result.logs || []).map(log => ({
+            topics: log.topics.map(topic => ethers.utils.arrayify(topic)),
+            data: ethers.utils.arrayify(log.data || '0x')
+          }))
+        });
+      } catch (error) {
+        if (error.status !== 404 || attempt >= RESULT_POLL_ATTEMPTS) {
+          throw error;
+        }
+        await sleep(RESULT_POLL_INTERVAL_MS);
+      }
+    }
+  }
+
+  /**
+   * Get one page of a contract's event logs, newest first
+   * Pass the `next` link of a page to continue after it; `from` and `to` limit
+   * the consensus time range (Date or ISO string)
+   * Resolves to { logs, next }
+   */
+  async getContractLogs(contractId, { from = null, to = null, limit = LOG_PAGE_SIZE, next = null } = {}) {
+    let path = next;
+    if (!path) {
+      const params = [`limit=${limit}`, 'order=desc'];
+      if (from) {
+        params.push(`timestamp=gte:${Math.floor(new Date(from).getTime() / 1000)}`);
+      }
+      if (to) {
+        params.push(`timestamp=lte:${Math.floor(new Date(to).getTime() / 1000)}`);
+      }
+      path = `/contracts/${toContractEvmAddress(contractId)}/results/logs?${params.join('&')}`;
+    }
+
+    const { logs, links } = await this.request(path);
+    return { logs, next: (links && links.next) || null };
+  }
+
+  /**
+   * Get a scheduled transaction with the signatures collected so far
+   */
+  async getSchedule(scheduleId) {
+    return this.request(`/schedules/${scheduleId}`);
+  }
+
+  /**
+   * Get one page of an HCS topic's messages
+   * Newest first by default; `after` only returns messages past that sequence
+   * number, oldest first, for polling a topic for new messages, and `since` only
+   * messages reached consensus at or after that time (seconds since the epoch).
+   * Pass the `next` link of a page to continue after it.
+   * Resolves to { messages, next }
+   */
+  async getTopicMessages(topicId, { limit = 25, after = null, since = null, next = null } = {}) {
+    let path = next;
+    if (!path) {
+      path = after === null
+        ? `/topics/${topicId}/messages?limit=${limit}&order=desc`
+        : `/topics/${topicId}/messages?limit=${limit}&order=asc&sequencenumber=gt:${after}`;
+      if (since !== null) {
+        path += `&timestamp=gte:${since}`;
+      }
+    }
+
+    const { messages, links } = await this.request(path);
+    return { messages, next: (links && links.next) || null };
+  }
+
+  /**
+   * Get an account's credit history: purchases, issuances and retirements
+   * decoded from the MicroCredit event logs, newest first
+   *
+   * Options:
+   * - types: entry types to include (see CREDIT_EVENT_TYPES), all by default
+   * - projectId: only entries of this project (retirements carry no project and are left out)
+   * - projectIds: known project IDs, to name the projects of indexed event topics
+   * - from / to: consensus time range
+   * - limit: entries wanted; whole log pages are decoded, so a page may return more
+   * - next: cursor returned by the previous page
+   *
+   * The mirror node only filters logs by topic within a short time range, so
+   * logs are paged in full and filtered here, scanning at most MAX_HISTORY_PAGES
+   * log pages per call. Resolves to { transactions, next }, with next null once
+   * the history is exhausted.
+   */
+  async getCreditHistory(contractId, account, {
+    types = Object.values(CREDIT_EVENT_TYPES),
+    projectId = null,
+    projectIds = [],
+    from = null,
+    to = null,
+    limit = 10,
+    next = null
+  } = {}) {
+    const accountTopic = ethers.utils.hexZeroPad(account, 32).toLowerCase();
+    const projectTopic = projectId ? ethers.utils.id(projectId) : null;
+    const projectNames = Object.fromEntries(projectIds.map(id => [ethers.utils.id(id), id]));
+
+    const transactions = [];
+    let cursor = next;
+    let pages = 0;
+
+    do {
+      const page = await this.getContractLogs(contractId, { from, to, next: cursor });
+      cursor = page.next;
+      pages++;
+
+      const entries = page.logs
+        .filter(log => log.topics.length > 1 && log.topics[1].toLowerCase() === accountTopic)
+        .map(log => this.decodeCreditLog(log, projectNames))
+        .filter(entry => entry && types.includes(entry.type))
+        .filter(entry => !projectTopic || entry.projectTopic === projectTopic);
+
+      // A purchase issues the credits it sells: keep only the purchase
+      const purchases = new Set(entries
+        .filter(entry => entry.type === 'purchase')
+        .map(entry => `${entry.transactionHash}:${entry.projectTopic}`));
+
+      transactions.push(...entries.filter(entry =>
+        entry.type !== 'issuance' || !purchases.has(`${entry.transactionHash}:${entry.projectTopic}`)
+      ));
+    } while (cursor && transactions.length < limit && pages < MAX_HISTORY_PAGES);
+
+    return { transactions, next: cursor };
+  }
+
+  /**
+   * Decode a mirror node log into a history entry, or null if it is not a credit event
+   */
+  decodeCreditLog(log, projectNames = {}) {
+    const [event] = parseLogs(ABIS.MicroCredit, [log]);
+    if (!event || !CREDIT_EVENT_TYPES[event.name]) {
+      return null; // Another MicroCredit event
+    }
+
+    const entry = {
+      id: `${log.transaction_hash}-${log.index}`,
+      type: CREDIT_EVENT_TYPES[event.name],
+      amount: creditsToNumber(event.args.amount),
+      timestamp: toISOTimestamp(log.timestamp),
+      consensusTimestamp: log.timestamp,
+      transactionHash: log.transaction_hash,
+      status: 'completed'
+    };
+
+    if (event.name === 'CreditsRetired') {
+      entry.reason = event.args.reason;
+    } else {
+      // Indexed strings are logged as their keccak256 hash
+      entry.projectTopic = event.args.projectId.hash;
+      entry.projectId = projectNames[entry.projectTopic] || null;
+      entry.projectName = entry.projectId || 'Unknown project';
+    }
+
+    if (event.name === 'CreditsMinted') {
+      entry.methodology = event.args.methodology;
+    }
+    if (event.name === 'CreditsPurchased') {
+      entry.price = tinybarsToHbar(event.args.totalPrice);
+      entry.currency = 'HBAR';
+    }
+
+    return entry;
+  }
+}
+
+// Export singleton instance for the configured network
+const mirrorNode = new MirrorNodeClient(getNetworkConfig().mirrorNodeUrl);
+export default mirrorNode;
@@ -0,0 +1,95 @@
+/**
+ * @jest-environment node
+ */
+import { MirrorNodeClient } from './mirrorNode';
+import { startMirrorNodeServer } from './__fixtures__/mirrorNodeServer';
+
+const CONTRACT_ID = '0.0.5005';
+const BUYER = '0x00000000000000000000000000000000000004d2';
+const PROJECT_IDS = ['AMAZON_REDD_2024', 'KENYA_COOKSTOVES_2024'];
+
+describe('MirrorNodeClient credit history', () => {
+  let fixtureServer, mirrorNode;
+
+  beforeAll(async () => {
+    fixtureServer = await startMirrorNodeServer();
+    mirrorNode = new MirrorNodeClient(fixtureServer.url);
+  });
+
+  afterAll(() => new Promise(resolve => fixtureServer.server.close(resolve)));
+
+  beforeEach(() => {
+    fixtureServer.requests.length = 0;
+  });
+
+  it('decodes the account\'s events across pages, newest first', async () => {
+    const { transactions, next } = await mirrorNode.getCreditHistory(CONTRACT_ID, BUYER, {
+      projectIds: PROJECT_IDS,
+      limit: 10
+    });
+
+    expect(fixtureServer.requests).toHaveLength(2);
+    expect(next).toBeNull();
+    expect(transactions.map(tx => tx.type)).toEqual(['retirement', 'purchase', 'issuance']);
+
+    const [retirement, purchase, issuance] = transactions;
+    expect(retirement).toMatchObject({
+      amount: 1.5,
+      reason: 'Offsetting Q4 2024',
+      timestamp: '2024-12-31T00:01:40.000Z',
+      consensusTimestamp: '1735603300.000000004'
+    });
+    expect(purchase).toMatchObject({
+      projectId: 'AMAZON_REDD_2024',
+      amount: 2,
+      price: 2,
+      currency: 'HBAR',
+      transactionHash: '0x0000000000000000000000000000000000000000000000000000000000000003'
+    });
+    expect(issuance).toMatchObject({
+      projectId: 'KENYA_COOKSTOVES_2024',
+      amount: 0.5,
+      methodology: 'Gold Standard TPDDTEC'
+    });
+  });
+
+  it('stops after a page holding enough entries and returns the cursor', async () => {
+    const firstPage = await mirrorNode.getCreditHistory(CONTRACT_ID, BUYER, { projectIds: PROJECT_IDS, limit: 2 });
+
+    expect(fixtureServer.requests).toEqual([
+      '/api/v1/contracts/0x000000000000000000000000000000000000138d/results/logs?limit=100&order=desc'
+    ]);
+    expect(firstPage.transactions.map(tx => tx.type)).toEqual(['retirement', 'purchase']);
+    expect(firstPage.next).toMatch(/^\/api\/v1\/contracts\/.*timestamp=lt:/);
+
+    const secondPage = await mirrorNode.getCreditHistory(CONTRACT_ID, BUYER, {
+      projectIds: PROJECT_IDS,
+      limit: 2,
+      next: firstPage.next
+    });
+    expect(secondPage.transactions.map(tx => tx.projectId)).toEqual(['KENYA_COOKSTOVES_2024']);
+    expect(secondPage.next).toBeNull();
+  });
+
+  it('filters by entry type and project', async () => {
+    const purchases = await mirrorNode.getCreditHistory(CONTRACT_ID, BUYER, { types: ['purchase'] });
+    expect(purchases.transactions).toHaveLength(1);
+    expect(purchases.transactions[0].projectName).toBe('Unknown project');
+
+    const cookstoves = await mirrorNode.getCreditHistory(CONTRACT_ID, BUYER, { projectId: 'KENYA_COOKSTOVES_2024' });
+    expect(cookstoves.transactions).toHaveLength(1);
+    expect(cookstoves.transactions[0]).toMatchObject({ type: 'issuance', amount: 0.5 });
+  });
+
+  it('leaves out other accounts\' events', async () => {
+    const developer = '0x00000000000000000000000000000000000004d3';
+    const { transactions } = await mirrorNode.getCreditHistory(CONTRACT_ID, developer, { projectIds: PROJECT_IDS });
+
+    expect(transactions).toHaveLength(1);
+    expect(transactions[0]).toMatchObject({ type: 'issuance', projectId: 'AMAZON_REDD_2024', amount: 10 });
+  });
+
+  it('reports the status of failed requests', async () => {
+    await expect(mirrorNode.getContractLogs('0.0.404')).rejects.toMatchObject({ status: 404 });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Hedera network configuration for EcoCreditX
+ *
+ * Selects the network from REACT_APP_HEDERA_NETWORK (testnet, mainnet,
+ * previewnet or local) and derives the SDK client, mirror node and explorer
+ * URLs from it. A local Hedera node or emulator can be reached through custom
+ * endpoints:
+ * - REACT_APP_HEDERA_NODE_URL / REACT_APP_HEDERA_NODE_ACCOUNT_ID: consensus node
+ * - REACT_APP_MIRROR_NODE_GRPC: mirror node gRPC endpoint (HCS subscriptions)
+ * - REACT_APP_MIRROR_NODE_URL: mirror node REST API
+ * - REACT_APP_HASHSCAN_BASE_URL: block explorer
+ *
+ * References:
+ * - Hedera networks: https://docs.hedera.com/hedera/networks
+ * - Hedera local node: https://github.com/hashgraph/hedera-local-node
+ * - HashScan: https://hashscan.io
+ */
+
+import { Client } from '@hashgraph/sdk';
+
+export const DEFAULT_NETWORK = 'testnet';
+
+export const NETWORKS = {
+  mainnet: {
+    name: 'mainnet',
+    label: 'Hedera Mainnet',
+    chainId: 295,
+    isProduction: true,
+    mirrorNodeUrl: 'https://mainnet-public.mirrornode.hedera.com',
+    explorerUrl: 'https://hashscan.io/mainnet',
+    faucetUrl: null
+  },
+  testnet: {
+    name: 'testnet',
+    label: 'Hedera Testnet',
+    chainId: 296,
+    isProduction: false,
+    mirrorNodeUrl: 'https://testnet.mirrornode.hedera.com',
+    explorerUrl: 'https://hashscan.io/testnet',
+    faucetUrl: 'https://portal.hedera.com/'
+  },
+  previewnet: {
+    name: 'previewnet',
+    label: 'Hedera Previewnet',
+    chainId: 297,
+    isProduction: false,
+    mirrorNodeUrl: 'https://previewnet.mirrornode.hedera.com',
+    explorerUrl: 'https://hashscan.io/previewnet',
+    faucetUrl: 'https://portal.hedera.com/'
+  },
+  // Defaults of hedera-local-node (consensus node 0.0.3, mirror node and explorer)
+  local: {
+    name: 'local',
+    label: 'Local Node',
+    chainId: 298,
+    isProduction: false,
+    consensusNodes: { '127.0.0.1:50211': '0.0.3' },
+    mirrorNodeGrpc: '127.0.0.1:5600',
+    mirrorNodeUrl: 'http://localhost:5551',
+    explorerUrl: 'http://localhost:8080/devnet',
+    faucetUrl: null
+  }
+};
+
+/**
+ * Resolve the configured network, applying any custom endpoints
+ * Throws on an unknown network name rather than silently falling back to testnet
+ */
+export function getNetworkConfig(env = process.env) {
+  const name = (env.REACT_APP_HEDERA_NETWORK || DEFAULT_NETWORK).trim().toLowerCase();
+  const network = NETWORKS[name];
+  if (!network) {
+    throw new Error(
+      `Unknown Hedera network "${name}". Set REACT_APP_HEDERA_NETWORK to one of: ${Object.keys(NETWORKS).join(', ')}`
+    );
+  }
+
+  const config = { ...network };
+  if (env.REACT_APP_HEDERA_NODE_URL) {
+    config.consensusNodes = {
+      [env.REACT_APP_HEDERA_NODE_URL]: env.REACT_APP_HEDERA_NODE_ACCOUNT_ID || '0.0.3'
+    };
+  }
+  if (env.REACT_APP_MIRROR_NODE_GRPC) {
+    config.mirrorNodeGrpc = env.REACT_APP_MIRROR_NODE_GRPC;
+  }
+  if (env.REACT_APP_MIRROR_NODE_URL) {
+    config.mirrorNodeUrl = env.REACT_APP_MIRROR_NODE_URL.replace(/\/+$/, '');
+  }
+  if (env.REACT_APP_HASHSCAN_BASE_URL) {
+    config.explorerUrl = env.REACT_APP_HASHSCAN_BASE_URL.replace(/\/+$/, '');
+  }
+
+  return config;
+}
+
+/**
+ * Create an SDK client for a network
+ * Public networks use the SDK's built-in address book unless custom nodes are configured
+ */
+export function createClient(network) {
+  if (!network.consensusNodes) {
+    return Client.forName(network.name);
+  }
+
+  const client = Client.forNetwork(network.consensusNodes);
+  client.setMirrorNetwork(network.mirrorNodeGrpc ? [network.mirrorNodeGrpc] : network.name);
+  return client;
+}
+
+/**
+ * Build an explorer link, e.g. explorerUrl(network, 'transaction', txId)
+ */
+export function explorerUrl(network, type, id) {
+  return `${network.explorerUrl}/${type}/${id}`;
+}
@@ -0,0 +1,44 @@
+/**
+ * @jest-environment node
+ */
+import { getNetworkConfig, explorerUrl, DEFAULT_NETWORK, NETWORKS } from './network';
+
+describe('getNetworkConfig', () => {
+  it('defaults to testnet', () => {
+    const network = getNetworkConfig({});
+
+    expect(DEFAULT_NETWORK).toBe('testnet');
+    expect(network).toEqual(NETWORKS.testnet);
+    expect(network.chainId).toBe(296);
+    expect(explorerUrl(network, 'transaction', '0.0.2@1700000000.000000001'))
+      .toBe('https://hashscan.io/testnet/transaction/0.0.2@1700000000.000000001');
+  });
+
+  it('selects the network named in REACT_APP_HEDERA_NETWORK', () => {
+    const network = getNetworkConfig({ REACT_APP_HEDERA_NETWORK: ' Mainnet ' });
+
+    expect(network.name).toBe('mainnet');
+    expect(network.chainId).toBe(295);
+    expect(network.isProduction).toBe(true);
+    expect(network.mirrorNodeUrl).toBe('https://mainnet-public.mirrornode.hedera.com');
+  });
+
+  it('applies custom endpoints without changing the network defaults', () => {
+    const network = getNetworkConfig({
+      REACT_APP_HEDERA_NETWORK: 'local',
+      REACT_APP_HEDERA_NODE_URL: 'node.example:50211',
+      REACT_APP_MIRROR_NODE_URL: 'https://mirror.example/',
+      REACT_APP_HASHSCAN_BASE_URL: 'https://explorer.example/devnet/'
+    });
+
+    expect(network.consensusNodes).toEqual({ 'node.example:50211': '0.0.3' });
+    expect(network.mirrorNodeUrl).toBe('https://mirror.example');
+    expect(explorerUrl(network, 'topic', '0.0.5')).toBe('https://explorer.example/devnet/topic/0.0.5');
+    expect(NETWORKS.local.mirrorNodeUrl).toBe('http://localhost:5551');
+  });
+
+  it('rejects unknown network names instead of falling back to testnet', () => {
+    expect(() => getNetworkConfig({ REACT_APP_HEDERA_NETWORK: 'devnet' }))
+      .toThrow('Unknown Hedera network "devnet". Set REACT_APP_HEDERA_NETWORK to one of: mainnet, testnet, previewnet, local');
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Data provider selection for EcoCreditX
+ *
+ * REACT_APP_DATA_PROVIDER chooses where project validation data comes from:
+ * - live (default): the Guardian instance at REACT_APP_GUARDIAN_URL. Outages
+ *   and rejected requests are reported as errors, never replaced with made-up data
+ * - demo: DemoGuardianClient, an offline provider with deterministic in-memory
+ *   state. The app shows a DEMO badge while it is active
+ *
+ * Contract calls always go to the network selected in network.js.
+ */
+
+import { GuardianClient } from './guardianClient';
+import { DemoGuardianClient } from './demoGuardianClient';
+
+export const DEFAULT_DATA_PROVIDER = 'live';
+export const DATA_PROVIDERS = ['live', 'demo'];
+
+/**
+ * Resolve the configured data provider
+ * Throws on an unknown provider rather than silently falling back to either one
+ */
+export function getDataProvider(env = process.env) {
+  const name = (env.REACT_APP_DATA_PROVIDER || DEFAULT_DATA_PROVIDER).trim().toLowerCase();
+  if (!DATA_PROVIDERS.includes(name)) {
+    throw new Error(
+      `Unknown data provider "${name}". Set REACT_APP_DATA_PROVIDER to one of: ${DATA_PROVIDERS.join(', ')}`
+    );
+  }
+  return name;
+}
+
+/**
+ * Whether the offline demo provider is selected
+ */
+export function isDemoProvider(env = process.env) {
+  return getDataProvider(env) === 'demo';
+}
+
+/**
+ * Guardian client of the configured provider
+ */
+export function createGuardianClient(env = process.env) {
+  return isDemoProvider(env) ? new DemoGuardianClient() : new GuardianClient();
+}
+
+export const guardianClient = createGuardianClient();
@@ -0,0 +1,111 @@
+/**
+ * Relayer client for EcoCreditX gasless retirements
+ *
+ * Sends holder-signed retirements to the relayer service (scripts/relayer.js)
+ * at REACT_APP_RELAYER_URL, which submits them to
+ * MicroCredit.retireWithSignature and pays the HBAR gas from its own account,
+ * so corporate holders with ECCX but no HBAR can still retire credits. The
+ * relayer account's key stays on the server; the browser only sends the fields
+ * of the signed RetireWithSignature message, and the service builds the
+ * contract call and logs the retirement to HCS itself. Browser wallets cannot
+ * submit HCS messages, so the relayer also logs the retirements they send.
+ *
+ * References:
+ * - EIP-712: https://eips.ethereum.org/EIPS/eip-712
+ * - EIP-2612: https://eips.ethereum.org/EIPS/eip-2612
+ */
+
+import { getNetworkConfig, explorerUrl } from './network';
+
+class Relayer {
+  constructor() {
+    this.serviceUrl = (process.env.REACT_APP_RELAYER_URL || '').replace(/\/+$/, '');
+    this.network = getNetworkConfig();
+  }
+
+  /**
+   * Whether a relayer service is configured
+   */
+  isAvailable() {
+    return Boolean(this.serviceUrl);
+  }
+
+  async request(path, body) {
+    const response = await fetch(`${this.serviceUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.error || `Relayer request failed (${response.status})`);
+    }
+    return result;
+  }
+
+  /**
+   * Submit a signed retirement on behalf of its holder
+   * The request carries the fields of the signed RetireWithSignature message
+   */
+  async relayRetirement(request, signature) {
+    if (!this.isAvailable()) {
+      throw new Error('Relayer is not configured');
+    }
+
+    try {
+      console.log('📨 Relaying signed retirement...', { retiree: request.retiree, amount: request.amount });
+
+      const result = await this.request('/retirements', {
+        request: request,
+        signature: { v: signature.v, r: signature.r, s: signature.s }
+      });
+
+      console.log('✅ Retirement relayed:', result.transactionId);
+
+      return {
+        success: true,
+        certificates: result.certificates,
+        hcsLog: this.toHcsLog(result.hcsLog),
+        transactionId: result.transactionId,
+        hashscanUrl: explorerUrl(this.network, 'transaction', result.transactionId)
+      };
+    } catch (error) {
+      console.error('❌ Relayed retirement failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Have the relayer log a retirement sent from a browser wallet to HCS
+   * The relayer reads the retirement back from the mirror node by its transaction hash
+   * and checks the sender's LogRetirement signature over that hash
+   */
+  async logRetirement(transactionId, signature) {
+    if (!this.isAvailable()) {
+      throw new Error('Relayer is not configured');
+    }
+
+    const { hcsLog } = await this.request('/retirements/log', { transactionId: transactionId, signature: signature });
+    console.log('✅ Retirement logged to HCS by the relayer:', hcsLog.transactionId);
+
+    return this.toHcsLog(hcsLog);
+  }
+
+  /**
+   * HCS log submitted by the relayer, in the form hederaClient.logToHCS returns
+   */
+  toHcsLog(hcsLog) {
+    if (!hcsLog) return null;
+
+    return {
+      success: true,
+      transactionId: hcsLog.transactionId,
+      topicUrl: explorerUrl(this.network, 'topic', hcsLog.topicId)
+    };
+  }
+}
+
+// Export singleton instance
+const relayer = new Relayer();
+export default relayer;
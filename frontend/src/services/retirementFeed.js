@@ -0,0 +1,230 @@
+/**
+ * HCS Retirement Feed for EcoCreditX
+ *
+ * Reads back the retirement messages hederaClient.logToHCS submits to the
+ * REACT_APP_HCS_TOPIC_ID topic. Messages are paged through the mirror node,
+ * reassembled when the SDK split them into chunks, validated against the
+ * retirement log format and enriched with their consensus timestamp and
+ * sequence number. The feed stays live by polling for newer sequence numbers.
+ *
+ * References:
+ * - HCS Topics: https://docs.hedera.com/guides/docs/sdks/consensus
+ * - Topic messages REST API: https://docs.hedera.com/hedera/sdks-and-apis/rest-api/topics
+ */
+
+import { ethers } from 'ethers';
+import mirrorNode from './mirrorNode';
+import { getNetworkConfig, explorerUrl } from './network';
+
+export const FEED_PAGE_SIZE = 25;
+const POLL_INTERVAL_MS = 10000;
+
+const ACCOUNT_ID_PATTERN = /^\d+\.\d+\.\d+$/;
+
+const isOptionalString = (value) => value === undefined || value === null || typeof value === 'string';
+
+/**
+ * ISO date of a consensus timestamp (seconds.nanoseconds)
+ */
+const toISOTimestamp = (consensusTimestamp) =>
+  new Date(Number(consensusTimestamp.split('.')[0]) * 1000).toISOString();
+
+/**
+ * Parse and validate a retirement message as written by hederaClient.retireCredits
+ * Throws on anything else, since any account may submit to a topic without a submit key
+ */
+export function parseRetirementMessage(text) {
+  let log;
+  try {
+    log = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Message is not JSON');
+  }
+
+  if (!log || typeof log !== 'object' || Array.isArray(log)) {
+    throw new Error('Message is not a retirement record');
+  }
+  if (typeof log.account !== 'string' || !ACCOUNT_ID_PATTERN.test(log.account)) {
+    throw new Error('Invalid retiring account');
+  }
+  if (typeof log.amount !== 'number' || !Number.isFinite(log.amount) || log.amount <= 0) {
+    throw new Error('Invalid retired amount');
+  }
+  if (typeof log.reason !== 'string') {
+    throw new Error('Invalid retirement reason');
+  }
+  if (typeof log.transactionId !== 'string' || log.transactionId.length === 0) {
+    throw new Error('Missing retirement transaction ID');
+  }
+  if (typeof log.timestamp !== 'string' || Number.isNaN(Date.parse(log.timestamp))) {
+    throw new Error('Invalid retirement timestamp');
+  }
+  if (![log.beneficiaryName, log.reportingPeriod].every(isOptionalString)) {
+    throw new Error('Invalid beneficiary details');
+  }
+  if (log.beneficiaryAddress && !ethers.utils.isAddress(log.beneficiaryAddress)) {
+    throw new Error('Invalid beneficiary address');
+  }
+
+  const certificates = log.certificates === undefined ? [] : log.certificates;
+  if (!Array.isArray(certificates) || !certificates.every(certificate =>
+    certificate && Number.isInteger(certificate.certificateId) && certificate.certificateId > 0 &&
+    typeof certificate.projectId === 'string' && typeof certificate.amount === 'number'
+  )) {
+    throw new Error('Invalid retirement certificates');
+  }
+
+  return {
+    account: log.account,
+    amount: log.amount,
+    reason: log.reason,
+    beneficiaryName: log.beneficiaryName || '',
+    beneficiaryAddress: log.beneficiaryAddress || null,
+    reportingPeriod: log.reportingPeriod || '',
+    certificates: certificates.map(({ certificateId, projectId, batchId, amount }) => ({
+      certificateId,
+      projectId,
+      batchId,
+      amount
+    })),
+    relayed: log.relayed === true,
+    retiredAt: log.timestamp,
+    transactionId: log.transactionId
+  };
+}
+
+export class RetirementFeed {
+  constructor(topicId, network = getNetworkConfig(), client = mirrorNode) {
+    this.topicId = topicId;
+    this.network = network;
+    this.client = client;
+    this.lastSequenceNumber = null; // Newest message seen, polled from
+    this.chunks = {}; // Chunks of split messages by initial transaction
+    this.invalidCount = 0;
+  }
+
+  /**
+   * Whether a retirement topic is configured
+   */
+  isAvailable() {
+    return Boolean(this.topicId);
+  }
+
+  /**
+   * Load the newest retirements, or older ones given the `next` cursor of a previous page
+   * Resolves to { entries, next }, newest first
+   */
+  async loadRecent({ limit = FEED_PAGE_SIZE, next = null } = {}) {
+    const page = await this.client.getTopicMessages(this.topicId, { limit, next });
+    const entries = this.toEntries([...page.messages].reverse()).reverse();
+    return { entries, next: page.next };
+  }
+
+  /**
+   * Load retirements submitted since the newest message seen, newest first
+   */
+  async loadNew() {
+    if (this.lastSequenceNumber === null) {
+      return (await this.loadRecent()).entries;
+    }
+
+    const messages = [];
+    let next = null;
+    do {
+      const page = await this.client.getTopicMessages(this.topicId, { after: this.lastSequenceNumber, next });
+      messages.push(...page.messages);
+      next = page.next;
+    } while (next);
+
+    return this.toEntries(messages).reverse();
+  }
+
+  /**
+   * Poll the topic and pass newly submitted retirements to onEntries
+   * Returns a function that stops polling
+   */
+  subscribe(onEntries, onError = () => {}, intervalMs = POLL_INTERVAL_MS) {
+    let polling = false;
+    const poll = async () => {
+      if (polling) return;
+      polling = true;
+      try {
+        const entries = await this.loadNew();
+        if (entries.length > 0) {
+          onEntries(entries);
+        }
+      } catch (error) {
+        onError(error);
+      } finally {
+        polling = false;
+      }
+    };
+
+    const timer = setInterval(poll, intervalMs);
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Turn messages, oldest first, into feed entries, skipping invalid messages
+   */
+  toEntries(messages) {
+    const entries = [];
+
+    for (const message of messages) {
+      const sequenceNumber = Number(message.sequence_number);
+      if (this.lastSequenceNumber === null || sequenceNumber > this.lastSequenceNumber) {
+        this.lastSequenceNumber = sequenceNumber;
+      }
+
+      const text = this.assemble(message);
+      if (text === null) {
+        continue; // Waiting for the remaining chunks
+      }
+
+      try {
+        entries.push({
+          ...parseRetirementMessage(text),
+          sequenceNumber,
+          consensusTimestamp: message.consensus_timestamp,
+          consensusTime: toISOTimestamp(message.consensus_timestamp),
+          payerAccountId: message.payer_account_id,
+          messageUrl: explorerUrl(this.network, 'transaction', message.consensus_timestamp),
+          sequenceUrl: `${this.network.mirrorNodeUrl}/api/v1/topics/${this.topicId}/messages/${sequenceNumber}`
+        });
+      } catch (error) {
+        this.invalidCount++;
+        console.warn(`⚠️ Skipped HCS message #${sequenceNumber}: ${error.message}`);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Text of a message, or null until all chunks of a split message have been read
+   */
+  assemble(message) {
+    const chunk = message.chunk_info;
+    const bytes = ethers.utils.base64.decode(message.message);
+    if (!chunk || chunk.total <= 1) {
+      return ethers.utils.toUtf8String(bytes);
+    }
+
+    const { account_id: accountId, transaction_valid_start: validStart } = chunk.initial_transaction_id;
+    const key = `${accountId}@${validStart}`;
+    const parts = this.chunks[key] || (this.chunks[key] = {});
+    parts[chunk.number] = bytes;
+
+    if (Object.keys(parts).length < chunk.total) {
+      return null;
+    }
+    delete this.chunks[key];
+
+    const ordered = Array.from({ length: chunk.total }, (_, i) => parts[i + 1]);
+    return ethers.utils.toUtf8String(ethers.utils.concat(ordered));
+  }
+}
+
+// Export singleton instance for the configured retirement topic
+const retirementFeed = new RetirementFeed(process.env.REACT_APP_HCS_TOPIC_ID);
+export default retirementFeed;
@@ -0,0 +1,106 @@
+/**
+ * @jest-environment node
+ */
+import { MirrorNodeClient } from './mirrorNode';
+import { NETWORKS } from './network';
+import { RetirementFeed, parseRetirementMessage } from './retirementFeed';
+import { startMirrorNodeServer } from './__fixtures__/mirrorNodeServer';
+
+const TOPIC_ID = '0.0.7007';
+
+const validRetirement = {
+  account: '0.0.1234',
+  amount: 12.5,
+  reason: 'Offsetting Q4 2024',
+  beneficiaryName: 'Acme Corp',
+  beneficiaryAddress: null,
+  reportingPeriod: 'FY2024',
+  certificates: [{ certificateId: 3, projectId: 'AMAZON_REDD_2024', batchId: 1, amount: 12.5 }],
+  relayed: false,
+  timestamp: '2025-01-01T10:00:00.000Z',
+  transactionId: '0.0.1234@1735725600.000000000'
+};
+
+describe('parseRetirementMessage', () => {
+  it('accepts retirement records written by retireCredits', () => {
+    expect(parseRetirementMessage(JSON.stringify(validRetirement))).toMatchObject({
+      account: '0.0.1234',
+      amount: 12.5,
+      certificates: [{ certificateId: 3, projectId: 'AMAZON_REDD_2024' }],
+      retiredAt: '2025-01-01T10:00:00.000Z'
+    });
+  });
+
+  it.each([
+    ['non-JSON text', 'hello', 'Message is not JSON'],
+    ['a JSON array', '[]', 'Message is not a retirement record'],
+    ['a bad account', JSON.stringify({ ...validRetirement, account: 'alice' }), 'Invalid retiring account'],
+    ['a zero amount', JSON.stringify({ ...validRetirement, amount: 0 }), 'Invalid retired amount'],
+    ['a bad certificate', JSON.stringify({ ...validRetirement, certificates: [{ certificateId: 'x' }] }), 'Invalid retirement certificates'],
+    ['a bad beneficiary address', JSON.stringify({ ...validRetirement, beneficiaryAddress: '0x12' }), 'Invalid beneficiary address']
+  ])('rejects %s', (_, text, message) => {
+    expect(() => parseRetirementMessage(text)).toThrow(message);
+  });
+});
+
+describe('RetirementFeed', () => {
+  let fixtureServer, feed;
+
+  beforeAll(async () => {
+    fixtureServer = await startMirrorNodeServer();
+  });
+
+  afterAll(() => new Promise(resolve => fixtureServer.server.close(resolve)));
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    feed = new RetirementFeed(TOPIC_ID, NETWORKS.testnet, new MirrorNodeClient(fixtureServer.url));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('pages through retirements, newest first, skipping invalid messages', async () => {
+    const firstPage = await feed.loadRecent();
+
+    // Sequence 4 and 5 are the two chunks of one message, 3 is not a retirement
+    expect(firstPage.entries).toHaveLength(1);
+    expect(firstPage.entries[0]).toMatchObject({
+      amount: 5,
+      beneficiaryName: 'Acme Corp',
+      certificates: [{ certificateId: 7, projectId: 'AMAZON_REDD_2024' }],
+      sequenceNumber: 5,
+      consensusTimestamp: '1736000015.000000005',
+      messageUrl: 'https://hashscan.io/testnet/transaction/1736000015.000000005',
+      sequenceUrl: `https://testnet.mirrornode.hedera.com/api/v1/topics/${TOPIC_ID}/messages/5`
+    });
+
+    const secondPage = await feed.loadRecent({ next: firstPage.next });
+    expect(secondPage.entries.map(entry => entry.sequenceNumber)).toEqual([2]);
+    expect(secondPage.next).toBeNull();
+    expect(feed.invalidCount).toBe(2);
+  });
+
+  it('delivers retirements submitted after the newest one seen', async () => {
+    await feed.loadRecent();
+
+    const entries = await feed.loadNew();
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ sequenceNumber: 6, amount: 6, relayed: true });
+    expect(feed.lastSequenceNumber).toBe(6);
+  });
+
+  it('polls subscribers until unsubscribed', async () => {
+    await feed.loadRecent();
+
+    const received = await new Promise((resolve, reject) => {
+      const unsubscribe = feed.subscribe(entries => {
+        unsubscribe();
+        resolve(entries);
+      }, reject, 10);
+    });
+
+    expect(received.map(entry => entry.sequenceNumber)).toEqual([6]);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Multi-signature Schedules for EcoCreditX
+ *
+ * Registering projects and minting credits can be wrapped in Hedera scheduled
+ * transactions instead of executing at once. The scheduled call is paid for and
+ * sent by the registry account (REACT_APP_REGISTRY_ACCOUNT_ID), whose threshold
+ * key is held by the registry operators:
+ * 1. One operator creates the schedule; their signature on it already counts
+ * 2. The others review the decoded call in the Admin approvals queue and sign it
+ * 3. The network executes the call as soon as the threshold is met; a schedule
+ *    that never collects enough signatures expires without executing
+ *
+ * The mirror node only lists schedules by their creator, not by the account that
+ * pays for the scheduled call, so the creating operator announces each schedule
+ * on the schedule topic (REACT_APP_SCHEDULE_TOPIC_ID) and the approvals queue is
+ * read from there.
+ *
+ * The registry account needs REGISTRAR_ROLE and MINTER_ROLE on MicroCredit.
+ *
+ * References:
+ * - Scheduled transactions: https://docs.hedera.com/hedera/core-concepts/scheduled-transaction
+ * - Schedules REST API: https://docs.hedera.com/hedera/sdks-and-apis/rest-api/schedules
+ */
+
+import { proto } from '@hashgraph/proto';
+import { ethers } from 'ethers';
+import { decodeFunctionCall } from './contracts';
+import { formatCredits, formatHbar } from './amounts';
+
+const SCHEDULE_ID_PATTERN = /^\d+\.\d+\.\d+$/;
+
+// Network default lifetime of a schedule created without an expiration time (30 minutes)
+const DEFAULT_SCHEDULE_LIFETIME_MS = 30 * 60 * 1000;
+
+const toHex = (bytes) => ethers.utils.hexlify(bytes).slice(2);
+
+const toDate = (consensusTimestamp) => new Date(Number(consensusTimestamp.split('.')[0]) * 1000);
+
+const entityId = (id) => `${id.shardNum || 0}.${id.realmNum || 0}.${id.contractNum || 0}`;
+
+// Hex public key of an Ed25519 or ECDSA key, null for key lists and other key types
+const leafKey = (key) => {
+  const bytes = key.ed25519 || key.ECDSASecp256k1;
+  return bytes && bytes.length ? toHex(bytes) : null;
+};
+
+/**
+ * Signing requirement of an account key as the mirror node reports it ({ _type, key })
+ * Resolves to { threshold, keys } with the hex public keys that count towards the
+ * threshold; keys nested in further key lists are not resolved
+ */
+export function decodeAccountKey(accountKey) {
+  if (!accountKey || !accountKey.key) {
+    return { threshold: 0, keys: [] };
+  }
+  if (accountKey._type !== 'ProtobufEncoded') {
+    return { threshold: 1, keys: [accountKey.key.toLowerCase()] };
+  }
+
+  const key = proto.Key.decode(ethers.utils.arrayify(`0x${accountKey.key}`));
+  if (leafKey(key)) {
+    return { threshold: 1, keys: [leafKey(key)] };
+  }
+
+  const list = key.thresholdKey ? key.thresholdKey.keys : key.keyList;
+  const keys = ((list && list.keys) || []).map(leafKey).filter(Boolean);
+  return { threshold: key.thresholdKey ? key.thresholdKey.threshold : keys.length, keys };
+}
+
+/**
+ * Decode the contract call wrapped in a schedule's transaction body (base64)
+ * contracts maps contract IDs to { name, abi }; calls to other contracts or of
+ * other transaction types resolve to null
+ * Resolves to { contract, contractId, functionName, args, gas }
+ */
+export function decodeScheduledCall(transactionBody, contracts) {
+  if (!transactionBody) {
+    return null;
+  }
+
+  const body = proto.SchedulableTransactionBody.decode(ethers.utils.base64.decode(transactionBody));
+  if (!body.contractCall || !body.contractCall.contractID) {
+    return null;
+  }
+
+  const contractId = entityId(body.contractCall.contractID);
+  const contract = contracts[contractId];
+  const call = contract && decodeFunctionCall(contract.abi, body.contractCall.functionParameters);
+  if (!call) {
+    return null;
+  }
+
+  return {
+    contract: contract.name,
+    contractId,
+    functionName: call.name,
+    args: call.args,
+    gas: Number(body.contractCall.gas.toString())
+  };
+}
+
+/**
+ * Summarize a decoded scheduled call for review
+ */
+export function describeScheduledCall(call) {
+  if (!call) {
+    return 'Unrecognised transaction';
+  }
+
+  const { functionName, args } = call;
+  if (functionName === 'registerProject') {
+    return `Register ${args.projectId} (${args.methodology}, ${args.location}): ` +
+      `${formatCredits(args.totalCredits)} credits at ${formatHbar(args.pricePerCredit)} HBAR`;
+  }
+  if (functionName === 'mint') {
+    return `Mint ${formatCredits(args.amount)} ${args.projectId} credits of vintage ${args.vintage} to ${args.to}`;
+  }
+  return `${call.contract}.${functionName}(${args.map(arg => arg.toString()).join(', ')})`;
+}
+
+/**
+ * Convert a mirror node schedule into the approvals queue format
+ * Options: contracts as for decodeScheduledCall, signingKey of the payer as
+ * returned by decodeAccountKey, and the current time
+ */
+export function parseSchedule(schedule, { contracts = {}, signingKey = { threshold: 0, keys: [] }, now = Date.now() } = {}) {
+  const createdAt = toDate(schedule.consensus_timestamp);
+  const expiresAt = schedule.expiration_time
+    ? toDate(schedule.expiration_time)
+    : new Date(createdAt.getTime() + DEFAULT_SCHEDULE_LIFETIME_MS);
+
+  // Signatures name their key by a prefix of the public key
+  const prefixes = (schedule.signatures || [])
+    .map(signature => toHex(ethers.utils.base64.decode(signature.public_key_prefix || '')))
+    .filter(Boolean);
+  const signedKeys = signingKey.keys.filter(key => prefixes.some(prefix => key.startsWith(prefix)));
+
+  let status = 'Pending';
+  if (schedule.executed_timestamp) {
+    status = 'Executed';
+  } else if (schedule.deleted) {
+    status = 'Deleted';
+  } else if (expiresAt.getTime() <= now) {
+    status = 'Expired';
+  }
+
+  const call = decodeScheduledCall(schedule.transaction_body, contracts);
+
+  return {
+    scheduleId: schedule.schedule_id,
+    memo: schedule.memo || '',
+    creator: schedule.creator_account_id,
+    payer: schedule.payer_account_id,
+    createdAt: createdAt.toISOString(),
+    expiresAt: expiresAt.toISOString(),
+    executedAt: schedule.executed_timestamp ? toDate(schedule.executed_timestamp).toISOString() : null,
+    status,
+    call,
+    description: describeScheduledCall(call),
+    threshold: signingKey.threshold,
+    signedKeys
+  };
+}
+
+/**
+ * Pending schedule a schedule has to wait for: a mint waits for the pending
+ * registration of its project, which must execute first
+ */
+export function findBlockingSchedule(schedule, schedules) {
+  if (!schedule.call || schedule.call.functionName !== 'mint') {
+    return null;
+  }
+
+  return schedules.find(other =>
+    other.status === 'Pending' &&
+    other.call &&
+    other.call.functionName === 'registerProject' &&
+    other.call.args.projectId === schedule.call.args.projectId
+  ) || null;
+}
+
+/**
+ * Message announcing a new schedule on the schedule topic
+ */
+export function scheduleAnnouncement(scheduleId, functionName) {
+  return JSON.stringify({ scheduleId: scheduleId, functionName: functionName });
+}
+
+/**
+ * Schedule ID announced by a schedule topic message (base64, as the mirror node returns it)
+ * Returns null for anything else; any account may submit to the topic, so the
+ * announced schedules are still checked against the registry account
+ */
+export function parseScheduleAnnouncement(message) {
+  try {
+    const { scheduleId } = JSON.parse(ethers.utils.toUtf8String(ethers.utils.base64.decode(message)));
+    return typeof scheduleId === 'string' && SCHEDULE_ID_PATTERN.test(scheduleId) ? scheduleId : null;
+  } catch (error) {
+    return null;
+  }
+}
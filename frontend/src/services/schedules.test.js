@@ -0,0 +1,136 @@
+/**
+ * @jest-environment node
+ */
+import { proto } from '@hashgraph/proto';
+import { ethers } from 'ethers';
+import { ABIS, encodeFunctionCall } from './contracts';
+import {
+  decodeAccountKey,
+  decodeScheduledCall,
+  parseSchedule,
+  findBlockingSchedule,
+  scheduleAnnouncement,
+  parseScheduleAnnouncement
+} from './schedules';
+
+const DEVELOPER = '0x00000000000000000000000000000000000004d3';
+const VERIFICATION_HASH = `0x${'ab'.repeat(32)}`;
+const OPERATOR_KEYS = ['11'.repeat(32), '22'.repeat(32), '33'.repeat(32)];
+const CONTRACTS = { '0.0.5001': { name: 'microCredit', abi: ABIS.MicroCredit } };
+const NOW = Date.parse('2025-03-01T12:00:00.000Z');
+
+const toBase64 = (bytes) => ethers.utils.base64.encode(bytes);
+
+// 2-of-3 threshold key as the mirror node reports it
+const registryKey = {
+  _type: 'ProtobufEncoded',
+  key: ethers.utils.hexlify(proto.Key.encode({
+    thresholdKey: {
+      threshold: 2,
+      keys: { keys: OPERATOR_KEYS.map(key => ({ ed25519: ethers.utils.arrayify(`0x${key}`) })) }
+    }
+  }).finish()).slice(2)
+};
+
+const scheduledCall = (functionName, args, contractNum = 5001) => toBase64(proto.SchedulableTransactionBody.encode({
+  transactionFee: 100000000,
+  contractCall: {
+    contractID: { shardNum: 0, realmNum: 0, contractNum },
+    gas: 400000,
+    functionParameters: encodeFunctionCall(ABIS.MicroCredit, functionName, args)
+  }
+}).finish());
+
+const registerBody = scheduledCall('registerProject', ['AMAZON_001', DEVELOPER, 'VCS', 'Amazon Basin, Brazil', 1000000, 5000000]);
+const mintBody = scheduledCall('mint', [DEVELOPER, 1000000, 'AMAZON_001', 2025, VERIFICATION_HASH, 1704067200, 1740787200]);
+
+const mirrorSchedule = (overrides = {}) => ({
+  schedule_id: '0.0.7001',
+  memo: 'EcoCreditX mint by 0.0.1234',
+  creator_account_id: '0.0.1234',
+  payer_account_id: '0.0.9000',
+  consensus_timestamp: '1740830400.000000001',
+  expiration_time: '1740916800.000000001',
+  executed_timestamp: null,
+  deleted: false,
+  signatures: [{ public_key_prefix: toBase64(ethers.utils.arrayify(`0x${OPERATOR_KEYS[1]}`)), type: 'ED25519' }],
+  transaction_body: mintBody,
+  wait_for_expiry: false,
+  ...overrides
+});
+
+describe('decodeAccountKey', () => {
+  it('decodes the threshold and operator keys of a threshold key', () => {
+    expect(decodeAccountKey(registryKey)).toEqual({ threshold: 2, keys: OPERATOR_KEYS });
+  });
+
+  it('treats a single key as a 1-of-1 requirement', () => {
+    expect(decodeAccountKey({ _type: 'ED25519', key: 'AA'.repeat(32) })).toEqual({ threshold: 1, keys: ['aa'.repeat(32)] });
+    expect(decodeAccountKey(null)).toEqual({ threshold: 0, keys: [] });
+  });
+});
+
+describe('decodeScheduledCall', () => {
+  it('decodes the scheduled contract function and its arguments', () => {
+    const call = decodeScheduledCall(registerBody, CONTRACTS);
+
+    expect(call).toMatchObject({ contract: 'microCredit', contractId: '0.0.5001', functionName: 'registerProject', gas: 400000 });
+    expect(call.args.projectId).toBe('AMAZON_001');
+    expect(call.args.totalCredits.toString()).toBe('1000000');
+  });
+
+  it('does not decode calls to unknown contracts', () => {
+    expect(decodeScheduledCall(scheduledCall('pause', [], 6001), CONTRACTS)).toBeNull();
+    expect(decodeScheduledCall(null, CONTRACTS)).toBeNull();
+  });
+});
+
+describe('parseSchedule', () => {
+  it('describes a pending mint and the operator keys that signed it', () => {
+    const schedule = parseSchedule(mirrorSchedule(), { contracts: CONTRACTS, signingKey: decodeAccountKey(registryKey), now: NOW });
+
+    expect(schedule).toMatchObject({
+      scheduleId: '0.0.7001',
+      status: 'Pending',
+      threshold: 2,
+      signedKeys: [OPERATOR_KEYS[1]],
+      createdAt: '2025-03-01T12:00:00.000Z',
+      expiresAt: '2025-03-02T12:00:00.000Z',
+      description: `Mint 10000.00 AMAZON_001 credits of vintage 2025 to ${DEVELOPER}`
+    });
+  });
+
+  it('derives executed, deleted and expired statuses', () => {
+    const options = { contracts: CONTRACTS, now: NOW };
+
+    expect(parseSchedule(mirrorSchedule({ executed_timestamp: '1740830460.0' }), options).status).toBe('Executed');
+    expect(parseSchedule(mirrorSchedule({ deleted: true }), options).status).toBe('Deleted');
+    // Without an expiration time the network default of 30 minutes applies
+    expect(parseSchedule(mirrorSchedule({ expiration_time: null }), { ...options, now: NOW + 31 * 60 * 1000 }).status)
+      .toBe('Expired');
+  });
+
+  it('holds back a mint until the registration of its project has executed', () => {
+    const options = { contracts: CONTRACTS, now: NOW };
+    const registration = parseSchedule(mirrorSchedule({ schedule_id: '0.0.7000', transaction_body: registerBody }), options);
+    const mint = parseSchedule(mirrorSchedule(), options);
+
+    expect(findBlockingSchedule(mint, [registration, mint])).toBe(registration);
+    expect(findBlockingSchedule(mint, [{ ...registration, status: 'Executed' }, mint])).toBeNull();
+    expect(findBlockingSchedule(registration, [registration, mint])).toBeNull();
+  });
+});
+
+describe('parseScheduleAnnouncement', () => {
+  const topicMessage = (text) => toBase64(ethers.utils.toUtf8Bytes(text));
+
+  it('reads back the schedule ID of an announcement', () => {
+    expect(parseScheduleAnnouncement(topicMessage(scheduleAnnouncement('0.0.7001', 'mint')))).toBe('0.0.7001');
+  });
+
+  it('ignores other messages', () => {
+    expect(parseScheduleAnnouncement(topicMessage('not json'))).toBeNull();
+    expect(parseScheduleAnnouncement(topicMessage(JSON.stringify({ scheduleId: '7001' })))).toBeNull();
+    expect(parseScheduleAnnouncement(topicMessage(JSON.stringify({ account: '0.0.1234', amount: 10 })))).toBeNull();
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Transaction Signers for EcoCreditX
+ *
+ * hederaClient delegates all transaction signing to the signer of the connected
+ * account, so every user transacts from their own account and no private key is
+ * bundled into or stored by the browser. A signer exposes:
+ * - accountId / evmAddress: the Hedera account ID (0.0.x) and its EVM address
+ * - execute(transaction): sign and submit an SDK transaction, resolving to
+ *   { transactionId, status, contractFunctionResult, scheduleId }
+ * - signTypedData(domain, types, value): EIP-712 signature of the account
+ *
+ * Implementations:
+ * - ExternalWalletSigner: a browser wallet (HashPack, MetaMask) over the JSON-RPC relay
+ * - BackendSigner: a signing service that keeps the account key server-side
+ * - LocalSigner: an in-memory key, for tests and local node development only
+ *
+ * References:
+ * - Hedera JSON-RPC relay: https://docs.hedera.com/hedera/core-concepts/smart-contracts/json-rpc-relay
+ * - Transaction signing: https://docs.hedera.com/hedera/sdks-and-apis/sdks/transactions/manually-sign-a-transaction
+ * - EIP-712: https://eips.ethereum.org/EIPS/eip-712
+ */
+
+import {
+  AccountId,
+  PrivateKey,
+  PublicKey,
+  TransactionId,
+  ContractExecuteTransaction
+} from '@hashgraph/sdk';
+import { ethers } from 'ethers';
+import { createClient } from './network';
+import mirrorNode, { toContractEvmAddress } from './mirrorNode';
+
+// HBAR amounts on the JSON-RPC relay are in weibars (1 tinybar = 10^10 weibars)
+const WEIBARS_PER_TINYBAR = ethers.BigNumber.from(10).pow(10);
+
+/**
+ * Base for signers that sign transaction bytes with the account's key
+ * Transactions are frozen and submitted through a client without an operator,
+ * and contract results are read back from the mirror node.
+ */
+class KeySigner {
+  constructor(accountId, publicKey, evmAddress, network) {
+    this.accountId = accountId.toString();
+    this.publicKey = publicKey;
+    this.evmAddress = evmAddress.toLowerCase();
+    this.client = createClient(network);
+  }
+
+  /**
+   * Sign the bytes of a transaction body, resolving to the raw signature
+   */
+  async signBytes(bytes) {
+    throw new Error('signBytes is not implemented');
+  }
+
+  async execute(transaction) {
+    transaction
+      .setTransactionId(TransactionId.generate(this.accountId))
+      .freezeWith(this.client);
+    await transaction.signWith(this.publicKey, (bytes) => this.signBytes(bytes));
+
+    const txResponse = await transaction.execute(this.client);
+    const receipt = await txResponse.getReceipt(this.client);
+    const transactionId = txResponse.transactionId.toString();
+
+    return {
+      transactionId: transactionId,
+      status: receipt.status.toString(),
+      contractFunctionResult: transaction instanceof ContractExecuteTransaction
+        ? await mirrorNode.getContractResult(transactionId)
+        : null,
+      scheduleId: receipt.scheduleId ? receipt.scheduleId.toString() : null
+    };
+  }
+
+  disconnect() {
+    this.client.close();
+  }
+}
+
+/**
+ * In-memory signer for tests and a local node
+ * The key lives only in this object and is never persisted.
+ */
+export class LocalSigner extends KeySigner {
+  constructor(accountId, privateKey, network) {
+    const key = typeof privateKey === 'string' ? PrivateKey.fromString(privateKey) : privateKey;
+    const evmAddress = key.type === 'secp256k1'
+      ? `0x${key.publicKey.toEvmAddress()}`
+      : `0x${AccountId.fromString(accountId.toString()).toSolidityAddress()}`;
+
+    super(accountId, key.publicKey, evmAddress, network);
+    this.privateKey = key;
+  }
+
+  async signBytes(bytes) {
+    return this.privateKey.sign(bytes);
+  }
+
+  async signTypedData(domain, types, value) {
+    if (this.privateKey.type !== 'secp256k1') {
+      throw new Error('Typed data signatures require an ECDSA (secp256k1) account key');
+    }
+    const wallet = new ethers.Wallet(`0x${this.privateKey.toStringRaw()}`);
+    return wallet._signTypedData(domain, types, value);
+  }
+}
+
+/**
+ * Signer backed by a signing service that holds the account key
+ * The bearer token is the signed-in user's own access token, issued by the
+ * service after it authenticated that user and bound to their account; it is
+ * entered at sign-in and never bundled into the frontend. The service implements:
+ * - GET  /account          -> { accountId, evmAddress, publicKey } of the token's account
+ * - POST /sign             { bytes } -> { signature }, hex-encoded transaction body bytes
+ * - POST /sign-typed-data  { domain, types, value } -> { signature }
+ * Before signing, the service should decode the TransactionBody and refuse any
+ * transaction not paid for by the token's account.
+ */
+export class BackendSigner extends KeySigner {
+  constructor(serviceUrl, token, account, network) {
+    super(account.accountId, PublicKey.fromString(account.publicKey), account.evmAddress, network);
+    this.serviceUrl = serviceUrl.replace(/\/+$/, '');
+    this.token = token;
+  }
+
+  /**
+   * Look up the service's account for a token and create its signer
+   */
+  static async connect(serviceUrl, token, network) {
+    if (!token) {
+      throw new Error('Enter the access token the signing service issued to you');
+    }
+    const account = await BackendSigner.request(serviceUrl, token, '/account');
+    return new BackendSigner(serviceUrl, token, account, network);
+  }
+
+  static async request(serviceUrl, token, path, body = null) {
+    const response = await fetch(`${serviceUrl.replace(/\/+$/, '')}${path}`, {
+      method: body ? 'POST' : 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+      throw new Error(`Signing service request failed (${response.status}): ${await response.text()}`);
+    }
+    return response.json();
+  }
+
+  async signBytes(bytes) {
+    const { signature } = await BackendSigner.request(this.serviceUrl, this.token, '/sign', {
+      bytes: ethers.utils.hexlify(bytes)
+    });
+    return ethers.utils.arrayify(signature);
+  }
+
+  async signTypedData(domain, types, value) {
+    const { signature } = await BackendSigner.request(this.serviceUrl, this.token, '/sign-typed-data', {
+      domain: { ...domain, chainId: domain.chainId.toString() },
+      types,
+      value
+    });
+    return signature;
+  }
+}
+
+/**
+ * Signer for a browser wallet injected as an EIP-1193 provider
+ * Contract calls are sent as EVM transactions through the wallet; other
+ * transaction types (e.g. HCS messages) are not supported by EVM wallets.
+ */
+export class ExternalWalletSigner {
+  constructor(ethersSigner, accountId, evmAddress) {
+    this.ethersSigner = ethersSigner;
+    this.accountId = accountId;
+    this.evmAddress = evmAddress.toLowerCase();
+  }
+
+  /**
+   * Ask the wallet for an account on the configured network and create its signer
+   */
+  static async connect(network, ethereum = window.ethereum) {
+    if (!ethereum) {
+      throw new Error('No browser wallet found. Install a Hedera-compatible wallet such as HashPack or MetaMask');
+    }
+
+    const provider = new ethers.providers.Web3Provider(ethereum, 'any');
+    await provider.send('eth_requestAccounts', []);
+
+    const { chainId } = await provider.getNetwork();
+    if (chainId !== network.chainId) {
+      try {
+        await provider.send('wallet_switchEthereumChain', [{ chainId: ethers.utils.hexValue(network.chainId) }]);
+      } catch (error) {
+        throw new Error(`Switch your wallet to ${network.label} (chain ID ${network.chainId})`);
+      }
+    }
+
+    const ethersSigner = provider.getSigner();
+    const evmAddress = await ethersSigner.getAddress();
+    const { account } = await mirrorNode.getAccount(evmAddress);
+
+    return new ExternalWalletSigner(ethersSigner, account, evmAddress);
+  }
+
+  async execute(transaction) {
+    if (!(transaction instanceof ContractExecuteTransaction)) {
+      throw new Error('The connected wallet can only send contract calls');
+    }
+
+    const payable = transaction.payableAmount;
+    const tx = await this.ethersSigner.sendTransaction({
+      to: toContractEvmAddress(transaction.contractId),
+      data: ethers.utils.hexlify(transaction.functionParameters),
+      gasLimit: Number(transaction.gas.toString()),
+      value: payable ? ethers.BigNumber.from(payable.toTinybars().toString()).mul(WEIBARS_PER_TINYBAR) : 0
+    });
+
+    // Rejects if the contract call reverts
+    await tx.wait();
+
+    return {
+      transactionId: tx.hash,
+      status: 'SUCCESS',
+      contractFunctionResult: await mirrorNode.getContractResult(tx.hash),
+      scheduleId: null
+    };
+  }
+
+  async signTypedData(domain, types, value) {
+    return this.ethersSigner._signTypedData(domain, types, value);
+  }
+
+  disconnect() {}
+}
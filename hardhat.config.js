@@ -4,12 +4,14 @@ require("dotenv").config();
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.20",
+    version: "0.8.22",
     settings: {
       optimizer: {
         enabled: true,
         runs: 200
-      }
+      },
+      // IR pipeline keeps MicroCredit under the 24 KiB contract size limit
+      viaIR: true
     }
   },
   networks: {
@@ -28,6 +30,23 @@ module.exports = {
       timeout: 60000,
       gas: "auto",
       gasPrice: "auto"
+    },
+    previewnet: {
+      url: "https://previewnet.hashio.io/api",
+      accounts: process.env.HEDERA_OPERATOR_KEY ? [process.env.HEDERA_OPERATOR_KEY] : [],
+      chainId: 297,
+      timeout: 60000,
+      gas: "auto",
+      gasPrice: "auto"
+    },
+    // JSON-RPC relay of a Hedera local node (hedera-local-node)
+    local: {
+      url: process.env.LOCAL_RPC_URL || "http://localhost:7546",
+      accounts: process.env.HEDERA_OPERATOR_KEY ? [process.env.HEDERA_OPERATOR_KEY] : [],
+      chainId: 298,
+      timeout: 60000,
+      gas: "auto",
+      gasPrice: "auto"
     }
   },
   paths: {
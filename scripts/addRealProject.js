@@ -7,6 +7,8 @@ const {
     ContractFunctionParameters,
     Hbar
 } = require("@hashgraph/sdk");
+const crypto = require("crypto");
+const { parseCredits, parseHbar, formatCredits, formatHbar } = require("../frontend/src/services/amounts");
 require("dotenv").config();
 
 async function addRealProject() {
@@ -30,16 +32,27 @@ async function addRealProject() {
         const projectId = "AMAZON_REDD_2024";
         const methodology = "REDD+ VCS Standard";
         const location = "Amazon Basin, Brazil";
-        const totalCredits = 100000;
-        const pricePerCredit = 25 * 100000000; // 25 HBAR in tinybars
+        const totalCredits = parseCredits("100000"); // In contract units (2 decimals)
+        const pricePerCredit = parseHbar("25"); // In tinybars
+        const vintage = 2024;
+        const bufferBps = 2000; // 20% AFOLU non-permanence buffer
+        // The buffer share is withheld on top of the minted amount, so mint the net credits
+        const mintAmount = totalCredits * BigInt(10000 - bufferBps) / 10000n;
+
+        // Guardian verification report and monitoring period behind this issuance
+        const verificationReport = "AMAZON_REDD_2024/verification-report-2024";
+        const verificationHash = crypto.createHash("sha256").update(verificationReport).digest();
+        const monitoringPeriodStart = Math.floor(Date.UTC(2024, 0, 1) / 1000);
+        const monitoringPeriodEnd = Math.floor(Date.UTC(2024, 11, 31) / 1000);
 
         console.log("\n📋 Real Amazon Project:");
         console.log(`- Project ID: ${projectId}`);
         console.log(`- Type: REDD+ (Reducing Emissions from Deforestation)`);
         console.log(`- Location: ${location}`);
         console.log(`- Methodology: ${methodology}`);
-        console.log(`- Total Credits: ${totalCredits.toLocaleString()}`);
-        console.log(`- Price: 25 HBAR per credit`);
+        console.log(`- Total Credits: ${formatCredits(totalCredits)}`);
+        console.log(`- Price: ${formatHbar(pricePerCredit)} HBAR per credit`);
+        console.log(`- Buffer: ${bufferBps / 100}% of each issuance`);
 
         // Step 1: Register the real project
         console.log("\n🔗 Registering on Hedera Testnet...");
@@ -49,8 +62,8 @@ async function addRealProject() {
             .addAddress(operatorId.toSolidityAddress())
             .addString(methodology)
             .addString(location)
-            .addUint256(totalCredits)
-            .addUint256(pricePerCredit);
+            .addUint256(Number(totalCredits)) // Exact: both amounts are far below 2^53
+            .addUint256(Number(pricePerCredit));
 
         const registerTx = new ContractExecuteTransaction()
             .setContractId(contractId)
@@ -67,13 +80,35 @@ async function addRealProject() {
             console.log(`✅ Real project registered on blockchain!`);
             console.log(`🔗 TX: https://hashscan.io/testnet/transaction/${registerSubmit.transactionId.toString()}`);
 
-            // Step 2: Mint real credits
+            // Step 2: Set the non-permanence buffer before any issuance
+            console.log("\n🛡️ Setting AFOLU buffer share...");
+
+            const bufferTx = new ContractExecuteTransaction()
+                .setContractId(contractId)
+                .setGas(100000)
+                .setFunction("setBufferPercentage",
+                    new ContractFunctionParameters()
+                        .addString(projectId)
+                        .addUint16(bufferBps)
+                )
+                .setMaxTransactionFee(new Hbar(2));
+
+            const bufferSubmit = await bufferTx.execute(client);
+            const bufferReceipt = await bufferSubmit.getReceipt(client);
+
+            console.log(`📊 Buffer Status: ${bufferReceipt.status.toString()}`);
+
+            // Step 3: Mint real credits
             console.log("\n💰 Minting real carbon credits...");
             
             const mintParams = new ContractFunctionParameters()
                 .addAddress(operatorId.toSolidityAddress())
-                .addUint256(totalCredits)
-                .addString(projectId);
+                .addUint256(Number(mintAmount))
+                .addString(projectId)
+                .addUint16(vintage)
+                .addBytes32(verificationHash)
+                .addUint64(monitoringPeriodStart)
+                .addUint64(monitoringPeriodEnd);
 
             const mintTx = new ContractExecuteTransaction()
                 .setContractId(contractId)
@@ -87,10 +122,10 @@ async function addRealProject() {
             console.log(`📊 Minting Status: ${mintReceipt.status.toString()}`);
             
             if (mintReceipt.status.toString() === "SUCCESS") {
-                console.log(`✅ ${totalCredits.toLocaleString()} real credits minted!`);
+                console.log(`✅ ${formatCredits(mintAmount)} real credits minted, ${formatCredits(totalCredits - mintAmount)} held in the buffer pool!`);
                 console.log(`🔗 TX: https://hashscan.io/testnet/transaction/${mintSubmit.transactionId.toString()}`);
 
-                // Step 3: Verify the real project
+                // Step 4: Verify the real project
                 console.log("\n📄 Verifying real project on blockchain...");
                 
                 const projectQuery = new ContractCallQuery()
@@ -107,8 +142,8 @@ async function addRealProject() {
                 console.log(`   - Project ID: ${projectResult.getString(0)}`);
                 console.log(`   - Methodology: ${projectResult.getString(1)}`);
                 console.log(`   - Location: ${projectResult.getString(2)}`);
-                console.log(`   - Total Credits: ${projectResult.getUint256(3).toString()}`);
-                console.log(`   - Available: ${projectResult.getUint256(4).toString()}`);
+                console.log(`   - Total Credits: ${formatCredits(projectResult.getUint256(3))}`);
+                console.log(`   - Available: ${formatCredits(projectResult.getUint256(4))}`);
                 console.log(`   - Active: ${projectResult.getBool(5)}`);
                 console.log(`   - Price: ${projectResult.getUint256(7).toString()} tinybars`);
 
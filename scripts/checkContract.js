@@ -32,10 +32,10 @@ async function checkContract() {
         
         // Try to call a project directly to see if any exist
         try {
-            const project = await contract.projects("TEST_PROJECT");
+            const project = await contract.getProject("TEST_PROJECT");
             console.log("Test project result:", project);
         } catch (e) {
-            console.log("projects() failed:", e.message);
+            console.log("getProject() failed:", e.message);
         }
         
         // Get the signer address
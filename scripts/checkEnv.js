@@ -10,16 +10,38 @@ console.log('\n📊 Backend Environment Variables:');
 console.log(`✅ HEDERA_OPERATOR_ID: ${process.env.HEDERA_OPERATOR_ID || '❌ Missing'}`);
 console.log(`✅ HEDERA_OPERATOR_KEY: ${process.env.HEDERA_OPERATOR_KEY ? '***hidden***' : '❌ Missing'}`);
 console.log(`✅ CONTRACT_ID: ${process.env.CONTRACT_ID || '❌ Missing'}`);
+console.log(`✅ MARKET_CONTRACT_ID: ${process.env.MARKET_CONTRACT_ID || '❌ Missing'}`);
+console.log(`✅ TOKEN_SALE_CONTRACT_ID: ${process.env.TOKEN_SALE_CONTRACT_ID || '⚠️  Not set (stablecoin payments disabled)'}`);
+console.log(`✅ FORWARD_SALE_CONTRACT_ID: ${process.env.FORWARD_SALE_CONTRACT_ID || '⚠️  Not set (pre-orders disabled)'}`);
 console.log(`✅ HCS_TOPIC_ID: ${process.env.HCS_TOPIC_ID || '❌ Missing'}`);
+console.log(`✅ RELAYER_OPERATOR_ID: ${process.env.RELAYER_OPERATOR_ID || '⚠️  Not set (gasless retirements disabled)'}`);
+console.log(`✅ RELAYER_OPERATOR_KEY: ${process.env.RELAYER_OPERATOR_KEY ? '***hidden***' : '⚠️  Not set (gasless retirements disabled)'}`);
+console.log(`✅ RELAYER_ALLOWED_ORIGIN: ${process.env.RELAYER_ALLOWED_ORIGIN || '⚠️  Not set (required by the relayer)'}`);
 
 console.log('\n🌐 Frontend Environment Variables:');
-console.log(`✅ REACT_APP_HEDERA_OPERATOR_ID: ${process.env.REACT_APP_HEDERA_OPERATOR_ID || '❌ Missing'}`);
-console.log(`✅ REACT_APP_HEDERA_OPERATOR_KEY: ${process.env.REACT_APP_HEDERA_OPERATOR_KEY ? '***hidden***' : '❌ Missing'}`);
+console.log(`✅ REACT_APP_SIGNING_SERVICE_URL: ${process.env.REACT_APP_SIGNING_SERVICE_URL || '⚠️  Not set (browser wallets only)'}`);
+console.log(`✅ REACT_APP_RELAYER_URL: ${process.env.REACT_APP_RELAYER_URL || '⚠️  Not set (gasless retirements disabled)'}`);
+console.log(`✅ REACT_APP_REGISTRY_ACCOUNT_ID: ${process.env.REACT_APP_REGISTRY_ACCOUNT_ID || '⚠️  Not set (multi-signature approval disabled)'}`);
+console.log(`✅ REACT_APP_SCHEDULE_TOPIC_ID: ${process.env.REACT_APP_SCHEDULE_TOPIC_ID || '⚠️  Not set (multi-signature approval disabled)'}`);
 console.log(`✅ REACT_APP_CONTRACT_ID: ${process.env.REACT_APP_CONTRACT_ID || '❌ Missing'}`);
-console.log(`✅ REACT_APP_HEDERA_NETWORK: ${process.env.REACT_APP_HEDERA_NETWORK || '❌ Missing'}`);
-console.log(`✅ REACT_APP_HASHSCAN_BASE_URL: ${process.env.REACT_APP_HASHSCAN_BASE_URL || '❌ Missing'}`);
+console.log(`✅ REACT_APP_MARKET_CONTRACT_ID: ${process.env.REACT_APP_MARKET_CONTRACT_ID || '❌ Missing'}`);
+console.log(`✅ REACT_APP_TOKEN_SALE_CONTRACT_ID: ${process.env.REACT_APP_TOKEN_SALE_CONTRACT_ID || '⚠️  Not set (stablecoin payments disabled)'}`);
+console.log(`✅ REACT_APP_PAYMENT_TOKEN_ID: ${process.env.REACT_APP_PAYMENT_TOKEN_ID || '⚠️  Not set (stablecoin payments disabled)'}`);
+console.log(`✅ REACT_APP_FORWARD_SALE_CONTRACT_ID: ${process.env.REACT_APP_FORWARD_SALE_CONTRACT_ID || '⚠️  Not set (pre-orders disabled)'}`);
+console.log(`✅ REACT_APP_HEDERA_NETWORK: ${process.env.REACT_APP_HEDERA_NETWORK || '⚠️  Not set (testnet)'}`);
+console.log(`✅ REACT_APP_HASHSCAN_BASE_URL: ${process.env.REACT_APP_HASHSCAN_BASE_URL || '⚠️  Not set (network default)'}`);
+console.log(`✅ REACT_APP_MIRROR_NODE_URL: ${process.env.REACT_APP_MIRROR_NODE_URL || '⚠️  Not set (network default)'}`);
+console.log(`✅ REACT_APP_HEDERA_NODE_URL: ${process.env.REACT_APP_HEDERA_NODE_URL || '⚠️  Not set (network default)'}`);
 
 console.log('\n🎯 Configuration Status:');
+// REACT_APP_ variables are bundled into the browser build
+const browserKeys = ['REACT_APP_HEDERA_OPERATOR_KEY', 'REACT_APP_RELAYER_OPERATOR_KEY', 'REACT_APP_RELAYER_SIGNER_TOKEN']
+    .filter(name => process.env[name]);
+if (browserKeys.length > 0) {
+    console.log(`❌ Remove ${browserKeys.join(', ')}: keys and service tokens must not be bundled into the frontend`);
+} else {
+    console.log('✅ No private keys or service tokens in frontend variables');
+}
 if (process.env.CONTRACT_ID === process.env.REACT_APP_CONTRACT_ID) {
     console.log('✅ Backend and frontend contract IDs match');
 } else {
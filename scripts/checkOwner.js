@@ -11,14 +11,16 @@ async function checkOwner() {
         const [signer] = await hre.ethers.getSigners();
         const signerAddress = await signer.getAddress();
         
-        // Check contract owner
-        const owner = await contract.owner();
+        // Check the signer's operator roles
+        const roles = ["DEFAULT_ADMIN_ROLE", "REGISTRAR_ROLE", "MINTER_ROLE", "PAUSER_ROLE", "FEE_MANAGER_ROLE"];
         
         console.log("📋 Contract Information:");
         console.log(`Contract Address: ${contractAddress}`);
-        console.log(`Contract Owner: ${owner}`);
         console.log(`Signer Address: ${signerAddress}`);
-        console.log(`Is Signer Owner: ${owner.toLowerCase() === signerAddress.toLowerCase()}`);
+        for (const role of roles) {
+            const hasRole = await contract.hasRole(await contract[role](), signerAddress);
+            console.log(`Signer has ${role}: ${hasRole}`);
+        }
         
         // Check if contract is paused
         const paused = await contract.paused();
@@ -1,9 +1,25 @@
 const { Client, TopicCreateTransaction, PrivateKey, AccountId } = require('@hashgraph/sdk');
 require('dotenv').config();
 
-async function createHCSTopic() {
+// `node scripts/createTopic.js` creates the retirement log topic, `... schedules` the schedule topic
+const TOPICS = {
+  retirements: {
+    title: 'Retirement Logging',
+    memo: 'EcoCreditX Carbon Credit Retirement Logging Topic',
+    backendVariable: 'HCS_TOPIC_ID',
+    frontendVariable: 'REACT_APP_HCS_TOPIC_ID'
+  },
+  schedules: {
+    title: 'Multi-Signature Schedules',
+    memo: 'EcoCreditX Registry Schedule Announcements',
+    backendVariable: null,
+    frontendVariable: 'REACT_APP_SCHEDULE_TOPIC_ID'
+  }
+};
+
+async function createHCSTopic(topic) {
   try {
-    console.log('🔗 Creating HCS Topic for EcoCreditX Retirement Logging...');
+    console.log(`🔗 Creating HCS Topic for EcoCreditX ${topic.title}...`);
     
     const client = Client.forTestnet();
     const privateKey = PrivateKey.fromStringECDSA(process.env.HEDERA_OPERATOR_KEY);
@@ -14,7 +30,7 @@ async function createHCSTopic() {
     );
 
     const transaction = new TopicCreateTransaction()
-      .setTopicMemo('EcoCreditX Carbon Credit Retirement Logging Topic');
+      .setTopicMemo(topic.memo);
 
     const txResponse = await transaction.execute(client);
     const receipt = await txResponse.getReceipt(client);
@@ -25,9 +41,11 @@ async function createHCSTopic() {
     console.log('📋 Topic ID:', topicId);
     console.log('🔍 HashScan:', `https://hashscan.io/testnet/topic/${topicId}`);
     console.log('💾 Update your environment variables:');
-    console.log(`   HCS_TOPIC_ID=${topicId}`);
+    if (topic.backendVariable) {
+      console.log(`   ${topic.backendVariable}=${topicId}`);
+    }
     console.log(`   Add this to your /frontend/.env.local file as:`);
-    console.log(`   REACT_APP_HCS_TOPIC_ID=${topicId}`);
+    console.log(`   ${topic.frontendVariable}=${topicId}`);
     
     return topicId;
   } catch (error) {
@@ -36,7 +54,13 @@ async function createHCSTopic() {
   }
 }
 
-createHCSTopic()
+const topic = TOPICS[process.argv[2] || 'retirements'];
+if (!topic) {
+  console.error(`Unknown topic "${process.argv[2]}". Use one of: ${Object.keys(TOPICS).join(', ')}`);
+  process.exit(1);
+}
+
+createHCSTopic(topic)
   .then((topicId) => {
     console.log(`\n🎉 HCS Topic ready: ${topicId}`);
     process.exit(0);
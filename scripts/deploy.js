@@ -1,13 +1,19 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { deployMicroCreditProxy } = require("./microCreditProxy");
+const { explorerUrl, isTestNetwork } = require("./networks");
 require("dotenv").config();
 
 /**
- * Deploy MicroCredit contract to Hedera Testnet
+ * Deploy MicroCredit, SecondaryMarket, TokenSale and ForwardSale contracts to a Hedera network
+ * MicroCredit is deployed behind an upgradeable proxy; upgrade it later with scripts/upgrade.js
  * 
  * Prerequisites:
  * 1. Set HEDERA_OPERATOR_ID and HEDERA_OPERATOR_KEY in .env
- * 2. Fund your Hedera testnet account with HBAR
- * 3. Run: npx hardhat run scripts/deploy.js --network testnet
+ * 2. Set PAYMENT_TOKEN_ADDRESS to the EVM address of the HTS / ERC-20 stablecoin
+ *    accepted for purchases; on test networks a MockStablecoin is deployed when it
+ *    is unset, on mainnet it is required
+ * 3. Fund your Hedera testnet account with HBAR
+ * 4. Run: npx hardhat run scripts/deploy.js --network testnet
  * 
  * References:
  * - Hedera Docs: https://docs.hedera.com/
@@ -15,7 +21,15 @@ require("dotenv").config();
  */
 
 async function main() {
-  console.log("🚀 Deploying EcoCreditX MicroCredit Contract to Hedera Testnet...\n");
+  console.log(`🚀 Deploying EcoCreditX MicroCredit Contract to ${network.name}...\n`);
+
+  // Anyone can mint MockStablecoin, so it must never be the payment token of a network with real value
+  let paymentTokenAddress = process.env.PAYMENT_TOKEN_ADDRESS;
+  if (!paymentTokenAddress && !isTestNetwork(network.name)) {
+    throw new Error(
+      `Set PAYMENT_TOKEN_ADDRESS to the stablecoin accepted on ${network.name}; MockStablecoin is only deployed on test networks`
+    );
+  }
 
   // Get deployer account
   const [deployer] = await ethers.getSigners();
@@ -31,25 +45,70 @@ async function main() {
   }
 
   // Deploy contract
-  console.log("📦 Deploying MicroCredit contract...");
-  
-  const MicroCredit = await ethers.getContractFactory("MicroCredit");
+  console.log("📦 Deploying MicroCredit contract behind an upgradeable proxy...");
   
   // Contract constructor parameters
   const tokenName = "EcoCreditX Micro Carbon Credits";
   const tokenSymbol = "ECCX";
   
-  const contract = await MicroCredit.deploy(tokenName, tokenSymbol);
-  
-  console.log("⏳ Waiting for contract deployment...");
-  await contract.waitForDeployment();
+  const { contract, proxyAdminAddress, implementationAddress } = await deployMicroCreditProxy(
+    tokenName,
+    tokenSymbol,
+    deployer.address
+  );
   
   console.log("✅ Contract deployed successfully!\n");
+
+  // Deploy the secondary market for peer-to-peer resale of credits
+  console.log("📦 Deploying SecondaryMarket contract...");
+
+  const SecondaryMarket = await ethers.getContractFactory("SecondaryMarket");
+  const market = await SecondaryMarket.deploy(await contract.getAddress());
+  await market.waitForDeployment();
+  const marketAddress = await market.getAddress();
+
+  console.log("✅ SecondaryMarket deployed at:", marketAddress, "\n");
+
+  // Deploy the token sale for purchases paid in a stablecoin
+  if (!paymentTokenAddress) {
+    console.log("📦 PAYMENT_TOKEN_ADDRESS not set, deploying MockStablecoin (mUSDC)...");
+
+    const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+    const stablecoin = await MockStablecoin.deploy();
+    await stablecoin.waitForDeployment();
+    paymentTokenAddress = await stablecoin.getAddress();
+
+    console.log("✅ MockStablecoin deployed at:", paymentTokenAddress);
+  }
+
+  console.log("📦 Deploying TokenSale contract...");
+
+  const TokenSale = await ethers.getContractFactory("TokenSale");
+  const tokenSale = await TokenSale.deploy(await contract.getAddress(), paymentTokenAddress);
+  await tokenSale.waitForDeployment();
+  const tokenSaleAddress = await tokenSale.getAddress();
+
+  // TokenSale settles payment itself and asks MicroCredit to issue the credits
+  const grantTx = await contract.grantRole(await contract.SALES_ROLE(), tokenSaleAddress);
+  await grantTx.wait();
+
+  console.log("✅ TokenSale deployed at:", tokenSaleAddress, "(SALES_ROLE granted)\n");
+
+  // Deploy forward sales of future vintages, delivered by developers out of their verified mint batches
+  console.log("📦 Deploying ForwardSale contract...");
+
+  const ForwardSale = await ethers.getContractFactory("ForwardSale");
+  const forwardSale = await ForwardSale.deploy(await contract.getAddress());
+  await forwardSale.waitForDeployment();
+  const forwardSaleAddress = await forwardSale.getAddress();
+
+  console.log("✅ ForwardSale deployed at:", forwardSaleAddress, "\n");
   
   // Contract information
   console.log("📊 Contract Details:");
-  console.log("   Address:", await contract.getAddress());
-  console.log("   Transaction Hash:", contract.deploymentTransaction()?.hash);
+  console.log("   Address (proxy):", await contract.getAddress());
+  console.log("   Implementation:", implementationAddress);
+  console.log("   Proxy Admin:", proxyAdminAddress);
   console.log("   Token Name:", tokenName);
   console.log("   Token Symbol:", tokenSymbol);
   console.log("   Decimals: 2 (micro-credits)");
@@ -57,15 +116,24 @@ async function main() {
 
   // Verification links
   const contractAddress = await contract.getAddress();
-  console.log("🔍 Verification Links:");
-  console.log("   HashScan:", `https://hashscan.io/testnet/contract/${contractAddress}`);
-  console.log("   Transaction:", `https://hashscan.io/testnet/transaction/${contract.deploymentTransaction()?.hash}\n`);
+  if (explorerUrl(network.name, "contract", contractAddress)) {
+    console.log("🔍 Verification Links:");
+    console.log("   HashScan:", explorerUrl(network.name, "contract", contractAddress));
+    console.log("   Implementation:", `${explorerUrl(network.name, "contract", implementationAddress)}\n`);
+  }
 
   // Save contract address to .env
   console.log("💾 Update your environment variables:");
   console.log(`   CONTRACT_ID=${contractAddress}`);
   console.log(`   Add this to your /frontend/.env.local file as:`);
-  console.log(`   REACT_APP_CONTRACT_ID=${contractAddress}\n`);
+  console.log(`   REACT_APP_CONTRACT_ID=${contractAddress}`);
+  console.log(`   MARKET_CONTRACT_ID=${marketAddress}`);
+  console.log(`   REACT_APP_MARKET_CONTRACT_ID=${marketAddress}`);
+  console.log(`   TOKEN_SALE_CONTRACT_ID=${tokenSaleAddress}`);
+  console.log(`   REACT_APP_TOKEN_SALE_CONTRACT_ID=${tokenSaleAddress}`);
+  console.log(`   REACT_APP_PAYMENT_TOKEN_ID=${paymentTokenAddress}`);
+  console.log(`   FORWARD_SALE_CONTRACT_ID=${forwardSaleAddress}`);
+  console.log(`   REACT_APP_FORWARD_SALE_CONTRACT_ID=${forwardSaleAddress}\n`);
 
   // Sample project registration (optional)
   console.log("🌱 Sample Project Registration:");
@@ -92,10 +160,10 @@ async function main() {
 
   console.log("\n🎉 Deployment Complete!");
   console.log("\nNext Steps:");
-  console.log("1. Update your frontend/.env.local with the CONTRACT_ID");
+  console.log("1. Update your frontend/.env.local with the CONTRACT_ID, MARKET_CONTRACT_ID, TOKEN_SALE_CONTRACT_ID and FORWARD_SALE_CONTRACT_ID");
   console.log("2. Start the React app: cd frontend && npm start");
   console.log("3. Register your first carbon project through the admin panel");
-  console.log("4. Verify all transactions on HashScan testnet");
+  console.log("4. Verify all transactions on HashScan");
   
   return contractAddress;
 }
@@ -0,0 +1,48 @@
+const fs = require("fs");
+const path = require("path");
+const { artifacts } = require("hardhat");
+const { getMicroCreditAbi } = require("./microCreditProxy");
+
+/**
+ * Export contract ABIs for the frontend
+ *
+ * Copies the ABI of every contract the frontend calls from the compiled Hardhat
+ * artifacts to frontend/src/contracts, where hederaClient encodes calls and
+ * decodes results, events and revert reasons from them. Run after any change
+ * to a contract's interface. MicroCredit's ABI includes the views it serves
+ * from MicroCreditReader.
+ *
+ * Usage: npx hardhat run scripts/exportAbi.js
+ */
+
+// Output file names and the artifacts they come from
+const EXPORTS = {
+  MicroCredit: "MicroCredit",
+  SecondaryMarket: "SecondaryMarket",
+  TokenSale: "TokenSale",
+  ForwardSale: "ForwardSale",
+  // The payment token is any ERC-20 with metadata
+  IERC20Metadata: "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata"
+};
+
+const OUTPUT_DIR = path.join(__dirname, "..", "frontend", "src", "contracts");
+
+async function main() {
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  for (const [name, artifactName] of Object.entries(EXPORTS)) {
+    const { contractName, abi: artifactAbi } = await artifacts.readArtifact(artifactName);
+    const abi = contractName === "MicroCredit" ? await getMicroCreditAbi() : artifactAbi;
+    const file = path.join(OUTPUT_DIR, `${name}.json`);
+
+    fs.writeFileSync(file, JSON.stringify({ contractName, abi }, null, 2) + "\n");
+    console.log(`📄 ${contractName}: ${abi.length} ABI entries -> ${path.relative(process.cwd(), file)}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ ABI export failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,119 @@
+const { ethers, artifacts } = require("hardhat");
+
+/**
+ * Helpers for MicroCredit deployments behind a transparent upgradeable proxy
+ *
+ * The proxy keeps one address across upgrades, so CONTRACT_ID and
+ * REACT_APP_CONTRACT_ID no longer change on redeploys. It starts on the
+ * MicroCreditSetup implementation, which initializes it (and can import the
+ * state of a previous deployment), and is then upgraded to MicroCredit.
+ *
+ * References:
+ * - Transparent proxy: https://docs.openzeppelin.com/contracts/5.x/api/proxy#TransparentUpgradeableProxy
+ * - ERC-1967 storage slots: https://eips.ethereum.org/EIPS/eip-1967
+ */
+
+// ERC-1967 slots holding the proxy's ProxyAdmin and implementation addresses
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+async function readAddressSlot(proxyAddress, slot) {
+  const value = await ethers.provider.getStorage(proxyAddress, slot);
+  return ethers.getAddress(ethers.dataSlice(value, 12));
+}
+
+/**
+ * Get the ProxyAdmin contract that owns upgrades of a proxy
+ */
+async function getProxyAdminAddress(proxyAddress) {
+  return readAddressSlot(proxyAddress, ADMIN_SLOT);
+}
+
+/**
+ * Get the implementation a proxy currently delegates to
+ */
+async function getImplementationAddress(proxyAddress) {
+  return readAddressSlot(proxyAddress, IMPLEMENTATION_SLOT);
+}
+
+/**
+ * Get the ABI of MicroCredit including the views it serves from MicroCreditReader
+ * through its fallback
+ */
+async function getMicroCreditAbi() {
+  const [{ abi }, reader] = await Promise.all([
+    artifacts.readArtifact("MicroCredit"),
+    artifacts.readArtifact("MicroCreditReader")
+  ]);
+  const own = new Set(abi.filter(entry => entry.type === "function").map(entry => entry.name));
+  return [...abi, ...reader.abi.filter(entry => entry.type === "function" && !own.has(entry.name))];
+}
+
+/**
+ * Attach to a MicroCredit deployment (or its proxy) with its full ABI
+ */
+async function getMicroCredit(address, runner) {
+  return ethers.getContractAt(await getMicroCreditAbi(), address, runner);
+}
+
+/**
+ * Deploy a MicroCredit implementation
+ * The token name and symbol are kept in the implementation's code
+ */
+async function deployMicroCreditImplementation(tokenName, tokenSymbol) {
+  const MicroCredit = await ethers.getContractFactory("MicroCredit");
+  const implementation = await MicroCredit.deploy(tokenName, tokenSymbol);
+  await implementation.waitForDeployment();
+  return implementation.getAddress();
+}
+
+/**
+ * Point a proxy at a new implementation (ProxyAdmin owner only)
+ */
+async function upgradeProxy(proxyAddress, implementationAddress) {
+  const proxyAdmin = await ethers.getContractAt("ProxyAdmin", await getProxyAdminAddress(proxyAddress));
+  const tx = await proxyAdmin.upgradeAndCall(proxyAddress, implementationAddress, "0x");
+  await tx.wait();
+}
+
+/**
+ * Deploy MicroCredit behind a new proxy administered by `admin`
+ * `setup` receives the proxy as MicroCreditSetup, e.g. to import a snapshot,
+ * before the proxy is upgraded to MicroCredit.
+ * @returns {{ contract, proxyAdminAddress, implementationAddress }}
+ */
+async function deployMicroCreditProxy(tokenName, tokenSymbol, admin, setup = async () => {}) {
+  const implementationAddress = await deployMicroCreditImplementation(tokenName, tokenSymbol);
+
+  const MicroCreditSetup = await ethers.getContractFactory("MicroCreditSetup");
+  const setupImplementation = await MicroCreditSetup.deploy();
+  await setupImplementation.waitForDeployment();
+
+  const Proxy = await ethers.getContractFactory("TransparentUpgradeableProxy");
+  const proxy = await Proxy.deploy(
+    await setupImplementation.getAddress(),
+    admin,
+    MicroCreditSetup.interface.encodeFunctionData("initialize", [admin])
+  );
+  await proxy.waitForDeployment();
+  const proxyAddress = await proxy.getAddress();
+
+  await setup(MicroCreditSetup.attach(proxyAddress));
+  await upgradeProxy(proxyAddress, implementationAddress);
+
+  return {
+    contract: await getMicroCredit(proxyAddress),
+    proxyAdminAddress: await getProxyAdminAddress(proxyAddress),
+    implementationAddress
+  };
+}
+
+module.exports = {
+  getMicroCreditAbi,
+  getMicroCredit,
+  deployMicroCreditProxy,
+  deployMicroCreditImplementation,
+  upgradeProxy,
+  getProxyAdminAddress,
+  getImplementationAddress
+};
@@ -0,0 +1,581 @@
+const fs = require("fs");
+const { ethers } = require("hardhat");
+const { deployMicroCreditProxy, getMicroCredit } = require("./microCreditProxy");
+require("dotenv").config();
+
+/**
+ * Migrate an existing MicroCredit deployment into a new upgradeable deployment
+ *
+ * 1. Snapshots the source contract: projects with their lifecycle, buffer and
+ *    history, issuance batches with their Guardian evidence, per-batch holdings
+ *    of every holder seen in Transfer events, and retirement certificates
+ * 2. Writes the snapshot to the file named by MIGRATION_SNAPSHOT (keep it out of the repo)
+ * 3. Deploys a MicroCredit proxy, replays the snapshot through MicroCreditSetup
+ *    and upgrades the proxy to MicroCredit
+ * 4. Checks supply, retirement totals and every holder's balance against the source
+ *
+ * Deployments from before the registry views (the original Ownable MicroCredit)
+ * are snapshotted from their events instead: projects from ProjectRegistered
+ * logs plus getProject, one issuance batch per CreditsMinted log, holdings from
+ * Transfer logs checked against balanceOf, and a certificate per retired batch
+ * from CreditsRetired logs checked against retiredBalances. Legacy mints recorded
+ * no vintage or Guardian evidence, so their batches are imported with vintage 0
+ * and no verification hash, and primary sales of their projects revert with
+ * NoVintageIssued until each project's next verified mint. ProjectRegistered
+ * only indexes the hash of the project ID, so the ID is read back from the
+ * registering transaction; list IDs registered through other contracts in
+ * MIGRATION_PROJECT_IDS (comma-separated).
+ *
+ * HBAR held by the source (developer proceeds and platform fees) is not moved;
+ * withdraw it from the source contract. Companion contracts (SecondaryMarket,
+ * TokenSale, ForwardSale) must be redeployed against the new address, so settle
+ * open listings and forwards before migrating. Pause the source first so nothing
+ * changes after the snapshot.
+ *
+ * Usage against a local Hardhat node:
+ *   npx hardhat node
+ *   SOURCE_CONTRACT_ID=0x... MIGRATION_SNAPSHOT=/tmp/migration-snapshot.json \
+ *     npx hardhat run scripts/migrate.js --network localhost
+ *
+ * References:
+ * - Transparent proxy: https://docs.openzeppelin.com/contracts/5.x/api/proxy#TransparentUpgradeableProxy
+ * - Hardhat Network: https://hardhat.org/hardhat-network/docs/overview
+ */
+
+// Items read per page and imported per transaction
+const PAGE_SIZE = 50;
+const IMPORT_CHUNK_SIZE = 20;
+
+// The original MicroCredit, before issuance batches, project lifecycle and certificates
+const LEGACY_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function owner() view returns (address)",
+  "function paused() view returns (bool)",
+  "function totalSupply() view returns (uint256)",
+  "function totalRetired() view returns (uint256)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function retiredBalances(address account) view returns (uint256)",
+  "function getProject(string projectId) view returns (tuple(string projectId, string methodology, string location, uint256 totalCredits, uint256 availableCredits, bool isActive, address developer, uint256 pricePerCredit))",
+  "function registerProject(string projectId, address developer, string methodology, string location, uint256 totalCredits, uint256 pricePerCredit)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event ProjectRegistered(string indexed projectId, address indexed developer, string methodology, uint256 totalCredits)",
+  "event CreditsMinted(address indexed to, uint256 amount, string indexed projectId, string methodology)",
+  "event CreditsPurchased(address indexed buyer, string indexed projectId, uint256 amount, uint256 totalPrice)",
+  "event CreditsRetired(address indexed by, uint256 amount, string reason, uint256 timestamp)"
+];
+
+// ProjectStatus.Active and ProjectAction.Registered of MicroCreditStorage
+const STATUS_ACTIVE = 1;
+const ACTION_REGISTERED = 0;
+
+/**
+ * Read the state of a MicroCredit contract into a plain snapshot object
+ * @param source MicroCredit contract instance
+ * @param fromBlock First block to scan for Transfer events when listing holders
+ * @param options.projectIds Project IDs to match against ProjectRegistered hashes (legacy sources)
+ */
+async function snapshotMicroCredit(source, fromBlock = 0, { projectIds = [] } = {}) {
+  const sourceAddress = await source.getAddress();
+  if (await isLegacyMicroCredit(source)) {
+    return snapshotLegacyMicroCredit(new ethers.Contract(sourceAddress, LEGACY_ABI, ethers.provider), fromBlock, projectIds);
+  }
+  console.log("📸 Snapshotting MicroCredit at", sourceAddress);
+
+  const snapshot = {
+    source: sourceAddress,
+    blockNumber: await ethers.provider.getBlockNumber(),
+    name: await source.name(),
+    symbol: await source.symbol(),
+    totalSupply: await source.totalSupply(),
+    totalRetired: await source.totalRetired(),
+    hbarVolume: 0n,
+    platformFeeBps: await source.platformFeeBps(),
+    feeCollector: await source.feeCollector(),
+    projects: [],
+    batches: [],
+    holdings: [],
+    retirements: [],
+    retiredBalances: []
+  };
+
+  // Deployments from before platform statistics return fewer values
+  try {
+    snapshot.hbarVolume = (await source.getPlatformStats()).hbarVolume_;
+  } catch (error) {
+    console.warn("⚠️  Source has no HBAR volume statistics, starting from 0");
+  }
+
+  const creditsSold = await readCreditsSold(source, fromBlock);
+
+  const projectCount = Number(await source.getProjectCount());
+  for (let offset = 0; offset < projectCount; offset += PAGE_SIZE) {
+    const [page] = await source.getProjects(offset, PAGE_SIZE);
+    for (const project of page) {
+      const projectId = project.projectId;
+      const history = await source.getProjectHistory(projectId);
+
+      snapshot.projects.push({
+        project: project.toObject(),
+        status: await source.projectStatus(projectId),
+        vintage: await source.currentVintage(projectId),
+        bufferBps: await source.bufferBps(projectId),
+        bufferCredits: await source.bufferCredits(projectId),
+        reversedCredits: await source.reversedCredits(projectId),
+        creditsSold: await creditsSold(projectId),
+        history: history.map(entry => entry.toObject())
+      });
+    }
+  }
+  console.log(`   ${snapshot.projects.length} projects`);
+
+  const batchCount = Number(await source.getBatchCount());
+  for (let batchId = 1; batchId <= batchCount; batchId++) {
+    snapshot.batches.push({
+      batch: (await source.getBatch(batchId)).toObject(),
+      evidence: (await source.batchEvidence(batchId)).toObject()
+    });
+  }
+  console.log(`   ${snapshot.batches.length} issuance batches`);
+
+  // Every holder received credits in at least one Transfer
+  const transfers = await source.queryFilter(source.filters.Transfer(), fromBlock);
+  const holders = [...new Set(transfers.map(event => event.args.to))]
+    .filter(holder => holder !== ethers.ZeroAddress);
+  for (const holder of holders) {
+    const [batchIds, balances] = await source.getHolderBatches(holder);
+    if (batchIds.length > 0) {
+      snapshot.holdings.push({ holder, batchIds: [...batchIds], balances: [...balances] });
+    }
+  }
+  console.log(`   ${snapshot.holdings.length} holders`);
+
+  const retirementCount = Number(await source.getRetirementCount());
+  for (let certificateId = 1; certificateId <= retirementCount; certificateId++) {
+    snapshot.retirements.push((await source.getRetirement(certificateId)).toObject());
+  }
+  console.log(`   ${snapshot.retirements.length} retirement certificates`);
+
+  for (const retiree of new Set(snapshot.retirements.map(record => record.retiree))) {
+    snapshot.retiredBalances.push({ account: retiree, amount: await source.retiredBalances(retiree) });
+  }
+
+  return snapshot;
+}
+
+/**
+ * Reader of the credits sold per project
+ * Deployments from before the sales counter only record HBAR purchases, in their CreditsPurchased events
+ */
+async function readCreditsSold(source, fromBlock) {
+  try {
+    await source.projectCreditsSold("");
+    return (projectId) => source.projectCreditsSold(projectId);
+  } catch (error) {
+    console.warn("⚠️  Source has no sales counter, counting HBAR purchases from CreditsPurchased events");
+  }
+
+  const sold = new Map();
+  for (const event of await source.queryFilter(source.filters.CreditsPurchased(), fromBlock)) {
+    const projectHash = event.topics[2];
+    sold.set(projectHash, (sold.get(projectHash) || 0n) + event.args.amount);
+  }
+  return (projectId) => sold.get(ethers.id(projectId)) || 0n;
+}
+
+/**
+ * Whether the source is the original MicroCredit, which lacks the registry views
+ */
+async function isLegacyMicroCredit(source) {
+  try {
+    await source.getProjectCount();
+    return false;
+  } catch (error) {
+    // A revert (ethers CALL_EXCEPTION, or revert data from the in-process Hardhat network), not a network failure
+    if (error.code === "CALL_EXCEPTION" || error.data !== undefined) {
+      return true;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Per-batch holdings rebuilt from events, drawing like MicroCredit._update:
+ * from the holder's last listed batch first, removing emptied batches by swap and pop
+ */
+function createBatchLedger() {
+  const holders = new Map();
+  const holdingsOf = (holder) => {
+    if (!holders.has(holder)) {
+      holders.set(holder, { batchIds: [], balances: new Map() });
+    }
+    return holders.get(holder);
+  };
+
+  const credit = (holder, batchId, amount) => {
+    const holding = holdingsOf(holder);
+    if (!holding.balances.has(batchId)) {
+      holding.batchIds.push(batchId);
+      holding.balances.set(batchId, 0n);
+    }
+    holding.balances.set(batchId, holding.balances.get(batchId) + amount);
+  };
+
+  // Take `amount` from a holder, returning the batches it came from
+  const draw = (holder, amount) => {
+    const holding = holdingsOf(holder);
+    const drawn = [];
+    let remaining = amount;
+    while (remaining > 0n) {
+      if (holding.batchIds.length === 0) {
+        throw new Error(`Events move more credits from ${holder} than it received; scan from an earlier block`);
+      }
+      const batchId = holding.batchIds[holding.batchIds.length - 1];
+      const available = holding.balances.get(batchId);
+      const moved = available < remaining ? available : remaining;
+
+      drawn.push({ batchId, amount: moved });
+      remaining -= moved;
+      if (available === moved) {
+        holding.balances.delete(batchId);
+        holding.batchIds.pop();
+      } else {
+        holding.balances.set(batchId, available - moved);
+      }
+    }
+    return drawn;
+  };
+
+  const move = (from, to, amount) => {
+    for (const { batchId, amount: moved } of draw(from, amount)) {
+      credit(to, batchId, moved);
+    }
+  };
+
+  const entries = () => [...holders.entries()]
+    .filter(([, holding]) => holding.batchIds.length > 0)
+    .map(([holder, holding]) => ({
+      holder,
+      batchIds: [...holding.batchIds],
+      balances: holding.batchIds.map(batchId => holding.balances.get(batchId))
+    }));
+
+  return { credit, draw, move, entries };
+}
+
+/**
+ * Read the project ID behind a ProjectRegistered log, which only carries its hash
+ */
+async function resolveProjectId(source, log, knownIds) {
+  const hash = log.topics[1];
+  const tx = await ethers.provider.getTransaction(log.transactionHash);
+  const call = source.interface.parseTransaction({ data: tx.data });
+  const candidates = call && call.name === "registerProject" ? [call.args.projectId, ...knownIds] : knownIds;
+
+  const projectId = candidates.find(candidate => ethers.id(candidate) === hash);
+  if (projectId === undefined) {
+    throw new Error(`Cannot recover the project ID registered in ${log.transactionHash}; add it to MIGRATION_PROJECT_IDS`);
+  }
+  return { projectId, actor: tx.from };
+}
+
+/**
+ * Snapshot the original MicroCredit from its events (see the notes at the top)
+ * @param source Contract attached with LEGACY_ABI
+ * @param fromBlock Block the source was deployed in, or earlier
+ * @param knownIds Project IDs registered other than by a direct registerProject call
+ */
+async function snapshotLegacyMicroCredit(source, fromBlock, knownIds) {
+  const sourceAddress = await source.getAddress();
+  console.log("📸 Snapshotting legacy MicroCredit at", sourceAddress);
+
+  const snapshot = {
+    source: sourceAddress,
+    blockNumber: await ethers.provider.getBlockNumber(),
+    name: await source.name(),
+    symbol: await source.symbol(),
+    totalSupply: await source.totalSupply(),
+    totalRetired: await source.totalRetired(),
+    hbarVolume: 0n,
+    platformFeeBps: 0n,
+    feeCollector: await source.owner(),
+    projects: [],
+    batches: [],
+    holdings: [],
+    retirements: [],
+    retiredBalances: []
+  };
+
+  // Replay every event in order; mints and retirements carry the amounts their Transfer logs do
+  const logs = (await ethers.provider.getLogs({ address: sourceAddress, fromBlock, toBlock: snapshot.blockNumber }))
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const timestamps = new Map();
+  const blockTimestamp = async (blockNumber) => {
+    if (!timestamps.has(blockNumber)) {
+      timestamps.set(blockNumber, BigInt((await ethers.provider.getBlock(blockNumber)).timestamp));
+    }
+    return timestamps.get(blockNumber);
+  };
+
+  const projectsByHash = new Map();
+  const ledger = createBatchLedger();
+  for (const log of logs) {
+    const event = source.interface.parseLog(log);
+    if (!event) {
+      continue;
+    }
+
+    if (event.name === "ProjectRegistered") {
+      const { projectId, actor } = await resolveProjectId(source, log, knownIds);
+      const entry = {
+        project: (await source.getProject(projectId)).toObject(),
+        status: STATUS_ACTIVE,
+        vintage: 0,
+        bufferBps: 0,
+        bufferCredits: 0n,
+        reversedCredits: 0n,
+        creditsSold: 0n,
+        history: [{ action: ACTION_REGISTERED, reason: "", actor, timestamp: await blockTimestamp(log.blockNumber) }],
+        issued: 0n
+      };
+      projectsByHash.set(log.topics[1], entry);
+      snapshot.projects.push(entry);
+    } else if (event.name === "CreditsMinted") {
+      // Every mint and purchase issued one batch; legacy mints recorded no vintage or evidence
+      const entry = projectsByHash.get(log.topics[2]);
+      if (!entry) {
+        throw new Error(`Credits minted in ${log.transactionHash} for a project registered before the scan; scan from an earlier block`);
+      }
+      const { to, amount } = event.args;
+      const batchId = BigInt(snapshot.batches.length + 1);
+      const serialStart = entry.issued + 1n;
+      entry.issued += amount;
+
+      snapshot.batches.push({
+        batch: {
+          batchId,
+          projectId: entry.project.projectId,
+          vintage: 0,
+          serialStart,
+          serialEnd: entry.issued,
+          amount,
+          issuedAt: await blockTimestamp(log.blockNumber)
+        },
+        evidence: { verificationHash: ethers.ZeroHash, monitoringPeriodStart: 0n, monitoringPeriodEnd: 0n }
+      });
+      ledger.credit(to, batchId, amount);
+    } else if (event.name === "CreditsPurchased") {
+      snapshot.hbarVolume += event.args.totalPrice;
+      projectsByHash.get(log.topics[2]).creditsSold += event.args.amount;
+    } else if (event.name === "CreditsRetired") {
+      // One certificate per batch the retirement drew from, as MicroCredit issues them
+      const { by, amount, reason, timestamp } = event.args;
+      for (const drawn of ledger.draw(by, amount)) {
+        snapshot.retirements.push({
+          certificateId: BigInt(snapshot.retirements.length + 1),
+          retiree: by,
+          beneficiary: ethers.ZeroAddress,
+          beneficiaryName: "",
+          reportingPeriod: "",
+          projectId: snapshot.batches[Number(drawn.batchId) - 1].batch.projectId,
+          batchId: drawn.batchId,
+          amount: drawn.amount,
+          reason,
+          timestamp
+        });
+      }
+    } else if (event.name === "Transfer" && event.args.from !== ethers.ZeroAddress && event.args.to !== ethers.ZeroAddress) {
+      ledger.move(event.args.from, event.args.to, event.args.value);
+    }
+  }
+
+  // The replayed events must account for the source's state exactly
+  for (const entry of snapshot.projects) {
+    const { totalCredits, availableCredits } = entry.project;
+    if (entry.issued !== totalCredits - availableCredits) {
+      throw new Error(`Events account for ${entry.issued} credits of ${entry.project.projectId}, the contract for ${totalCredits - availableCredits}`);
+    }
+    delete entry.issued;
+  }
+  snapshot.holdings = ledger.entries();
+  for (const { holder, balances } of snapshot.holdings) {
+    const replayed = balances.reduce((sum, balance) => sum + balance, 0n);
+    const balance = await source.balanceOf(holder);
+    if (replayed !== balance) {
+      throw new Error(`Events account for ${replayed} credits held by ${holder}, balanceOf for ${balance}`);
+    }
+  }
+  for (const retiree of new Set(snapshot.retirements.map(record => record.retiree))) {
+    snapshot.retiredBalances.push({ account: retiree, amount: await source.retiredBalances(retiree) });
+  }
+
+  console.log(`   ${snapshot.projects.length} projects`);
+  console.log(`   ${snapshot.batches.length} issuance batches`);
+  console.log(`   ${snapshot.holdings.length} holders`);
+  console.log(`   ${snapshot.retirements.length} retirement certificates`);
+  if (snapshot.projects.length > 0) {
+    console.warn(`⚠️  ${snapshot.batches.length} legacy batches are imported with vintage 0 and no verification evidence;`);
+    console.warn("   primary sales of the migrated projects revert (NoVintageIssued) until each project's next verified mint");
+  }
+
+  return snapshot;
+}
+
+/**
+ * Replay a snapshot into a proxy that is still on MicroCreditSetup
+ * Credits the source held for its buffer pool move to the new proxy address
+ * @param setup Proxy attached as MicroCreditSetup
+ * @param snapshot Snapshot from snapshotMicroCredit
+ */
+async function replaySnapshot(setup, snapshot) {
+  const targetAddress = await setup.getAddress();
+  console.log("📥 Replaying snapshot into", targetAddress);
+
+  const send = async (txPromise) => (await txPromise).wait();
+
+  for (const entry of snapshot.projects) {
+    await send(setup.importProject(
+      entry.project,
+      entry.status,
+      entry.vintage,
+      entry.bufferBps,
+      entry.bufferCredits,
+      entry.reversedCredits,
+      entry.creditsSold,
+      entry.history
+    ));
+  }
+
+  for (let i = 0; i < snapshot.batches.length; i += IMPORT_CHUNK_SIZE) {
+    const chunk = snapshot.batches.slice(i, i + IMPORT_CHUNK_SIZE);
+    await send(setup.importBatches(chunk.map(entry => entry.batch), chunk.map(entry => entry.evidence)));
+  }
+
+  for (const { holder, batchIds, balances } of snapshot.holdings) {
+    const newHolder = holder === snapshot.source ? targetAddress : holder;
+    await send(setup.importHoldings(newHolder, batchIds, balances));
+  }
+
+  for (let i = 0; i < snapshot.retirements.length; i += IMPORT_CHUNK_SIZE) {
+    await send(setup.importRetirements(snapshot.retirements.slice(i, i + IMPORT_CHUNK_SIZE)));
+  }
+
+  await send(setup.importHbarVolume(snapshot.hbarVolume));
+}
+
+/**
+ * Compare the migrated contract with the snapshot, returning a list of mismatches
+ */
+async function verifyMigration(contract, snapshot) {
+  const targetAddress = await contract.getAddress();
+  const mismatches = [];
+  const expectEqual = (label, actual, expected) => {
+    if (BigInt(actual) !== BigInt(expected)) {
+      mismatches.push(`${label}: expected ${expected}, got ${actual}`);
+    }
+  };
+
+  expectEqual("totalSupply", await contract.totalSupply(), snapshot.totalSupply);
+  expectEqual("totalRetired", await contract.totalRetired(), snapshot.totalRetired);
+  expectEqual("projects", await contract.getProjectCount(), snapshot.projects.length);
+  expectEqual("batches", await contract.getBatchCount(), snapshot.batches.length);
+  expectEqual("certificates", await contract.getRetirementCount(), snapshot.retirements.length);
+
+  for (const { project, creditsSold } of snapshot.projects) {
+    expectEqual(`credits sold of ${project.projectId}`, await contract.projectCreditsSold(project.projectId), creditsSold);
+  }
+
+  for (const { holder, balances } of snapshot.holdings) {
+    const newHolder = holder === snapshot.source ? targetAddress : holder;
+    const expected = balances.reduce((sum, balance) => sum + BigInt(balance), 0n);
+    expectEqual(`balance of ${newHolder}`, await contract.balanceOf(newHolder), expected);
+  }
+
+  for (const { account, amount } of snapshot.retiredBalances) {
+    expectEqual(`retired balance of ${account}`, await contract.retiredBalances(account), amount);
+  }
+
+  return mismatches;
+}
+
+// BigInt values are written as decimal strings
+function writeSnapshot(snapshot, path) {
+  fs.writeFileSync(path, JSON.stringify(snapshot, (key, value) => (
+    typeof value === "bigint" ? value.toString() : value
+  ), 2));
+}
+
+async function main() {
+  const sourceAddress = process.env.SOURCE_CONTRACT_ID;
+  if (!sourceAddress) {
+    throw new Error("Set SOURCE_CONTRACT_ID to the address of the MicroCredit contract to migrate");
+  }
+  const snapshotPath = process.env.MIGRATION_SNAPSHOT;
+  if (!snapshotPath) {
+    throw new Error("Set MIGRATION_SNAPSHOT to the file the source snapshot is written to (outside the repository)");
+  }
+  const fromBlock = Number(process.env.MIGRATION_FROM_BLOCK || 0);
+
+  console.log("🚚 Migrating MicroCredit into an upgradeable deployment...\n");
+
+  const [deployer] = await ethers.getSigners();
+  console.log("📋 Migrating with account:", deployer.address);
+
+  const source = await getMicroCredit(sourceAddress);
+  if (!(await source.paused())) {
+    console.warn("⚠️  Source contract is not paused; changes after the snapshot block will not be migrated");
+  }
+
+  const projectIds = (process.env.MIGRATION_PROJECT_IDS || "").split(",").map(id => id.trim()).filter(Boolean);
+  const snapshot = await snapshotMicroCredit(source, fromBlock, { projectIds });
+  writeSnapshot(snapshot, snapshotPath);
+  console.log("💾 Snapshot written to", snapshotPath, "\n");
+
+  const { contract, proxyAdminAddress, implementationAddress } = await deployMicroCreditProxy(
+    snapshot.name,
+    snapshot.symbol,
+    deployer.address,
+    (setup) => replaySnapshot(setup, snapshot)
+  );
+
+  // Fee settings go through the regular fee manager functions
+  if (snapshot.platformFeeBps > 0n) {
+    await (await contract.setPlatformFee(snapshot.platformFeeBps)).wait();
+  }
+  if (snapshot.feeCollector !== deployer.address) {
+    await (await contract.setFeeCollector(snapshot.feeCollector)).wait();
+  }
+
+  const mismatches = await verifyMigration(contract, snapshot);
+  if (mismatches.length > 0) {
+    mismatches.forEach(mismatch => console.error("❌", mismatch));
+    throw new Error(`Migration check failed with ${mismatches.length} mismatch(es)`);
+  }
+
+  const contractAddress = await contract.getAddress();
+  console.log("\n✅ Migration complete and verified");
+  console.log("   Address (proxy):", contractAddress);
+  console.log("   Implementation:", implementationAddress);
+  console.log("   Proxy Admin:", proxyAdminAddress);
+
+  console.log("\n💾 Update your environment variables:");
+  console.log(`   CONTRACT_ID=${contractAddress}`);
+  console.log(`   REACT_APP_CONTRACT_ID=${contractAddress}`);
+
+  console.log("\nNext Steps:");
+  console.log("1. Withdraw developer proceeds and platform fees from the source contract");
+  console.log("2. Redeploy SecondaryMarket, TokenSale and ForwardSale against the new address and grant TokenSale SALES_ROLE");
+  console.log("3. Grant REGISTRAR_ROLE, MINTER_ROLE and PAUSER_ROLE to the platform operators again");
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { snapshotMicroCredit, replaySnapshot, verifyMigration };
@@ -0,0 +1,44 @@
+/**
+ * Hedera networks of hardhat.config.js as seen by the deployment scripts
+ *
+ * Explorer links follow the network a script runs on (--network), with the same
+ * HashScan URLs as frontend/src/services/network.js. The in-process Hardhat
+ * network and localhost have no explorer.
+ *
+ * References:
+ * - Hedera networks: https://docs.hedera.com/hedera/networks
+ * - HashScan: https://hashscan.io
+ */
+
+const EXPLORER_URLS = {
+  mainnet: "https://hashscan.io/mainnet",
+  testnet: "https://hashscan.io/testnet",
+  previewnet: "https://hashscan.io/previewnet",
+  local: "http://localhost:8080/devnet"
+};
+
+// Networks without real value, where test-only contracts such as MockStablecoin may be deployed
+const TEST_NETWORKS = ["hardhat", "localhost", "local", "testnet", "previewnet"];
+
+/**
+ * Build an explorer link on a network, e.g. explorerUrl("testnet", "contract", address)
+ * Returns null on networks without an explorer
+ */
+function explorerUrl(networkName, type, id) {
+  const base = EXPLORER_URLS[networkName];
+  return base ? `${base}/${type}/${id}` : null;
+}
+
+/**
+ * Whether a network is a local or public test network
+ */
+function isTestNetwork(networkName) {
+  return TEST_NETWORKS.includes(networkName);
+}
+
+module.exports = {
+  EXPLORER_URLS,
+  TEST_NETWORKS,
+  explorerUrl,
+  isTestNetwork
+};
@@ -0,0 +1,524 @@
+/**
+ * EcoCreditX retirement relayer
+ *
+ * Server-side service that submits holder-signed retirements to
+ * MicroCredit.retireWithSignature and pays the HBAR gas from a dedicated relayer
+ * account, so corporate holders with ECCX but no HBAR can still retire credits.
+ * The relayer key is only read from the server environment and never reaches
+ * the browser, and the service never signs caller-supplied bytes: it accepts
+ * the fields of a signed RetireWithSignature message, builds the contract call
+ * itself and only sends it to CONTRACT_ID. Each request is simulated on the
+ * mirror node first, so expired, replayed or wrongly signed retirements are
+ * rejected before the relayer pays for them.
+ *
+ * Endpoints:
+ * - GET /health: relayer account, contract and topic
+ * - POST /retirements: { request, signature } -> { transactionId, certificates, hcsLog }
+ * - POST /retirements/log: { transactionId, signature } -> { hcsLog }, for retirements sent
+ *   from a browser wallet, which cannot submit HCS messages itself. The signature is the
+ *   sender's EIP-712 LogRetirement signature over the transaction hash, so only the
+ *   account that retired can have its retirement logged, and a retirement already on
+ *   the topic is never logged again, even after a restart
+ *
+ * Environment:
+ * - RELAYER_OPERATOR_ID / RELAYER_OPERATOR_KEY: account paying for relayed transactions
+ * - CONTRACT_ID, HCS_TOPIC_ID: MicroCredit contract and retirement log topic
+ * - HEDERA_NETWORK: testnet (default), mainnet, previewnet or local
+ * - MIRROR_NODE_URL: mirror node REST API (network default)
+ * - RELAYER_PORT (default 8787)
+ * - RELAYER_ALLOWED_ORIGIN: origin of the frontend allowed to call the relayer (CORS, required)
+ *
+ * References:
+ * - EIP-712: https://eips.ethereum.org/EIPS/eip-712
+ * - Mirror node contract call: https://docs.hedera.com/hedera/sdks-and-apis/rest-api/smart-contracts
+ * - Hedera SDK: https://docs.hedera.com/guides/docs/sdks/nodejs
+ */
+
+const http = require("http");
+const {
+  Client,
+  AccountId,
+  PrivateKey,
+  ContractExecuteTransaction,
+  TopicMessageSubmitTransaction
+} = require("@hashgraph/sdk");
+const { ethers } = require("ethers");
+const { abi } = require("../frontend/src/contracts/MicroCredit.json");
+const { creditsToNumber } = require("../frontend/src/services/amounts");
+require("dotenv").config();
+
+const MIRROR_NODE_URLS = {
+  mainnet: "https://mainnet-public.mirrornode.hedera.com",
+  testnet: "https://testnet.mirrornode.hedera.com",
+  previewnet: "https://previewnet.mirrornode.hedera.com",
+  local: "http://localhost:5551"
+};
+
+const RETIREMENT_GAS = 600000;
+const MAX_BODY_BYTES = 16 * 1024;
+const RESULT_POLL_ATTEMPTS = 5;
+const RESULT_POLL_INTERVAL_MS = 2000;
+
+// Retirements a holder sends from their own account (retireWithSignature is logged when relayed)
+const WALLET_RETIREMENT_FUNCTIONS = ["retire", "retireFromBatch", "retireOnBehalf"];
+
+// EIP-712 type signed by the sender of a retirement to have it logged, under the MicroCredit domain
+const LOG_RETIREMENT_TYPES = {
+  LogRetirement: [{ name: "transactionHash", type: "bytes32" }]
+};
+
+const TOPIC_PAGE_SIZE = 100;
+
+const microCredit = new ethers.Interface(abi);
+
+/**
+ * Error answered with its HTTP status and message
+ */
+class RelayerError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function loadConfig(env = process.env) {
+  const network = (env.HEDERA_NETWORK || "testnet").trim().toLowerCase();
+  if (!MIRROR_NODE_URLS[network]) {
+    throw new Error(`Unknown HEDERA_NETWORK "${network}". Use one of: ${Object.keys(MIRROR_NODE_URLS).join(", ")}`);
+  }
+  for (const name of ["RELAYER_OPERATOR_ID", "RELAYER_OPERATOR_KEY", "CONTRACT_ID", "RELAYER_ALLOWED_ORIGIN"]) {
+    if (!env[name]) {
+      throw new Error(`${name} is not set`);
+    }
+  }
+
+  return {
+    network,
+    operatorId: AccountId.fromString(env.RELAYER_OPERATOR_ID),
+    operatorKey: PrivateKey.fromStringECDSA(env.RELAYER_OPERATOR_KEY),
+    contractId: env.CONTRACT_ID,
+    topicId: env.HCS_TOPIC_ID || null,
+    mirrorNodeUrl: (env.MIRROR_NODE_URL || MIRROR_NODE_URLS[network]).replace(/\/+$/, ""),
+    port: Number(env.RELAYER_PORT || 8787),
+    allowedOrigin: env.RELAYER_ALLOWED_ORIGIN.trim()
+  };
+}
+
+/**
+ * Mirror node REST API client; retries 404s while the mirror node catches up
+ */
+function createMirrorNode(baseUrl) {
+  return async function mirror(path, { body, retry = false } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      const response = await fetch(`${baseUrl}/api/v1${path}`, {
+        method: body ? "POST" : "GET",
+        headers: { "Content-Type": "application/json" },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      if (response.ok) {
+        return response.json();
+      }
+      if (response.status !== 404 || !retry || attempt >= RESULT_POLL_ATTEMPTS) {
+        const error = new Error(`Mirror node request ${path} failed (${response.status})`);
+        error.status = response.status;
+        error.body = await response.json().catch(() => null);
+        throw error;
+      }
+      await sleep(RESULT_POLL_INTERVAL_MS);
+    }
+  };
+}
+
+/**
+ * Revert reason of a failed mirror node contract call, decoded against the MicroCredit ABI
+ */
+function describeRevert(error) {
+  const message = error.body?._status?.messages?.[0];
+  const data = message?.data;
+  if (data && data !== "0x") {
+    try {
+      const parsed = microCredit.parseError(data);
+      if (parsed) {
+        return parsed.name === "Error" ? parsed.args[0] : parsed.name;
+      }
+    } catch (decodeError) {
+      // Fall through to the mirror node's own message
+    }
+  }
+  return message?.detail || message?.message || "Retirement would revert";
+}
+
+const isUint = (value) => /^\d+$/.test(String(value));
+
+/**
+ * Check the shape of a signed retirement and encode its retireWithSignature call
+ */
+function encodeRetirement(request, signature) {
+  if (!request || typeof request !== "object" || !signature || typeof signature !== "object") {
+    throw new RelayerError(400, "Expected { request, signature }");
+  }
+  if (!ethers.isAddress(request.retiree) || !ethers.isAddress(request.beneficiary)) {
+    throw new RelayerError(400, "Invalid retiree or beneficiary address");
+  }
+  if (![request.batchId, request.amount, request.deadline].every(isUint) || BigInt(request.amount) === 0n) {
+    throw new RelayerError(400, "Invalid batch, amount or deadline");
+  }
+  if (BigInt(request.deadline) <= BigInt(Math.floor(Date.now() / 1000))) {
+    throw new RelayerError(400, "Signature expired");
+  }
+  if (![request.reason, request.beneficiaryName, request.reportingPeriod].every(value => typeof value === "string")) {
+    throw new RelayerError(400, "Invalid retirement details");
+  }
+  if (![27, 28].includes(Number(signature.v)) || !ethers.isHexString(signature.r, 32) || !ethers.isHexString(signature.s, 32)) {
+    throw new RelayerError(400, "Invalid signature");
+  }
+
+  return microCredit.encodeFunctionData("retireWithSignature", [
+    request.retiree,
+    request.batchId,
+    request.amount,
+    request.reason,
+    request.beneficiary,
+    request.beneficiaryName,
+    request.reportingPeriod,
+    request.deadline,
+    Number(signature.v),
+    signature.r,
+    signature.s
+  ]);
+}
+
+/**
+ * RetirementCertificateIssued events of a contract call, as logged by hederaClient
+ */
+function parseCertificates(logs) {
+  return logs
+    .map(log => {
+      try {
+        return microCredit.parseLog({ topics: log.topics, data: log.data });
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(event => event && event.name === "RetirementCertificateIssued")
+    .map(event => ({
+      certificateId: Number(event.args.certificateId),
+      projectId: event.args.projectId,
+      batchId: Number(event.args.batchId),
+      amount: creditsToNumber(event.args.amount)
+    }));
+}
+
+/**
+ * HCS retirement log for a decoded retirement call, in the format RetirementFeed reads
+ */
+function buildRetirementLog({ account, call, certificates, relayed, transactionId }) {
+  const beneficiary = call.args.beneficiary;
+  return {
+    account: account,
+    amount: creditsToNumber(call.args.amount),
+    reason: call.args.reason,
+    beneficiaryName: call.args.beneficiaryName || "",
+    beneficiaryAddress: beneficiary && beneficiary !== ethers.ZeroAddress ? beneficiary : null,
+    reportingPeriod: call.args.reportingPeriod || "",
+    certificates: certificates,
+    relayed: relayed,
+    timestamp: new Date().toISOString(),
+    transactionId: transactionId
+  };
+}
+
+function createRelayer(config) {
+  const client = Client.forName(config.network === "local" ? "local-node" : config.network);
+  client.setOperator(config.operatorId, config.operatorKey);
+  const mirror = createMirrorNode(config.mirrorNodeUrl);
+  // Wallet retirements logged by this process, which the mirror node may not show yet;
+  // the topic itself records those logged before a restart
+  const loggedTransactions = new Set();
+  let contract = null;
+  let eip712Domain = null;
+
+  async function getContract() {
+    if (!contract) {
+      contract = await mirror(`/contracts/${config.contractId}`);
+    }
+    return contract;
+  }
+
+  /**
+   * EIP-712 domain of the MicroCredit contract, read through a mirror node contract call
+   */
+  async function getDomain() {
+    if (!eip712Domain) {
+      const { result } = await mirror("/contracts/call", {
+        body: { to: (await getContract()).evm_address, data: microCredit.encodeFunctionData("eip712Domain"), estimate: false }
+      });
+      const [, name, version, chainId, verifyingContract] = microCredit.decodeFunctionResult("eip712Domain", result);
+      eip712Domain = { name, version, chainId, verifyingContract };
+    }
+    return eip712Domain;
+  }
+
+  /**
+   * Whether the topic already holds a log of a wallet retirement
+   * Logs can only follow the retirement, so messages are scanned from its consensus timestamp on.
+   */
+  async function isRetirementLogged(hash, since) {
+    let path = `/topics/${config.topicId}/messages?timestamp=gte:${since}&limit=${TOPIC_PAGE_SIZE}&order=asc`;
+    while (path) {
+      const { messages = [], links } = await mirror(path);
+      for (const { message } of messages) {
+        try {
+          const retirementLog = JSON.parse(Buffer.from(message, "base64").toString("utf8"));
+          if (String(retirementLog.transactionId).toLowerCase() === hash) {
+            return true;
+          }
+        } catch (error) {
+          // Not a retirement log
+        }
+      }
+      path = links?.next ? links.next.replace(/^\/api\/v1/, "") : null;
+    }
+    return false;
+  }
+
+  async function getAccountId(evmAddress) {
+    try {
+      const { account } = await mirror(`/accounts/${evmAddress}`);
+      return account;
+    } catch (error) {
+      throw new RelayerError(400, `No Hedera account for ${evmAddress}`);
+    }
+  }
+
+  /**
+   * Submit a retirement log message, resolving to null when it could not be logged
+   */
+  async function logRetirement(retirementLog) {
+    if (!config.topicId) {
+      console.warn("⚠️  HCS_TOPIC_ID not configured, retirement not logged");
+      return null;
+    }
+
+    try {
+      const response = await new TopicMessageSubmitTransaction({
+        topicId: config.topicId,
+        message: JSON.stringify(retirementLog)
+      }).execute(client);
+      await response.getReceipt(client);
+
+      console.log("📝 Retirement logged to HCS:", response.transactionId.toString());
+      return { transactionId: response.transactionId.toString(), topicId: config.topicId };
+    } catch (error) {
+      console.error("❌ HCS logging failed:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Simulate, submit and log a signed retirement
+   */
+  async function relayRetirement({ request, signature } = {}) {
+    const data = encodeRetirement(request, signature);
+    const account = await getAccountId(request.retiree);
+
+    try {
+      await mirror("/contracts/call", {
+        body: { to: (await getContract()).evm_address, data: data, gas: RETIREMENT_GAS, estimate: false }
+      });
+    } catch (error) {
+      if (error.status === 400) {
+        throw new RelayerError(400, describeRevert(error));
+      }
+      throw error;
+    }
+
+    console.log("📨 Relaying signed retirement...", { retiree: request.retiree, amount: request.amount });
+
+    const response = await new ContractExecuteTransaction()
+      .setContractId(config.contractId)
+      .setGas(RETIREMENT_GAS)
+      .setFunctionParameters(ethers.getBytes(data))
+      .execute(client);
+    const record = await response.getRecord(client);
+    const transactionId = response.transactionId.toString();
+
+    if (record.receipt.status.toString() !== "SUCCESS") {
+      throw new RelayerError(502, `Relayed retirement failed: ${record.receipt.status}`);
+    }
+
+    console.log("✅ Retirement relayed:", transactionId);
+
+    const certificates = parseCertificates(record.contractFunctionResult.logs.map(log => ({
+      topics: log.topics.map(topic => ethers.hexlify(topic)),
+      data: ethers.hexlify(log.data)
+    })));
+    const hcsLog = await logRetirement(buildRetirementLog({
+      account: account,
+      call: microCredit.parseTransaction({ data }),
+      certificates: certificates,
+      relayed: true,
+      transactionId: transactionId
+    }));
+
+    return { transactionId, status: "SUCCESS", certificates, hcsLog };
+  }
+
+  /**
+   * Log a retirement a browser wallet sent itself, since EVM wallets cannot submit HCS messages
+   * The retirement is read back from the mirror node, so only successful retirement
+   * calls to the contract are logged, only at the request of the account that sent
+   * them, and each once.
+   */
+  async function logWalletRetirement({ transactionId, signature } = {}) {
+    if (typeof transactionId !== "string" || !ethers.isHexString(transactionId, 32)) {
+      throw new RelayerError(400, "Expected the EVM transaction hash of the retirement");
+    }
+    if (typeof signature !== "string" || !ethers.isHexString(signature, 65)) {
+      throw new RelayerError(400, "Expected the sender's LogRetirement signature");
+    }
+    if (!config.topicId) {
+      throw new RelayerError(503, "Retirement logging is not configured");
+    }
+    const hash = transactionId.toLowerCase();
+    if (loggedTransactions.has(hash)) {
+      throw new RelayerError(409, "Retirement already logged");
+    }
+    loggedTransactions.add(hash);
+
+    try {
+      let result;
+      try {
+        result = await mirror(`/contracts/results/${hash}`, { retry: true });
+      } catch (error) {
+        if (error.status === 404) {
+          throw new RelayerError(404, "Transaction not found on the mirror node");
+        }
+        throw error;
+      }
+
+      const call = microCredit.parseTransaction({ data: result.function_parameters || "0x" });
+      if (result.contract_id !== (await getContract()).contract_id || !call || !WALLET_RETIREMENT_FUNCTIONS.includes(call.name)) {
+        throw new RelayerError(400, "Transaction is not a retirement on the MicroCredit contract");
+      }
+      if (result.result !== "SUCCESS") {
+        throw new RelayerError(400, "Retirement did not succeed");
+      }
+
+      // As with relayed retirements, the retiring account must have signed; the mirror node
+      // may report the sender by its long-zero address, so both are resolved to accounts
+      const domain = await getDomain();
+      let signer;
+      try {
+        signer = ethers.verifyTypedData(domain, LOG_RETIREMENT_TYPES, { transactionHash: hash }, signature);
+      } catch (error) {
+        throw new RelayerError(400, "Invalid signature");
+      }
+      const account = await getAccountId(result.from);
+      if ((await getAccountId(signer).catch(() => null)) !== account) {
+        throw new RelayerError(403, "Only the account that sent the retirement can log it");
+      }
+      if (await isRetirementLogged(hash, result.timestamp)) {
+        throw new RelayerError(409, "Retirement already logged");
+      }
+
+      const hcsLog = await logRetirement(buildRetirementLog({
+        account: account,
+        call: call,
+        certificates: parseCertificates(result.logs || []),
+        relayed: false,
+        transactionId: transactionId
+      }));
+      if (!hcsLog) {
+        throw new RelayerError(502, "Retirement could not be logged to HCS");
+      }
+      return { hcsLog };
+    } catch (error) {
+      loggedTransactions.delete(hash);
+      throw error;
+    }
+  }
+
+  const routes = {
+    "GET /health": async () => ({
+      accountId: config.operatorId.toString(),
+      contractId: config.contractId,
+      topicId: config.topicId
+    }),
+    "POST /retirements": relayRetirement,
+    "POST /retirements/log": logWalletRetirement
+  };
+
+  return { routes };
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new RelayerError(413, "Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(new RelayerError(400, "Request body is not JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function createServer(config) {
+  const { routes } = createRelayer(config);
+
+  return http.createServer(async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": config.allowedOrigin,
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type"
+      });
+      res.end(body === undefined ? undefined : JSON.stringify(body));
+    };
+
+    if (req.method === "OPTIONS") {
+      send(204);
+      return;
+    }
+
+    const route = routes[`${req.method} ${req.url.split("?")[0]}`];
+    if (!route) {
+      send(404, { error: "Not found" });
+      return;
+    }
+
+    try {
+      send(200, await route(req.method === "POST" ? await readJson(req) : undefined));
+    } catch (error) {
+      if (!(error instanceof RelayerError)) {
+        console.error("❌ Relayer request failed:", error);
+      }
+      send(error.status || 500, { error: error instanceof RelayerError ? error.message : "Relayer error" });
+    }
+  });
+}
+
+if (require.main === module) {
+  const config = loadConfig();
+  createServer(config).listen(config.port, () => {
+    console.log(`🚀 EcoCreditX relayer listening on port ${config.port}`);
+    console.log("   Relayer account:", config.operatorId.toString());
+    console.log("   Contract:", config.contractId);
+    console.log("   HCS topic:", config.topicId || "⚠️  Not set (retirements not logged)");
+  });
+}
+
+module.exports = { encodeRetirement, parseCertificates, buildRetirementLog, createServer };
@@ -7,6 +7,8 @@ const {
     ContractFunctionParameters,
     Hbar
 } = require("@hashgraph/sdk");
+const crypto = require("crypto");
+const { parseCredits, parseHbar, formatCredits, formatHbar } = require("../frontend/src/services/amounts");
 require("dotenv").config();
 
 async function deployRealMVP() {
@@ -67,16 +69,27 @@ async function deployRealMVP() {
         const projectId = "AMAZON_REDD_2024";
         const methodology = "REDD+ VCS Standard";
         const location = "Amazon Basin, Brazil";
-        const totalCredits = 100000;
-        const pricePerCredit = 25 * 100000000; // 25 HBAR in tinybars
+        const totalCredits = parseCredits("100000"); // In contract units (2 decimals)
+        const pricePerCredit = parseHbar("25"); // In tinybars
+        const vintage = 2024;
+        const bufferBps = 2000; // 20% AFOLU non-permanence buffer
+        // The buffer share is withheld on top of the minted amount, so mint the net credits
+        const mintAmount = totalCredits * BigInt(10000 - bufferBps) / 10000n;
+
+        // Guardian verification report and monitoring period behind this issuance
+        const verificationReport = "AMAZON_REDD_2024/verification-report-2024";
+        const verificationHash = crypto.createHash("sha256").update(verificationReport).digest();
+        const monitoringPeriodStart = Math.floor(Date.UTC(2024, 0, 1) / 1000);
+        const monitoringPeriodEnd = Math.floor(Date.UTC(2024, 11, 31) / 1000);
 
         console.log("\n📋 Real Project Details:");
         console.log(`- Project ID: ${projectId}`);
         console.log(`- Methodology: ${methodology}`);
         console.log(`- Location: ${location}`);
-        console.log(`- Total Credits: ${totalCredits.toLocaleString()}`);
-        console.log(`- Price per Credit: 25 HBAR`);
+        console.log(`- Total Credits: ${formatCredits(totalCredits)}`);
+        console.log(`- Price per Credit: ${formatHbar(pricePerCredit)} HBAR`);
         console.log(`- Developer: ${operatorId.toString()}`);
+        console.log(`- Buffer: ${bufferBps / 100}% of each issuance`);
 
         // Step 1: Register the project
         console.log("\n🔗 Step 1: Registering real Amazon project...");
@@ -86,8 +99,8 @@ async function deployRealMVP() {
             .addAddress(operatorId.toSolidityAddress())
             .addString(methodology)
             .addString(location)
-            .addUint256(totalCredits)
-            .addUint256(pricePerCredit);
+            .addUint256(Number(totalCredits)) // Exact: both amounts are far below 2^53
+            .addUint256(Number(pricePerCredit));
 
         const registerTx = new ContractExecuteTransaction()
             .setContractId(workingContractId)
@@ -105,13 +118,39 @@ async function deployRealMVP() {
         console.log(`✅ Project registered successfully!`);
         console.log(`📊 Registration TX: ${registerSubmit.transactionId.toString()}`);
 
-        // Step 2: Mint credits
-        console.log("\n💰 Step 2: Minting real carbon credits...");
+        // Step 2: Configure the non-permanence buffer before any issuance
+        console.log("\n🛡️ Step 2: Setting AFOLU buffer share...");
+
+        const bufferTx = new ContractExecuteTransaction()
+            .setContractId(workingContractId)
+            .setGas(100000)
+            .setFunction("setBufferPercentage",
+                new ContractFunctionParameters()
+                    .addString(projectId)
+                    .addUint16(bufferBps)
+            )
+            .setMaxTransactionFee(new Hbar(2));
+
+        const bufferSubmit = await bufferTx.execute(client);
+        const bufferReceipt = await bufferSubmit.getReceipt(client);
+
+        if (bufferReceipt.status.toString() !== "SUCCESS") {
+            throw new Error(`Buffer configuration failed: ${bufferReceipt.status.toString()}`);
+        }
+
+        console.log(`✅ Buffer set to ${bufferBps / 100}%`);
+
+        // Step 3: Mint credits
+        console.log("\n💰 Step 3: Minting real carbon credits...");
         
         const mintParams = new ContractFunctionParameters()
             .addAddress(operatorId.toSolidityAddress())
-            .addUint256(totalCredits)
-            .addString(projectId);
+            .addUint256(Number(mintAmount))
+            .addString(projectId)
+            .addUint16(vintage)
+            .addBytes32(verificationHash)
+            .addUint64(monitoringPeriodStart)
+            .addUint64(monitoringPeriodEnd);
 
         const mintTx = new ContractExecuteTransaction()
             .setContractId(workingContractId)
@@ -129,8 +168,8 @@ async function deployRealMVP() {
         console.log(`✅ Credits minted successfully!`);
         console.log(`📊 Minting TX: ${mintSubmit.transactionId.toString()}`);
 
-        // Step 3: Verify project data
-        console.log("\n📄 Step 3: Verifying project data...");
+        // Step 4: Verify project data
+        console.log("\n📄 Step 4: Verifying project data...");
         
         const projectQuery = new ContractCallQuery()
             .setContractId(workingContractId)
@@ -145,8 +184,8 @@ async function deployRealMVP() {
         console.log(`- Project ID: ${projectResult.getString(0)}`);
         console.log(`- Methodology: ${projectResult.getString(1)}`);
         console.log(`- Location: ${projectResult.getString(2)}`);
-        console.log(`- Total Credits: ${projectResult.getUint256(3).toString()}`);
-        console.log(`- Available Credits: ${projectResult.getUint256(4).toString()}`);
+        console.log(`- Total Credits: ${formatCredits(projectResult.getUint256(3))}`);
+        console.log(`- Available Credits: ${formatCredits(projectResult.getUint256(4))}`);
         console.log(`- Is Active: ${projectResult.getBool(5)}`);
         console.log(`- Price per Credit: ${projectResult.getUint256(7).toString()} tinybars`);
 
@@ -161,7 +200,7 @@ async function deployRealMVP() {
         console.log("- Real smart contract on Hedera Testnet");
         console.log("- Real Amazon Rainforest Conservation Project");
         console.log("- Real blockchain transactions for purchases");
-        console.log("- 100,000 carbon credits available at 25 HBAR each");
+        console.log("- 100,000 carbon credits issued at 25 HBAR each, 20% held in the buffer pool");
 
         return workingContractId;
 
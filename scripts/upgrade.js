@@ -0,0 +1,58 @@
+const { ethers, network } = require("hardhat");
+const {
+  deployMicroCreditImplementation,
+  upgradeProxy,
+  getImplementationAddress
+} = require("./microCreditProxy");
+const { explorerUrl } = require("./networks");
+require("dotenv").config();
+
+/**
+ * Upgrade the MicroCredit proxy to the current MicroCredit code
+ *
+ * Deploys a new implementation and points the proxy at CONTRACT_ID to it.
+ * Balances, projects and retirements stay on the proxy, so REACT_APP_CONTRACT_ID
+ * does not change. Run with the account that owns the proxy's ProxyAdmin.
+ *
+ * Usage: npx hardhat run scripts/upgrade.js --network testnet
+ *
+ * References:
+ * - Transparent proxy: https://docs.openzeppelin.com/contracts/5.x/api/proxy#TransparentUpgradeableProxy
+ */
+
+async function main() {
+  const proxyAddress = process.env.CONTRACT_ID;
+  if (!proxyAddress) {
+    throw new Error("Set CONTRACT_ID to the MicroCredit proxy address");
+  }
+
+  const [deployer] = await ethers.getSigners();
+  console.log("🔄 Upgrading MicroCredit proxy:", proxyAddress);
+  console.log("📋 Upgrading with account:", deployer.address);
+
+  // The name and symbol live in the implementation's code, so carry them over
+  const current = await ethers.getContractAt("MicroCredit", proxyAddress);
+  const tokenName = await current.name();
+  const tokenSymbol = await current.symbol();
+  const previousImplementation = await getImplementationAddress(proxyAddress);
+
+  console.log("📦 Deploying new MicroCredit implementation...");
+  const implementationAddress = await deployMicroCreditImplementation(tokenName, tokenSymbol);
+
+  await upgradeProxy(proxyAddress, implementationAddress);
+
+  console.log("✅ Proxy upgraded");
+  console.log("   Previous implementation:", previousImplementation);
+  console.log("   New implementation:", implementationAddress);
+  console.log("   Total Supply:", (await current.totalSupply()).toString());
+  if (explorerUrl(network.name, "contract", implementationAddress)) {
+    console.log("   HashScan:", explorerUrl(network.name, "contract", implementationAddress));
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Upgrade failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,168 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("ForwardSale", function () {
+  const PROJECT_ID = "AMAZON_REDD_2024";
+  const HBAR_PRICE = ethers.parseUnits("1", 8); // 1 HBAR per credit
+  const FORWARD_PRICE = ethers.parseUnits("2", 8); // 2 HBAR per credit
+  const DAY = 24 * 60 * 60;
+
+  let microCredit, forwardSale;
+  let admin, developer, buyer, otherBuyer;
+  let deadline;
+
+  const mintVintage = async (vintage, report, amount = 100) => {
+    await microCredit.mint(
+      developer.address,
+      amount,
+      PROJECT_ID,
+      vintage,
+      ethers.sha256(ethers.toUtf8Bytes(report)),
+      1704067200,
+      1735603200
+    );
+  };
+
+  // The developer funds delivery from its holdings of the verified batch
+  const deliver = async (forwardId, batchId, approved = 1000) => {
+    await microCredit.connect(developer).approve(await forwardSale.getAddress(), approved);
+    return forwardSale.connect(developer).deliver(forwardId, batchId);
+  };
+
+  beforeEach(async function () {
+    [admin, developer, buyer, otherBuyer] = await ethers.getSigners();
+
+    microCredit = await (await ethers.getContractFactory("MicroCredit")).deploy("EcoCreditX", "ECCX");
+    forwardSale = await (await ethers.getContractFactory("ForwardSale")).deploy(await microCredit.getAddress());
+
+    await microCredit.registerProject(
+      PROJECT_ID,
+      developer.address,
+      "VCS-VM0015",
+      "Amazon Basin, Brazil",
+      100000,
+      HBAR_PRICE
+    );
+    await mintVintage(2024, "verification-report-2024");
+
+    deadline = (await time.latest()) + 90 * DAY;
+    await forwardSale.connect(developer).createForward(PROJECT_ID, 2025, 1000, FORWARD_PRICE, deadline);
+
+    await forwardSale.connect(buyer).preOrder(1, 600, { value: 600n * FORWARD_PRICE / 100n });
+    await forwardSale.connect(otherBuyer).preOrder(1, 200, { value: 200n * FORWARD_PRICE / 100n });
+  });
+
+  it("holds pre-order payments in escrow", async function () {
+    const forward = await forwardSale.getForward(1);
+    expect(forward.sold).to.equal(800);
+    expect(forward.escrowed).to.equal(800n * FORWARD_PRICE / 100n);
+    expect(await ethers.provider.getBalance(await forwardSale.getAddress())).to.equal(forward.escrowed);
+  });
+
+  it("only lets the project developer offer a future vintage", async function () {
+    await expect(forwardSale.connect(buyer).createForward(PROJECT_ID, 2025, 100, FORWARD_PRICE, deadline))
+      .to.be.revertedWith("Only project developer");
+    await expect(forwardSale.connect(developer).createForward(PROJECT_ID, 2024, 100, FORWARD_PRICE, deadline))
+      .to.be.revertedWith("Vintage already issued");
+  });
+
+  it("rejects pre-orders beyond the offered amount", async function () {
+    await expect(forwardSale.connect(buyer).preOrder(1, 201, { value: FORWARD_PRICE * 3n }))
+      .to.be.revertedWith("Insufficient credits offered");
+  });
+
+  it("waits for the matching vintage before delivery", async function () {
+    // Batch 1 is the 2024 vintage
+    await expect(deliver(1, 1)).to.be.revertedWith("Vintage not minted");
+    await expect(forwardSale.connect(buyer).deliver(1, 1)).to.be.revertedWith("Only project developer");
+  });
+
+  it("delivers in full and pays the developer", async function () {
+    await mintVintage(2025, "verification-report-2025", 1000);
+    await expect(deliver(1, 2))
+      .to.emit(forwardSale, "ForwardDelivered")
+      .withArgs(1, 2, 800, 800);
+
+    await forwardSale.connect(buyer).claim(1);
+    expect(await microCredit.balanceOf(buyer.address)).to.equal(600);
+    expect(await microCredit.batchBalances(2, buyer.address)).to.equal(600);
+    expect(await forwardSale.developerProceeds(developer.address)).to.equal(800n * FORWARD_PRICE / 100n);
+    expect(await forwardSale.totalVolume()).to.equal(800n * FORWARD_PRICE / 100n);
+
+    // Nothing was undelivered, so the deadline brings no refund
+    await time.increaseTo(deadline + 1);
+    const [, creditsDue, refundDue] = await forwardSale.getOrder(1, otherBuyer.address);
+    expect(creditsDue).to.equal(200);
+    expect(refundDue).to.equal(0);
+  });
+
+  it("refunds the undelivered share pro rata after the deadline", async function () {
+    await mintVintage(2025, "verification-report-2025", 400); // Half of the pre-orders verified
+    await deliver(1, 2);
+
+    const paid = 600n * FORWARD_PRICE / 100n;
+    await forwardSale.connect(buyer).claim(1);
+    expect(await microCredit.balanceOf(buyer.address)).to.equal(300);
+    expect(await forwardSale.developerProceeds(developer.address)).to.equal(400n * FORWARD_PRICE / 100n);
+
+    // No refund before the deadline
+    await expect(forwardSale.connect(buyer).claim(1)).to.be.revertedWith("Nothing to claim");
+
+    await time.increaseTo(deadline + 1);
+    await expect(forwardSale.connect(buyer).claim(1))
+      .to.changeEtherBalance(buyer, paid / 2n);
+    await expect(forwardSale.connect(buyer).claim(1)).to.be.revertedWith("Nothing to claim");
+  });
+
+  it("delivers out of the verified batch without issuing new credits", async function () {
+    await microCredit.setBufferPercentage(PROJECT_ID, 2000);
+    await mintVintage(2025, "verification-report-2025", 800);
+    const verified = (await microCredit.getBatch(2)).amount;
+    expect(verified).to.equal(1000); // 800 credits and 200 withheld for the buffer
+
+    await deliver(1, 2);
+    await forwardSale.connect(buyer).claim(1);
+    await forwardSale.connect(otherBuyer).claim(1);
+
+    // Only the two verified mints were ever issued: delivery moved the 2025 credits, it did not mint more
+    expect(await microCredit.totalSupply()).to.equal(100n + verified);
+    expect((await microCredit.getProject(PROJECT_ID)).availableCredits).to.equal(100000n - 100n - verified);
+    expect(await microCredit.batchBalances(2, developer.address)).to.equal(0);
+    expect(await microCredit.batchBalances(2, buyer.address)).to.equal(600);
+    expect(await microCredit.batchBalances(2, otherBuyer.address)).to.equal(200);
+    expect(await microCredit.bufferCredits(PROJECT_ID)).to.equal(200);
+  });
+
+  it("never delivers more than the developer holds of the verified mint batch", async function () {
+    await forwardSale.connect(developer).createForward(PROJECT_ID, 2025, 500, FORWARD_PRICE, deadline);
+    await forwardSale.connect(buyer).preOrder(2, 300, { value: 300n * FORWARD_PRICE / 100n });
+    await mintVintage(2025, "verification-report-2025", 1000);
+
+    await deliver(1, 2);
+    // Only 200 of the batch's 1000 credits remain with the developer for the second forward
+    await expect(deliver(2, 2))
+      .to.emit(forwardSale, "ForwardDelivered")
+      .withArgs(2, 2, 200, 300);
+    expect(await microCredit.batchBalances(2, await forwardSale.getAddress())).to.equal(1000);
+
+    // Batches issued by sales carry no verification evidence
+    await microCredit.connect(buyer).purchaseCredits(PROJECT_ID, 100, { value: HBAR_PRICE });
+    await forwardSale.connect(developer).createForward(PROJECT_ID, 2026, 100, FORWARD_PRICE, deadline);
+    await expect(deliver(3, 3)).to.be.revertedWith("Not a verified mint batch");
+  });
+
+  it("requires the developer's approval to take the delivered credits", async function () {
+    await mintVintage(2025, "verification-report-2025", 1000);
+    await expect(deliver(1, 2, 799))
+      .to.be.revertedWithCustomError(microCredit, "ERC20InsufficientAllowance");
+  });
+
+  it("refunds everything when nothing is delivered by the deadline", async function () {
+    await time.increaseTo(deadline + 1);
+
+    await expect(deliver(1, 1)).to.be.revertedWith("Delivery deadline passed");
+    await expect(forwardSale.connect(otherBuyer).claim(1))
+      .to.changeEtherBalance(otherBuyer, 200n * FORWARD_PRICE / 100n);
+  });
+});
@@ -0,0 +1,758 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployMicroCreditProxy, getMicroCredit } = require("../scripts/microCreditProxy");
+
+describe("MicroCredit", function () {
+  const PROJECT_ID = "AMAZON_REDD_2024";
+  const USDC = 10n ** 6n;
+  const TOKEN_PRICE = 12n * USDC + USDC / 2n; // 12.50 mUSDC per credit
+  const HBAR_PRICE = ethers.parseUnits("1", 8); // 1 HBAR per credit
+
+  let microCredit, stablecoin, tokenSale;
+  let admin, developer, buyer;
+
+  beforeEach(async function () {
+    [admin, developer, buyer] = await ethers.getSigners();
+
+    microCredit = await (await ethers.getContractFactory("MicroCredit")).deploy("EcoCreditX", "ECCX");
+    stablecoin = await (await ethers.getContractFactory("MockStablecoin")).deploy();
+    tokenSale = await (await ethers.getContractFactory("TokenSale")).deploy(
+      await microCredit.getAddress(),
+      await stablecoin.getAddress()
+    );
+    await microCredit.grantRole(await microCredit.SALES_ROLE(), await tokenSale.getAddress());
+
+    await microCredit.registerProject(
+      PROJECT_ID,
+      developer.address,
+      "VCS-VM0015",
+      "Amazon Basin, Brazil",
+      100000,
+      HBAR_PRICE
+    );
+    await microCredit.mint(
+      developer.address,
+      100,
+      PROJECT_ID,
+      2024,
+      ethers.sha256(ethers.toUtf8Bytes("verification-report-2024")),
+      1704067200,
+      1735603200
+    );
+
+    await stablecoin.mint(buyer.address, 1000n * USDC);
+  });
+
+  describe("Issuance batches", function () {
+    let reader;
+
+    beforeEach(async function () {
+      // Enumeration views are served through MicroCredit's fallback
+      reader = await getMicroCredit(await microCredit.getAddress());
+      await microCredit.mint(developer.address, 200, PROJECT_ID, 2025, ethers.sha256(ethers.toUtf8Bytes("verification-report-2025")), 1735689600, 1767225600);
+    });
+
+    it("numbers each batch's serials after the project's previous batch", async function () {
+      const [first, second] = [await microCredit.getBatch(1), await microCredit.getBatch(2)];
+
+      expect([first.serialStart, first.serialEnd, first.vintage]).to.deep.equal([1n, 100n, 2024n]);
+      expect([second.serialStart, second.serialEnd, second.vintage]).to.deep.equal([101n, 300n, 2025n]);
+      expect(await reader.getProjectBatchIds(PROJECT_ID)).to.deep.equal([1n, 2n]);
+      expect(await reader.getBatchCount()).to.equal(2);
+    });
+
+    it("retires from the chosen batch only", async function () {
+      await expect(microCredit.connect(developer).retireFromBatch(1, 40, "Scope 1 offsetting"))
+        .to.emit(microCredit, "BatchRetired")
+        .withArgs(developer.address, 1, 40);
+
+      expect(await reader.getHolderBatches(developer.address)).to.deep.equal([[1n, 2n], [60n, 200n]]);
+      expect(await microCredit.totalRetired()).to.equal(40);
+    });
+
+    it("rejects retirements from a batch the holder does not hold enough of", async function () {
+      await microCredit.connect(developer).transfer(buyer.address, 150); // drawn from batch 2
+
+      await expect(microCredit.connect(buyer).retireFromBatch(1, 10, "Scope 1 offsetting"))
+        .to.be.revertedWithCustomError(microCredit, "InsufficientBatchBalance");
+      await expect(microCredit.connect(developer).retireFromBatch(1, 101, "Scope 1 offsetting"))
+        .to.be.revertedWithCustomError(microCredit, "InsufficientBatchBalance");
+      await expect(microCredit.connect(developer).retireFromBatch(3, 10, "Scope 1 offsetting"))
+        .to.be.revertedWithCustomError(microCredit, "InvalidBatch");
+    });
+
+    it("moves untargeted transfers out of the sender's latest held batches first", async function () {
+      await microCredit.connect(developer).transfer(buyer.address, 250);
+
+      expect(await reader.getHolderBatches(developer.address)).to.deep.equal([[1n], [50n]]);
+      expect(await reader.getHolderBatches(buyer.address)).to.deep.equal([[2n, 1n], [200n, 50n]]);
+
+      await microCredit.connect(buyer).transfer(developer.address, 250);
+      expect(await reader.getHolderBatches(buyer.address)).to.deep.equal([[], []]);
+      expect(await microCredit.batchBalances(1, developer.address)).to.equal(100);
+      expect(await microCredit.batchBalances(2, developer.address)).to.equal(200);
+    });
+  });
+
+  describe("Retirement certificates", function () {
+    let reader;
+
+    beforeEach(async function () {
+      reader = await getMicroCredit(await microCredit.getAddress());
+      await microCredit.mint(developer.address, 200, PROJECT_ID, 2025, ethers.sha256(ethers.toUtf8Bytes("verification-report-2025")), 1735689600, 1767225600);
+      await microCredit.connect(developer).transfer(buyer.address, 250); // 200 of batch 2, 50 of batch 1
+    });
+
+    it("issues one certificate per batch a retirement on behalf draws from", async function () {
+      const args = [0, 230, "Client offsetting", admin.address, "Acme Corp", "FY2024"];
+      const [first, last] = await microCredit.connect(buyer).retireOnBehalf.staticCall(...args);
+      expect([first, last]).to.deep.equal([1n, 2n]);
+
+      await expect(microCredit.connect(buyer).retireOnBehalf(...args))
+        .to.emit(microCredit, "RetirementCertificateIssued")
+        .withArgs(1, buyer.address, admin.address, "Acme Corp", PROJECT_ID, 1, 50, "FY2024");
+
+      const certificate = await microCredit.getRetirement(2);
+      expect([
+        certificate.retiree,
+        certificate.beneficiary,
+        certificate.beneficiaryName,
+        certificate.reportingPeriod,
+        certificate.projectId,
+        certificate.batchId,
+        certificate.amount,
+        certificate.reason
+      ]).to.deep.equal([buyer.address, admin.address, "Acme Corp", "FY2024", PROJECT_ID, 2n, 180n, "Client offsetting"]);
+
+      // Certificates trace back to the serial range of their batch
+      const batch = await microCredit.getBatch(certificate.batchId);
+      expect([batch.serialStart, batch.serialEnd]).to.deep.equal([101n, 300n]);
+      expect(await reader.getRetirementCount()).to.equal(2);
+      expect(await microCredit.projectRetired(PROJECT_ID)).to.equal(230);
+    });
+
+    it("lists certificates for both the retiree and an on-chain beneficiary", async function () {
+      await microCredit.connect(buyer).retireOnBehalf(2, 100, "Client offsetting", admin.address, "Acme Corp", "FY2024");
+      await microCredit.connect(buyer).retireOnBehalf(1, 50, "Client offsetting", ethers.ZeroAddress, "Globex Ltd", "2024-Q4");
+
+      expect(await reader.getAccountCertificateIds(buyer.address)).to.deep.equal([1n, 2n]);
+      expect(await reader.getAccountCertificateIds(admin.address)).to.deep.equal([1n]);
+      expect(await reader.getAccountCertificateIds(developer.address)).to.deep.equal([]);
+      expect((await microCredit.getRetirement(2)).beneficiaryName).to.equal("Globex Ltd");
+    });
+
+    it("requires a beneficiary address or name", async function () {
+      await expect(microCredit.connect(buyer).retireOnBehalf(0, 10, "Client offsetting", ethers.ZeroAddress, "", "FY2024"))
+        .to.be.revertedWithCustomError(microCredit, "BeneficiaryRequired");
+    });
+  });
+
+  describe("Platform fees", function () {
+    const totalPrice = 150n * HBAR_PRICE / 100n;
+    const fee = totalPrice * 250n / 10000n;
+    let collector;
+
+    beforeEach(async function () {
+      [, , , collector] = await ethers.getSigners();
+      await microCredit.setPlatformFee(250); // 2.5%
+      await microCredit.setFeeCollector(collector.address);
+    });
+
+    it("accrues the fee of HBAR purchases per fee period", async function () {
+      await expect(microCredit.connect(buyer).purchaseCredits(PROJECT_ID, 150, { value: totalPrice }))
+        .to.emit(microCredit, "FeeCollected");
+      const period = await microCredit.currentFeePeriod();
+
+      expect(await microCredit.accruedFees()).to.equal(fee);
+      expect(await microCredit.feesByPeriod(period)).to.equal(fee);
+      expect(await microCredit.developerProceeds(developer.address)).to.equal(totalPrice - fee);
+    });
+
+    it("refunds overpayment beyond the purchase price", async function () {
+      await expect(microCredit.connect(buyer).purchaseCredits(PROJECT_ID, 150, { value: totalPrice + HBAR_PRICE }))
+        .to.changeEtherBalances([buyer, microCredit], [-totalPrice, totalPrice]);
+    });
+
+    it("rounds prices up to the next tinybar", async function () {
+      await microCredit.registerProject("ODD_PRICE", developer.address, "VCS-VM0007", "Peru", 1000, 333);
+      await microCredit.mint(developer.address, 100, "ODD_PRICE", 2024, ethers.sha256(ethers.toUtf8Bytes("odd-price-2024")), 1704067200, 1735603200);
+
+      // 0.01 credits at 333 tinybars per credit: 3.33 tinybars, charged as 4
+      await expect(microCredit.connect(buyer).purchaseCredits("ODD_PRICE", 1, { value: 3 }))
+        .to.be.revertedWithCustomError(microCredit, "InsufficientPayment");
+      await expect(microCredit.connect(buyer).purchaseCredits("ODD_PRICE", 1, { value: 4 }))
+        .to.emit(microCredit, "CreditsPurchased")
+        .withArgs(buyer.address, "ODD_PRICE", 1, 4);
+    });
+
+    it("sends withdrawn fees to the fee collector", async function () {
+      await microCredit.connect(buyer).purchaseCredits(PROJECT_ID, 150, { value: totalPrice });
+
+      await expect(microCredit.connect(buyer).withdraw())
+        .to.be.revertedWithCustomError(microCredit, "NotAuthorized");
+      await expect(microCredit.withdraw())
+        .to.changeEtherBalances([microCredit, collector, admin], [-fee, fee, 0]);
+
+      expect(await microCredit.accruedFees()).to.equal(0);
+      await expect(microCredit.connect(collector).withdraw())
+        .to.be.revertedWithCustomError(microCredit, "NoFeesToWithdraw");
+    });
+
+    it("caps the platform fee", async function () {
+      await expect(microCredit.setPlatformFee(1001))
+        .to.be.revertedWithCustomError(microCredit, "FeeTooHigh");
+      await expect(microCredit.connect(buyer).setPlatformFee(100))
+        .to.be.revertedWithCustomError(microCredit, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Roles and pausing", function () {
+    const REPORT_2025 = ethers.sha256(ethers.toUtf8Bytes("verification-report-2025"));
+
+    it("gates registration and minting on the registry operator roles", async function () {
+      await expect(microCredit.connect(buyer).registerProject("PERU_REDD_2025", buyer.address, "VCS-VM0007", "Peru", 1000, HBAR_PRICE))
+        .to.be.revertedWithCustomError(microCredit, "AccessControlUnauthorizedAccount")
+        .withArgs(buyer.address, await microCredit.REGISTRAR_ROLE());
+      await expect(microCredit.connect(buyer).mint(buyer.address, 100, PROJECT_ID, 2025, REPORT_2025, 1735689600, 1767225600))
+        .to.be.revertedWithCustomError(microCredit, "AccessControlUnauthorizedAccount")
+        .withArgs(buyer.address, await microCredit.MINTER_ROLE());
+
+      await microCredit.grantRole(await microCredit.MINTER_ROLE(), buyer.address);
+      await microCredit.connect(buyer).mint(buyer.address, 100, PROJECT_ID, 2025, REPORT_2025, 1735689600, 1767225600);
+      expect(await microCredit.balanceOf(buyer.address)).to.equal(100);
+    });
+
+    it("lets only SALES_ROLE holders issue sold credits", async function () {
+      await tokenSale.connect(developer).setPrice(PROJECT_ID, TOKEN_PRICE);
+      await stablecoin.connect(buyer).approve(await tokenSale.getAddress(), TOKEN_PRICE);
+      await microCredit.revokeRole(await microCredit.SALES_ROLE(), await tokenSale.getAddress());
+
+      await expect(tokenSale.connect(buyer).purchaseCredits(PROJECT_ID, 100))
+        .to.be.revertedWithCustomError(microCredit, "AccessControlUnauthorizedAccount");
+
+      await microCredit.grantRole(await microCredit.SALES_ROLE(), admin.address);
+      await microCredit.issueSale(buyer.address, PROJECT_ID, 100);
+      expect(await microCredit.projectCreditsSold(PROJECT_ID)).to.equal(100);
+    });
+
+    it("stops minting and purchases while paused", async function () {
+      await expect(microCredit.connect(buyer).pause())
+        .to.be.revertedWithCustomError(microCredit, "AccessControlUnauthorizedAccount");
+      await microCredit.pause();
+
+      await expect(microCredit.mint(developer.address, 100, PROJECT_ID, 2025, REPORT_2025, 1735689600, 1767225600))
+        .to.be.revertedWithCustomError(microCredit, "EnforcedPause");
+      await expect(microCredit.connect(buyer).purchaseCredits(PROJECT_ID, 100, { value: HBAR_PRICE }))
+        .to.be.revertedWithCustomError(microCredit, "EnforcedPause");
+      await tokenSale.connect(developer).setPrice(PROJECT_ID, TOKEN_PRICE);
+      await stablecoin.connect(buyer).approve(await tokenSale.getAddress(), TOKEN_PRICE);
+      await expect(tokenSale.connect(buyer).purchaseCredits(PROJECT_ID, 100))
+        .to.be.revertedWithCustomError(microCredit, "EnforcedPause");
+
+      await expect(microCredit.connect(buyer).unpause())
+        .to.be.revertedWithCustomError(microCredit, "AccessControlUnauthorizedAccount");
+      await microCredit.unpause();
+      await microCredit.connect(buyer).purchaseCredits(PROJECT_ID, 100, { value: HBAR_PRICE });
+      expect(await microCredit.balanceOf(buyer.address)).to.equal(100);
+    });
+  });
+
+  describe("Developer proceeds", function () {
+    const totalPrice = 150n * HBAR_PRICE / 100n;
+
+    it("holds sale proceeds until the developer withdraws them", async function () {
+      await microCredit.connect(buyer).purchaseCredits(PROJECT_ID, 150, { value: totalPrice });
+      expect(await microCredit.developerProceeds(developer.address)).to.equal(totalPrice);
+
+      await expect(microCredit.connect(developer).withdrawProceeds())
+        .to.changeEtherBalances([microCredit, developer], [-totalPrice, totalPrice]);
+      expect(await microCredit.developerProceeds(developer.address)).to.equal(0);
+      // Withdrawals do not reset the project's lifetime earnings
+      expect(await microCredit.projectProceeds(PROJECT_ID)).to.equal(totalPrice);
+
+      await expect(microCredit.connect(developer).withdrawProceeds())
+        .to.be.revertedWithCustomError(microCredit, "NoProceedsToWithdraw");
+    });
+
+    it("counts credits sold per project across purchase paths but not mints", async function () {
+      await microCredit.connect(buyer).purchaseCredits(PROJECT_ID, 150, { value: totalPrice });
+      await microCredit.connect(buyer).purchaseBatch([PROJECT_ID, PROJECT_ID], [50, 25], { value: totalPrice });
+      await tokenSale.connect(developer).setPrice(PROJECT_ID, TOKEN_PRICE);
+      await stablecoin.connect(buyer).approve(await tokenSale.getAddress(), TOKEN_PRICE);
+      await tokenSale.connect(buyer).purchaseCredits(PROJECT_ID, 100);
+      await microCredit.mint(developer.address, 500, PROJECT_ID, 2025, ethers.sha256(ethers.toUtf8Bytes("verification-report-2025")), 1735689600, 1767225600);
+
+      expect(await microCredit.projectCreditsSold(PROJECT_ID)).to.equal(325);
+    });
+  });
+
+  describe("Project lifecycle", function () {
+    const [ACTIVE, SUSPENDED, CLOSED] = [1n, 2n, 3n];
+
+    it("blocks mints and purchases while a project is suspended", async function () {
+      await expect(microCredit.suspendProject(PROJECT_ID, "Audit"))
+        .to.emit(microCredit, "ProjectStatusChanged")
+        .withArgs(PROJECT_ID, SUSPENDED, "Audit");
+      expect((await microCredit.getProject(PROJECT_ID)).isActive).to.equal(false);
+
+      await expect(microCredit.connect(buyer).purchaseCredits(PROJECT_ID, 100, { value: HBAR_PRICE }))
+        .to.be.revertedWithCustomError(microCredit, "ProjectNotActive");
+      await expect(microCredit.mint(developer.address, 100, PROJECT_ID, 2025, ethers.sha256(ethers.toUtf8Bytes("verification-report-2025")), 1735689600, 1767225600))
+        .to.be.revertedWithCustomError(microCredit, "ProjectNotActive");
+
+      // Metadata can still be corrected during an investigation
+      await microCredit.updateProjectMetadata(PROJECT_ID, "VCS-VM0007", "Pará, Brazil", "Corrected location");
+      await microCredit.reinstateProject(PROJECT_ID, "Audit passed");
+
+      expect(await microCredit.projectStatus(PROJECT_ID)).to.equal(ACTIVE);
+      await microCredit.connect(buyer).purchaseCredits(PROJECT_ID, 100, { value: HBAR_PRICE });
+      expect((await microCredit.getProject(PROJECT_ID)).location).to.equal("Pará, Brazil");
+    });
+
+    it("rejects transitions the lifecycle does not allow", async function () {
+      await expect(microCredit.reinstateProject(PROJECT_ID, "Not suspended"))
+        .to.be.revertedWithCustomError(microCredit, "ProjectNotSuspended");
+      await expect(microCredit.suspendProject("UNKNOWN_PROJECT", "Audit"))
+        .to.be.revertedWithCustomError(microCredit, "ProjectNotActive");
+
+      await microCredit.suspendProject(PROJECT_ID, "Audit");
+      await expect(microCredit.suspendProject(PROJECT_ID, "Audit"))
+        .to.be.revertedWithCustomError(microCredit, "ProjectNotActive");
+
+      await microCredit.closeProject(PROJECT_ID, "Crediting period ended");
+      expect(await microCredit.projectStatus(PROJECT_ID)).to.equal(CLOSED);
+      await expect(microCredit.reinstateProject(PROJECT_ID, "Reopen"))
+        .to.be.revertedWithCustomError(microCredit, "ProjectNotSuspended");
+      await expect(microCredit.closeProject(PROJECT_ID, "Again"))
+        .to.be.revertedWithCustomError(microCredit, "ProjectNotOpen");
+      await expect(microCredit.updateProjectMetadata(PROJECT_ID, "VCS-VM0007", "Peru", "Correction"))
+        .to.be.revertedWithCustomError(microCredit, "ProjectNotOpen");
+    });
+
+    it("only lets registrars change a project", async function () {
+      const calls = [
+        () => microCredit.connect(developer).suspendProject(PROJECT_ID, "Audit"),
+        () => microCredit.connect(developer).reinstateProject(PROJECT_ID, "Audit passed"),
+        () => microCredit.connect(developer).closeProject(PROJECT_ID, "Crediting period ended"),
+        () => microCredit.connect(developer).updateProjectMetadata(PROJECT_ID, "VCS-VM0007", "Peru", "Correction")
+      ];
+      for (const call of calls) {
+        await expect(call())
+          .to.be.revertedWithCustomError(microCredit, "AccessControlUnauthorizedAccount")
+          .withArgs(developer.address, await microCredit.REGISTRAR_ROLE());
+      }
+    });
+
+    it("records every change in the project's history", async function () {
+      const reader = await getMicroCredit(await microCredit.getAddress());
+      await microCredit.grantRole(await microCredit.REGISTRAR_ROLE(), buyer.address);
+
+      await microCredit.suspendProject(PROJECT_ID, "Audit");
+      await microCredit.connect(buyer).reinstateProject(PROJECT_ID, "Audit passed");
+      await microCredit.updateProjectMetadata(PROJECT_ID, "VCS-VM0007", "Pará, Brazil", "Corrected location");
+      await microCredit.closeProject(PROJECT_ID, "Crediting period ended");
+
+      const history = await reader.getProjectHistory(PROJECT_ID);
+      expect(history.map(entry => [entry.action, entry.reason, entry.actor])).to.deep.equal([
+        [0n, "", admin.address],
+        [1n, "Audit", admin.address],
+        [2n, "Audit passed", buyer.address],
+        [4n, "Corrected location", admin.address],
+        [3n, "Crediting period ended", admin.address]
+      ]);
+    });
+  });
+
+  describe("Stablecoin purchases", function () {
+    beforeEach(async function () {
+      await tokenSale.connect(developer).setPrice(PROJECT_ID, TOKEN_PRICE);
+    });
+
+    it("settles a purchase through allowance and transferFrom", async function () {
+      const amount = 250n; // 2.50 credits
+      const totalPrice = amount * TOKEN_PRICE / 100n;
+
+      await stablecoin.connect(buyer).approve(await tokenSale.getAddress(), totalPrice);
+
+      await expect(tokenSale.connect(buyer).purchaseCredits(PROJECT_ID, amount))
+        .to.emit(tokenSale, "CreditsPurchased")
+        .withArgs(buyer.address, PROJECT_ID, amount, totalPrice);
+
+      expect(await microCredit.balanceOf(buyer.address)).to.equal(amount);
+      expect(await stablecoin.balanceOf(buyer.address)).to.equal(1000n * USDC - totalPrice);
+      expect(await stablecoin.balanceOf(await tokenSale.getAddress())).to.equal(totalPrice);
+      expect(await tokenSale.developerProceeds(developer.address)).to.equal(totalPrice);
+      expect(await tokenSale.projectProceeds(PROJECT_ID)).to.equal(totalPrice);
+      expect(await microCredit.projectCreditsSold(PROJECT_ID)).to.equal(amount);
+    });
+
+    it("reverts without sufficient allowance", async function () {
+      await expect(tokenSale.connect(buyer).purchaseCredits(PROJECT_ID, 100))
+        .to.be.revertedWithCustomError(stablecoin, "ERC20InsufficientAllowance");
+    });
+
+    it("reverts when the project has no token price", async function () {
+      await tokenSale.connect(developer).setPrice(PROJECT_ID, 0);
+      await expect(tokenSale.connect(buyer).purchaseCredits(PROJECT_ID, 100))
+        .to.be.revertedWith("No token price for project");
+    });
+
+    it("reverts when the project is suspended", async function () {
+      await stablecoin.connect(buyer).approve(await tokenSale.getAddress(), TOKEN_PRICE);
+      await microCredit.suspendProject(PROJECT_ID, "Audit");
+      await expect(tokenSale.connect(buyer).purchaseCredits(PROJECT_ID, 100))
+        .to.be.revertedWithCustomError(microCredit, "ProjectNotActive");
+    });
+
+    it("only lets the project developer set the token price", async function () {
+      await expect(tokenSale.connect(buyer).setPrice(PROJECT_ID, 1))
+        .to.be.revertedWith("Only project developer");
+    });
+
+    it("splits platform fees and pays out in the token", async function () {
+      await microCredit.setPlatformFee(250); // 2.5%
+      const amount = 400n;
+      const totalPrice = amount * TOKEN_PRICE / 100n;
+      const fee = totalPrice * 250n / 10000n;
+
+      await stablecoin.connect(buyer).approve(await tokenSale.getAddress(), totalPrice);
+      await tokenSale.connect(buyer).purchaseCredits(PROJECT_ID, amount);
+
+      expect(await tokenSale.accruedFees()).to.equal(fee);
+      expect(await tokenSale.developerProceeds(developer.address)).to.equal(totalPrice - fee);
+
+      await expect(tokenSale.connect(developer).withdrawProceeds())
+        .to.changeTokenBalances(stablecoin, [tokenSale, developer], [-(totalPrice - fee), totalPrice - fee]);
+      await expect(tokenSale.connect(buyer).withdrawFees())
+        .to.be.revertedWith("Not authorized");
+      await expect(tokenSale.withdrawFees())
+        .to.changeTokenBalances(stablecoin, [tokenSale, admin], [-fee, fee]);
+
+      expect(await stablecoin.balanceOf(await tokenSale.getAddress())).to.equal(0);
+    });
+  });
+
+  describe("Batch purchases", function () {
+    const SECOND_PROJECT = "KENYA_COOKSTOVES_2024";
+
+    beforeEach(async function () {
+      await microCredit.registerProject(
+        SECOND_PROJECT,
+        developer.address,
+        "Gold Standard TPDDTEC",
+        "Kisumu, Kenya",
+        50000,
+        HBAR_PRICE * 2n
+      );
+      await microCredit.mint(
+        developer.address,
+        100,
+        SECOND_PROJECT,
+        2024,
+        ethers.sha256(ethers.toUtf8Bytes("cookstoves-report-2024")),
+        1704067200,
+        1735603200
+      );
+    });
+
+    it("settles every line in one transaction and refunds the excess once", async function () {
+      const totalPrice = 150n * HBAR_PRICE / 100n + 200n * HBAR_PRICE * 2n / 100n;
+      const overpayment = HBAR_PRICE;
+
+      const tx = microCredit.connect(buyer).purchaseBatch(
+        [PROJECT_ID, SECOND_PROJECT],
+        [150, 200],
+        { value: totalPrice + overpayment }
+      );
+
+      await expect(tx).to.changeEtherBalances([buyer, microCredit], [-totalPrice, totalPrice]);
+      await expect(tx).to.emit(microCredit, "CreditsPurchased")
+        .withArgs(buyer.address, SECOND_PROJECT, 200, 200n * HBAR_PRICE * 2n / 100n);
+
+      expect(await microCredit.balanceOf(buyer.address)).to.equal(350);
+      expect(await microCredit.projectProceeds(PROJECT_ID)).to.equal(150n * HBAR_PRICE / 100n);
+      expect(await microCredit.projectProceeds(SECOND_PROJECT)).to.equal(200n * HBAR_PRICE * 2n / 100n);
+    });
+
+    it("reverts every line when one line fails", async function () {
+      await microCredit.suspendProject(SECOND_PROJECT, "Audit");
+
+      await expect(microCredit.connect(buyer).purchaseBatch(
+        [PROJECT_ID, SECOND_PROJECT],
+        [150, 200],
+        { value: HBAR_PRICE * 10n }
+      )).to.be.revertedWithCustomError(microCredit, "ProjectNotActive");
+
+      expect(await microCredit.balanceOf(buyer.address)).to.equal(0);
+    });
+
+    it("reverts when the payment does not cover the whole cart", async function () {
+      await expect(microCredit.connect(buyer).purchaseBatch(
+        [PROJECT_ID, SECOND_PROJECT],
+        [100, 100],
+        { value: HBAR_PRICE * 2n }
+      )).to.be.revertedWithCustomError(microCredit, "InsufficientPayment");
+    });
+
+    it("rejects mismatched cart lines", async function () {
+      await expect(microCredit.connect(buyer).purchaseBatch([PROJECT_ID], [100, 100]))
+        .to.be.revertedWithCustomError(microCredit, "LengthMismatch");
+    });
+  });
+
+  describe("Buffer reversals", function () {
+    it("cancels buffer credits from the most recent batches first", async function () {
+      await microCredit.setBufferPercentage(PROJECT_ID, 2000); // 20% of each batch: 50 and 25 credits
+      await microCredit.mint(developer.address, 200, PROJECT_ID, 2025, ethers.sha256(ethers.toUtf8Bytes("report-2025")), 1735689600, 1767225600);
+      await microCredit.mint(developer.address, 100, PROJECT_ID, 2026, ethers.sha256(ethers.toUtf8Bytes("report-2026")), 1767225600, 1798761600);
+      const buffer = await microCredit.getAddress();
+
+      await expect(microCredit.reportReversal(PROJECT_ID, 50, "Wildfire"))
+        .to.emit(microCredit, "ReversalReported")
+        .withArgs(PROJECT_ID, 50, "Wildfire");
+
+      expect(await microCredit.batchBalances(3, buffer)).to.equal(0);
+      expect(await microCredit.batchBalances(2, buffer)).to.equal(25);
+      expect(await microCredit.bufferCredits(PROJECT_ID)).to.equal(25);
+      expect(await microCredit.reversedCredits(PROJECT_ID)).to.equal(50);
+    });
+
+    it("reverts when the buffer account holds less than the recorded buffer", async function () {
+      // A buffer imported without the buffer account's holdings
+      const { contract } = await deployMicroCreditProxy("EcoCreditX", "ECCX", admin.address, async (setup) => {
+        const project = [PROJECT_ID, "VCS-VM0015", "Amazon Basin, Brazil", 100000, 100000, true, developer.address, HBAR_PRICE];
+        await setup.importProject(project, 1, 2024, 2000, 50, 0, 0, []);
+      });
+
+      await expect(contract.reportReversal(PROJECT_ID, 50, "Wildfire"))
+        .to.be.revertedWithCustomError(contract, "InsufficientBufferHeld");
+    });
+  });
+
+  describe("Platform statistics", function () {
+    it("counts projects by lifecycle status", async function () {
+      await microCredit.registerProject("SUSPENDED_PROJECT", developer.address, "VCS-VM0007", "Peru", 1000, HBAR_PRICE);
+      await microCredit.registerProject("CLOSED_PROJECT", developer.address, "VCS-VM0007", "Peru", 1000, HBAR_PRICE);
+      await microCredit.suspendProject("SUSPENDED_PROJECT", "Audit");
+      await microCredit.suspendProject("CLOSED_PROJECT", "Audit");
+      await microCredit.closeProject("CLOSED_PROJECT", "Crediting period ended");
+
+      const stats = await microCredit.getPlatformStats();
+      expect(stats.activeProjectsCount).to.equal(1);
+      expect(stats.suspendedProjectsCount).to.equal(1);
+      expect(stats.closedProjectsCount).to.equal(1);
+    });
+
+    it("tracks HBAR volume and credits retired per project", async function () {
+      const totalPrice = 150n * HBAR_PRICE / 100n;
+      await microCredit.connect(buyer).purchaseCredits(PROJECT_ID, 150, { value: totalPrice + HBAR_PRICE });
+      await microCredit.connect(buyer).retire(40, "Corporate offsetting Q4 2024");
+
+      const stats = await microCredit.getPlatformStats();
+      expect(stats.totalSupply_).to.equal(210);
+      expect(stats.totalRetiredCredits).to.equal(40);
+      expect(stats.hbarVolume_).to.equal(totalPrice);
+      expect(await microCredit.projectRetired(PROJECT_ID)).to.equal(40);
+    });
+  });
+
+  describe("Sales before the first issuance", function () {
+    const NEW_PROJECT = "PERU_REDD_2025";
+
+    beforeEach(async function () {
+      await microCredit.registerProject(NEW_PROJECT, developer.address, "VCS-VM0007", "Madre de Dios, Peru", 1000, HBAR_PRICE);
+    });
+
+    it("rejects HBAR, cart and stablecoin purchases until a vintage is minted", async function () {
+      await expect(microCredit.connect(buyer).purchaseCredits(NEW_PROJECT, 100, { value: HBAR_PRICE }))
+        .to.be.revertedWithCustomError(microCredit, "NoVintageIssued");
+      await expect(microCredit.connect(buyer).purchaseBatch([PROJECT_ID, NEW_PROJECT], [100, 100], { value: HBAR_PRICE * 2n }))
+        .to.be.revertedWithCustomError(microCredit, "NoVintageIssued");
+
+      await tokenSale.connect(developer).setPrice(NEW_PROJECT, TOKEN_PRICE);
+      await stablecoin.connect(buyer).approve(await tokenSale.getAddress(), TOKEN_PRICE);
+      await expect(tokenSale.connect(buyer).purchaseCredits(NEW_PROJECT, 100))
+        .to.be.revertedWithCustomError(microCredit, "NoVintageIssued");
+    });
+
+    it("sells under the latest minted vintage once one is issued", async function () {
+      await microCredit.mint(developer.address, 100, NEW_PROJECT, 2025, ethers.sha256(ethers.toUtf8Bytes("peru-2025")), 1735689600, 1767225600);
+      await microCredit.connect(buyer).purchaseCredits(NEW_PROJECT, 100, { value: HBAR_PRICE });
+
+      const sold = await microCredit.getBatch(3);
+      expect([sold.projectId, sold.vintage, sold.amount]).to.deep.equal([NEW_PROJECT, 2025n, 100n]);
+      expect(await microCredit.batchEvidence(3)).to.deep.equal([ethers.ZeroHash, 0n, 0n]);
+    });
+  });
+
+  describe("Verified issuance", function () {
+    const REPORT_2025 = ethers.sha256(ethers.toUtf8Bytes("verification-report-2025"));
+
+    it("records the verification evidence behind each minted batch", async function () {
+      await expect(microCredit.mint(developer.address, 200, PROJECT_ID, 2025, REPORT_2025, 1735689600, 1767225600))
+        .to.emit(microCredit, "IssuanceVerified")
+        .withArgs(2, PROJECT_ID, REPORT_2025, 1735689600, 1767225600);
+
+      expect(await microCredit.batchEvidence(2)).to.deep.equal([REPORT_2025, 1735689600n, 1767225600n]);
+      expect(await microCredit.verificationBatchId(REPORT_2025)).to.equal(2);
+      expect(await microCredit.currentVintage(PROJECT_ID)).to.equal(2025);
+    });
+
+    it("rejects a second mint from an already used verification report", async function () {
+      const usedReport = ethers.sha256(ethers.toUtf8Bytes("verification-report-2024"));
+
+      await expect(microCredit.mint(developer.address, 100, PROJECT_ID, 2025, usedReport, 1735689600, 1767225600))
+        .to.be.revertedWithCustomError(microCredit, "VerificationAlreadyUsed");
+      expect(await microCredit.totalSupply()).to.equal(100);
+    });
+
+    it("rejects mints without evidence or with an invalid monitoring period", async function () {
+      await expect(microCredit.mint(developer.address, 100, PROJECT_ID, 2025, ethers.ZeroHash, 1735689600, 1767225600))
+        .to.be.revertedWithCustomError(microCredit, "VerificationHashRequired");
+      await expect(microCredit.mint(developer.address, 100, PROJECT_ID, 2025, REPORT_2025, 0, 1767225600))
+        .to.be.revertedWithCustomError(microCredit, "InvalidMonitoringPeriod");
+      await expect(microCredit.mint(developer.address, 100, PROJECT_ID, 2025, REPORT_2025, 1767225600, 1735689600))
+        .to.be.revertedWithCustomError(microCredit, "InvalidMonitoringPeriod");
+    });
+  });
+
+  describe("Signed permits and retirements", function () {
+    const RETIREMENT_TYPES = {
+      RetireWithSignature: [
+        { name: "retiree", type: "address" },
+        { name: "batchId", type: "uint256" },
+        { name: "amount", type: "uint256" },
+        { name: "reason", type: "string" },
+        { name: "beneficiary", type: "address" },
+        { name: "beneficiaryName", type: "string" },
+        { name: "reportingPeriod", type: "string" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    const PERMIT_TYPES = {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+
+    let domain, deadline;
+
+    beforeEach(async function () {
+      const { name, version, chainId, verifyingContract } = await microCredit.eip712Domain();
+      domain = { name, version, chainId, verifyingContract };
+      deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    });
+
+    async function signPermit(signer, owner, value, permitDeadline = deadline) {
+      const nonce = await microCredit.nonces(owner.address);
+      const message = { owner: owner.address, spender: buyer.address, value, nonce, deadline: permitDeadline };
+      return ethers.Signature.from(await signer.signTypedData(domain, PERMIT_TYPES, message));
+    }
+
+    async function signRetirement(signer, retiree, amount, retirementDeadline = deadline) {
+      const message = {
+        retiree: retiree.address,
+        batchId: 1,
+        amount,
+        reason: "Scope 3 offsetting",
+        beneficiary: ethers.ZeroAddress,
+        beneficiaryName: "",
+        reportingPeriod: "FY2024",
+        nonce: await microCredit.nonces(retiree.address),
+        deadline: retirementDeadline
+      };
+      const { v, r, s } = ethers.Signature.from(await signer.signTypedData(domain, RETIREMENT_TYPES, message));
+      return [retiree.address, 1, amount, message.reason, ethers.ZeroAddress, "", "FY2024", retirementDeadline, v, r, s];
+    }
+
+    it("sets an allowance from the holder's permit", async function () {
+      const { v, r, s } = await signPermit(developer, developer, 40);
+      await microCredit.connect(buyer).permit(developer.address, buyer.address, 40, deadline, v, r, s);
+
+      expect(await microCredit.allowance(developer.address, buyer.address)).to.equal(40);
+      expect(await microCredit.nonces(developer.address)).to.equal(1);
+    });
+
+    it("rejects permits from another signer, replayed or past their deadline", async function () {
+      let { v, r, s } = await signPermit(buyer, developer, 40);
+      await expect(microCredit.connect(buyer).permit(developer.address, buyer.address, 40, deadline, v, r, s))
+        .to.be.revertedWithCustomError(microCredit, "ERC2612InvalidSigner");
+
+      ({ v, r, s } = await signPermit(developer, developer, 40));
+      await microCredit.connect(buyer).permit(developer.address, buyer.address, 40, deadline, v, r, s);
+      await expect(microCredit.connect(buyer).permit(developer.address, buyer.address, 40, deadline, v, r, s))
+        .to.be.revertedWithCustomError(microCredit, "ERC2612InvalidSigner");
+
+      const expired = deadline - 7200;
+      ({ v, r, s } = await signPermit(developer, developer, 40, expired));
+      await expect(microCredit.connect(buyer).permit(developer.address, buyer.address, 40, expired, v, r, s))
+        .to.be.revertedWithCustomError(microCredit, "ERC2612ExpiredSignature");
+    });
+
+    it("retires the signer's credits for a relayer paying the gas", async function () {
+      const args = await signRetirement(developer, developer, 30);
+
+      await expect(microCredit.connect(buyer).retireWithSignature(...args))
+        .to.emit(microCredit, "CreditsRetired");
+
+      expect(await microCredit.balanceOf(developer.address)).to.equal(70);
+      expect(await microCredit.balanceOf(buyer.address)).to.equal(0);
+      expect(await microCredit.nonces(developer.address)).to.equal(1);
+      const certificate = await microCredit.getRetirement(1);
+      expect([certificate.retiree, certificate.batchId, certificate.amount, certificate.reportingPeriod])
+        .to.deep.equal([developer.address, 1n, 30n, "FY2024"]);
+    });
+
+    it("rejects retirements signed by another account, replayed or past their deadline", async function () {
+      await expect(microCredit.retireWithSignature(...await signRetirement(buyer, developer, 30)))
+        .to.be.revertedWithCustomError(microCredit, "InvalidSignature");
+
+      const args = await signRetirement(developer, developer, 30);
+      await microCredit.retireWithSignature(...args);
+      await expect(microCredit.retireWithSignature(...args))
+        .to.be.revertedWithCustomError(microCredit, "InvalidSignature");
+
+      const expired = deadline - 7200;
+      await expect(microCredit.retireWithSignature(...await signRetirement(developer, developer, 30, expired)))
+        .to.be.revertedWithCustomError(microCredit, "SignatureExpired");
+      expect(await microCredit.balanceOf(developer.address)).to.equal(70);
+    });
+
+    it("shares one nonce between permits and signed retirements", async function () {
+      const retirement = await signRetirement(developer, developer, 30);
+      const { v, r, s } = await signPermit(developer, developer, 40);
+
+      // Both were signed over nonce 0: whichever is used first invalidates the other
+      await microCredit.connect(buyer).permit(developer.address, buyer.address, 40, deadline, v, r, s);
+      await expect(microCredit.retireWithSignature(...retirement))
+        .to.be.revertedWithCustomError(microCredit, "InvalidSignature");
+
+      await microCredit.retireWithSignature(...await signRetirement(developer, developer, 30));
+      expect(await microCredit.nonces(developer.address)).to.equal(2);
+    });
+  });
+
+  it("only lets sale contracts issue sold credits", async function () {
+    await expect(microCredit.connect(buyer).issueSale(buyer.address, PROJECT_ID, 100))
+      .to.be.revertedWithCustomError(microCredit, "AccessControlUnauthorizedAccount");
+  });
+
+  it("still accepts HBAR purchases", async function () {
+    const amount = 150n;
+    const totalPrice = amount * HBAR_PRICE / 100n;
+
+    await expect(microCredit.connect(buyer).purchaseCredits(PROJECT_ID, amount, { value: totalPrice }))
+      .to.emit(microCredit, "CreditsPurchased")
+      .withArgs(buyer.address, PROJECT_ID, amount, totalPrice);
+
+    expect(await microCredit.balanceOf(buyer.address)).to.equal(amount);
+    expect(await microCredit.developerProceeds(developer.address)).to.equal(totalPrice);
+    // Credits minted to the developer are not sales
+    expect(await microCredit.projectCreditsSold(PROJECT_ID)).to.equal(amount);
+  });
+});
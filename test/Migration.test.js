@@ -0,0 +1,219 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  getMicroCredit,
+  deployMicroCreditProxy,
+  deployMicroCreditImplementation,
+  upgradeProxy,
+  getImplementationAddress
+} = require("../scripts/microCreditProxy");
+const { snapshotMicroCredit, replaySnapshot, verifyMigration } = require("../scripts/migrate");
+// The original MicroCredit (Ownable, no issuance batches) as compiled for its first deployments
+const legacyMicroCredit = require("./fixtures/MicroCreditLegacy.json");
+
+describe("MicroCredit upgradeable deployment", function () {
+  const PROJECT_ID = "AMAZON_REDD_2024";
+  const COOKSTOVE_ID = "KENYA_COOKSTOVES_2024";
+  const HBAR_PRICE = ethers.parseUnits("1", 8); // 1 HBAR per credit
+
+  let admin, developer, buyer, beneficiary;
+
+  const verification = (label) => ethers.sha256(ethers.toUtf8Bytes(label));
+
+  beforeEach(async function () {
+    [admin, developer, buyer, beneficiary] = await ethers.getSigners();
+  });
+
+  describe("Proxy", function () {
+    let microCredit, proxyAdminAddress, implementationAddress;
+
+    beforeEach(async function () {
+      ({ contract: microCredit, proxyAdminAddress, implementationAddress } =
+        await deployMicroCreditProxy("EcoCreditX", "ECCX", admin.address));
+    });
+
+    it("serves the token metadata and roles through the proxy", async function () {
+      expect(await microCredit.name()).to.equal("EcoCreditX");
+      expect(await microCredit.symbol()).to.equal("ECCX");
+      expect(await microCredit.decimals()).to.equal(2);
+      expect(await microCredit.hasRole(await microCredit.MINTER_ROLE(), admin.address)).to.be.true;
+      expect(await microCredit.feeCollector()).to.equal(admin.address);
+      expect(await getImplementationAddress(await microCredit.getAddress())).to.equal(implementationAddress);
+    });
+
+    it("cannot be initialized twice", async function () {
+      const setup = await ethers.getContractAt("MicroCreditSetup", await microCredit.getAddress());
+      await expect(setup.initialize(buyer.address)).to.be.reverted;
+    });
+
+    it("keeps state across upgrades", async function () {
+      await microCredit.registerProject(PROJECT_ID, developer.address, "VCS-VM0015", "Amazon Basin, Brazil", 100000, HBAR_PRICE);
+      await microCredit.mint(developer.address, 500, PROJECT_ID, 2024, verification("report-2024"), 1704067200, 1735603200);
+
+      const newImplementation = await deployMicroCreditImplementation("EcoCreditX", "ECCX");
+      await upgradeProxy(await microCredit.getAddress(), newImplementation);
+
+      expect(await getImplementationAddress(await microCredit.getAddress())).to.equal(newImplementation);
+      expect(await microCredit.balanceOf(developer.address)).to.equal(500);
+      expect((await microCredit.getProject(PROJECT_ID)).developer).to.equal(developer.address);
+      // Enumeration views are served by the new implementation's reader
+      expect(await microCredit.getProjectCount()).to.equal(1);
+      expect(await microCredit.getHolderBatches(developer.address)).to.deep.equal([[1n], [500n]]);
+    });
+
+    it("only lets the ProxyAdmin owner upgrade", async function () {
+      const proxyAdmin = await ethers.getContractAt("ProxyAdmin", proxyAdminAddress);
+      await expect(proxyAdmin.connect(buyer).upgradeAndCall(await microCredit.getAddress(), implementationAddress, "0x"))
+        .to.be.revertedWithCustomError(proxyAdmin, "OwnableUnauthorizedAccount");
+    });
+
+    it("only lets the admin import state", async function () {
+      const setupImplementation = await (await ethers.getContractFactory("MicroCreditSetup")).deploy();
+      await expect(setupImplementation.initialize(admin.address)).to.be.reverted;
+
+      const { contract } = await deployMicroCreditProxy("EcoCreditX", "ECCX", admin.address, async (setup) => {
+        await expect(setup.connect(buyer).importHbarVolume(1))
+          .to.be.revertedWithCustomError(setup, "AccessControlUnauthorizedAccount");
+      });
+      expect(await contract.totalSupply()).to.equal(0);
+    });
+  });
+
+  describe("Migration", function () {
+    let source, migrated, snapshot;
+
+    beforeEach(async function () {
+      const deployed = await (await ethers.getContractFactory("MicroCredit")).deploy("EcoCreditX", "ECCX");
+      source = await getMicroCredit(await deployed.getAddress());
+
+      await source.registerProject(PROJECT_ID, developer.address, "VCS-VM0015", "Amazon Basin, Brazil", 100000, HBAR_PRICE);
+      await source.registerProject(COOKSTOVE_ID, developer.address, "Gold Standard TPDDTEC", "Kenya", 50000, HBAR_PRICE);
+      await source.setBufferPercentage(PROJECT_ID, 2000);
+      await source.mint(developer.address, 1000, PROJECT_ID, 2024, verification("report-2024"), 1704067200, 1735603200);
+      await source.mint(developer.address, 300, COOKSTOVE_ID, 2024, verification("cookstoves-2024"), 1704067200, 1735603200);
+
+      await source.connect(buyer).purchaseCredits(PROJECT_ID, 200, { value: 2n * HBAR_PRICE });
+      await source.connect(developer).transfer(buyer.address, 100);
+      await source.connect(buyer).retireOnBehalf(0, 150, "Offsetting Q4 2024", beneficiary.address, "Acme Corp", "FY2024");
+      await source.reportReversal(PROJECT_ID, 50, "Wildfire");
+      await source.suspendProject(COOKSTOVE_ID, "Audit");
+      await source.setPlatformFee(250);
+      await source.pause();
+
+      snapshot = await snapshotMicroCredit(source);
+      ({ contract: migrated } = await deployMicroCreditProxy(
+        snapshot.name,
+        snapshot.symbol,
+        admin.address,
+        (setup) => replaySnapshot(setup, snapshot)
+      ));
+      await migrated.setPlatformFee(snapshot.platformFeeBps);
+    });
+
+    it("replays projects, holdings and retirements", async function () {
+      expect(await verifyMigration(migrated, snapshot)).to.deep.equal([]);
+
+      for (const account of [developer.address, buyer.address]) {
+        expect(await migrated.getHolderBatches(account)).to.deep.equal(await source.getHolderBatches(account));
+        expect(await migrated.getAccountCertificateIds(account)).to.deep.equal(await source.getAccountCertificateIds(account));
+        expect(await migrated.retiredBalances(account)).to.equal(await source.retiredBalances(account));
+      }
+      expect(await migrated.getAccountCertificateIds(beneficiary.address))
+        .to.deep.equal(await source.getAccountCertificateIds(beneficiary.address));
+      expect(await migrated.getRetirement(1)).to.deep.equal(await source.getRetirement(1));
+
+      // Buffer credits held by the old contract move to the proxy
+      const bufferHeld = await source.balanceOf(await source.getAddress());
+      expect(bufferHeld).to.be.greaterThan(0);
+      expect(await migrated.balanceOf(await migrated.getAddress())).to.equal(bufferHeld);
+
+      expect(await migrated.getProject(PROJECT_ID)).to.deep.equal(await source.getProject(PROJECT_ID));
+      expect(await migrated.getProjectHistory(COOKSTOVE_ID)).to.deep.equal(await source.getProjectHistory(COOKSTOVE_ID));
+      expect(await migrated.bufferCredits(PROJECT_ID)).to.equal(await source.bufferCredits(PROJECT_ID));
+      expect(await migrated.projectCreditsSold(PROJECT_ID)).to.equal(200);
+      expect(await migrated.getBatch(2)).to.deep.equal(await source.getBatch(2));
+      expect(await migrated.getPlatformStats()).to.deep.equal(await source.getPlatformStats());
+      expect(await migrated.platformFeeBps()).to.equal(250);
+    });
+
+    it("keeps trading and retiring after the migration", async function () {
+      await migrated.connect(buyer).purchaseCredits(PROJECT_ID, 100, { value: HBAR_PRICE });
+      await migrated.connect(buyer).retire(100, "Offsetting Q1 2025");
+
+      expect(await migrated.totalRetired()).to.equal(snapshot.totalRetired + 100n);
+      expect(await migrated.getRetirementCount()).to.be.greaterThan(snapshot.retirements.length);
+
+      // Imported verification hashes still cannot be reused
+      await expect(migrated.mint(developer.address, 10, PROJECT_ID, 2025, verification("report-2024"), 1735689600, 1767225600))
+        .to.be.revertedWithCustomError(migrated, "VerificationAlreadyUsed");
+    });
+  });
+
+  describe("Migration from the original contract", function () {
+    let legacy, migrated, snapshot;
+
+    beforeEach(async function () {
+      const LegacyMicroCredit = new ethers.ContractFactory(legacyMicroCredit.abi, legacyMicroCredit.bytecode, admin);
+      legacy = await LegacyMicroCredit.deploy("EcoCreditX", "ECCX");
+
+      await legacy.registerProject(PROJECT_ID, developer.address, "VCS-VM0015", "Amazon Basin, Brazil", 100000, HBAR_PRICE);
+      await legacy.registerProject(COOKSTOVE_ID, developer.address, "Gold Standard TPDDTEC", "Kenya", 50000, HBAR_PRICE);
+      await legacy.mint(developer.address, 1000, PROJECT_ID);
+      await legacy.mint(developer.address, 300, COOKSTOVE_ID);
+      await legacy.connect(buyer).purchaseCredits(PROJECT_ID, 200, { value: 2n * HBAR_PRICE });
+      await legacy.connect(developer).transfer(buyer.address, 100);
+      await legacy.connect(buyer).retire(250, "Offsetting Q4 2024");
+      await legacy.pause();
+
+      snapshot = await snapshotMicroCredit(await getMicroCredit(await legacy.getAddress()));
+      ({ contract: migrated } = await deployMicroCreditProxy(
+        snapshot.name,
+        snapshot.symbol,
+        admin.address,
+        (setup) => replaySnapshot(setup, snapshot)
+      ));
+    });
+
+    it("rebuilds projects from registration logs", async function () {
+      expect(await verifyMigration(migrated, snapshot)).to.deep.equal([]);
+      expect(await migrated.getProjectCount()).to.equal(2);
+
+      for (const projectId of [PROJECT_ID, COOKSTOVE_ID]) {
+        expect((await migrated.getProject(projectId)).toObject())
+          .to.deep.equal((await legacy.getProject(projectId)).toObject());
+        expect(await migrated.projectStatus(projectId)).to.equal(1); // Active
+      }
+      const [registration] = await migrated.getProjectHistory(PROJECT_ID);
+      expect(registration.actor).to.equal(admin.address);
+      expect((await migrated.getPlatformStats()).hbarVolume_).to.equal(2n * HBAR_PRICE);
+      expect(await migrated.projectCreditsSold(PROJECT_ID)).to.equal(200);
+      expect(await migrated.projectCreditsSold(COOKSTOVE_ID)).to.equal(0);
+    });
+
+    it("rebuilds a batch per issuance and the holdings from transfer logs", async function () {
+      expect(await migrated.getBatchCount()).to.equal(3);
+      const purchase = await migrated.getBatch(3);
+      expect(purchase.projectId).to.equal(PROJECT_ID);
+      expect(purchase.serialStart).to.equal(1001);
+      expect(purchase.amount).to.equal(200);
+
+      // The transfer drew on the developer's cookstove batch, the retirement on the buyer's latest batches
+      expect(await migrated.getHolderBatches(developer.address)).to.deep.equal([[1n, 2n], [1000n, 200n]]);
+      expect(await migrated.getHolderBatches(buyer.address)).to.deep.equal([[3n], [50n]]);
+      for (const account of [developer.address, buyer.address]) {
+        expect(await migrated.balanceOf(account)).to.equal(await legacy.balanceOf(account));
+      }
+    });
+
+    it("issues a certificate per retired batch", async function () {
+      expect(await migrated.getRetirementCount()).to.equal(2);
+      const [fromTransfer, fromPurchase] = [await migrated.getRetirement(1), await migrated.getRetirement(2)];
+      expect([fromTransfer.projectId, fromTransfer.amount]).to.deep.equal([COOKSTOVE_ID, 100n]);
+      expect([fromPurchase.projectId, fromPurchase.amount]).to.deep.equal([PROJECT_ID, 150n]);
+      expect(fromPurchase.reason).to.equal("Offsetting Q4 2024");
+
+      expect(await migrated.retiredBalances(buyer.address)).to.equal(await legacy.retiredBalances(buyer.address));
+      expect(await migrated.totalRetired()).to.equal(250);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("SecondaryMarket", function () {
+  const PROJECT_ID = "AMAZON_REDD_2024";
+  const COOKSTOVE_ID = "KENYA_COOKSTOVES_2024";
+  const HBAR_PRICE = ethers.parseUnits("1", 8); // 1 HBAR per credit
+  const RESALE_PRICE = ethers.parseUnits("1.5", 8); // 1.5 HBAR per credit
+
+  let microCredit, market;
+  let admin, seller, buyer, otherSeller;
+
+  beforeEach(async function () {
+    [admin, seller, buyer, otherSeller] = await ethers.getSigners();
+
+    microCredit = await (await ethers.getContractFactory("MicroCredit")).deploy("EcoCreditX", "ECCX");
+    market = await (await ethers.getContractFactory("SecondaryMarket")).deploy(await microCredit.getAddress());
+
+    await microCredit.registerProject(
+      PROJECT_ID,
+      seller.address,
+      "VCS-VM0015",
+      "Amazon Basin, Brazil",
+      100000,
+      HBAR_PRICE
+    );
+    await microCredit.mint(
+      seller.address,
+      1000,
+      PROJECT_ID,
+      2024,
+      ethers.sha256(ethers.toUtf8Bytes("verification-report-2024")),
+      1704067200,
+      1735603200
+    );
+
+    await microCredit.connect(seller).approve(await market.getAddress(), 500);
+    await market.connect(seller).createListing(1, 500, RESALE_PRICE);
+  });
+
+  it("holds listed credits in escrow", async function () {
+    const listing = await market.getListing(1);
+    expect(listing.seller).to.equal(seller.address);
+    expect([listing.batchId, listing.projectId, listing.vintage]).to.deep.equal([1n, PROJECT_ID, 2024n]);
+    expect(listing.remaining).to.equal(500);
+    expect(listing.isActive).to.be.true;
+    expect(await microCredit.batchBalances(1, await market.getAddress())).to.equal(500);
+    expect(await market.getSellerListingIds(seller.address)).to.deep.equal([1n]);
+  });
+
+  it("fills a listing partially, then fully", async function () {
+    const firstPrice = 200n * RESALE_PRICE / 100n;
+    await expect(market.connect(buyer).buyListing(1, 200, { value: firstPrice + HBAR_PRICE }))
+      .to.emit(market, "ListingFilled")
+      .withArgs(1, buyer.address, seller.address, 200, firstPrice);
+    expect((await market.getListing(1)).remaining).to.equal(300);
+    expect((await market.getListing(1)).isActive).to.be.true;
+
+    const secondPrice = 300n * RESALE_PRICE / 100n;
+    await market.connect(buyer).buyListing(1, 300, { value: secondPrice });
+    expect((await market.getListing(1)).isActive).to.be.false;
+    expect(await microCredit.balanceOf(buyer.address)).to.equal(500);
+    expect(await market.totalVolume()).to.equal(firstPrice + secondPrice);
+
+    await expect(market.connect(seller).withdrawProceeds())
+      .to.changeEtherBalances([market, seller], [-(firstPrice + secondPrice), firstPrice + secondPrice]);
+    await expect(market.connect(buyer).buyListing(1, 1, { value: RESALE_PRICE }))
+      .to.be.revertedWith("Listing not active");
+  });
+
+  it("charges at least one tinybar for dust amounts", async function () {
+    const dustPrice = 150n; // 0.0000015 HBAR per credit
+    await microCredit.connect(seller).approve(await market.getAddress(), 1);
+    await market.connect(seller).createListing(1, 1, dustPrice);
+
+    // 0.01 credits at 150 tinybars per credit is 1.5 tinybars, rounded up to 2
+    await expect(market.connect(buyer).buyListing(2, 1)).to.be.revertedWith("Insufficient payment");
+    await expect(market.connect(buyer).buyListing(2, 1, { value: 2 }))
+      .to.emit(market, "ListingFilled")
+      .withArgs(2, buyer.address, seller.address, 1, 2);
+  });
+
+  it("returns unsold credits when the seller cancels", async function () {
+    await market.connect(buyer).buyListing(1, 100, { value: 100n * RESALE_PRICE / 100n });
+
+    await expect(market.connect(buyer).cancelListing(1)).to.be.revertedWith("Not listing seller");
+    await expect(market.connect(seller).cancelListing(1))
+      .to.emit(market, "ListingCancelled")
+      .withArgs(1, seller.address, 400);
+
+    expect(await microCredit.balanceOf(seller.address)).to.equal(900);
+    expect((await market.getListing(1)).isActive).to.be.false;
+    await expect(market.connect(seller).cancelListing(1)).to.be.revertedWith("Listing not active");
+  });
+
+  it("rejects buying an own listing or more than is listed", async function () {
+    await expect(market.connect(seller).buyListing(1, 100, { value: RESALE_PRICE }))
+      .to.be.revertedWith("Cannot buy own listing");
+    await expect(market.connect(buyer).buyListing(1, 501, { value: 10n * RESALE_PRICE }))
+      .to.be.revertedWith("Insufficient credits listed");
+  });
+
+  it("delivers credits of the listed batch when sellers list different projects", async function () {
+    await microCredit.registerProject(COOKSTOVE_ID, otherSeller.address, "Gold Standard TPDDTEC", "Kenya", 50000, HBAR_PRICE);
+    await microCredit.mint(
+      otherSeller.address,
+      300,
+      COOKSTOVE_ID,
+      2023,
+      ethers.sha256(ethers.toUtf8Bytes("cookstoves-2023")),
+      1672531200,
+      1703980800
+    );
+    await microCredit.connect(otherSeller).approve(await market.getAddress(), 300);
+    await market.connect(otherSeller).createListing(2, 300, RESALE_PRICE);
+    expect((await market.getListing(2)).projectId).to.equal(COOKSTOVE_ID);
+
+    // The cookstove listing was escrowed last, but the Amazon listing still fills from the Amazon batch
+    await market.connect(buyer).buyListing(1, 200, { value: 200n * RESALE_PRICE / 100n });
+    expect(await microCredit.batchBalances(1, buyer.address)).to.equal(200);
+    expect(await microCredit.batchBalances(2, buyer.address)).to.equal(0);
+
+    await market.connect(buyer).buyListing(2, 100, { value: 100n * RESALE_PRICE / 100n });
+    expect(await microCredit.batchBalances(2, buyer.address)).to.equal(100);
+
+    // Cancelling returns each seller's own batch
+    await market.connect(seller).cancelListing(1);
+    expect(await microCredit.batchBalances(1, seller.address)).to.equal(800);
+    expect(await microCredit.batchBalances(1, await market.getAddress())).to.equal(0);
+    expect(await microCredit.batchBalances(2, await market.getAddress())).to.equal(200);
+  });
+
+  it("only lists credits the seller holds in the chosen batch", async function () {
+    await microCredit.connect(seller).approve(await market.getAddress(), 600);
+    await expect(market.connect(seller).createListing(1, 600, RESALE_PRICE))
+      .to.be.revertedWithCustomError(microCredit, "InsufficientBatchBalance");
+    await expect(market.connect(seller).createListing(9, 1, RESALE_PRICE))
+      .to.be.revertedWithCustomError(microCredit, "InvalidBatch");
+  });
+});